@@ -66,8 +66,19 @@ const config = {
   stripe: {
     secretKey: process.env.STRIPE_SECRET_KEY,
     webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    // Override to target a local stripe-mock (e.g. http://localhost:12111)
+    apiBase: process.env.STRIPE_API_BASE || 'https://api.stripe.com',
+    // Days a past_due agency keeps access while Stripe retries the payment
+    pastDueGraceDays: parseInt(process.env.STRIPE_PAST_DUE_GRACE_DAYS || '7', 10),
   },
 
+  // One-off credit packs (added to the agency's credit_pool on payment)
+  creditPacks: [
+    { id: 'credits_5k', credits: 5000, price_cents: 4900 },
+    { id: 'credits_20k', credits: 20000, price_cents: 17900 },
+    { id: 'credits_50k', credits: 50000, price_cents: 39900 },
+  ],
+
   // Email
   resend: {
     apiKey: process.env.RESEND_API_KEY,
@@ -80,6 +91,19 @@ const config = {
     generationMax: 30, // generation requests per window
   },
 
+  // Background generation jobs (services/generationJobs.js)
+  jobs: {
+    concurrency: parseInt(process.env.GENERATION_JOB_CONCURRENCY || '4', 10),
+  },
+
+  // Workflow node execution (services/workflowRunner.js), per server instance
+  workflows: {
+    // Nodes of one run executing at once
+    runConcurrency: parseInt(process.env.WORKFLOW_RUN_CONCURRENCY || '3', 10),
+    // Nodes executing at once across all of an agency's runs
+    agencyConcurrency: parseInt(process.env.WORKFLOW_AGENCY_CONCURRENCY || '6', 10),
+  },
+
   // Credit costs per operation
   creditCosts: {
     // Image generation
@@ -95,6 +119,7 @@ const config = {
     inpaint: 5,
     eraser: 3,
     qwenEdit: 5,
+    upscale: 2,
     // Chat
     chat: 2,
   },
@@ -1,11 +1,31 @@
 /**
  * Authentication Middleware
  * Verifies JWT tokens and loads agency user context
+ * Also accepts agency API keys (Bearer ask_...) on scoped endpoints
  */
 
+const crypto = require('crypto');
 const { supabaseAdmin, createUserClient } = require('../services/supabase');
 const { logger } = require('../services/logger');
 
+const API_KEY_PREFIX = 'ask_';
+
+const API_KEY_SCOPES = ['generate', 'gallery:read', 'workflows:run'];
+
+/**
+ * Endpoints reachable with an API key, and the scope each one needs.
+ * Anything not listed here rejects API keys.
+ */
+const API_KEY_ROUTES = [
+  { scope: 'generate', methods: ['GET', 'POST'], pattern: /^\/api\/generate(\/|$)/ },
+  { scope: 'generate', methods: ['GET', 'POST'], pattern: /^\/api\/edit(\/|$)/ },
+  { scope: 'generate', methods: ['GET'], pattern: /^\/api\/jobs(\/|$)/ },
+  { scope: 'gallery:read', methods: ['GET'], pattern: /^\/api\/gallery\/?$/ },
+  { scope: 'workflows:run', methods: ['POST'], pattern: /^\/api\/workflows\/[^/]+\/run\/?$/ },
+  // One run by its UUID, not the agency-wide /runs/events stream
+  { scope: 'workflows:run', methods: ['GET'], pattern: /^\/api\/workflows\/runs\/[0-9a-f-]{36}(\/events)?\/?$/i },
+];
+
 /**
  * Extract JWT from Authorization header
  */
@@ -17,6 +37,91 @@ function extractToken(req) {
   return authHeader.substring(7);
 }
 
+/**
+ * Hash an API key for storage/lookup (plaintext keys are never stored)
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Find the scope an API key needs for this request, or null if the
+ * endpoint cannot be called with an API key at all
+ */
+function getRequiredScope(req) {
+  const path = (req.originalUrl || '').split('?')[0];
+  const route = API_KEY_ROUTES.find(
+    (r) => r.methods.includes(req.method) && r.pattern.test(path)
+  );
+  return route ? route.scope : null;
+}
+
+/**
+ * Authenticate a request carrying an agency API key.
+ * The key acts as the agency user who created it, so credits,
+ * generations and gallery items are attributed to that user.
+ */
+async function authenticateApiKey(req, res, next, key) {
+  const requiredScope = getRequiredScope(req);
+  if (!requiredScope) {
+    return res.status(403).json({ error: 'API keys cannot access this endpoint' });
+  }
+
+  if (!req.agency) {
+    return res.status(400).json({ error: 'Agency context required' });
+  }
+
+  const { data: apiKey } = await supabaseAdmin
+    .from('api_keys')
+    .select('*')
+    .eq('key_hash', hashApiKey(key))
+    .eq('agency_id', req.agency.id)
+    .is('revoked_at', null)
+    .single();
+
+  if (!apiKey) {
+    logger.warn(`Invalid API key attempt: ${key.substring(0, 8)}...`);
+    return res.status(401).json({ error: 'Invalid or revoked API key' });
+  }
+
+  if (!(apiKey.scopes || []).includes(requiredScope)) {
+    return res.status(403).json({
+      error: `API key is missing the "${requiredScope}" scope`,
+      required_scope: requiredScope,
+    });
+  }
+
+  const { data: agencyUser } = await supabaseAdmin
+    .from('agency_users')
+    .select('*')
+    .eq('id', apiKey.created_by)
+    .eq('agency_id', req.agency.id)
+    .eq('status', 'active')
+    .single();
+
+  if (!agencyUser) {
+    logger.warn(`API key ${apiKey.id} owner is no longer active in agency ${req.agency.id}`);
+    return res.status(403).json({ error: 'The user who created this API key no longer has access' });
+  }
+
+  // Non-blocking usage tracking
+  supabaseAdmin
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', apiKey.id)
+    .then(({ error }) => {
+      if (error) logger.warn('Failed to update API key last_used_at:', error.message);
+    });
+
+  req.user = null;
+  req.agencyUser = agencyUser;
+  req.apiKey = apiKey;
+  req.token = null;
+  req.supabase = null;
+
+  next();
+}
+
 /**
  * Require authentication - fails if no valid token
  * Attaches user and agencyUser to request
@@ -29,6 +134,10 @@ async function requireAuth(req, res, next) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
+    if (token.startsWith(API_KEY_PREFIX)) {
+      return await authenticateApiKey(req, res, next, token);
+    }
+
     // Verify token with Supabase
     const { data: { user }, error: authError } = await supabaseAdmin.auth.getUser(token);
 
@@ -150,4 +259,13 @@ function requireOwner(req, res, next) {
   next();
 }
 
-module.exports = { requireAuth, optionalAuth, requireAdmin, requireOwner, extractToken };
+module.exports = {
+  requireAuth,
+  optionalAuth,
+  requireAdmin,
+  requireOwner,
+  extractToken,
+  hashApiKey,
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+};
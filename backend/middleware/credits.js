@@ -1,11 +1,43 @@
 /**
  * Credits Middleware
  * Handles credit checking and deduction for generation operations
+ *
+ * requireCredits() places a hold on the agency pool before the route runs
+ * (services/creditLedger.js). The route calls deductCredits(req) once the
+ * work succeeded, which captures the hold. When the response finishes:
+ *   - an unsettled hold is released (the route failed or bailed out early)
+ *   - a captured hold on an error response is refunded (charged, but the
+ *     user got an error instead of a result)
+ * Routes that finish the work in a background job hand the hold over with
+ * transferHold(req); the job settles it instead.
  */
 
-const { supabaseAdmin } = require('../services/supabase');
 const { logger } = require('../services/logger');
 const { config } = require('../config');
+const { holdCredits, captureHold, releaseHold, refundHold, getOpenHoldCredits } = require('../services/creditLedger');
+
+/**
+ * Settle a request's hold after the response has been sent
+ */
+async function settleHoldOnFinish(req, res) {
+  const { creditHoldId: holdId, operationType } = req;
+
+  if (req.creditHoldTransferred) return;
+
+  try {
+    if (!req.creditsCaptured) {
+      await releaseHold(holdId, `Request ended with HTTP ${res.statusCode}`);
+    } else if (res.statusCode >= 400) {
+      const refunded = await refundHold(holdId, `Request failed with HTTP ${res.statusCode} after charging`);
+      if (refunded) {
+        logger.info(`Refunded ${refunded} credits for failed ${operationType}`, { holdId });
+      }
+    }
+  } catch (error) {
+    // The stale-hold sweep releases anything left open
+    logger.error('Failed to settle credit hold:', { holdId, error: error.message });
+  }
+}
 
 /**
  * Check if agency has sufficient credits for an operation
@@ -37,9 +69,10 @@ function requireCredits(operationType) {
         });
       }
 
-      // Check user limit if set
+      // Check user limit if set, counting what the user's in-flight requests hold
       if (agencyUser.credit_limit !== null) {
-        const userRemaining = agencyUser.credit_limit - agencyUser.credits_used_this_cycle;
+        const userHeld = await getOpenHoldCredits(agency.id, agencyUser.id);
+        const userRemaining = agencyUser.credit_limit - agencyUser.credits_used_this_cycle - userHeld;
         if (userRemaining < creditCost) {
           logger.warn(`User ${agencyUser.id} has insufficient credits: ${userRemaining} < ${creditCost}`);
           return res.status(402).json({
@@ -51,9 +84,31 @@ function requireCredits(operationType) {
         }
       }
 
-      // Attach credit info to request for later deduction
+      // Reserve the credits now so concurrent requests can't overspend
+      const holdId = await holdCredits({
+        agencyId: agency.id,
+        userId: agencyUser.id,
+        amount: creditCost,
+        operation: operationType,
+        metadata: req.apiKey ? { api_key_id: req.apiKey.id } : {},
+      });
+
+      if (!holdId) {
+        logger.warn(`Credit hold failed for agency ${agency.id}: pool below ${creditCost}`);
+        return res.status(402).json({
+          error: 'Insufficient credits',
+          required: creditCost,
+          message: 'Your agency has run out of credits. Please contact your administrator.',
+        });
+      }
+
+      // Attach credit info to request for later capture
       req.creditCost = creditCost;
       req.operationType = operationType;
+      req.creditHoldId = holdId;
+      req.creditsCaptured = false;
+
+      res.on('finish', () => settleHoldOnFinish(req, res));
 
       next();
     } catch (error) {
@@ -65,40 +120,21 @@ function requireCredits(operationType) {
 
 /**
  * Deduct credits after successful operation
- * Call this after the generation succeeds
+ * Call this after the generation succeeds (captures the request's hold)
  */
-async function deductCredits(req) {
-  const { agency, agencyUser, creditCost, operationType } = req;
+async function deductCredits(req, { referenceType = null, referenceId = null } = {}) {
+  const { creditHoldId, creditCost, operationType, agency, agencyUser } = req;
 
-  if (!creditCost || !agency || !agencyUser) {
-    logger.warn('Cannot deduct credits - missing context');
+  if (!creditHoldId) {
+    logger.warn('Cannot deduct credits - no credit hold on request');
     return false;
   }
 
   try {
-    // Atomic deduction from agency pool (prevents race conditions under concurrent requests)
-    const { data: newPool, error: agencyError } = await supabaseAdmin
-      .rpc('deduct_agency_credits', { p_agency_id: agency.id, p_amount: creditCost });
-
-    if (agencyError) {
-      logger.error('Failed to deduct agency credits:', agencyError);
-      return false;
-    }
-
-    if (newPool === -1) {
-      logger.warn(`Atomic deduction failed - insufficient credits for agency ${agency.id}`);
-      return false;
-    }
-
-    // Atomic user usage increment
-    const { error: userError } = await supabaseAdmin
-      .rpc('increment_user_credits_used', { p_user_id: agencyUser.id, p_amount: creditCost });
-
-    if (userError) {
-      logger.error('Failed to update user credit usage:', userError);
-      // Don't fail - agency was already charged
-    }
+    const captured = await captureHold(creditHoldId, { referenceType, referenceId });
+    if (captured === null) return false;
 
+    req.creditsCaptured = true;
     logger.info(`Deducted ${creditCost} credits for ${operationType} from agency ${agency.id}, user ${agencyUser.id}`);
     return true;
   } catch (error) {
@@ -107,6 +143,15 @@ async function deductCredits(req) {
   }
 }
 
+/**
+ * Hand the request's hold to a background job (services/generationJobs.js).
+ * Returns the hold ID; the response finishing no longer settles it.
+ */
+function transferHold(req) {
+  req.creditHoldTransferred = true;
+  return req.creditHoldId;
+}
+
 /**
  * Get credit balance for the current user
  */
@@ -123,4 +168,4 @@ async function getCreditBalance(agency, agencyUser) {
   };
 }
 
-module.exports = { requireCredits, deductCredits, getCreditBalance };
+module.exports = { requireCredits, deductCredits, transferHold, getCreditBalance };
@@ -1,9 +1,50 @@
 /**
  * Permissions Middleware
  * Provides granular permission checks for team members
+ *
+ * Permissions live on req.agencyUser.permissions (migration 011):
+ *   scope: 'all' | 'assigned'  — which creators (agency_models) the user can
+ *     work with. 'assigned' limits them to rows in user_model_assignments.
+ *   can_*: booleans, enforced on these endpoints:
+ *     can_view_analytics  GET  /api/agency/usage
+ *     can_upload_content  POST /api/gallery/upload
+ *     can_edit_profiles   PUT  /api/models/:id, POST /api/models/upload-avatar
+ *     can_export_data     GET  /api/agency/audit?format=csv (admins only:
+ *                         members with it still can't export the audit log)
+ *     can_publish_content PATCH /api/workflows/publish-queue/:itemId
+ *   can_send_messages and can_view_subscribers are stored and editable but
+ *   have no endpoints yet.
+ *
+ * Owners always have every permission and every creator. Admins do too
+ * unless the owner has narrowed them to scope 'assigned'.
  */
 
-const { getSupabaseAdmin } = require('../services/supabase');
+const { supabaseAdmin } = require('../services/supabase');
+
+/**
+ * Resolve a user's creator scope. Owners are always 'all'; rows written
+ * before migration 011 fall back to the role default.
+ */
+function getScope(agencyUser) {
+  if (agencyUser.role === 'owner') return 'all';
+  return agencyUser.permissions?.scope || (agencyUser.role === 'admin' ? 'all' : 'assigned');
+}
+
+/**
+ * Whether a user holds a permission key (no request needed)
+ * @param {Object} agencyUser - agency_users row
+ * @param {string} permissionKey - e.g. 'can_export_data'
+ * @returns {boolean}
+ */
+function userHasPermission(agencyUser, permissionKey) {
+  if (!agencyUser) return false;
+
+  // Owners, and admins with 'all' scope, have all permissions
+  if (agencyUser.role === 'owner') return true;
+  if (agencyUser.role === 'admin' && getScope(agencyUser) === 'all') return true;
+
+  return agencyUser.permissions?.[permissionKey] === true;
+}
 
 /**
  * Check if user has a specific permission
@@ -11,85 +52,110 @@ const { getSupabaseAdmin } = require('../services/supabase');
  * @returns {Function} Express middleware
  */
 function hasPermission(permissionKey) {
-  return async (req, res, next) => {
-    try {
-      const user = req.user;
-
-      if (!user) {
-        return res.status(401).json({ error: 'Authentication required' });
-      }
-
-      // Owners and admins with 'all' scope have all permissions
-      if (user.role === 'owner' || user.role === 'admin') {
-        const scope = user.permissions?.scope || 'all';
-        if (scope === 'all') {
-          return next();
-        }
-      }
-
-      // Check specific permission
-      const hasPermissionValue = user.permissions?.[permissionKey];
-
-      if (hasPermissionValue === true) {
-        return next();
-      }
-
-      return res.status(403).json({
-        error: 'Permission denied',
-        message: `You don't have permission to perform this action (${permissionKey})`,
-        required_permission: permissionKey
-      });
-    } catch (error) {
-      console.error('Permission check error:', error);
-      return res.status(500).json({ error: 'Failed to check permissions' });
+  return (req, res, next) => {
+    if (!req.agencyUser) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (userHasPermission(req.agencyUser, permissionKey)) {
+      return next();
     }
+
+    return res.status(403).json({
+      error: 'Permission denied',
+      message: `You don't have permission to perform this action (${permissionKey})`,
+      required_permission: permissionKey
+    });
   };
 }
 
 /**
- * Check if user can access a specific model
- * Expects req.params.modelId to be present
- * @returns {Function} Express middleware
+ * IDs of the creators the current user may access, or null for "all".
+ * Cached on the request so several checks cost one query.
+ * @param {Object} req - Express request (after requireAuth)
+ * @returns {Promise<string[]|null>}
  */
-async function requireModelAccess(req, res, next) {
-  try {
-    const user = req.user;
-    const modelId = req.params.modelId || req.body.modelId || req.query.modelId;
+async function getAccessibleModelIds(req) {
+  if (req.accessibleModelIds !== undefined) {
+    return req.accessibleModelIds;
+  }
 
-    if (!user) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
+  if (getScope(req.agencyUser) === 'all') {
+    req.accessibleModelIds = null;
+    return null;
+  }
 
-    if (!modelId) {
-      return res.status(400).json({ error: 'Model ID required' });
-    }
+  const { data: assignments, error } = await supabaseAdmin
+    .from('user_model_assignments')
+    .select('model_id')
+    .eq('user_id', req.agencyUser.id);
 
-    // Owners and admins with 'all' scope can access all models
-    if ((user.role === 'owner' || user.role === 'admin') && user.permissions?.scope === 'all') {
-      return next();
-    }
+  if (error) {
+    throw new Error(`Failed to load model assignments: ${error.message}`);
+  }
 
-    // Check if user has access to this specific model
-    const supabase = getSupabaseAdmin();
+  req.accessibleModelIds = (assignments || []).map((a) => a.model_id);
+  return req.accessibleModelIds;
+}
 
-    const { data: hasAccess, error } = await supabase.rpc('user_can_access_model', {
-      p_user_id: user.id,
-      p_model_id: modelId
-    });
+/**
+ * Whether the current user may access a creator.
+ * A null modelId (templates, unscoped generations) is always allowed.
+ * Callers are still responsible for checking the model's agency.
+ */
+async function canAccessModel(req, modelId) {
+  if (!modelId) return true;
+  const modelIds = await getAccessibleModelIds(req);
+  return modelIds === null || modelIds.includes(modelId);
+}
 
-    if (error) {
-      console.error('Error checking model access:', error);
-      return res.status(500).json({ error: 'Failed to verify model access' });
+/**
+ * Narrow a Supabase query to rows whose model column is in modelIds.
+ * Synchronous on purpose: query builders are thenables, so they must not be
+ * returned from an async function (that would execute them).
+ * @param {Object} query - Supabase query builder
+ * @param {string[]|null} modelIds - From getAccessibleModelIds (null = no limit)
+ * @param {Object} [options]
+ * @param {string} [options.column='model_id'] - Column holding the model ID
+ * @param {boolean} [options.includeUnassigned=false] - Also keep rows with no model
+ * @returns {Object} The (possibly) filtered query
+ */
+function applyModelScope(query, modelIds, { column = 'model_id', includeUnassigned = false } = {}) {
+  if (modelIds === null) return query;
+
+  if (includeUnassigned) {
+    return modelIds.length > 0
+      ? query.or(`${column}.is.null,${column}.in.(${modelIds.join(',')})`)
+      : query.is(column, null);
+  }
+
+  return query.in(column, modelIds);
+}
+
+/**
+ * Check if user can access the model a request is about.
+ * Reads the model ID from params (:modelId), then body/query (model_id or
+ * modelId). Requests that don't name a model pass through — routes that
+ * require one validate that themselves.
+ */
+async function requireModelAccess(req, res, next) {
+  try {
+    if (!req.agencyUser) {
+      return res.status(401).json({ error: 'Authentication required' });
     }
 
-    if (!hasAccess) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You do not have access to this creator'
-      });
+    const modelId = req.params.modelId
+      || req.body?.model_id || req.body?.modelId
+      || req.query.model_id || req.query.modelId;
+
+    if (await canAccessModel(req, modelId)) {
+      return next();
     }
 
-    return next();
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'You do not have access to this creator'
+    });
   } catch (error) {
     console.error('Model access check error:', error);
     return res.status(500).json({ error: 'Failed to check model access' });
@@ -97,60 +163,30 @@ async function requireModelAccess(req, res, next) {
 }
 
 /**
- * Load user's assigned models and attach to request
+ * Load user's accessible models and attach to request as req.userModels
  * Useful for filtering queries to only show accessible models
- * @returns {Function} Express middleware
  */
 async function loadUserModels(req, res, next) {
   try {
-    const user = req.user;
-
-    if (!user) {
+    if (!req.agencyUser) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    // If scope is 'all', load all agency models
-    if (user.permissions?.scope === 'all') {
-      const supabase = getSupabaseAdmin();
-      const { data: models, error } = await supabase
-        .from('agency_models')
-        .select('id, name, slug, avatar_url')
-        .eq('agency_id', user.agency_id)
-        .eq('status', 'active');
-
-      if (error) {
-        console.error('Error loading all models:', error);
-        return res.status(500).json({ error: 'Failed to load models' });
-      }
-
-      req.userModels = models || [];
-      return next();
-    }
+    const modelIds = await getAccessibleModelIds(req);
+    const query = supabaseAdmin
+      .from('agency_models')
+      .select('id, name, slug, avatar_url')
+      .eq('agency_id', req.agency.id)
+      .eq('status', 'active');
 
-    // Otherwise, load only assigned models
-    const supabase = getSupabaseAdmin();
-    const { data: assignments, error } = await supabase
-      .from('user_model_assignments')
-      .select(`
-        model_id,
-        agency_models (
-          id,
-          name,
-          slug,
-          avatar_url
-        )
-      `)
-      .eq('user_id', user.id);
+    const { data: models, error } = await applyModelScope(query, modelIds, { column: 'id' });
 
     if (error) {
-      console.error('Error loading assigned models:', error);
-      return res.status(500).json({ error: 'Failed to load assigned models' });
+      console.error('Error loading user models:', error);
+      return res.status(500).json({ error: 'Failed to load models' });
     }
 
-    req.userModels = (assignments || [])
-      .map(a => a.agency_models)
-      .filter(Boolean);
-
+    req.userModels = models || [];
     return next();
   } catch (error) {
     console.error('Load user models error:', error);
@@ -210,8 +246,7 @@ function validatePermissions(permissions) {
  */
 async function logTeamActivity({ agencyId, actorId, action, targetUserId = null, metadata = {} }) {
   try {
-    const supabase = getSupabaseAdmin();
-    await supabase.from('team_activity_log').insert({
+    await supabaseAdmin.from('team_activity_log').insert({
       agency_id: agencyId,
       actor_id: actorId,
       action,
@@ -226,7 +261,11 @@ async function logTeamActivity({ agencyId, actorId, action, targetUserId = null,
 
 module.exports = {
   hasPermission,
+  userHasPermission,
   requireModelAccess,
+  canAccessModel,
+  getAccessibleModelIds,
+  applyModelScope,
   loadUserModels,
   validatePermissions,
   logTeamActivity
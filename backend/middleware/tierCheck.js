@@ -26,7 +26,8 @@ const FEATURE_TIER_MAP = {
   'branding.full_color_palette': 'enterprise',
   'branding.custom_css': 'enterprise',
   'email.custom_templates': 'enterprise',
-  'ui.remove_platform_references': 'enterprise'
+  'ui.remove_platform_references': 'enterprise',
+  'security.audit_log': 'enterprise'
 };
 
 /**
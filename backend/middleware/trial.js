@@ -1,10 +1,26 @@
 /**
  * Trial Management Middleware
  * Enforces trial expiration and subscription requirements
+ *
+ * subscription_status is kept in sync with Stripe by the billing webhook
+ * (services/billing.js). A past_due agency keeps access for
+ * config.stripe.pastDueGraceDays after its paid period ends while Stripe
+ * retries the payment.
  */
 
+const { config } = require('../config');
 const { logger } = require('../services/logger');
 
+/**
+ * Whether a past_due agency is still inside its grace period
+ */
+function isWithinPastDueGrace(agency, now) {
+  if (!agency.subscription_current_period_end) return false;
+  const periodEnd = new Date(agency.subscription_current_period_end);
+  const graceEndsAt = periodEnd.getTime() + config.stripe.pastDueGraceDays * 24 * 60 * 60 * 1000;
+  return now.getTime() < graceEndsAt;
+}
+
 /**
  * Check if agency trial has expired
  * Blocks access if subscription is required but not active
@@ -49,6 +65,11 @@ function checkTrialStatus(req, res, next) {
     });
   }
 
+  // Past due, but Stripe is still retrying the payment
+  if (subscriptionStatus === 'past_due' && isWithinPastDueGrace(agency, now)) {
+    return next();
+  }
+
   // If subscription is cancelled or past due
   if (['cancelled', 'past_due'].includes(subscriptionStatus)) {
     logger.warn(`Subscription ${subscriptionStatus} for agency ${agency.id} (${agency.name})`);
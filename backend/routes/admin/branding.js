@@ -3,6 +3,7 @@ const router = express.Router();
 const { requireAuth, requireAdmin } = require('../../middleware/auth');
 const { requireWhiteLabelFeature, hasFeatureAccess } = require('../../middleware/tierCheck');
 const { supabaseAdmin } = require('../../services/supabase');
+const { recordAudit } = require('../../services/auditLog');
 
 /**
  * Get current branding settings
@@ -122,6 +123,19 @@ router.put('/',
         throw new Error(`Database update failed: ${updateError.message}`);
       }
 
+      // Custom CSS is logged as its own action so it can be filtered separately
+      const cssChanged = branding.custom_css !== undefined &&
+        branding.custom_css !== (currentSettings.branding || {}).custom_css;
+
+      recordAudit(req, {
+        action: cssChanged ? 'branding.css_updated' : 'branding.updated',
+        resourceType: 'branding',
+        metadata: {
+          branding_fields: Object.keys(branding),
+          white_label_fields: Object.keys(whiteLabelSettings),
+        },
+      });
+
       res.json({
         message: 'Branding updated successfully',
         branding: updatedSettings.branding,
@@ -199,6 +213,8 @@ router.post('/reset',
         })
         .eq('id', agency.id);
 
+      recordAudit(req, { action: 'branding.reset', resourceType: 'branding' });
+
       res.json({
         message: 'Branding reset to defaults',
         branding: {},
@@ -8,8 +8,37 @@ const router = express.Router();
 const { supabaseAdmin } = require('../services/supabase');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const { getCreditBalance } = require('../middleware/credits');
+const { requireWhiteLabelFeature } = require('../middleware/tierCheck');
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditLog');
+const { adjustCredits, TRANSACTION_TYPES } = require('../services/creditLedger');
+const {
+  hasPermission,
+  userHasPermission,
+  getAccessibleModelIds,
+  applyModelScope,
+} = require('../middleware/permissions');
 const { logger } = require('../services/logger');
 
+const AUDIT_PAGE_MAX = 100;
+const AUDIT_CSV_MAX_ROWS = 5000;
+const TRANSACTIONS_PAGE_MAX = 100;
+
+// Ledger operation (requireCredits operation type) → usage category
+const OPERATION_CATEGORIES = {
+  seedream: 'image',
+  nanoBanana: 'image',
+  qwen: 'image',
+  kling: 'video',
+  wan: 'video',
+  veo: 'video',
+  bgRemover: 'edit',
+  inpaint: 'edit',
+  eraser: 'edit',
+  qwenEdit: 'edit',
+  upscale: 'edit',
+  chat: 'chat',
+};
+
 /**
  * GET /api/agency/config
  * Returns agency configuration for frontend theming
@@ -148,57 +177,141 @@ router.put('/settings', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * Usage category for a ledger operation ('kling', 'workflow:generate_image', ...)
+ */
+function getOperationCategory(operation) {
+  if (!operation) return 'other';
+  if (operation.startsWith('workflow:')) return 'workflow';
+  return OPERATION_CATEGORIES[operation] || 'other';
+}
+
 /**
  * GET /api/agency/usage
- * Get agency usage statistics (admin only)
+ * Current-cycle usage, aggregated from the credit ledger
  */
-router.get('/usage', requireAuth, requireAdmin, async (req, res) => {
+router.get('/usage', requireAuth, hasPermission('can_view_analytics'), async (req, res) => {
   try {
     const { agency } = req;
+    const cycleStart = agency.billing_cycle_start || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
 
-    // Get aggregated usage stats
-    const { data: generations, error: genError } = await supabaseAdmin
-      .from('generations')
-      .select('type, model, credits_cost, created_at')
-      .eq('agency_id', agency.id)
-      .gte('created_at', agency.billing_cycle_start || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString());
+    const [
+      { data: transactions, error: txError },
+      { data: latest, error: latestError },
+      { data: members, error: userError },
+    ] = await Promise.all([
+      supabaseAdmin
+        .from('credit_transactions')
+        .select('id, type, amount, pool_change, operation, user_id, hold_id')
+        .eq('agency_id', agency.id)
+        .gte('created_at', cycleStart),
+      supabaseAdmin
+        .from('credit_transactions')
+        .select('balance_after, created_at')
+        .eq('agency_id', agency.id)
+        .order('created_at', { ascending: false })
+        .limit(1),
+      supabaseAdmin
+        .from('agency_users')
+        .select('id, name, email, credit_limit')
+        .eq('agency_id', agency.id)
+        .eq('status', 'active'),
+    ]);
 
-    if (genError) {
-      logger.error('Error fetching generations:', genError);
+    if (txError) {
+      logger.error('Error fetching credit transactions:', txError);
+      return res.status(500).json({ error: 'Failed to fetch usage statistics' });
+    }
+    if (latestError) {
+      logger.error('Error fetching ledger balance:', latestError);
     }
-
-    // Get per-user usage
-    const { data: userUsage, error: userError } = await supabaseAdmin
-      .from('agency_users')
-      .select('id, name, email, credits_used_this_cycle, credit_limit')
-      .eq('agency_id', agency.id)
-      .eq('status', 'active')
-      .order('credits_used_this_cycle', { ascending: false });
-
     if (userError) {
       logger.error('Error fetching user usage:', userError);
     }
 
-    // Aggregate by type
+    const totals = { captured: 0, refunded: 0, held: 0, purchased: 0, adjusted: 0 };
     const byType = {};
     const byModel = {};
-    (generations || []).forEach((gen) => {
-      byType[gen.type] = (byType[gen.type] || 0) + gen.credits_cost;
-      byModel[gen.model] = (byModel[gen.model] || 0) + gen.credits_cost;
+    const byUser = {};
+    const settledHoldIds = new Set();
+    const refundedHoldIds = new Set();
+    const holds = [];
+    let captureCount = 0;
+
+    // Captures count as usage; refunds take it back
+    const addUsage = (tx, sign) => {
+      const credits = sign * tx.amount;
+      const operation = tx.operation || 'other';
+      const category = getOperationCategory(tx.operation);
+      byModel[operation] = (byModel[operation] || 0) + credits;
+      byType[category] = (byType[category] || 0) + credits;
+      if (tx.user_id) {
+        byUser[tx.user_id] = (byUser[tx.user_id] || 0) + credits;
+      }
+    };
+
+    (transactions || []).forEach((tx) => {
+      switch (tx.type) {
+        case 'hold':
+          holds.push(tx);
+          break;
+        case 'capture':
+          totals.captured += tx.amount;
+          captureCount++;
+          settledHoldIds.add(tx.hold_id);
+          addUsage(tx, 1);
+          break;
+        case 'release':
+          settledHoldIds.add(tx.hold_id);
+          break;
+        case 'refund':
+          totals.refunded += tx.amount;
+          refundedHoldIds.add(tx.hold_id);
+          addUsage(tx, -1);
+          break;
+        case 'purchase':
+        case 'subscription':
+          totals.purchased += tx.amount;
+          break;
+        case 'adjustment':
+          totals.adjusted += tx.pool_change ?? 0;
+          break;
+        default:
+          break;
+      }
     });
 
+    const openHolds = holds.filter((hold) => !settledHoldIds.has(hold.id));
+    totals.held = openHolds.reduce((sum, hold) => sum + hold.amount, 0);
+
+    // Drop categories that were fully refunded
+    Object.keys(byModel).forEach((key) => byModel[key] === 0 && delete byModel[key]);
+    Object.keys(byType).forEach((key) => byType[key] === 0 && delete byType[key]);
+
+    const users = (members || [])
+      .map((member) => ({ ...member, credits_used_this_cycle: byUser[member.id] || 0 }))
+      .sort((a, b) => b.credits_used_this_cycle - a.credits_used_this_cycle);
+
+    const ledgerBalance = latest?.[0]?.balance_after ?? null;
+
     res.json({
       agency: {
         credit_pool: agency.credit_pool,
-        credits_used_this_cycle: agency.credits_used_this_cycle,
+        credits_used_this_cycle: totals.captured - totals.refunded,
         monthly_credit_allocation: agency.monthly_credit_allocation,
+        ledger_balance: ledgerBalance,
+        // False means something changed credit_pool outside the ledger
+        balanced: ledgerBalance === null || ledgerBalance === agency.credit_pool,
       },
       usage: {
         byType,
         byModel,
-        totalGenerations: (generations || []).length,
+        totalGenerations: captureCount - refundedHoldIds.size,
+        totals,
+        openHolds: openHolds.length,
       },
-      users: userUsage || [],
+      users,
+      cycle_start: cycleStart,
     });
   } catch (error) {
     logger.error('Error fetching usage:', error);
@@ -206,6 +319,229 @@ router.get('/usage', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/agency/credits/transactions
+ * Credit ledger entries, newest first
+ * Query params: type, user_id, from, to, limit (default 50, max 100), offset
+ */
+router.get('/credits/transactions', requireAuth, hasPermission('can_view_analytics'), async (req, res) => {
+  const { agency } = req;
+  const { type, user_id: userId, from, to } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), TRANSACTIONS_PAGE_MAX);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  if (type && !TRANSACTION_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${TRANSACTION_TYPES.join(', ')}` });
+  }
+
+  try {
+    let query = supabaseAdmin
+      .from('credit_transactions')
+      .select('*, user:agency_users(id, name, email)', { count: 'exact' })
+      .eq('agency_id', agency.id);
+
+    if (type) query = query.eq('type', type);
+    if (userId) query = query.eq('user_id', userId);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const { data: transactions, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      logger.error('Error fetching credit transactions:', error);
+      return res.status(500).json({ error: 'Failed to fetch credit transactions' });
+    }
+
+    res.json({
+      transactions: transactions || [],
+      total: count || 0,
+      limit,
+      offset,
+    });
+  } catch (error) {
+    logger.error('Error fetching credit transactions:', error);
+    res.status(500).json({ error: 'Failed to fetch credit transactions' });
+  }
+});
+
+/**
+ * POST /api/agency/credits/adjust
+ * Manually add or remove pool credits (admin only)
+ * Body: { amount: non-zero integer, reason: string }
+ */
+router.post('/credits/adjust', requireAuth, requireAdmin, async (req, res) => {
+  const { agency, agencyUser } = req;
+  const { amount } = req.body;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!Number.isInteger(amount) || amount === 0) {
+    return res.status(400).json({ error: 'amount must be a non-zero integer' });
+  }
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required for credit adjustments' });
+  }
+  if (reason.length > 500) {
+    return res.status(400).json({ error: 'reason must be 500 characters or fewer' });
+  }
+
+  try {
+    const newPool = await adjustCredits({
+      agencyId: agency.id,
+      amount,
+      type: 'adjustment',
+      reason,
+      userId: agencyUser.id,
+    });
+
+    if (newPool === null) {
+      return res.status(400).json({
+        error: 'Adjustment would make the credit pool negative',
+        available: agency.credit_pool,
+      });
+    }
+
+    logger.info('Credits adjusted', { agencyId: agency.id, userId: agencyUser.id, amount, newPool });
+
+    recordAudit(req, {
+      action: 'credits.adjusted',
+      resourceType: 'agency',
+      resourceId: agency.id,
+      metadata: { amount, reason, previous_pool: agency.credit_pool, new_pool: newPool },
+    });
+
+    res.json({ success: true, credit_pool: newPool });
+  } catch (error) {
+    logger.error('Error adjusting credits:', error);
+    res.status(500).json({ error: 'Failed to adjust credits' });
+  }
+});
+
+/**
+ * GET /api/agency/usage/history
+ * Closed billing cycles, newest first (snapshots from the cycle reset job)
+ * Query params: limit (default 12, max 36)
+ */
+router.get('/usage/history', requireAuth, hasPermission('can_view_analytics'), async (req, res) => {
+  const { agency } = req;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 36);
+
+  try {
+    const { data: cycles, error } = await supabaseAdmin
+      .from('credit_usage_history')
+      .select('*, plan:agency_plans(id, name)')
+      .eq('agency_id', agency.id)
+      .order('cycle_start', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      logger.error('Error fetching usage history:', error);
+      return res.status(500).json({ error: 'Failed to fetch usage history' });
+    }
+
+    res.json({
+      cycles: cycles || [],
+      current_cycle_start: agency.billing_cycle_start,
+    });
+  } catch (error) {
+    logger.error('Error fetching usage history:', error);
+    res.status(500).json({ error: 'Failed to fetch usage history' });
+  }
+});
+
+/**
+ * Escape a value for a CSV cell. Leading formula characters are neutralised
+ * so spreadsheet apps don't evaluate user-controlled text.
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * GET /api/agency/audit
+ * Agency audit log (enterprise plans), for admins. The CSV export also
+ * needs can_export_data, which admins limited to assigned creators may lack.
+ * Query params: action, resource_type, user_id, from, to, limit, offset,
+ *   format=csv (exports up to 5000 matching rows instead of a page)
+ */
+router.get('/audit', requireAuth, requireWhiteLabelFeature('security.audit_log'), async (req, res) => {
+  const { agency } = req;
+  const { action, resource_type, user_id, from, to, format } = req.query;
+  const isCsv = format === 'csv';
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), AUDIT_PAGE_MAX);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({ error: 'from and to must be valid dates' });
+  }
+
+  if (!['owner', 'admin'].includes(req.agencyUser.role)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  if (isCsv && !userHasPermission(req.agencyUser, 'can_export_data')) {
+    return res.status(403).json({ error: "You don't have permission to export data" });
+  }
+
+  try {
+    let query = supabaseAdmin
+      .from('audit_logs')
+      .select('*, user:agency_users(id, name, email)', { count: 'exact' })
+      .eq('agency_id', agency.id)
+      .order('created_at', { ascending: false });
+
+    if (action) query = query.eq('action', action);
+    if (resource_type) query = query.eq('resource_type', resource_type);
+    if (user_id) query = query.eq('user_id', user_id);
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    if (to) query = query.lte('created_at', new Date(to).toISOString());
+
+    query = isCsv
+      ? query.range(0, AUDIT_CSV_MAX_ROWS - 1)
+      : query.range(offset, offset + limit - 1);
+
+    const { data: entries, count, error } = await query;
+
+    if (error) {
+      logger.error('Error fetching audit log:', error);
+      return res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+
+    if (isCsv) {
+      const header = ['created_at', 'action', 'resource_type', 'resource_id', 'user_name', 'user_email', 'ip_address', 'metadata'];
+      const lines = (entries || []).map((e) => [
+        e.created_at,
+        e.action,
+        e.resource_type,
+        e.resource_id,
+        e.user?.name,
+        e.user?.email,
+        e.ip_address,
+        e.metadata,
+      ].map(toCsvCell).join(','));
+
+      const filename = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send([header.join(','), ...lines].join('\n'));
+    }
+
+    res.json({
+      entries: entries || [],
+      total: count || 0,
+      limit,
+      offset,
+      actions: AUDIT_ACTIONS,
+    });
+  } catch (error) {
+    logger.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
 /**
  * GET /api/agency/dashboard
  * Aggregated dashboard data: models with stats, recent activity, alerts
@@ -214,6 +550,9 @@ router.get('/dashboard', requireAuth, async (req, res) => {
   const { agency, agencyUser } = req;
 
   try {
+    // Members with 'assigned' scope only see their creators' activity
+    const modelIds = await getAccessibleModelIds(req);
+
     // All queries run in a single parallel batch
     const [
       creditBalance,
@@ -226,48 +565,68 @@ router.get('/dashboard', requireAuth, async (req, res) => {
       getCreditBalance(agency, agencyUser),
 
       // Models with embedded counts — Postgres does the counting server-side
-      supabaseAdmin
-        .from('agency_models')
-        .select('id, name, slug, avatar_url, onlyfans_handle, gallery_items(count), workflows(count)')
-        .eq('agency_id', agency.id)
-        .eq('status', 'active')
-        .order('name'),
+      applyModelScope(
+        supabaseAdmin
+          .from('agency_models')
+          .select('id, name, slug, avatar_url, onlyfans_handle, gallery_items(count), workflows(count)')
+          .eq('agency_id', agency.id)
+          .eq('status', 'active')
+          .order('name'),
+        modelIds,
+        { column: 'id' }
+      ),
 
       // Recent gallery items (6 for larger thumbnails)
-      supabaseAdmin
-        .from('gallery_items')
-        .select('id, url, thumbnail_url, type, model_id, title, created_at')
-        .eq('agency_id', agency.id)
-        .order('created_at', { ascending: false })
-        .limit(6),
+      applyModelScope(
+        supabaseAdmin
+          .from('gallery_items')
+          .select('id, url, thumbnail_url, type, model_id, title, created_at')
+          .eq('agency_id', agency.id)
+          .order('created_at', { ascending: false })
+          .limit(6),
+        modelIds,
+        { includeUnassigned: true }
+      ),
 
       // Recent workflow runs (last 8)
-      supabaseAdmin
-        .from('workflow_runs')
-        .select('id, workflow_id, status, started_at, completed_at, credits_used, workflows!inner(name, model_id, agency_id)')
-        .eq('workflows.agency_id', agency.id)
-        .order('started_at', { ascending: false })
-        .limit(8),
+      applyModelScope(
+        supabaseAdmin
+          .from('workflow_runs')
+          .select('id, workflow_id, status, started_at, completed_at, credits_used, workflows!inner(name, model_id, agency_id)')
+          .eq('workflows.agency_id', agency.id)
+          .order('started_at', { ascending: false })
+          .limit(8),
+        modelIds,
+        { column: 'workflows.model_id' }
+      ),
 
       // Runs waiting for review (capped for dashboard performance)
-      supabaseAdmin
-        .from('workflow_runs')
-        .select('id, workflow_id, started_at, workflows!inner(name, model_id, agency_id)')
-        .eq('workflows.agency_id', agency.id)
-        .eq('status', 'waiting_for_review')
-        .order('started_at', { ascending: false })
-        .limit(20),
+      applyModelScope(
+        supabaseAdmin
+          .from('workflow_runs')
+          .select('id, workflow_id, started_at, workflows!inner(name, model_id, agency_id)')
+          .eq('workflows.agency_id', agency.id)
+          .eq('status', 'waiting_for_review')
+          .order('started_at', { ascending: false })
+          .limit(20),
+        modelIds,
+        { column: 'workflows.model_id' }
+      ),
 
       // Upcoming scheduled triggers
-      supabaseAdmin
-        .from('workflow_triggers')
-        .select('id, workflow_id, schedule_config, next_trigger_at, workflows!inner(name, model_id, agency_id)')
-        .eq('workflows.agency_id', agency.id)
-        .eq('enabled', true)
-        .eq('trigger_type', 'scheduled')
-        .not('next_trigger_at', 'is', null)
-        .order('next_trigger_at')
-        .limit(5),
+      applyModelScope(
+        supabaseAdmin
+          .from('workflow_triggers')
+          .select('id, workflow_id, schedule_config, next_trigger_at, workflows!inner(name, model_id, agency_id)')
+          .eq('workflows.agency_id', agency.id)
+          .eq('enabled', true)
+          .eq('trigger_type', 'scheduled')
+          .not('next_trigger_at', 'is', null)
+          .order('next_trigger_at')
+          .limit(5),
+        modelIds,
+        { column: 'workflows.model_id' }
+      ),
     ]);
 
     const models = modelsResult.data || [];
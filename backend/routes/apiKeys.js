@@ -0,0 +1,156 @@
+/**
+ * API Key Routes
+ * Create, list and revoke agency API keys (admin only).
+ * Keys are shown in plaintext exactly once, at creation; only a SHA-256
+ * hash is stored. See middleware/auth.js for how keys authenticate.
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../services/supabase');
+const { requireAuth, requireAdmin, hashApiKey, API_KEY_PREFIX, API_KEY_SCOPES } = require('../middleware/auth');
+const { logger } = require('../services/logger');
+
+const KEY_PREFIX_LENGTH = 12; // "ask_" + 8 chars, enough to tell keys apart in the UI
+const MAX_ACTIVE_KEYS = 20;
+
+// Columns safe to return (never key_hash)
+const PUBLIC_COLUMNS = 'id, name, key_prefix, scopes, last_used_at, created_by, created_at, revoked_at';
+
+/**
+ * GET /api/api-keys
+ * List API keys for the agency (active first, then revoked)
+ */
+router.get('/', requireAuth, requireAdmin, async (req, res) => {
+  const { agency } = req;
+
+  try {
+    const { data: keys, error } = await supabaseAdmin
+      .from('api_keys')
+      .select(PUBLIC_COLUMNS)
+      .eq('agency_id', agency.id)
+      .order('revoked_at', { ascending: false, nullsFirst: true })
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('Error fetching API keys:', error);
+      return res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+
+    res.json({ keys: keys || [], availableScopes: API_KEY_SCOPES });
+  } catch (error) {
+    logger.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+/**
+ * POST /api/api-keys
+ * Create a new API key. The plaintext key is only returned here.
+ * Body: { name, scopes: ['generate', 'gallery:read', 'workflows:run'] }
+ */
+router.post('/', requireAuth, requireAdmin, async (req, res) => {
+  const { agency, agencyUser } = req;
+  const { name, scopes } = req.body;
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+
+  if (name.trim().length > 100) {
+    return res.status(400).json({ error: 'Name must be 100 characters or less' });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ error: 'At least one scope is required' });
+  }
+
+  const invalidScopes = scopes.filter((s) => !API_KEY_SCOPES.includes(s));
+  if (invalidScopes.length > 0) {
+    return res.status(400).json({
+      error: `Invalid scopes: ${invalidScopes.join(', ')}`,
+      availableScopes: API_KEY_SCOPES,
+    });
+  }
+
+  try {
+    const { count } = await supabaseAdmin
+      .from('api_keys')
+      .select('*', { count: 'exact', head: true })
+      .eq('agency_id', agency.id)
+      .is('revoked_at', null);
+
+    if ((count || 0) >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({ error: `Maximum of ${MAX_ACTIVE_KEYS} active API keys reached` });
+    }
+
+    const plaintextKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+    const { data: apiKey, error } = await supabaseAdmin
+      .from('api_keys')
+      .insert({
+        agency_id: agency.id,
+        name: name.trim(),
+        key_hash: hashApiKey(plaintextKey),
+        key_prefix: plaintextKey.substring(0, KEY_PREFIX_LENGTH),
+        scopes: [...new Set(scopes)],
+        created_by: agencyUser.id,
+      })
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'An API key with this name already exists' });
+      }
+      logger.error('Error creating API key:', error);
+      return res.status(500).json({ error: 'Failed to create API key' });
+    }
+
+    logger.info('API key created', {
+      agencyId: agency.id,
+      keyId: apiKey.id,
+      scopes: apiKey.scopes,
+      createdBy: agencyUser.id,
+    });
+
+    res.status(201).json({ ...apiKey, key: plaintextKey });
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke an API key (kept for history, can no longer authenticate)
+ */
+router.delete('/:id', requireAuth, requireAdmin, async (req, res) => {
+  const { agency, agencyUser } = req;
+  const { id } = req.params;
+
+  try {
+    const { data: apiKey, error } = await supabaseAdmin
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('agency_id', agency.id)
+      .is('revoked_at', null)
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error || !apiKey) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+
+    logger.info('API key revoked', { agencyId: agency.id, keyId: id, revokedBy: agencyUser.id });
+
+    res.json({ success: true, key: apiKey });
+  } catch (error) {
+    logger.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,239 @@
+/**
+ * Billing Routes
+ * Stripe Checkout for plan subscriptions and credit packs, plus the
+ * billing portal for payment methods and invoices.
+ *
+ * Mounted before the trial check so agencies whose trial has ended (or
+ * whose payment is past due) can still subscribe. Subscription state is
+ * only changed by the Stripe webhook (routes/stripeWebhooks.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../services/supabase');
+const { requireAuth, requireAdmin, requireOwner } = require('../middleware/auth');
+const { config } = require('../config');
+const { logger } = require('../services/logger');
+const {
+  isStripeConfigured,
+  createCustomer,
+  createCheckoutSession,
+  createPortalSession,
+} = require('../services/stripeClient');
+const { getCreditPack } = require('../services/billing');
+
+/**
+ * Base URL for Checkout redirects — the agency's own frontend origin
+ * (already vetted by CORS), falling back to FRONTEND_URL
+ */
+function getReturnBaseUrl(req) {
+  return req.headers.origin || config.frontendUrl;
+}
+
+/**
+ * Return the agency's Stripe customer ID, creating the customer on first use
+ */
+async function ensureCustomer(agency, agencyUser) {
+  if (agency.stripe_customer_id) return agency.stripe_customer_id;
+
+  const customer = await createCustomer({
+    email: agency.billing_email || agencyUser.email,
+    name: agency.name,
+    agencyId: agency.id,
+  });
+
+  const { error } = await supabaseAdmin
+    .from('agencies')
+    .update({ stripe_customer_id: customer.id })
+    .eq('id', agency.id);
+
+  if (error) {
+    throw new Error(`Failed to save Stripe customer: ${error.message}`);
+  }
+
+  return customer.id;
+}
+
+/**
+ * Reject requests when Stripe isn't configured
+ */
+function requireStripe(req, res, next) {
+  if (!isStripeConfigured()) {
+    return res.status(503).json({ error: 'Billing is not configured' });
+  }
+  next();
+}
+
+/**
+ * GET /api/billing
+ * Current plan, subscription status and available credit packs
+ */
+router.get('/', requireAuth, requireAdmin, async (req, res) => {
+  const { agency } = req;
+
+  try {
+    let plan = null;
+    if (agency.plan_id) {
+      const { data } = await supabaseAdmin
+        .from('agency_plans')
+        .select('id, name, description, monthly_credits, max_users, price_cents')
+        .eq('id', agency.plan_id)
+        .single();
+      plan = data || null;
+    }
+
+    res.json({
+      plan,
+      subscription_status: agency.subscription_status,
+      trial_ends_at: agency.trial_ends_at,
+      current_period_end: agency.subscription_current_period_end,
+      has_subscription: !!agency.stripe_subscription_id,
+      credit_pool: agency.credit_pool,
+      monthly_credit_allocation: agency.monthly_credit_allocation,
+      credit_packs: config.creditPacks,
+      billing_enabled: isStripeConfigured(),
+    });
+  } catch (error) {
+    logger.error('Error fetching billing status:', error);
+    res.status(500).json({ error: 'Failed to fetch billing status' });
+  }
+});
+
+/**
+ * POST /api/billing/checkout
+ * Start a subscription Checkout for a plan from GET /api/auth/plans
+ * Body: { plan_id }
+ */
+router.post('/checkout', requireAuth, requireOwner, requireStripe, async (req, res) => {
+  const { agency, agencyUser } = req;
+  const { plan_id } = req.body;
+
+  if (!plan_id) {
+    return res.status(400).json({ error: 'plan_id is required' });
+  }
+
+  try {
+    const { data: plan } = await supabaseAdmin
+      .from('agency_plans')
+      .select('*')
+      .eq('id', plan_id)
+      .eq('is_active', true)
+      .single();
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    if (agency.stripe_subscription_id && ['active', 'past_due'].includes(agency.subscription_status)) {
+      return res.status(409).json({
+        error: 'Agency already has a subscription. Use the billing portal to change plans.',
+      });
+    }
+
+    const customerId = await ensureCustomer(agency, agencyUser);
+    const baseUrl = getReturnBaseUrl(req);
+    const metadata = { agency_id: agency.id, kind: 'subscription', plan_id: plan.id };
+
+    const lineItem = plan.stripe_price_id
+      ? { price: plan.stripe_price_id, quantity: 1 }
+      : {
+        price_data: {
+          currency: 'usd',
+          unit_amount: plan.price_cents,
+          recurring: { interval: 'month' },
+          product_data: { name: `${plan.name} plan` },
+        },
+        quantity: 1,
+      };
+
+    const session = await createCheckoutSession({
+      mode: 'subscription',
+      customer: customerId,
+      line_items: [lineItem],
+      client_reference_id: agency.id,
+      metadata,
+      subscription_data: { metadata },
+      success_url: `${baseUrl}/admin/settings?billing=success`,
+      cancel_url: `${baseUrl}/admin/settings?billing=cancelled`,
+    });
+
+    logger.info('Subscription checkout started', { agencyId: agency.id, planId: plan.id, sessionId: session.id });
+    res.json({ url: session.url, session_id: session.id });
+  } catch (error) {
+    logger.error('Error creating subscription checkout:', error);
+    res.status(500).json({ error: 'Failed to start checkout' });
+  }
+});
+
+/**
+ * POST /api/billing/credits/checkout
+ * Start a one-off Checkout for a credit pack
+ * Body: { pack_id }
+ */
+router.post('/credits/checkout', requireAuth, requireOwner, requireStripe, async (req, res) => {
+  const { agency, agencyUser } = req;
+  const pack = getCreditPack(req.body.pack_id);
+
+  if (!pack) {
+    return res.status(400).json({ error: 'Unknown credit pack' });
+  }
+
+  try {
+    const customerId = await ensureCustomer(agency, agencyUser);
+    const baseUrl = getReturnBaseUrl(req);
+
+    const session = await createCheckoutSession({
+      mode: 'payment',
+      customer: customerId,
+      line_items: [{
+        price_data: {
+          currency: 'usd',
+          unit_amount: pack.price_cents,
+          product_data: { name: `${pack.credits.toLocaleString('en-US')} credits` },
+        },
+        quantity: 1,
+      }],
+      client_reference_id: agency.id,
+      metadata: {
+        agency_id: agency.id,
+        kind: 'credit_pack',
+        pack_id: pack.id,
+        credits: pack.credits,
+      },
+      success_url: `${baseUrl}/admin/settings?billing=credits_success`,
+      cancel_url: `${baseUrl}/admin/settings?billing=cancelled`,
+    });
+
+    logger.info('Credit pack checkout started', { agencyId: agency.id, packId: pack.id, sessionId: session.id });
+    res.json({ url: session.url, session_id: session.id });
+  } catch (error) {
+    logger.error('Error creating credit checkout:', error);
+    res.status(500).json({ error: 'Failed to start checkout' });
+  }
+});
+
+/**
+ * POST /api/billing/portal
+ * Open the Stripe billing portal (update card, change plan, invoices)
+ */
+router.post('/portal', requireAuth, requireOwner, requireStripe, async (req, res) => {
+  const { agency } = req;
+
+  if (!agency.stripe_customer_id) {
+    return res.status(400).json({ error: 'No billing account yet. Choose a plan first.' });
+  }
+
+  try {
+    const session = await createPortalSession({
+      customerId: agency.stripe_customer_id,
+      returnUrl: `${getReturnBaseUrl(req)}/admin/settings`,
+    });
+
+    res.json({ url: session.url });
+  } catch (error) {
+    logger.error('Error creating billing portal session:', error);
+    res.status(500).json({ error: 'Failed to open billing portal' });
+  }
+});
+
+module.exports = router;
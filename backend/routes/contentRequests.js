@@ -7,10 +7,18 @@ const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../services/supabase');
 const { requireAuth } = require('../middleware/auth');
+const {
+  requireModelAccess,
+  canAccessModel,
+  getAccessibleModelIds,
+  applyModelScope,
+} = require('../middleware/permissions');
 const { logger } = require('../services/logger');
+const { recordAudit } = require('../services/auditLog');
 
-// All routes require authentication
-router.use(requireAuth);
+// All routes require authentication; a model_id in the body or query must
+// be one of the user's creators. Everything else is scoped per handler.
+router.use(requireAuth, requireModelAccess);
 
 // Allowed enum values (must match DB CHECK constraints)
 const VALID_STATUSES = ['pending', 'in_progress', 'delivered', 'approved', 'cancelled'];
@@ -38,6 +46,7 @@ router.get('/', async (req, res) => {
 
     if (model_id) query = query.eq('model_id', model_id);
     if (status) query = query.eq('status', status);
+    query = applyModelScope(query, await getAccessibleModelIds(req));
 
     const { data, error } = await query;
 
@@ -77,7 +86,7 @@ router.get('/uploads/pending', async (req, res) => {
   const { agency } = req;
 
   try {
-    const { data, error } = await supabaseAdmin
+    const query = supabaseAdmin
       .from('content_request_uploads')
       .select(`
         *,
@@ -88,6 +97,8 @@ router.get('/uploads/pending', async (req, res) => {
       .eq('status', 'pending_review')
       .order('uploaded_at', { ascending: false });
 
+    const { data, error } = await applyModelScope(query, await getAccessibleModelIds(req));
+
     if (error) {
       logger.error('Error getting pending uploads:', error);
       return res.status(500).json({ error: 'Failed to get pending uploads' });
@@ -125,14 +136,15 @@ router.post('/uploads/bulk-review', async (req, res) => {
     let approved = 0;
     let rejected = 0;
     let failed = 0;
+    const modelIds = await getAccessibleModelIds(req);
 
     // Process each upload
     for (const upload_id of upload_ids) {
       try {
         const newStatus = action === 'approve' ? 'approved' : 'rejected';
 
-        // Update upload
-        const { data: upload } = await supabaseAdmin
+        // Update upload (only for creators this user can access)
+        const updateQuery = supabaseAdmin
           .from('content_request_uploads')
           .update({
             status: newStatus,
@@ -141,7 +153,9 @@ router.post('/uploads/bulk-review', async (req, res) => {
             rejection_note: action === 'reject' ? rejection_note : null,
           })
           .eq('id', upload_id)
-          .eq('agency_id', agency.id)
+          .eq('agency_id', agency.id);
+
+        const { data: upload } = await applyModelScope(updateQuery, modelIds)
           .select()
           .single();
 
@@ -190,6 +204,19 @@ router.post('/uploads/bulk-review', async (req, res) => {
       }
     }
 
+    recordAudit(req, {
+      action: 'content_upload.bulk_reviewed',
+      resourceType: 'content_upload',
+      metadata: {
+        review_action: action,
+        upload_ids,
+        approved,
+        rejected,
+        failed,
+        ...(action === 'reject' && { rejection_note }),
+      },
+    });
+
     res.json({ approved, rejected, failed });
   } catch (error) {
     logger.error('Bulk review error:', error);
@@ -213,7 +240,7 @@ router.put('/uploads/:uploadId/review', async (req, res) => {
   try {
     const newStatus = action === 'approve' ? 'approved' : 'rejected';
 
-    const { data: upload, error } = await supabaseAdmin
+    const updateQuery = supabaseAdmin
       .from('content_request_uploads')
       .update({
         status: newStatus,
@@ -222,7 +249,9 @@ router.put('/uploads/:uploadId/review', async (req, res) => {
         reviewed_at: new Date().toISOString(),
       })
       .eq('id', req.params.uploadId)
-      .eq('agency_id', agency.id)
+      .eq('agency_id', agency.id);
+
+    const { data: upload, error } = await applyModelScope(updateQuery, await getAccessibleModelIds(req))
       .select()
       .single();
 
@@ -300,7 +329,7 @@ router.get('/:id', async (req, res) => {
       .eq('agency_id', agency.id)
       .single();
 
-    if (error || !request) {
+    if (error || !request || !(await canAccessModel(req, request.model_id))) {
       return res.status(404).json({ error: 'Content request not found' });
     }
 
@@ -423,11 +452,13 @@ router.put('/:id', async (req, res) => {
     if (due_date !== undefined) updates.due_date = due_date;
     if (status !== undefined) updates.status = status;
 
-    const { data: request, error } = await supabaseAdmin
+    const updateQuery = supabaseAdmin
       .from('content_requests')
       .update(updates)
       .eq('id', req.params.id)
-      .eq('agency_id', agency.id)
+      .eq('agency_id', agency.id);
+
+    const { data: request, error } = await applyModelScope(updateQuery, await getAccessibleModelIds(req))
       .select()
       .single();
 
@@ -450,12 +481,14 @@ router.delete('/:id', async (req, res) => {
   const { agency } = req;
 
   try {
-    const { error } = await supabaseAdmin
+    const deleteQuery = supabaseAdmin
       .from('content_requests')
       .delete()
       .eq('id', req.params.id)
       .eq('agency_id', agency.id);
 
+    const { error } = await applyModelScope(deleteQuery, await getAccessibleModelIds(req));
+
     if (error) {
       logger.error('Error deleting content request:', error);
       return res.status(500).json({ error: 'Failed to delete content request' });
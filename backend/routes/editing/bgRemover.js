@@ -6,22 +6,22 @@
 
 const express = require('express');
 const { logger } = require('../../services/logger');
+const { startGenerationJob } = require('../../services/generationJobs');
 const { supabaseAdmin } = require('../../services/supabase');
 const { requireAuth } = require('../../middleware/auth');
-const { requireCredits, deductCredits } = require('../../middleware/credits');
+const { requireModelAccess } = require('../../middleware/permissions');
+const { requireCredits } = require('../../middleware/credits');
 const { config } = require('../../config');
-const { runModel, extractOutputUrl } = require('../../services/replicateClient');
-const { compressImage } = require('../../services/imageCompression');
+const { removeBackground } = require('../../services/editingTools');
 
 const router = express.Router();
 
-const BG_REMOVER_MODEL = "851-labs/background-remover:a029dff38972b5fda4ec5d75d7d1cd25aeff621d2cf4946a41055d7db66b80bc";
-
 /**
  * POST /api/edit/bg-remover
  * Remove background from an image
+ * Queues a background job and returns 202 with its ID (GET /api/jobs/:id)
  */
-router.post('/', requireAuth, requireCredits('bgRemover'), async (req, res) => {
+router.post('/', requireAuth, requireModelAccess, requireCredits('bgRemover'), async (req, res) => {
   const { agency, agencyUser } = req;
 
   try {
@@ -40,49 +40,36 @@ router.post('/', requireAuth, requireCredits('bgRemover'), async (req, res) => {
       userId: agencyUser.id,
     });
 
-    // Compress input image before sending
-    const compressedImage = await compressImage(image, { maxDimension: 1536, quality: 80 });
-
-    const output = await runModel(BG_REMOVER_MODEL, { image: compressedImage });
-
-    // Handle Replicate's dual output format (File object vs URL string)
-    const resultUrl = extractOutputUrl(output) || output;
-
-    // Deduct credits
-    await deductCredits(req);
-
-    // Log generation
-    await supabaseAdmin.from('generations').insert({
-      agency_id: agency.id,
-      user_id: agencyUser.id,
-      model_id: model_id || null,
+    return startGenerationJob(req, res, {
       type: 'edit',
       model: 'bg-remover',
-      parameters: {},
-      status: 'completed',
-      result_url: resultUrl,
-      credits_cost: req.creditCost,
-      completed_at: new Date().toISOString(),
-    });
-
-    // Save to gallery
-    await supabaseAdmin.from('gallery_items').insert({
-      agency_id: agency.id,
-      user_id: agencyUser.id,
-      model_id: model_id || null,
-      title: 'Background Removed',
-      url: resultUrl,
-      type: 'image',
-      source: 'generated',
-      tags: ['bg-remover', 'edit'],
-    });
+      modelId: model_id,
+    }, async (job) => {
+      const resultUrl = await removeBackground({ image });
+
+      // Save to gallery
+      await supabaseAdmin.from('gallery_items').insert({
+        agency_id: agency.id,
+        user_id: agencyUser.id,
+        generation_id: job.id,
+        model_id: model_id || null,
+        title: 'Background Removed',
+        url: resultUrl,
+        type: 'image',
+        source: 'generated',
+        tags: ['bg-remover', 'edit'],
+      });
 
-    res.json({
-      success: true,
-      model: 'bg-remover',
-      image: resultUrl,
-      creditsUsed: req.creditCost,
-      timestamp: new Date().toISOString(),
+      return {
+        resultUrl,
+        response: {
+          success: true,
+          model: 'bg-remover',
+          image: resultUrl,
+          creditsUsed: job.credits_cost,
+          timestamp: new Date().toISOString(),
+        },
+      };
     });
 
   } catch (error) {
@@ -6,22 +6,22 @@
 
 const express = require('express');
 const { logger } = require('../../services/logger');
+const { startGenerationJob } = require('../../services/generationJobs');
 const { supabaseAdmin } = require('../../services/supabase');
 const { requireAuth } = require('../../middleware/auth');
-const { requireCredits, deductCredits } = require('../../middleware/credits');
+const { requireModelAccess } = require('../../middleware/permissions');
+const { requireCredits } = require('../../middleware/credits');
 const { config } = require('../../config');
-const { runModel, extractOutputUrl } = require('../../services/replicateClient');
-const { compressImage } = require('../../services/imageCompression');
+const { eraseObjects } = require('../../services/editingTools');
 
 const router = express.Router();
 
-const ERASER_MODEL = "bria/eraser";
-
 /**
  * POST /api/edit/eraser
  * Erase objects from an image using a mask
+ * Queues a background job and returns 202 with its ID (GET /api/jobs/:id)
  */
-router.post('/', requireAuth, requireCredits('eraser'), async (req, res) => {
+router.post('/', requireAuth, requireModelAccess, requireCredits('eraser'), async (req, res) => {
   const { agency, agencyUser } = req;
 
   try {
@@ -49,59 +49,38 @@ router.post('/', requireAuth, requireCredits('eraser'), async (req, res) => {
       userId: agencyUser.id,
     });
 
-    // Compress both image and mask before sending
-    const compressedImage = await compressImage(image, { maxDimension: 1536, quality: 80 });
-    const compressedMask = await compressImage(mask, { maxDimension: 1536, quality: 80 });
-
-    const input = {
-      image: compressedImage,
-      mask: compressedMask,
-      preserve_alpha: preserveAlpha,
-      content_moderation: false,
-      sync: true,
-    };
-
-    const output = await runModel(ERASER_MODEL, input);
-
-    // Handle dual output format
-    const resultUrl = extractOutputUrl(output) || output;
-
-    // Deduct credits
-    await deductCredits(req);
-
-    // Log generation
-    await supabaseAdmin.from('generations').insert({
-      agency_id: agency.id,
-      user_id: agencyUser.id,
-      model_id: model_id || null,
+    return startGenerationJob(req, res, {
       type: 'edit',
       model: 'eraser',
       parameters: { preserveAlpha },
-      status: 'completed',
-      result_url: resultUrl,
-      credits_cost: req.creditCost,
-      completed_at: new Date().toISOString(),
-    });
-
-    // Save to gallery
-    await supabaseAdmin.from('gallery_items').insert({
-      agency_id: agency.id,
-      user_id: agencyUser.id,
-      model_id: model_id || null,
-      title: 'Object Erased',
-      url: resultUrl,
-      type: 'image',
-      source: 'generated',
-      tags: ['eraser', 'edit'],
-    });
+      modelId: model_id,
+    }, async (job) => {
+      const resultUrl = await eraseObjects({ image, mask, preserveAlpha });
+
+      // Save to gallery
+      await supabaseAdmin.from('gallery_items').insert({
+        agency_id: agency.id,
+        user_id: agencyUser.id,
+        generation_id: job.id,
+        model_id: model_id || null,
+        title: 'Object Erased',
+        url: resultUrl,
+        type: 'image',
+        source: 'generated',
+        tags: ['eraser', 'edit'],
+      });
 
-    res.json({
-      success: true,
-      model: 'bria-eraser',
-      image: resultUrl,
-      parameters: { preserveAlpha },
-      creditsUsed: req.creditCost,
-      timestamp: new Date().toISOString(),
+      return {
+        resultUrl,
+        response: {
+          success: true,
+          model: 'bria-eraser',
+          image: resultUrl,
+          parameters: { preserveAlpha },
+          creditsUsed: job.credits_cost,
+          timestamp: new Date().toISOString(),
+        },
+      };
     });
 
   } catch (error) {
@@ -10,12 +10,14 @@ const bgRemoverRoutes = require('./bgRemover');
 const eraserRoutes = require('./eraser');
 const qwenEditRoutes = require('./qwenEdit');
 const inpaintRoutes = require('./inpaint');
+const upscaleRoutes = require('./upscale');
 
 // Mount routes
 router.use('/bg-remover', bgRemoverRoutes);
 router.use('/eraser', eraserRoutes);
 router.use('/qwen-edit', qwenEditRoutes);
 router.use('/inpaint', inpaintRoutes);
+router.use('/upscale', upscaleRoutes);
 
 // GET /api/edit/status - Get all editing tool statuses
 router.get('/status', (req, res) => {
@@ -47,6 +49,12 @@ router.get('/status', (req, res) => {
         configured: !!config.runpod.apiKey,
         creditCost: config.creditCosts.inpaint,
       },
+      {
+        id: 'upscale',
+        name: 'Upscale',
+        configured: !!config.replicate.apiKey,
+        creditCost: config.creditCosts.upscale,
+      },
     ],
   });
 });
@@ -8,22 +8,22 @@
 
 const express = require('express');
 const { logger } = require('../../services/logger');
+const { startGenerationJob } = require('../../services/generationJobs');
 const { supabaseAdmin } = require('../../services/supabase');
 const { requireAuth } = require('../../middleware/auth');
-const { requireCredits, deductCredits } = require('../../middleware/credits');
+const { requireModelAccess } = require('../../middleware/permissions');
+const { requireCredits } = require('../../middleware/credits');
 const { config } = require('../../config');
-const { runModel, extractOutputUrls } = require('../../services/replicateClient');
-const { compressImages } = require('../../services/imageCompression');
+const { editWithQwen } = require('../../services/editingTools');
 
 const router = express.Router();
 
-const QWEN_EDIT_MODEL = "qwen/qwen-image-edit-plus";
-
 /**
  * POST /api/edit/qwen-edit
  * Edit images using Qwen Image Edit Plus
+ * Queues a background job and returns 202 with its ID (GET /api/jobs/:id)
  */
-router.post('/', requireAuth, requireCredits('qwenEdit'), async (req, res) => {
+router.post('/', requireAuth, requireModelAccess, requireCredits('qwenEdit'), async (req, res) => {
   const { agency, agencyUser } = req;
 
   try {
@@ -61,84 +61,59 @@ router.post('/', requireAuth, requireCredits('qwenEdit'), async (req, res) => {
       imageCount: images.length,
     });
 
-    // Compress input images before sending
-    const compressedImages = await compressImages(images, {
-      maxDimension: 1536,
-      quality: 80,
-    });
-
-    const input = {
-      image: compressedImages,
-      prompt: prompt.trim(),
-      aspect_ratio: aspectRatio,
-      output_format: outputFormat,
-      go_fast: goFast,
-      output_quality: outputQuality,
-    };
-
-    if (seed !== undefined && seed !== null && seed !== '') {
-      input.seed = parseInt(seed);
-    }
-
-    const output = await runModel(QWEN_EDIT_MODEL, input);
-
-    // Output is an array of image URLs
-    const resultImages = extractOutputUrls(output);
-
-    if (resultImages.length === 0) {
-      throw new Error('No images returned from Qwen Edit');
-    }
-
-    // Deduct credits
-    await deductCredits(req);
-
-    // Log generation
-    const { data: generation } = await supabaseAdmin.from('generations').insert({
-      agency_id: agency.id,
-      user_id: agencyUser.id,
-      model_id: model_id || null,
+    return startGenerationJob(req, res, {
       type: 'edit',
       model: 'qwen-edit',
       prompt,
       parameters: { imageCount: images.length, aspectRatio, outputFormat },
-      status: 'completed',
-      result_url: resultImages[0],
-      result_metadata: { outputCount: resultImages.length },
-      credits_cost: req.creditCost,
-      completed_at: new Date().toISOString(),
-    }).select('id').single();
-
-    // Save each result image to gallery
-    const galleryItems = [];
-    for (const resultImage of resultImages) {
-      const { data: item } = await supabaseAdmin.from('gallery_items').insert({
-        agency_id: agency.id,
-        user_id: agencyUser.id,
-        generation_id: generation?.id,
-        model_id: model_id || null,
-        title: prompt.substring(0, 100),
-        url: resultImage,
-        type: 'image',
-        source: 'generated',
-        tags: ['qwen-edit', 'edit'],
-      }).select().single();
-
-      if (item) galleryItems.push(item);
-    }
-
-    res.json({
-      success: true,
-      model: 'qwen-image-edit-plus',
-      images: resultImages,
-      galleryItems,
-      parameters: {
+      modelId: model_id,
+    }, async (job) => {
+      const resultImages = await editWithQwen({
+        images,
         prompt,
-        imageCount: images.length,
         aspectRatio,
         outputFormat,
-      },
-      creditsUsed: req.creditCost,
-      timestamp: new Date().toISOString(),
+        seed,
+        goFast,
+        outputQuality,
+      });
+
+      // Save each result image to gallery
+      const galleryItems = [];
+      for (const resultImage of resultImages) {
+        const { data: item } = await supabaseAdmin.from('gallery_items').insert({
+          agency_id: agency.id,
+          user_id: agencyUser.id,
+          generation_id: job.id,
+          model_id: model_id || null,
+          title: prompt.substring(0, 100),
+          url: resultImage,
+          type: 'image',
+          source: 'generated',
+          tags: ['qwen-edit', 'edit'],
+        }).select().single();
+
+        if (item) galleryItems.push(item);
+      }
+
+      return {
+        resultUrl: resultImages[0],
+        resultMetadata: { outputCount: resultImages.length },
+        response: {
+          success: true,
+          model: 'qwen-image-edit-plus',
+          images: resultImages,
+          galleryItems,
+          parameters: {
+            prompt,
+            imageCount: images.length,
+            aspectRatio,
+            outputFormat,
+          },
+          creditsUsed: job.credits_cost,
+          timestamp: new Date().toISOString(),
+        },
+      };
     });
 
   } catch (error) {
@@ -0,0 +1,120 @@
+/**
+ * Upscale Route
+ * Uses Replicate API for Real-ESRGAN (2x or 4x, optional face enhancement)
+ */
+
+const express = require('express');
+const { logger } = require('../../services/logger');
+const { startGenerationJob } = require('../../services/generationJobs');
+const { supabaseAdmin } = require('../../services/supabase');
+const { requireAuth } = require('../../middleware/auth');
+const { requireModelAccess } = require('../../middleware/permissions');
+const { requireCredits } = require('../../middleware/credits');
+const { config } = require('../../config');
+const { upscaleImage } = require('../../services/editingTools');
+
+const router = express.Router();
+
+/**
+ * POST /api/edit/upscale
+ * Upscale an image
+ * Queues a background job and returns 202 with its ID (GET /api/jobs/:id)
+ *
+ * Body:
+ * {
+ *   image: string (base64 data URL or URL, required)
+ *   scale: number (2 or 4, default 2)
+ *   faceEnhance: boolean (default false)
+ * }
+ */
+router.post('/', requireAuth, requireModelAccess, requireCredits('upscale'), async (req, res) => {
+  const { agency, agencyUser } = req;
+
+  try {
+    const {
+      image,
+      scale = 2,
+      faceEnhance = false,
+      model_id,
+    } = req.body;
+
+    if (!image) {
+      return res.status(400).json({ error: 'Image is required' });
+    }
+
+    if (![2, 4].includes(parseInt(scale))) {
+      return res.status(400).json({ error: 'Scale must be 2 or 4' });
+    }
+
+    if (!config.replicate.apiKey) {
+      return res.status(500).json({ error: 'Replicate API key not configured' });
+    }
+
+    logger.info('Upscaling image', {
+      agencyId: agency.id,
+      userId: agencyUser.id,
+      scale,
+    });
+
+    return startGenerationJob(req, res, {
+      type: 'edit',
+      model: 'upscale',
+      parameters: { scale, faceEnhance },
+      modelId: model_id,
+    }, async (job) => {
+      const resultUrl = await upscaleImage({ image, scale, faceEnhance });
+
+      // Save to gallery
+      await supabaseAdmin.from('gallery_items').insert({
+        agency_id: agency.id,
+        user_id: agencyUser.id,
+        generation_id: job.id,
+        model_id: model_id || null,
+        title: `Upscaled ${parseInt(scale)}x`,
+        url: resultUrl,
+        type: 'image',
+        source: 'generated',
+        tags: ['upscale', 'edit'],
+      });
+
+      return {
+        resultUrl,
+        response: {
+          success: true,
+          model: 'real-esrgan',
+          image: resultUrl,
+          parameters: { scale, faceEnhance },
+          creditsUsed: job.credits_cost,
+          timestamp: new Date().toISOString(),
+        },
+      };
+    });
+
+  } catch (error) {
+    logger.error('Upscale error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        type: error.type,
+      });
+    }
+
+    res.status(500).json({
+      error: error.message || 'Failed to upscale image',
+    });
+  }
+});
+
+/**
+ * GET /api/edit/upscale/status
+ */
+router.get('/status', (req, res) => {
+  res.json({
+    model: 'real-esrgan',
+    configured: !!config.replicate.apiKey,
+    status: config.replicate.apiKey ? 'ready' : 'missing_api_key',
+  });
+});
+
+module.exports = router;
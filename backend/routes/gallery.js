@@ -8,14 +8,15 @@ const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../services/supabase');
 const { requireAuth } = require('../middleware/auth');
+const { hasPermission, requireModelAccess, getAccessibleModelIds, applyModelScope } = require('../middleware/permissions');
 const { logger } = require('../services/logger');
 
 /**
  * GET /api/gallery
- * Fetch gallery items for the current user
+ * Fetch gallery items for the current user, limited to creators they can access
  * Query params: limit, offset, type, favorites, model_id, source
  */
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requireModelAccess, async (req, res) => {
   const { agency, agencyUser } = req;
   const {
     limit: rawLimit = 50,
@@ -56,6 +57,10 @@ router.get('/', requireAuth, async (req, res) => {
       query = query.eq('source', source);
     }
 
+    // Items for creators the user was unassigned from drop out of view
+    const modelIds = await getAccessibleModelIds(req);
+    query = applyModelScope(query, modelIds, { includeUnassigned: true });
+
     const { data: items, error } = await query;
 
     if (error) {
@@ -74,6 +79,7 @@ router.get('/', requireAuth, async (req, res) => {
     if (favorites === 'true') countQuery = countQuery.eq('is_favorited', true);
     if (model_id) countQuery = countQuery.eq('model_id', model_id);
     if (source) countQuery = countQuery.eq('source', source);
+    countQuery = applyModelScope(countQuery, modelIds, { includeUnassigned: true });
 
     const { count } = await countQuery;
 
@@ -91,10 +97,10 @@ router.get('/', requireAuth, async (req, res) => {
 
 /**
  * POST /api/gallery/upload
- * Upload reference images to a model's gallery
+ * Upload reference images to a model's gallery (requires can_upload_content)
  * Body: { model_id, images: [{ url, title? }], ... } or { model_id, url, title? }
  */
-router.post('/upload', requireAuth, async (req, res) => {
+router.post('/upload', requireAuth, hasPermission('can_upload_content'), requireModelAccess, async (req, res) => {
   const { agency, agencyUser } = req;
 
   try {
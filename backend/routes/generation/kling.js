@@ -6,9 +6,11 @@
 const express = require('express');
 const Replicate = require('replicate');
 const { logger } = require('../../services/logger');
+const { startGenerationJob } = require('../../services/generationJobs');
 const { supabaseAdmin } = require('../../services/supabase');
 const { requireAuth } = require('../../middleware/auth');
-const { requireCredits, deductCredits } = require('../../middleware/credits');
+const { requireModelAccess } = require('../../middleware/permissions');
+const { requireCredits } = require('../../middleware/credits');
 const { validatePrompt } = require('../../middleware/validation');
 const { config } = require('../../config');
 
@@ -19,8 +21,9 @@ const KLING_MODEL = "kwaivgi/kling-v2.5-turbo-pro";
 /**
  * POST /api/generate/kling
  * Generate video using Kling 2.5 Turbo Pro
+ * Queues a background job and returns 202 with its ID (GET /api/jobs/:id)
  */
-router.post('/', requireAuth, validatePrompt, requireCredits('kling'), async (req, res) => {
+router.post('/', requireAuth, requireModelAccess, validatePrompt, requireCredits('kling'), async (req, res) => {
   const { agency, agencyUser } = req;
 
   try {
@@ -60,58 +63,51 @@ router.post('/', requireAuth, validatePrompt, requireCredits('kling'), async (re
       duration
     });
 
-    const replicate = new Replicate({
-      auth: config.replicate.apiKey,
-    });
-
-    const input = {
-      prompt,
-      aspect_ratio: aspectRatio,
-      duration,
-      guidance_scale: 0.5
-    };
-
-    if (startImage) {
-      input.start_image = startImage;
-    }
-
-    if (negativePrompt) {
-      input.negative_prompt = negativePrompt;
-    }
-
-    const output = await replicate.run(KLING_MODEL, { input });
-
-    // Deduct credits
-    await deductCredits(req);
-
-    // Log generation
-    await supabaseAdmin.from('generations').insert({
-      agency_id: agency.id,
-      user_id: agencyUser.id,
-      model_id: model_id || null,
+    return startGenerationJob(req, res, {
       type: 'video',
       model: 'kling',
       prompt,
       parameters: { aspectRatio, duration, hasStartImage: !!startImage },
-      status: 'completed',
-      result_url: output,
-      result_metadata: { duration },
-      credits_cost: req.creditCost,
-      completed_at: new Date().toISOString()
-    });
+      modelId: model_id,
+    }, async (job) => {
+      const replicate = new Replicate({
+        auth: config.replicate.apiKey,
+      });
 
-    res.json({
-      success: true,
-      model: 'kling-2.5-turbo-pro',
-      videoUrl: output,
-      parameters: {
+      const input = {
         prompt,
-        aspectRatio,
+        aspect_ratio: aspectRatio,
         duration,
-        hasStartImage: !!startImage
-      },
-      creditsUsed: req.creditCost,
-      timestamp: new Date().toISOString()
+        guidance_scale: 0.5
+      };
+
+      if (startImage) {
+        input.start_image = startImage;
+      }
+
+      if (negativePrompt) {
+        input.negative_prompt = negativePrompt;
+      }
+
+      const output = await replicate.run(KLING_MODEL, { input });
+
+      return {
+        resultUrl: output,
+        resultMetadata: { duration },
+        response: {
+          success: true,
+          model: 'kling-2.5-turbo-pro',
+          videoUrl: output,
+          parameters: {
+            prompt,
+            aspectRatio,
+            duration,
+            hasStartImage: !!startImage
+          },
+          creditsUsed: job.credits_cost,
+          timestamp: new Date().toISOString()
+        },
+      };
     });
 
   } catch (error) {
@@ -7,9 +7,11 @@ const express = require('express');
 const fetch = require('node-fetch');
 const { compressImages, compressImage } = require('../../services/imageCompression');
 const { logger } = require('../../services/logger');
+const { startGenerationJob } = require('../../services/generationJobs');
 const { supabaseAdmin } = require('../../services/supabase');
 const { requireAuth } = require('../../middleware/auth');
-const { requireCredits, deductCredits } = require('../../middleware/credits');
+const { requireModelAccess } = require('../../middleware/permissions');
+const { requireCredits } = require('../../middleware/credits');
 const { validatePrompt } = require('../../middleware/validation');
 const { config } = require('../../config');
 
@@ -50,8 +52,9 @@ async function fetchWithRetry(url, options, maxRetries = MAX_RETRIES) {
 /**
  * POST /api/generate/nano-banana
  * Generate images using Nano Banana Pro (Gemini 3)
+ * Queues a background job and returns 202 with its ID (GET /api/jobs/:id)
  */
-router.post('/', requireAuth, validatePrompt, requireCredits('nanoBanana'), async (req, res) => {
+router.post('/', requireAuth, requireModelAccess, validatePrompt, requireCredits('nanoBanana'), async (req, res) => {
   const { agency, agencyUser } = req;
 
   try {
@@ -83,160 +86,153 @@ router.post('/', requireAuth, validatePrompt, requireCredits('nanoBanana'), asyn
       userId: agencyUser.id
     });
 
-    let compressedReferenceImages = [];
-    if (referenceImages && referenceImages.length > 0) {
-      compressedReferenceImages = await compressImages(referenceImages, {
-        maxDimension: 1536,
-        quality: 80
-      });
-    }
-
-    const images = [];
-    const warnings = [];
-
-    for (let i = 0; i < numOutputs; i++) {
-      try {
-        let messages = [];
-
-        if (compressedReferenceImages.length > 0) {
-          const contentParts = compressedReferenceImages.map(imageDataUrl => ({
-            type: "image_url",
-            image_url: { url: imageDataUrl }
-          }));
-          contentParts.push({ type: "text", text: `Use these as reference. ${prompt}` });
-          messages.push({ role: "user", content: contentParts });
-        } else {
-          messages.push({ role: "user", content: prompt });
-        }
-
-        const requestBody = {
-          model: NANO_BANANA_MODEL,
-          messages: messages,
-          modalities: ["image", "text"],
-          image_config: { aspect_ratio: aspectRatio }
-        };
-
-        const response = await fetchWithRetry(OPENROUTER_API_URL, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${config.openrouter.apiKey}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': config.frontendUrl,
-            'X-Title': 'Agency Studio'
-          },
-          body: JSON.stringify(requestBody)
+    return startGenerationJob(req, res, {
+      type: 'image',
+      model: 'nanoBanana',
+      prompt,
+      parameters: { aspectRatio, numOutputs },
+      modelId: model_id,
+    }, async (job) => {
+      let compressedReferenceImages = [];
+      if (referenceImages && referenceImages.length > 0) {
+        compressedReferenceImages = await compressImages(referenceImages, {
+          maxDimension: 1536,
+          quality: 80
         });
+      }
 
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`OpenRouter API error: ${response.status} - ${errorText}`);
-        }
+      const images = [];
+      const warnings = [];
+
+      for (let i = 0; i < numOutputs; i++) {
+        try {
+          let messages = [];
+
+          if (compressedReferenceImages.length > 0) {
+            const contentParts = compressedReferenceImages.map(imageDataUrl => ({
+              type: "image_url",
+              image_url: { url: imageDataUrl }
+            }));
+            contentParts.push({ type: "text", text: `Use these as reference. ${prompt}` });
+            messages.push({ role: "user", content: contentParts });
+          } else {
+            messages.push({ role: "user", content: prompt });
+          }
 
-        const result = await response.json();
-        const message = result.choices[0]?.message;
-        let imageFound = false;
-
-        // Check message.images array - only take first image from each response
-        if (message?.images && message.images.length > 0) {
-          const image = message.images[0]; // Only take first image
-          const imageUrl = image.image_url?.url || image.url;
-          if (imageUrl) {
-            images.push(imageUrl);
-            imageFound = true;
+          const requestBody = {
+            model: NANO_BANANA_MODEL,
+            messages: messages,
+            modalities: ["image", "text"],
+            image_config: { aspect_ratio: aspectRatio }
+          };
+
+          const response = await fetchWithRetry(OPENROUTER_API_URL, {
+            method: 'POST',
+            headers: {
+              'Authorization': `Bearer ${config.openrouter.apiKey}`,
+              'Content-Type': 'application/json',
+              'HTTP-Referer': config.frontendUrl,
+              'X-Title': 'Agency Studio'
+            },
+            body: JSON.stringify(requestBody)
+          });
+
+          if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`OpenRouter API error: ${response.status} - ${errorText}`);
           }
-        }
 
-        // Check content as array - only take first image found
-        if (!imageFound && Array.isArray(message?.content)) {
-          for (const part of message.content) {
-            if (part.inline_data?.data) {
-              const mimeType = part.inline_data.mime_type || 'image/png';
-              images.push(`data:${mimeType};base64,${part.inline_data.data}`);
+          const result = await response.json();
+          const message = result.choices[0]?.message;
+          let imageFound = false;
+
+          // Check message.images array - only take first image from each response
+          if (message?.images && message.images.length > 0) {
+            const image = message.images[0]; // Only take first image
+            const imageUrl = image.image_url?.url || image.url;
+            if (imageUrl) {
+              images.push(imageUrl);
               imageFound = true;
-              break; // Only take first image
             }
-            if (part.type === 'image_url' && part.image_url?.url) {
-              images.push(part.image_url.url);
-              imageFound = true;
-              break; // Only take first image
+          }
+
+          // Check content as array - only take first image found
+          if (!imageFound && Array.isArray(message?.content)) {
+            for (const part of message.content) {
+              if (part.inline_data?.data) {
+                const mimeType = part.inline_data.mime_type || 'image/png';
+                images.push(`data:${mimeType};base64,${part.inline_data.data}`);
+                imageFound = true;
+                break; // Only take first image
+              }
+              if (part.type === 'image_url' && part.image_url?.url) {
+                images.push(part.image_url.url);
+                imageFound = true;
+                break; // Only take first image
+              }
             }
           }
-        }
 
-        if (!imageFound) {
-          warnings.push(`No image in response ${i + 1}`);
+          if (!imageFound) {
+            warnings.push(`No image in response ${i + 1}`);
+          }
+
+        } catch (apiError) {
+          warnings.push(`Image ${i + 1} failed: ${apiError.message}`);
         }
 
-      } catch (apiError) {
-        warnings.push(`Image ${i + 1} failed: ${apiError.message}`);
+        if (i < numOutputs - 1) {
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
       }
 
-      if (i < numOutputs - 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
+      if (images.length === 0) {
+        throw new Error('No images were generated. ' + warnings.join('. '));
       }
-    }
-
-    if (images.length === 0) {
-      throw new Error('No images were generated. ' + warnings.join('. '));
-    }
-
-    // Deduct credits
-    await deductCredits(req);
 
-    // Log generation and get the ID
-    const { data: generation } = await supabaseAdmin.from('generations').insert({
-      agency_id: agency.id,
-      user_id: agencyUser.id,
-      model_id: model_id || null,
-      type: 'image',
-      model: 'nanoBanana',
-      prompt,
-      parameters: { aspectRatio, numOutputs },
-      status: 'completed',
-      result_url: images[0],
-      result_metadata: { imageCount: images.length },
-      credits_cost: req.creditCost,
-      completed_at: new Date().toISOString()
-    }).select('id').single();
-
-    // Save each image to gallery_items
-    const galleryItems = [];
-    for (let i = 0; i < images.length; i++) {
-      // Generate a small thumbnail for dashboard/gallery display
-      let thumbnailUrl = null;
-      try {
-        thumbnailUrl = await compressImage(images[i], { maxDimension: 300, quality: 60 });
-      } catch (err) {
-        logger.warn('Thumbnail generation failed, skipping:', err.message);
-      }
+      // Save each image to gallery_items
+      const galleryItems = [];
+      for (let i = 0; i < images.length; i++) {
+        // Generate a small thumbnail for dashboard/gallery display
+        let thumbnailUrl = null;
+        try {
+          thumbnailUrl = await compressImage(images[i], { maxDimension: 300, quality: 60 });
+        } catch (err) {
+          logger.warn('Thumbnail generation failed, skipping:', err.message);
+        }
 
-      const { data: item } = await supabaseAdmin.from('gallery_items').insert({
-        agency_id: agency.id,
-        user_id: agencyUser.id,
-        generation_id: generation?.id,
-        model_id: model_id || null,
-        title: prompt.substring(0, 100),
-        url: images[i],
-        thumbnail_url: thumbnailUrl,
-        type: 'image',
-        source: 'generated',
-        tags: ['nano-banana']
-      }).select().single();
-
-      if (item) {
-        galleryItems.push(item);
+        const { data: item } = await supabaseAdmin.from('gallery_items').insert({
+          agency_id: agency.id,
+          user_id: agencyUser.id,
+          generation_id: job.id,
+          model_id: model_id || null,
+          title: prompt.substring(0, 100),
+          url: images[i],
+          thumbnail_url: thumbnailUrl,
+          type: 'image',
+          source: 'generated',
+          tags: ['nano-banana']
+        }).select().single();
+
+        if (item) {
+          galleryItems.push(item);
+        }
       }
-    }
 
-    res.json({
-      success: true,
-      model: 'nano-banana-pro',
-      images,
-      galleryItems,
-      warnings: warnings.length > 0 ? warnings : undefined,
-      parameters: { prompt, aspectRatio, numOutputs },
-      creditsUsed: req.creditCost,
-      timestamp: new Date().toISOString()
+      return {
+        resultUrl: images[0],
+        resultMetadata: { imageCount: images.length },
+        response: {
+          success: true,
+          model: 'nano-banana-pro',
+          images,
+          galleryItems,
+          warnings: warnings.length > 0 ? warnings : undefined,
+          parameters: { prompt, aspectRatio, numOutputs },
+          creditsUsed: job.credits_cost,
+          timestamp: new Date().toISOString()
+        },
+      };
     });
 
   } catch (error) {
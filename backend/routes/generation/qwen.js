@@ -8,9 +8,11 @@
 
 const express = require('express');
 const { logger } = require('../../services/logger');
+const { startGenerationJob } = require('../../services/generationJobs');
 const { supabaseAdmin } = require('../../services/supabase');
 const { requireAuth } = require('../../middleware/auth');
-const { requireCredits, deductCredits } = require('../../middleware/credits');
+const { requireModelAccess } = require('../../middleware/permissions');
+const { requireCredits } = require('../../middleware/credits');
 const { validatePrompt } = require('../../middleware/validation');
 const { config } = require('../../config');
 const { compressImage } = require('../../services/imageCompression');
@@ -201,8 +203,9 @@ async function pollJob(jobId) {
 /**
  * POST /api/generate/qwen
  * Generate image using Qwen model via ComfyUI
+ * Queues a background job and returns 202 with its ID (GET /api/jobs/:id)
  */
-router.post('/', requireAuth, validatePrompt, requireCredits('qwen'), async (req, res) => {
+router.post('/', requireAuth, requireModelAccess, validatePrompt, requireCredits('qwen'), async (req, res) => {
   const { agency, agencyUser } = req;
 
   try {
@@ -256,101 +259,89 @@ router.post('/', requireAuth, validatePrompt, requireCredits('qwen'), async (req
       height: validatedHeight,
     });
 
-    // Build workflow
-    const workflow = getWorkflowTemplate({
-      prompt: effectivePrompt,
-      negativePrompt,
-      width: validatedWidth,
-      height: validatedHeight,
-      seed,
-      loraConfig,
-    });
-
-    // Submit via GPU router (dedicated-first, serverless fallback)
-    const submitResult = await routeGenerationRequest({ workflow });
-
-    if (!submitResult.success) {
-      return res.status(500).json({
-        error: 'Failed to submit job',
-        details: submitResult.error,
+    return startGenerationJob(req, res, {
+      type: 'image',
+      model: 'qwen',
+      prompt,
+      parameters: { width: validatedWidth, height: validatedHeight, hasLora: !!loraConfig },
+      modelId: model_id,
+    }, async (job) => {
+      // Build workflow
+      const workflow = getWorkflowTemplate({
+        prompt: effectivePrompt,
+        negativePrompt,
+        width: validatedWidth,
+        height: validatedHeight,
+        seed,
+        loraConfig,
       });
-    }
 
-    logger.info('Qwen job submitted', {
-      jobId: submitResult.jobId,
-      endpoint: submitResult.endpoint,
-      usedFallback: submitResult.usedFallback || false,
-    });
+      // Submit via GPU router (dedicated-first, serverless fallback)
+      const submitResult = await routeGenerationRequest({ workflow });
 
-    // Poll for completion
-    const result = await pollJob(submitResult.jobId);
+      if (!submitResult.success) {
+        throw new Error(`Failed to submit job: ${submitResult.error}`);
+      }
 
-    if (!result.success) {
-      return res.status(500).json({
-        error: 'Generation failed',
-        message: result.error,
+      logger.info('Qwen job submitted', {
+        jobId: job.id,
+        gpuJobId: submitResult.jobId,
+        endpoint: submitResult.endpoint,
+        usedFallback: submitResult.usedFallback || false,
       });
-    }
 
-    // Deduct credits
-    await deductCredits(req);
+      // Poll for completion
+      const result = await pollJob(submitResult.jobId);
 
-    // Log generation
-    const { data: generation } = await supabaseAdmin.from('generations').insert({
-      agency_id: agency.id,
-      user_id: agencyUser.id,
-      model_id: model_id || null,
-      type: 'image',
-      model: 'qwen',
-      prompt,
-      parameters: { width: validatedWidth, height: validatedHeight, hasLora: !!loraConfig },
-      status: 'completed',
-      result_url: result.imageUrl,
-      result_metadata: { endpoint: result.endpoint },
-      credits_cost: req.creditCost,
-      completed_at: new Date().toISOString(),
-    }).select('id').single();
-
-    // Save to gallery
-    const galleryItems = [];
-    for (const imageUrl of result.images) {
-      // Generate a small thumbnail for dashboard/gallery display
-      let thumbnailUrl = null;
-      try {
-        thumbnailUrl = await compressImage(imageUrl, { maxDimension: 300, quality: 60 });
-      } catch (err) {
-        logger.warn('Thumbnail generation failed, skipping:', err.message);
+      if (!result.success) {
+        throw new Error(`Generation failed: ${result.error}`);
       }
 
-      const { data: item } = await supabaseAdmin.from('gallery_items').insert({
-        agency_id: agency.id,
-        user_id: agencyUser.id,
-        generation_id: generation?.id,
-        model_id: model_id || null,
-        title: prompt.substring(0, 100),
-        url: imageUrl,
-        thumbnail_url: thumbnailUrl,
-        type: 'image',
-        source: 'generated',
-        tags: ['qwen'],
-      }).select().single();
-
-      if (item) galleryItems.push(item);
-    }
+      // Save to gallery
+      const galleryItems = [];
+      for (const imageUrl of result.images) {
+        // Generate a small thumbnail for dashboard/gallery display
+        let thumbnailUrl = null;
+        try {
+          thumbnailUrl = await compressImage(imageUrl, { maxDimension: 300, quality: 60 });
+        } catch (err) {
+          logger.warn('Thumbnail generation failed, skipping:', err.message);
+        }
 
-    res.json({
-      success: true,
-      model: 'qwen',
-      images: result.images,
-      galleryItems,
-      parameters: {
-        prompt,
-        width: validatedWidth,
-        height: validatedHeight,
-      },
-      endpoint: result.endpoint,
-      creditsUsed: req.creditCost,
-      timestamp: new Date().toISOString(),
+        const { data: item } = await supabaseAdmin.from('gallery_items').insert({
+          agency_id: agency.id,
+          user_id: agencyUser.id,
+          generation_id: job.id,
+          model_id: model_id || null,
+          title: prompt.substring(0, 100),
+          url: imageUrl,
+          thumbnail_url: thumbnailUrl,
+          type: 'image',
+          source: 'generated',
+          tags: ['qwen'],
+        }).select().single();
+
+        if (item) galleryItems.push(item);
+      }
+
+      return {
+        resultUrl: result.imageUrl,
+        resultMetadata: { endpoint: result.endpoint },
+        response: {
+          success: true,
+          model: 'qwen',
+          images: result.images,
+          galleryItems,
+          parameters: {
+            prompt,
+            width: validatedWidth,
+            height: validatedHeight,
+          },
+          endpoint: result.endpoint,
+          creditsUsed: job.credits_cost,
+          timestamp: new Date().toISOString(),
+        },
+      };
     });
 
   } catch (error) {
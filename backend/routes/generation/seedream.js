@@ -6,9 +6,11 @@
 const express = require('express');
 const { compressImages, compressImage } = require('../../services/imageCompression');
 const { logger } = require('../../services/logger');
+const { startGenerationJob } = require('../../services/generationJobs');
 const { supabaseAdmin } = require('../../services/supabase');
 const { requireAuth } = require('../../middleware/auth');
-const { requireCredits, deductCredits } = require('../../middleware/credits');
+const { requireModelAccess } = require('../../middleware/permissions');
+const { requireCredits } = require('../../middleware/credits');
 const { validatePrompt } = require('../../middleware/validation');
 const { config } = require('../../config');
 const { PerAgencyQueue } = require('../../services/requestQueue');
@@ -61,8 +63,9 @@ async function pollForResult(taskId, apiKey, maxAttempts = 60) {
 /**
  * POST /api/generate/seedream
  * Generate images using Seedream 4.5
+ * Queues a background job and returns 202 with its ID (GET /api/jobs/:id)
  */
-router.post('/', requireAuth, validatePrompt, requireCredits('seedream'), async (req, res) => {
+router.post('/', requireAuth, requireModelAccess, validatePrompt, requireCredits('seedream'), async (req, res) => {
   const { agency, agencyUser } = req;
 
   try {
@@ -95,218 +98,211 @@ router.post('/', requireAuth, validatePrompt, requireCredits('seedream'), async
       userId: agencyUser.id
     });
 
-    let compressedReferenceImages = [];
-    if (hasReferenceImage) {
-      compressedReferenceImages = await compressImages(referenceImages, {
-        maxDimension: 1024,
-        quality: 75
-      });
-    }
-
-    let imagePrompt = prompt;
-    if (negativePrompt) {
-      imagePrompt += ` Avoid: ${negativePrompt}`;
-    }
-    if (compressedReferenceImages.length > 0) {
-      imagePrompt = `Use these reference images as style guide. ${imagePrompt}`;
-    }
-
-    const sizeString = `${validatedWidth}*${validatedHeight}`;
-
-    let requestBody;
-    if (hasReferenceImage && compressedReferenceImages.length > 0) {
-      requestBody = {
-        prompt: imagePrompt,
-        images: compressedReferenceImages,
-        size: sizeString,
-        enable_base64_output: true,
-        enable_sync_mode: true
-      };
-    } else {
-      requestBody = {
-        prompt: imagePrompt,
-        size: sizeString,
-        n: Math.min(numOutputs, 4),
-        enable_base64_output: true,
-        enable_sync_mode: true
-      };
-    }
-
-    const response = await wavespeedQueue.add(agency.id, () =>
-      fetchWithRetry(apiEndpoint, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${config.wavespeed.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      })
-    );
+    return startGenerationJob(req, res, {
+      type: 'image',
+      model: 'seedream',
+      prompt,
+      parameters: { width: validatedWidth, height: validatedHeight, numOutputs },
+      modelId: model_id,
+    }, async (job) => {
+      let compressedReferenceImages = [];
+      if (hasReferenceImage) {
+        compressedReferenceImages = await compressImages(referenceImages, {
+          maxDimension: 1024,
+          quality: 75
+        });
+      }
 
-    // Log request details
-    logger.info('WaveSpeed request body:', JSON.stringify(requestBody, (key, val) => {
-      if (key === 'images' && Array.isArray(val)) return `[${val.length} images]`;
-      return val;
-    }));
+      let imagePrompt = prompt;
+      if (negativePrompt) {
+        imagePrompt += ` Avoid: ${negativePrompt}`;
+      }
+      if (compressedReferenceImages.length > 0) {
+        imagePrompt = `Use these reference images as style guide. ${imagePrompt}`;
+      }
 
-    const responseText = await response.text();
-    logger.info(`WaveSpeed response status: ${response.status}`);
-    logger.info(`WaveSpeed response text (first 2000 chars): ${responseText.substring(0, 2000)}`);
+      const sizeString = `${validatedWidth}*${validatedHeight}`;
+
+      let requestBody;
+      if (hasReferenceImage && compressedReferenceImages.length > 0) {
+        requestBody = {
+          prompt: imagePrompt,
+          images: compressedReferenceImages,
+          size: sizeString,
+          enable_base64_output: true,
+          enable_sync_mode: true
+        };
+      } else {
+        requestBody = {
+          prompt: imagePrompt,
+          size: sizeString,
+          n: Math.min(numOutputs, 4),
+          enable_base64_output: true,
+          enable_sync_mode: true
+        };
+      }
 
-    if (!response.ok) {
-      throw new Error(`WaveSpeed API error: ${response.status} - ${responseText}`);
-    }
+      const response = await wavespeedQueue.add(agency.id, () =>
+        fetchWithRetry(apiEndpoint, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${config.wavespeed.apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(requestBody)
+        })
+      );
+
+      // Log request details
+      logger.info('WaveSpeed request body:', JSON.stringify(requestBody, (key, val) => {
+        if (key === 'images' && Array.isArray(val)) return `[${val.length} images]`;
+        return val;
+      }));
+
+      const responseText = await response.text();
+      logger.info(`WaveSpeed response status: ${response.status}`);
+      logger.info(`WaveSpeed response text (first 2000 chars): ${responseText.substring(0, 2000)}`);
+
+      if (!response.ok) {
+        throw new Error(`WaveSpeed API error: ${response.status} - ${responseText}`);
+      }
 
-    let result;
-    try {
-      result = JSON.parse(responseText);
-    } catch (e) {
-      logger.error('Failed to parse WaveSpeed response as JSON:', e.message);
-      throw new Error('Invalid JSON response from WaveSpeed API');
-    }
+      let result;
+      try {
+        result = JSON.parse(responseText);
+      } catch (e) {
+        logger.error('Failed to parse WaveSpeed response as JSON:', e.message);
+        throw new Error('Invalid JSON response from WaveSpeed API');
+      }
 
-    logger.info('Parsed result keys:', Object.keys(result || {}));
+      logger.info('Parsed result keys:', Object.keys(result || {}));
 
-    const images = [];
+      const images = [];
 
-    // Extract images from response - handle all possible formats
-    if (result.data && result.data.outputs) {
-      // Sync mode - images directly in response
-      for (const output of result.data.outputs) {
-        if (typeof output === 'string') {
-          images.push(output);
-        } else if (output.url) {
-          images.push(output.url);
-        } else if (output.base64) {
-          images.push(`data:image/png;base64,${output.base64}`);
-        }
-      }
-    } else if (result.data && result.data.url) {
-      // Single image URL
-      images.push(result.data.url);
-    } else if (result.data && result.data.base64) {
-      // Single base64 image
-      images.push(`data:image/png;base64,${result.data.base64}`);
-    } else if (result.outputs) {
-      // Alternative format - outputs at root level
-      for (const output of result.outputs) {
-        if (typeof output === 'string') {
-          if (output.startsWith('http')) {
+      // Extract images from response - handle all possible formats
+      if (result.data && result.data.outputs) {
+        // Sync mode - images directly in response
+        for (const output of result.data.outputs) {
+          if (typeof output === 'string') {
             images.push(output);
-          } else {
-            images.push(`data:image/png;base64,${output}`);
+          } else if (output.url) {
+            images.push(output.url);
+          } else if (output.base64) {
+            images.push(`data:image/png;base64,${output.base64}`);
           }
-        } else if (output.url) {
-          images.push(output.url);
-        } else if (output.base64) {
-          images.push(`data:image/png;base64,${output.base64}`);
-        }
-      }
-    } else if (result.output) {
-      // Single output format
-      if (typeof result.output === 'string') {
-        if (result.output.startsWith('http')) {
-          images.push(result.output);
-        } else {
-          images.push(`data:image/png;base64,${result.output}`);
         }
-      }
-    } else if (result.id && !result.data) {
-      // Async mode - need to poll for result
-      logger.info(`Task submitted with ID: ${result.id}, polling for result...`);
-      const taskResult = await pollForResult(result.id, config.wavespeed.apiKey);
-
-      if (taskResult.outputs) {
-        for (const output of taskResult.outputs) {
+      } else if (result.data && result.data.url) {
+        // Single image URL
+        images.push(result.data.url);
+      } else if (result.data && result.data.base64) {
+        // Single base64 image
+        images.push(`data:image/png;base64,${result.data.base64}`);
+      } else if (result.outputs) {
+        // Alternative format - outputs at root level
+        for (const output of result.outputs) {
           if (typeof output === 'string') {
-            images.push(output.startsWith('http') ? output : `data:image/png;base64,${output}`);
+            if (output.startsWith('http')) {
+              images.push(output);
+            } else {
+              images.push(`data:image/png;base64,${output}`);
+            }
           } else if (output.url) {
             images.push(output.url);
           } else if (output.base64) {
             images.push(`data:image/png;base64,${output.base64}`);
           }
         }
-      } else if (taskResult.output) {
-        if (typeof taskResult.output === 'string') {
-          if (taskResult.output.startsWith('http')) {
-            images.push(taskResult.output);
+      } else if (result.output) {
+        // Single output format
+        if (typeof result.output === 'string') {
+          if (result.output.startsWith('http')) {
+            images.push(result.output);
           } else {
-            images.push(`data:image/png;base64,${taskResult.output}`);
+            images.push(`data:image/png;base64,${result.output}`);
+          }
+        }
+      } else if (result.id && !result.data) {
+        // Async mode - need to poll for result
+        logger.info(`Task submitted with ID: ${result.id}, polling for result...`);
+        const taskResult = await pollForResult(result.id, config.wavespeed.apiKey);
+
+        if (taskResult.outputs) {
+          for (const output of taskResult.outputs) {
+            if (typeof output === 'string') {
+              images.push(output.startsWith('http') ? output : `data:image/png;base64,${output}`);
+            } else if (output.url) {
+              images.push(output.url);
+            } else if (output.base64) {
+              images.push(`data:image/png;base64,${output.base64}`);
+            }
+          }
+        } else if (taskResult.output) {
+          if (typeof taskResult.output === 'string') {
+            if (taskResult.output.startsWith('http')) {
+              images.push(taskResult.output);
+            } else {
+              images.push(`data:image/png;base64,${taskResult.output}`);
+            }
           }
         }
       }
-    }
-
-    if (images.length === 0) {
-      throw new Error('No images were generated');
-    }
 
-    // Deduct credits
-    await deductCredits(req);
-
-    // Log generation to database and get the ID
-    const { data: generation } = await supabaseAdmin.from('generations').insert({
-      agency_id: agency.id,
-      user_id: agencyUser.id,
-      model_id: model_id || null,
-      type: 'image',
-      model: 'seedream',
-      prompt,
-      parameters: { width: validatedWidth, height: validatedHeight, numOutputs },
-      status: 'completed',
-      result_url: images[0],
-      result_metadata: { imageCount: images.length },
-      credits_cost: req.creditCost,
-      completed_at: new Date().toISOString()
-    }).select('id').single();
-
-    // Save each image to gallery_items
-    // Generate thumbnails in parallel for better performance
-    const thumbnailPromises = images.map(async (imageUrl) => {
-      try {
-        return await compressImage(imageUrl, { maxDimension: 300, quality: 60 });
-      } catch (err) {
-        logger.warn('Thumbnail generation failed, skipping:', err.message);
-        return null;
+      if (images.length === 0) {
+        throw new Error('No images were generated');
       }
-    });
 
-    const thumbnailUrls = await Promise.all(thumbnailPromises);
-
-    // Insert gallery items (could also be parallelized, but keep sequential for transaction safety)
-    const galleryItems = [];
-    for (let i = 0; i < images.length; i++) {
-      const { data: item } = await supabaseAdmin.from('gallery_items').insert({
-        agency_id: agency.id,
-        user_id: agencyUser.id,
-        generation_id: generation?.id,
-        model_id: model_id || null,
-        title: prompt.substring(0, 100),
-        url: images[i],
-        thumbnail_url: thumbnailUrls[i],
-        type: 'image',
-        source: 'generated',
-        tags: ['seedream']
-      }).select().single();
-
-      if (item) {
-        galleryItems.push(item);
+      // Save each image to gallery_items
+      // Generate thumbnails in parallel for better performance
+      const thumbnailPromises = images.map(async (imageUrl) => {
+        try {
+          return await compressImage(imageUrl, { maxDimension: 300, quality: 60 });
+        } catch (err) {
+          logger.warn('Thumbnail generation failed, skipping:', err.message);
+          return null;
+        }
+      });
+
+      const thumbnailUrls = await Promise.all(thumbnailPromises);
+
+      // Insert gallery items (could also be parallelized, but keep sequential for transaction safety)
+      const galleryItems = [];
+      for (let i = 0; i < images.length; i++) {
+        const { data: item } = await supabaseAdmin.from('gallery_items').insert({
+          agency_id: agency.id,
+          user_id: agencyUser.id,
+          generation_id: job.id,
+          model_id: model_id || null,
+          title: prompt.substring(0, 100),
+          url: images[i],
+          thumbnail_url: thumbnailUrls[i],
+          type: 'image',
+          source: 'generated',
+          tags: ['seedream']
+        }).select().single();
+
+        if (item) {
+          galleryItems.push(item);
+        }
       }
-    }
 
-    res.json({
-      success: true,
-      model: 'seedream-4.5',
-      images,
-      galleryItems,
-      parameters: {
-        prompt,
-        width: validatedWidth,
-        height: validatedHeight,
-        numOutputs
-      },
-      creditsUsed: req.creditCost,
-      timestamp: new Date().toISOString()
+      return {
+        resultUrl: images[0],
+        resultMetadata: { imageCount: images.length },
+        response: {
+          success: true,
+          model: 'seedream-4.5',
+          images,
+          galleryItems,
+          parameters: {
+            prompt,
+            width: validatedWidth,
+            height: validatedHeight,
+            numOutputs
+          },
+          creditsUsed: job.credits_cost,
+          timestamp: new Date().toISOString()
+        },
+      };
     });
 
   } catch (error) {
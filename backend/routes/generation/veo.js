@@ -6,9 +6,11 @@
 
 const express = require('express');
 const { logger } = require('../../services/logger');
+const { startGenerationJob } = require('../../services/generationJobs');
 const { supabaseAdmin } = require('../../services/supabase');
 const { requireAuth } = require('../../middleware/auth');
-const { requireCredits, deductCredits } = require('../../middleware/credits');
+const { requireModelAccess } = require('../../middleware/permissions');
+const { requireCredits } = require('../../middleware/credits');
 const { validatePrompt } = require('../../middleware/validation');
 const { config } = require('../../config');
 const { runModel } = require('../../services/replicateClient');
@@ -21,8 +23,9 @@ const VEO_MODEL = "google/veo-3.1-fast";
 /**
  * POST /api/generate/veo
  * Generate video using Veo 3.1 Fast
+ * Queues a background job and returns 202 with its ID (GET /api/jobs/:id)
  */
-router.post('/', requireAuth, validatePrompt, requireCredits('veo'), async (req, res) => {
+router.post('/', requireAuth, requireModelAccess, validatePrompt, requireCredits('veo'), async (req, res) => {
   const { agency, agencyUser } = req;
 
   try {
@@ -61,79 +64,73 @@ router.post('/', requireAuth, validatePrompt, requireCredits('veo'), async (req,
       resolution,
     });
 
-    const input = {
-      prompt,
-      aspect_ratio: aspectRatio,
-      duration,
-      resolution,
-      generate_audio: generateAudio,
-    };
-
-    // Compress input images before sending
-    if (image) {
-      input.image = await compressImage(image, { maxDimension: 1024, quality: 75 });
-    }
-
-    if (lastFrame) {
-      input.last_frame = await compressImage(lastFrame, { maxDimension: 1024, quality: 75 });
-    }
-
-    if (negativePrompt) {
-      input.negative_prompt = negativePrompt;
-    }
-
-    if (seed !== undefined && seed !== null) {
-      input.seed = seed;
-    }
-
-    const output = await runModel(VEO_MODEL, input);
-
-    // Deduct credits
-    await deductCredits(req);
-
-    // Log generation
-    await supabaseAdmin.from('generations').insert({
-      agency_id: agency.id,
-      user_id: agencyUser.id,
-      model_id: model_id || null,
+    return startGenerationJob(req, res, {
       type: 'video',
       model: 'veo',
       prompt,
       parameters: { aspectRatio, duration, resolution, generateAudio, hasImage: !!image },
-      status: 'completed',
-      result_url: output,
-      result_metadata: { duration, resolution },
-      credits_cost: req.creditCost,
-      completed_at: new Date().toISOString(),
-    });
-
-    // Save to gallery
-    await supabaseAdmin.from('gallery_items').insert({
-      agency_id: agency.id,
-      user_id: agencyUser.id,
-      model_id: model_id || null,
-      title: prompt.substring(0, 100),
-      url: output,
-      type: 'video',
-      source: 'generated',
-      tags: ['veo'],
-    });
-
-    res.json({
-      success: true,
-      model: 'veo-3.1-fast',
-      videoUrl: output,
-      parameters: {
+      modelId: model_id,
+    }, async (job) => {
+      const input = {
         prompt,
-        aspectRatio,
+        aspect_ratio: aspectRatio,
         duration,
         resolution,
-        generateAudio,
-        hasImage: !!image,
-        hasLastFrame: !!lastFrame,
-      },
-      creditsUsed: req.creditCost,
-      timestamp: new Date().toISOString(),
+        generate_audio: generateAudio,
+      };
+
+      // Compress input images before sending
+      if (image) {
+        input.image = await compressImage(image, { maxDimension: 1024, quality: 75 });
+      }
+
+      if (lastFrame) {
+        input.last_frame = await compressImage(lastFrame, { maxDimension: 1024, quality: 75 });
+      }
+
+      if (negativePrompt) {
+        input.negative_prompt = negativePrompt;
+      }
+
+      if (seed !== undefined && seed !== null) {
+        input.seed = seed;
+      }
+
+      const output = await runModel(VEO_MODEL, input);
+
+      // Save to gallery
+      await supabaseAdmin.from('gallery_items').insert({
+        agency_id: agency.id,
+        user_id: agencyUser.id,
+        generation_id: job.id,
+        model_id: model_id || null,
+        title: prompt.substring(0, 100),
+        url: output,
+        type: 'video',
+        source: 'generated',
+        tags: ['veo'],
+      });
+
+      return {
+        resultUrl: output,
+        resultMetadata: { duration, resolution },
+        response: {
+          success: true,
+          model: 'veo-3.1-fast',
+          videoUrl: output,
+          parameters: {
+            prompt,
+            aspectRatio,
+            duration,
+            resolution,
+            generateAudio,
+            hasImage: !!image,
+            hasLastFrame: !!lastFrame,
+          },
+          creditsUsed: job.credits_cost,
+          timestamp: new Date().toISOString(),
+        },
+      };
     });
 
   } catch (error) {
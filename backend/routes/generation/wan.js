@@ -6,9 +6,11 @@
 
 const express = require('express');
 const { logger } = require('../../services/logger');
+const { startGenerationJob } = require('../../services/generationJobs');
 const { supabaseAdmin } = require('../../services/supabase');
 const { requireAuth } = require('../../middleware/auth');
-const { requireCredits, deductCredits } = require('../../middleware/credits');
+const { requireModelAccess } = require('../../middleware/permissions');
+const { requireCredits } = require('../../middleware/credits');
 const { validatePrompt } = require('../../middleware/validation');
 const { config } = require('../../config');
 const { runModel } = require('../../services/replicateClient');
@@ -21,8 +23,9 @@ const WAN_MODEL = "wan-video/wan-2.2-i2v-a14b";
 /**
  * POST /api/generate/wan
  * Generate video using WAN 2.2
+ * Queues a background job and returns 202 with its ID (GET /api/jobs/:id)
  */
-router.post('/', requireAuth, validatePrompt, requireCredits('wan'), async (req, res) => {
+router.post('/', requireAuth, requireModelAccess, validatePrompt, requireCredits('wan'), async (req, res) => {
   const { agency, agencyUser } = req;
 
   try {
@@ -54,71 +57,65 @@ router.post('/', requireAuth, validatePrompt, requireCredits('wan'), async (req,
       hasImage: !!image,
     });
 
-    const input = {
-      prompt,
-      resolution,
-      num_frames: numFrames,
-      frames_per_second: framesPerSecond,
-      sample_steps: sampleSteps,
-      sample_shift: sampleShift,
-      go_fast: goFast,
-    };
-
-    // Compress input image before sending (lesson from Vixxxen)
-    if (image) {
-      input.image = await compressImage(image, { maxDimension: 1024, quality: 75 });
-    }
-
-    if (seed !== undefined && seed !== null) {
-      input.seed = seed;
-    }
-
-    const output = await runModel(WAN_MODEL, input);
-
-    // Deduct credits
-    await deductCredits(req);
-
-    // Log generation
-    await supabaseAdmin.from('generations').insert({
-      agency_id: agency.id,
-      user_id: agencyUser.id,
-      model_id: model_id || null,
+    return startGenerationJob(req, res, {
       type: 'video',
       model: 'wan',
       prompt,
       parameters: { resolution, numFrames, framesPerSecond, hasImage: !!image },
-      status: 'completed',
-      result_url: output,
-      result_metadata: { resolution, numFrames },
-      credits_cost: req.creditCost,
-      completed_at: new Date().toISOString(),
-    });
-
-    // Save to gallery
-    await supabaseAdmin.from('gallery_items').insert({
-      agency_id: agency.id,
-      user_id: agencyUser.id,
-      model_id: model_id || null,
-      title: prompt.substring(0, 100),
-      url: output,
-      type: 'video',
-      source: 'generated',
-      tags: ['wan'],
-    });
-
-    res.json({
-      success: true,
-      model: 'wan-2.2-i2v-a14b',
-      videoUrl: output,
-      parameters: {
+      modelId: model_id,
+    }, async (job) => {
+      const input = {
         prompt,
         resolution,
-        numFrames,
-        framesPerSecond,
-        hasImage: !!image,
-      },
-      creditsUsed: req.creditCost,
-      timestamp: new Date().toISOString(),
+        num_frames: numFrames,
+        frames_per_second: framesPerSecond,
+        sample_steps: sampleSteps,
+        sample_shift: sampleShift,
+        go_fast: goFast,
+      };
+
+      // Compress input image before sending (lesson from Vixxxen)
+      if (image) {
+        input.image = await compressImage(image, { maxDimension: 1024, quality: 75 });
+      }
+
+      if (seed !== undefined && seed !== null) {
+        input.seed = seed;
+      }
+
+      const output = await runModel(WAN_MODEL, input);
+
+      // Save to gallery
+      await supabaseAdmin.from('gallery_items').insert({
+        agency_id: agency.id,
+        user_id: agencyUser.id,
+        generation_id: job.id,
+        model_id: model_id || null,
+        title: prompt.substring(0, 100),
+        url: output,
+        type: 'video',
+        source: 'generated',
+        tags: ['wan'],
+      });
+
+      return {
+        resultUrl: output,
+        resultMetadata: { resolution, numFrames },
+        response: {
+          success: true,
+          model: 'wan-2.2-i2v-a14b',
+          videoUrl: output,
+          parameters: {
+            prompt,
+            resolution,
+            numFrames,
+            framesPerSecond,
+            hasImage: !!image,
+          },
+          creditsUsed: job.credits_cost,
+          timestamp: new Date().toISOString(),
+        },
+      };
     });
 
   } catch (error) {
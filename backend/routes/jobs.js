@@ -0,0 +1,186 @@
+/**
+ * Generation Job Routes
+ * Status of background generation/editing jobs started by the
+ * /api/generate and /api/edit routes (services/generationJobs.js).
+ * Users see their own jobs; admins can open any job in the agency.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../services/supabase');
+const { requireAuth } = require('../middleware/auth');
+const { logger } = require('../services/logger');
+const {
+  jobEvents,
+  JOB_COLUMNS,
+  JOB_STATUSES,
+  ACTIVE_JOB_STATUSES,
+} = require('../services/generationJobs');
+
+const JOBS_PAGE_MAX = 50;
+const JOB_TYPES = ['image', 'video', 'edit'];
+
+// SSE: re-read the row this often, for jobs running in another instance
+const STREAM_POLL_INTERVAL_MS = 5000;
+
+router.use(requireAuth);
+
+/**
+ * Load a job the current user may see, or null
+ */
+async function getVisibleJob(req, columns = JOB_COLUMNS) {
+  const { agency, agencyUser } = req;
+
+  const { data: job } = await supabaseAdmin
+    .from('generations')
+    .select(columns)
+    .eq('id', req.params.id)
+    .eq('agency_id', agency.id)
+    .single();
+
+  if (!job) return null;
+
+  const isAdmin = ['owner', 'admin'].includes(agencyUser.role);
+  if (job.user_id !== agencyUser.id && !isAdmin) return null;
+
+  return job;
+}
+
+/**
+ * GET /api/jobs
+ * The current user's jobs, newest first
+ * Query params: type (image | video | edit), status (a job status or 'active'),
+ *   limit (default 20, max 50)
+ */
+router.get('/', async (req, res) => {
+  const { agency, agencyUser } = req;
+  const { type, status } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), JOBS_PAGE_MAX);
+
+  if (type && !JOB_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${JOB_TYPES.join(', ')}` });
+  }
+  if (status && status !== 'active' && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be 'active' or one of: ${JOB_STATUSES.join(', ')}` });
+  }
+
+  try {
+    let query = supabaseAdmin
+      .from('generations')
+      .select(JOB_COLUMNS)
+      .eq('agency_id', agency.id)
+      .eq('user_id', agencyUser.id);
+
+    if (type) query = query.eq('type', type);
+    if (status === 'active') {
+      query = query.in('status', ACTIVE_JOB_STATUSES);
+    } else if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: jobs, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      logger.error('Error fetching jobs:', error);
+      return res.status(500).json({ error: 'Failed to fetch jobs' });
+    }
+
+    res.json({ jobs: jobs || [] });
+  } catch (error) {
+    logger.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * A job's status; completed jobs include the endpoint's original response
+ * under `result`
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await getVisibleJob(req, `${JOB_COLUMNS}, result`);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    logger.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events stream of a job's status. Sends the current state
+ * right away, an event on every change, and closes once the job finishes
+ * (fetch GET /api/jobs/:id for the result).
+ */
+router.get('/:id/events', async (req, res) => {
+  let job;
+  try {
+    job = await getVisibleJob(req);
+  } catch (error) {
+    logger.error('Error opening job stream:', error);
+    return res.status(500).json({ error: 'Failed to fetch job' });
+  }
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let lastStatus = null;
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    jobEvents.off('update', onUpdate);
+    clearInterval(pollId);
+    res.end();
+  };
+
+  const send = (current) => {
+    if (closed || current.status === lastStatus) return;
+    lastStatus = current.status;
+    res.write(`event: job\ndata: ${JSON.stringify(current)}\n\n`);
+    if (!ACTIVE_JOB_STATUSES.includes(current.status)) {
+      close();
+    }
+  };
+
+  const onUpdate = (updated) => {
+    if (updated.id === job.id) send(updated);
+  };
+
+  // Catches changes made by other instances (and keeps proxies from
+  // timing out an idle connection)
+  const pollId = setInterval(async () => {
+    if (closed) return;
+    res.write(': ping\n\n');
+    const { data: current } = await supabaseAdmin
+      .from('generations')
+      .select(JOB_COLUMNS)
+      .eq('id', job.id)
+      .single();
+    if (current) send(current);
+  }, STREAM_POLL_INTERVAL_MS);
+
+  jobEvents.on('update', onUpdate);
+  req.on('close', close);
+
+  send(job);
+});
+
+module.exports = router;
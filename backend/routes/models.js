@@ -9,7 +9,9 @@ const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const { supabaseAdmin } = require('../services/supabase');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { hasPermission, canAccessModel, getAccessibleModelIds, applyModelScope } = require('../middleware/permissions');
 const { logger } = require('../services/logger');
+const { recordAudit } = require('../services/auditLog');
 const { upload } = require('../services/upload');
 const { compressImageBuffer, generateThumbnail } = require('../services/imageCompression');
 
@@ -71,9 +73,9 @@ function filterModelFields(model, isAdmin) {
 
 /**
  * POST /api/models/upload-avatar
- * Upload a model avatar image
+ * Upload a model avatar image (requires can_edit_profiles)
  */
-router.post('/upload-avatar', requireAuth, requireAdmin, upload.single('avatar'), async (req, res) => {
+router.post('/upload-avatar', requireAuth, hasPermission('can_edit_profiles'), upload.single('avatar'), async (req, res) => {
   const { agency } = req;
   const file = req.file;
 
@@ -149,6 +151,9 @@ router.get('/', requireAuth, async (req, res) => {
       query = query.eq('status', status);
     }
 
+    // Members with 'assigned' scope only see their creators
+    query = applyModelScope(query, await getAccessibleModelIds(req), { column: 'id' });
+
     const { data: models, error } = await query;
 
     if (error) {
@@ -183,7 +188,7 @@ router.get('/:id', requireAuth, async (req, res) => {
       .eq('agency_id', agency.id)
       .single();
 
-    if (error || !model) {
+    if (error || !model || !(await canAccessModel(req, model.id))) {
       return res.status(404).json({ error: 'Model not found' });
     }
 
@@ -320,6 +325,13 @@ router.post('/', requireAuth, requireAdmin, async (req, res) => {
       portalToken: model.portal_token?.substring(0, 8) + '...'
     });
 
+    recordAudit(req, {
+      action: 'model.created',
+      resourceType: 'model',
+      resourceId: model.id,
+      metadata: { name: model.name },
+    });
+
     res.status(201).json(model);
   } catch (error) {
     logger.error('Error creating model:', error);
@@ -329,11 +341,13 @@ router.post('/', requireAuth, requireAdmin, async (req, res) => {
 
 /**
  * PUT /api/models/:id
- * Update a model (admin only)
+ * Update a model's profile (requires can_edit_profiles and access to the model).
+ * Archiving via status stays admin-only.
  */
-router.put('/:id', requireAuth, requireAdmin, async (req, res) => {
-  const { agency } = req;
+router.put('/:id', requireAuth, hasPermission('can_edit_profiles'), async (req, res) => {
+  const { agency, agencyUser } = req;
   const { id } = req.params;
+  const isAdmin = agencyUser.role === 'admin' || agencyUser.role === 'owner';
 
   try {
     // Verify model belongs to agency
@@ -344,10 +358,14 @@ router.put('/:id', requireAuth, requireAdmin, async (req, res) => {
       .eq('agency_id', agency.id)
       .single();
 
-    if (!existing) {
+    if (!existing || !(await canAccessModel(req, existing.id))) {
       return res.status(404).json({ error: 'Model not found' });
     }
 
+    if (req.body.status !== undefined && !isAdmin) {
+      return res.status(403).json({ error: 'Only admins can archive or restore models' });
+    }
+
     const {
       name,
       avatar_url,
@@ -442,6 +460,13 @@ router.delete('/:id', requireAuth, requireAdmin, async (req, res) => {
 
     logger.info('Model archived', { agencyId: agency.id, modelId: id });
 
+    recordAudit(req, {
+      action: 'model.deleted',
+      resourceType: 'model',
+      resourceId: id,
+      metadata: { name: model.name },
+    });
+
     res.json({ success: true, model });
   } catch (error) {
     logger.error('Error archiving model:', error);
@@ -449,4 +474,42 @@ router.delete('/:id', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/models/:id/regenerate-portal-token
+ * Issue a new portal link for a model (admin only).
+ * The old link stops working immediately.
+ */
+router.post('/:id/regenerate-portal-token', requireAuth, requireAdmin, async (req, res) => {
+  const { agency } = req;
+  const { id } = req.params;
+
+  try {
+    const { data: model, error } = await supabaseAdmin
+      .from('agency_models')
+      .update({ portal_token: uuidv4() })
+      .eq('id', id)
+      .eq('agency_id', agency.id)
+      .select()
+      .single();
+
+    if (error || !model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    logger.info('Model portal token regenerated', { agencyId: agency.id, modelId: id });
+
+    recordAudit(req, {
+      action: 'model.portal_token_regenerated',
+      resourceType: 'model',
+      resourceId: id,
+      metadata: { name: model.name },
+    });
+
+    res.json({ success: true, portal_token: model.portal_token });
+  } catch (error) {
+    logger.error('Error regenerating portal token:', error);
+    res.status(500).json({ error: 'Failed to regenerate portal link' });
+  }
+});
+
 module.exports = router;
@@ -13,6 +13,34 @@ const { logger } = require('../services/logger');
 const { config } = require('../config');
 const { upload } = require('../services/upload');
 const { compressImageBuffer, generateThumbnail } = require('../services/imageCompression');
+const { emitEvent } = require('../services/webhookDelivery');
+
+/**
+ * Emit outbound webhook events for a portal upload batch (fire-and-forget).
+ */
+function emitUploadEvents(agencyId, modelId, uploads, requestId) {
+  const uploadRecords = uploads.filter(Boolean);
+  if (uploadRecords.length > 0) {
+    emitEvent(agencyId, 'content_upload.received', {
+      model_id: modelId,
+      request_id: requestId || null,
+      uploads: uploadRecords.map((u) => ({
+        id: u.id,
+        url: u.url,
+        file_name: u.file_name,
+        file_type: u.file_type,
+      })),
+    });
+  }
+
+  if (requestId) {
+    emitEvent(agencyId, 'content_request.delivered', {
+      request_id: requestId,
+      model_id: modelId,
+      upload_count: uploadRecords.length,
+    });
+  }
+}
 
 /**
  * Middleware: resolve model from portal token
@@ -253,6 +281,8 @@ router.post('/:token/upload-multipart', resolvePortalToken, upload.array('files'
         .eq('id', request_id);
     }
 
+    emitUploadEvents(agency.id, model.id, uploadRecords, request_id);
+
     res.status(201).json({
       success: true,
       uploads: uploadRecords,
@@ -380,6 +410,8 @@ router.post('/:token/upload', resolvePortalToken, async (req, res) => {
         .eq('id', request_id);
     }
 
+    emitUploadEvents(agency.id, model.id, inserted || [], request_id);
+
     res.status(201).json({
       success: true,
       uploads: inserted || [],
@@ -0,0 +1,46 @@
+/**
+ * Stripe Webhook Routes
+ * Receives Stripe events and applies them via services/billing.js.
+ *
+ * Mounted in server.js with express.raw() ahead of the JSON body parser —
+ * the signature is computed over the exact bytes Stripe sent. No agency
+ * resolution: events identify the agency through their metadata/customer.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { constructEvent } = require('../services/stripeClient');
+const { processStripeEvent } = require('../services/billing');
+const { logger } = require('../services/logger');
+
+/**
+ * POST /api/billing/webhook
+ * Stripe event endpoint (signature-verified via Stripe-Signature)
+ */
+router.post('/', async (req, res) => {
+  let event;
+  try {
+    event = constructEvent(req.body, req.headers['stripe-signature']);
+  } catch (error) {
+    logger.warn('Rejected Stripe webhook:', { error: error.message });
+    return res.status(400).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const { duplicate, agencyId } = await processStripeEvent(event);
+
+    if (duplicate) {
+      logger.info('Duplicate Stripe event ignored', { eventId: event.id, type: event.type });
+    } else {
+      logger.info('Stripe event processed', { eventId: event.id, type: event.type, agencyId });
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    // Non-2xx makes Stripe retry the event later
+    logger.error('Error processing Stripe event:', { eventId: event.id, type: event.type, error: error.message });
+    res.status(500).json({ error: 'Failed to process event' });
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,7 @@ const { logger } = require('../services/logger');
 const { createTeamInvitation } = require('../services/agencyProvisioning');
 const { sendTeamInviteEmail } = require('../services/email');
 const { validatePermissions, logTeamActivity } = require('../middleware/permissions');
+const { recordAudit } = require('../services/auditLog');
 
 /**
  * GET /api/team
@@ -245,6 +246,19 @@ router.put('/:userId', requireAuth, requireAdmin, async (req, res) => {
 
     logger.info(`User ${userId} updated by ${agencyUser.email}: ${JSON.stringify(updates)}`);
 
+    if (updates.credit_limit !== undefined && updates.credit_limit !== targetUser.credit_limit) {
+      recordAudit(req, {
+        action: 'credits.user_limit_changed',
+        resourceType: 'agency_user',
+        resourceId: userId,
+        metadata: {
+          user_name: targetUser.name,
+          previous_limit: targetUser.credit_limit,
+          new_limit: updates.credit_limit,
+        },
+      });
+    }
+
     res.json({ user: updatedUser });
   } catch (error) {
     logger.error('Error updating user:', error);
@@ -0,0 +1,401 @@
+/**
+ * Webhook Subscription Routes
+ * Manage outbound webhook subscriptions and inspect/replay deliveries (admin only).
+ * Delivery itself lives in services/webhookDelivery.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../services/supabase');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { validateUrl, MAX_URL_LENGTH } = require('../middleware/validation');
+const { logger } = require('../services/logger');
+const { config } = require('../config');
+const {
+  createAndSend,
+  replayDelivery,
+  generateSecret,
+  checkReceiverHostname,
+  WEBHOOK_EVENTS,
+} = require('../services/webhookDelivery');
+
+const MAX_SUBSCRIPTIONS = 10;
+
+// Columns safe to return in lists (secret is only returned on create/rotate)
+const PUBLIC_COLUMNS = 'id, url, events, enabled, created_by, created_at, last_triggered_at';
+
+// Delivery log columns (receivers' response bodies are never returned)
+const DELIVERY_COLUMNS = 'id, subscription_id, event, payload, status, attempts, response_status, error, '
+  + 'duration_ms, replay_of, created_at, completed_at';
+
+router.use(requireAuth, requireAdmin);
+
+/**
+ * Validate a subscription URL and event list.
+ * Returns an error message, or null if valid.
+ */
+function validateSubscription({ url, events }) {
+  if (url !== undefined) {
+    if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) {
+      return 'Invalid url';
+    }
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'Invalid url format';
+    }
+    // Plain http is only allowed for local testing
+    if (parsed.protocol !== 'https:' && !(config.isDev && parsed.protocol === 'http:')) {
+      return 'Webhook URL must use https';
+    }
+    // Names are resolved and checked again at delivery time
+    const hostError = config.isDev ? null : checkReceiverHostname(parsed.hostname);
+    if (hostError) {
+      return hostError;
+    }
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'At least one event is required';
+    }
+    const invalid = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+    if (invalid.length > 0) {
+      return `Invalid events: ${invalid.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/webhooks/events
+ * List event types that can be subscribed to
+ */
+router.get('/events', (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS });
+});
+
+/**
+ * GET /api/webhooks
+ * List webhook subscriptions with a count of recent failed deliveries
+ */
+router.get('/', async (req, res) => {
+  const { agency } = req;
+
+  try {
+    const { data: subscriptions, error } = await supabaseAdmin
+      .from('webhook_subscriptions')
+      .select(PUBLIC_COLUMNS)
+      .eq('agency_id', agency.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('Error fetching webhook subscriptions:', error);
+      return res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+
+    // Failed deliveries in the last 7 days, per subscription
+    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    const { data: failed } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .select('subscription_id')
+      .eq('agency_id', agency.id)
+      .eq('status', 'failed')
+      .gte('created_at', since);
+
+    const failedCounts = {};
+    for (const row of failed || []) {
+      failedCounts[row.subscription_id] = (failedCounts[row.subscription_id] || 0) + 1;
+    }
+
+    res.json({
+      subscriptions: (subscriptions || []).map((s) => ({
+        ...s,
+        recent_failures: failedCounts[s.id] || 0,
+      })),
+      events: WEBHOOK_EVENTS,
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook subscriptions:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Create a subscription. The signing secret is returned once.
+ * Body: { url, events: [...], enabled? }
+ */
+router.post('/', validateUrl('url'), async (req, res) => {
+  const { agency, agencyUser } = req;
+  const { url, events, enabled } = req.body;
+
+  const validationError = validateSubscription({ url, events });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const { count } = await supabaseAdmin
+      .from('webhook_subscriptions')
+      .select('*', { count: 'exact', head: true })
+      .eq('agency_id', agency.id);
+
+    if ((count || 0) >= MAX_SUBSCRIPTIONS) {
+      return res.status(400).json({ error: `Maximum of ${MAX_SUBSCRIPTIONS} webhooks reached` });
+    }
+
+    const { data: subscription, error } = await supabaseAdmin
+      .from('webhook_subscriptions')
+      .insert({
+        agency_id: agency.id,
+        url,
+        events: [...new Set(events)],
+        secret: generateSecret(),
+        enabled: enabled !== false,
+        created_by: agencyUser.id,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A webhook for this URL already exists' });
+      }
+      logger.error('Error creating webhook subscription:', error);
+      return res.status(500).json({ error: 'Failed to create webhook' });
+    }
+
+    logger.info('Webhook subscription created', {
+      agencyId: agency.id,
+      subscriptionId: subscription.id,
+      events: subscription.events,
+    });
+
+    res.status(201).json(subscription);
+  } catch (error) {
+    logger.error('Error creating webhook subscription:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update a subscription
+ * Body: { url?, events?, enabled? }
+ */
+router.put('/:id', async (req, res) => {
+  const { agency } = req;
+  const { id } = req.params;
+  const { url, events, enabled } = req.body;
+
+  const validationError = validateSubscription({ url, events });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const updates = {};
+  if (url !== undefined) updates.url = url;
+  if (events !== undefined) updates.events = [...new Set(events)];
+  if (enabled !== undefined) updates.enabled = !!enabled;
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'No valid fields to update' });
+  }
+
+  try {
+    const { data: subscription, error } = await supabaseAdmin
+      .from('webhook_subscriptions')
+      .update(updates)
+      .eq('id', id)
+      .eq('agency_id', agency.id)
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'A webhook for this URL already exists' });
+    }
+
+    if (error || !subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(subscription);
+  } catch (error) {
+    logger.error('Error updating webhook subscription:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a subscription (and its delivery log)
+ */
+router.delete('/:id', async (req, res) => {
+  const { agency } = req;
+  const { id } = req.params;
+
+  try {
+    const { data: subscription, error } = await supabaseAdmin
+      .from('webhook_subscriptions')
+      .delete()
+      .eq('id', id)
+      .eq('agency_id', agency.id)
+      .select('id')
+      .single();
+
+    if (error || !subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    logger.info('Webhook subscription deleted', { agencyId: agency.id, subscriptionId: id });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting webhook subscription:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the signing secret. The new secret is returned once.
+ */
+router.post('/:id/rotate-secret', async (req, res) => {
+  const { agency } = req;
+  const { id } = req.params;
+
+  try {
+    const { data: subscription, error } = await supabaseAdmin
+      .from('webhook_subscriptions')
+      .update({ secret: generateSecret() })
+      .eq('id', id)
+      .eq('agency_id', agency.id)
+      .select()
+      .single();
+
+    if (error || !subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    logger.info('Webhook secret rotated', { agencyId: agency.id, subscriptionId: id });
+    res.json(subscription);
+  } catch (error) {
+    logger.error('Error rotating webhook secret:', error);
+    res.status(500).json({ error: 'Failed to rotate secret' });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a "ping" event to this subscription and return the delivery result
+ */
+router.post('/:id/test', async (req, res) => {
+  const { agency } = req;
+  const { id } = req.params;
+
+  try {
+    const { data: subscription } = await supabaseAdmin
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('id', id)
+      .eq('agency_id', agency.id)
+      .single();
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await createAndSend(subscription, {
+      event: 'ping',
+      agency_id: agency.id,
+      created_at: new Date().toISOString(),
+      data: { message: 'Test delivery from Agency Studio' },
+    }, { retryOptions: { maxRetries: 0 } });
+
+    if (!delivery) {
+      return res.status(500).json({ error: 'Failed to send test delivery' });
+    }
+
+    res.json({ delivery });
+  } catch (error) {
+    logger.error('Error sending test webhook:', error);
+    res.status(500).json({ error: 'Failed to send test delivery' });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log for a subscription
+ * Query params: status, limit, offset
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  const { agency } = req;
+  const { id } = req.params;
+  const { status } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  try {
+    let query = supabaseAdmin
+      .from('webhook_deliveries')
+      .select(DELIVERY_COLUMNS, { count: 'exact' })
+      .eq('subscription_id', id)
+      .eq('agency_id', agency.id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+
+    const { data: deliveries, count, error } = await query;
+
+    if (error) {
+      logger.error('Error fetching webhook deliveries:', error);
+      return res.status(500).json({ error: 'Failed to fetch deliveries' });
+    }
+
+    res.json({ deliveries: deliveries || [], total: count || 0, limit, offset });
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/replay
+ * Re-send a previous delivery's payload (creates a new delivery record)
+ */
+router.post('/deliveries/:deliveryId/replay', async (req, res) => {
+  const { agency } = req;
+  const { deliveryId } = req.params;
+
+  try {
+    const { data: delivery } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .select('*, webhook_subscriptions!inner(*)')
+      .eq('id', deliveryId)
+      .eq('agency_id', agency.id)
+      .single();
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const { webhook_subscriptions: subscription, ...original } = delivery;
+    // Single attempt — the admin is waiting on the result and can replay again
+    const replayed = await replayDelivery(original, subscription, { maxRetries: 0 });
+
+    if (!replayed) {
+      return res.status(500).json({ error: 'Failed to replay delivery' });
+    }
+
+    logger.info('Webhook delivery replayed', { agencyId: agency.id, deliveryId, replayId: replayed.id });
+    res.json({ delivery: replayed });
+  } catch (error) {
+    logger.error('Error replaying webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to replay delivery' });
+  }
+});
+
+module.exports = router;
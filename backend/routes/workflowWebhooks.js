@@ -0,0 +1,204 @@
+/**
+ * Workflow Webhook Routes
+ * Public endpoint for starting workflow runs from external systems.
+ * Authenticated via webhook_token on workflow_triggers (no user login needed).
+ * Mounted under /api so agency resolution applies — the token must belong
+ * to the agency whose domain received the request.
+ *
+ * The JSON request body is stored on the run as trigger_payload and is
+ * available to node configs as {{payload.*}} template variables.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../services/supabase');
+const { logger } = require('../services/logger');
+const { getCurrentVersion } = require('../services/workflowVersions');
+const { checkRun, getRunRefusal } = require('../services/workflowValidation');
+
+const TOKEN_REGEX = /^[a-f0-9]{64}$/;
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+/**
+ * POST /api/workflow-webhooks/:token
+ * Start a run of the workflow that owns this webhook trigger.
+ * Body: any JSON object (exposed as {{payload.*}})
+ */
+router.post('/:token', async (req, res) => {
+  const { agency } = req;
+  const { token } = req.params;
+
+  if (!TOKEN_REGEX.test(token)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  const payload = req.body && typeof req.body === 'object' && !Array.isArray(req.body)
+    ? req.body
+    : {};
+
+  if (Buffer.byteLength(JSON.stringify(payload)) > MAX_PAYLOAD_BYTES) {
+    return res.status(413).json({ error: 'Webhook payload must be 64KB or smaller' });
+  }
+
+  try {
+    const { data: trigger, error } = await supabaseAdmin
+      .from('workflow_triggers')
+      .select('*, workflows!inner(id, agency_id, model_id, status)')
+      .eq('webhook_token', token)
+      .eq('agency_id', agency.id)
+      .eq('trigger_type', 'webhook')
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      logger.error('Webhook trigger lookup error:', error);
+      return res.status(500).json({ error: 'Failed to process webhook' });
+    }
+
+    if (!trigger) {
+      logger.warn(`Invalid webhook token attempt: ${token.substring(0, 8)}...`);
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (!trigger.enabled) {
+      return res.status(403).json({ error: 'This webhook is disabled' });
+    }
+
+    const workflow = trigger.workflows;
+
+    if (workflow.status !== 'active') {
+      return res.status(409).json({ error: 'Workflow is not active' });
+    }
+
+    if (!workflow.model_id) {
+      return res.status(409).json({ error: 'Cannot run a template workflow. Assign it to a model first.' });
+    }
+
+    // Respect max_concurrent_runs (same rule as scheduled triggers)
+    const { count: activeRuns } = await supabaseAdmin
+      .from('workflow_runs')
+      .select('*', { count: 'exact', head: true })
+      .eq('workflow_id', workflow.id)
+      .in('status', ['running', 'waiting_for_review']);
+
+    if ((activeRuns || 0) >= (trigger.max_concurrent_runs || 1)) {
+      logger.info('Webhook rejected: max concurrent runs reached', {
+        triggerId: trigger.id,
+        activeRuns,
+        maxConcurrent: trigger.max_concurrent_runs,
+      });
+      return res.status(429).json({
+        error: 'Too many active runs',
+        message: 'This workflow is already running the maximum number of concurrent runs.',
+      });
+    }
+
+    // Pre-flight credit check (fresh read — req.agency may be cached)
+    const { data: agencyCredits } = await supabaseAdmin
+      .from('agencies')
+      .select('credit_pool')
+      .eq('id', agency.id)
+      .single();
+
+    if (!agencyCredits || agencyCredits.credit_pool <= 0) {
+      logger.warn('Webhook rejected: insufficient credits', {
+        triggerId: trigger.id,
+        agencyId: agency.id,
+      });
+      return res.status(402).json({
+        error: 'Insufficient credits',
+        message: 'The agency has run out of credits.',
+      });
+    }
+
+    // Pin the run to the current version
+    const version = await getCurrentVersion(workflow.id);
+    const { nodes } = version;
+
+    if (nodes.length === 0) {
+      return res.status(409).json({ error: 'Workflow has no nodes' });
+    }
+
+    // Same pre-run check as a manual run, with no way to confirm going over
+    const { data: model } = await supabaseAdmin
+      .from('agency_models')
+      .select('*')
+      .eq('id', workflow.model_id)
+      .single();
+
+    const refusal = getRunRefusal(checkRun(version, [model || null], agencyCredits, null));
+    if (refusal) {
+      logger.warn('Webhook rejected by pre-run check', {
+        triggerId: trigger.id,
+        agencyId: agency.id,
+        error: refusal.body.error,
+      });
+      return res.status(refusal.status).json(refusal.body);
+    }
+
+    // Create the run (same as POST /api/workflows/:id/run)
+    const { data: run, error: runError } = await supabaseAdmin
+      .from('workflow_runs')
+      .insert({
+        workflow_id: workflow.id,
+        model_id: workflow.model_id,
+        version_id: version.id,
+        started_by: null, // Webhook — no user
+        status: 'running',
+        trigger_id: trigger.id,
+        trigger_payload: payload,
+      })
+      .select()
+      .single();
+
+    if (runError) {
+      logger.error('Error creating webhook run:', runError);
+      return res.status(500).json({ error: 'Failed to start workflow run' });
+    }
+
+    const resultRows = nodes.map((n) => ({
+      run_id: run.id,
+      node_id: n.id,
+      status: 'pending',
+    }));
+
+    const { error: resultsError } = await supabaseAdmin
+      .from('workflow_node_results')
+      .insert(resultRows);
+
+    if (resultsError) {
+      logger.error('Error creating node results:', resultsError);
+    }
+
+    await supabaseAdmin
+      .from('workflow_triggers')
+      .update({ last_triggered_at: new Date().toISOString() })
+      .eq('id', trigger.id);
+
+    // Fire-and-forget execution
+    try {
+      const { runWorkflow } = require('../services/workflowRunner');
+      runWorkflow(run.id).catch((err) => {
+        logger.error('Webhook workflow run failed:', { runId: run.id, error: err.message });
+      });
+    } catch (importError) {
+      logger.warn('Workflow runner not available:', importError.message);
+    }
+
+    logger.info('Webhook workflow run started', {
+      triggerId: trigger.id,
+      workflowId: workflow.id,
+      runId: run.id,
+    });
+
+    res.status(202).json({
+      success: true,
+      run_id: run.id,
+      status: run.status,
+    });
+  } catch (error) {
+    logger.error('Error handling workflow webhook:', error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 /**
  * Workflow Routes
- * CRUD for workflows, nodes, edges. Bulk graph save. Clone. Run management.
+ * CRUD for workflows, nodes, edges. Bulk graph save. Versions. Clone.
+ * Export/import. Run management. Batch runs of templates.
  */
 
 const express = require('express');
@@ -8,13 +9,75 @@ const router = express.Router();
 const { supabaseAdmin } = require('../services/supabase');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const { logger } = require('../services/logger');
+const { recordAudit } = require('../services/auditLog');
+const {
+  canAccessModel,
+  getAccessibleModelIds,
+  applyModelScope,
+  hasPermission,
+} = require('../middleware/permissions');
 const {
   getNodeTypeList,
   getNodeType,
+  getNodeOutputs,
   isPortCompatible,
   NODE_CATEGORIES,
 } = require('../services/workflowNodeTypes');
-const { computeNextTriggerAt } = require('../services/workflowScheduler');
+const { validateConditionConfig } = require('../services/workflowConditions');
+const { findLoops } = require('../services/workflowLoops');
+const {
+  computeNextTriggerAt,
+  previewTriggerTimes,
+  validateScheduleConfig,
+  validateMisfireSettings,
+} = require('../services/workflowScheduler');
+const { resumeRun, cancelRun } = require('../services/workflowRunner');
+const {
+  getReviewSettings,
+  canReview,
+  findRegenerateTarget,
+  appendFeedback,
+  approveReview,
+} = require('../services/workflowReviews');
+const {
+  VERSION_LIST_COLUMNS,
+  createVersion,
+  getCurrentVersion,
+  loadRunGraph,
+  diffGraphs,
+} = require('../services/workflowVersions');
+const { buildBundle, validateBundle } = require('../services/workflowBundles');
+const { MAX_BATCH_MODELS, startBatch, summarizeBatches } = require('../services/workflowBatches');
+const { checkRun, checkRequeue, getRunRefusal } = require('../services/workflowValidation');
+const { getOpenHoldCredits } = require('../services/creditLedger');
+const {
+  PUBLISH_PLATFORMS,
+  PUBLISH_STATUSES,
+  getExportDownloadUrl,
+} = require('../services/workflowExports');
+const {
+  runEvents,
+  publishNodeResult,
+  RUN_EVENT_COLUMNS,
+  NODE_EVENT_COLUMNS,
+  FINISHED_RUN_STATUSES,
+} = require('../services/workflowRunEvents');
+
+// SSE: re-read runs this often, for runs executing in another instance
+const STREAM_POLL_INTERVAL_MS = 5000;
+
+// Node result fields cleared when a node is queued to run again
+const REQUEUED_NODE_RESULT = {
+  status: 'pending',
+  output: null,
+  error: null,
+  credits_used: 0,
+  iterations: null,
+  attempts: null,
+  review_expires_at: null,
+  started_at: null,
+  completed_at: null,
+};
 
 // =============================================
 // NODE TYPE REGISTRY
@@ -37,6 +100,200 @@ router.get('/node-types', requireAuth, (req, res) => {
 // otherwise Express matches "runs" as a workflow :id param.
 // =============================================
 
+/**
+ * Start a Server-Sent Events response. Calls poll() every
+ * STREAM_POLL_INTERVAL_MS (after a keep-alive ping) until the client
+ * disconnects or close() is called; onClose runs once on either.
+ * Returns { send(event, data), close }.
+ */
+function openEventStream(req, res, { poll, onClose }) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(pollId);
+    onClose();
+    res.end();
+  };
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const pollId = setInterval(async () => {
+    if (closed) return;
+    res.write(': ping\n\n');
+    try {
+      await poll();
+    } catch (error) {
+      logger.error('Run stream poll failed:', error.message);
+    }
+  }, STREAM_POLL_INTERVAL_MS);
+
+  req.on('close', close);
+
+  return { send, close };
+}
+
+/**
+ * GET /api/workflows/runs/events
+ * Server-Sent Events stream of run status changes across the agency
+ * (runs of creators the user can access). Sends a `run` event whenever a
+ * run starts, changes status or uses credits; stays open until the
+ * client disconnects.
+ */
+router.get('/runs/events', requireAuth, async (req, res) => {
+  const { agency } = req;
+
+  let modelIds;
+  try {
+    modelIds = await getAccessibleModelIds(req);
+  } catch (error) {
+    logger.error('Error opening run stream:', error);
+    return res.status(500).json({ error: 'Failed to open run stream' });
+  }
+
+  const canSee = (run) => !run.model_id || modelIds === null || modelIds.includes(run.model_id);
+
+  // Last state sent per run, so polling only reports changes
+  const lastSent = new Map();
+
+  const sendRun = (run) => {
+    const key = `${run.status}:${run.credits_used}`;
+    if (lastSent.get(run.id) === key) return;
+    lastSent.set(run.id, key);
+    if (FINISHED_RUN_STATUSES.includes(run.status)) {
+      // Finished runs don't change again; stop polling them
+      lastSent.delete(run.id);
+    }
+    stream.send('run', run);
+  };
+
+  const onRun = (run) => {
+    if (run.agency_id === agency.id && canSee(run)) sendRun(run);
+  };
+
+  const stream = openEventStream(req, res, {
+    // Unfinished runs, plus the ones we last saw unfinished (to catch them finishing)
+    poll: async () => {
+      const known = [...lastSent.keys()];
+      let query = supabaseAdmin
+        .from('workflow_runs')
+        .select(`${RUN_EVENT_COLUMNS}, workflows!inner(agency_id)`)
+        .eq('workflows.agency_id', agency.id);
+      query = known.length > 0
+        ? query.or(`status.in.(running,waiting_for_review),id.in.(${known.join(',')})`)
+        : query.in('status', ['running', 'waiting_for_review']);
+
+      const { data: runs, error } = await applyModelScope(query, modelIds, { includeUnassigned: true });
+      if (error) throw new Error(error.message);
+
+      for (const { workflows: _, ...run } of runs || []) {
+        sendRun({ ...run, agency_id: agency.id });
+      }
+    },
+    onClose: () => runEvents.off('run', onRun),
+  });
+
+  runEvents.on('run', onRun);
+});
+
+/**
+ * GET /api/workflows/runs/:runId/events
+ * Server-Sent Events stream of one run's progress: `run` events for status
+ * and credits used, `node` events for node status, outputs and errors
+ * (including waiting_for_review pauses). Sends the current state right away
+ * and closes once the run finishes.
+ */
+router.get('/runs/:runId/events', requireAuth, async (req, res) => {
+  const { agency } = req;
+  const { runId } = req.params;
+
+  let run;
+  try {
+    const { data } = await supabaseAdmin
+      .from('workflow_runs')
+      .select(`${RUN_EVENT_COLUMNS}, workflows!inner(agency_id)`)
+      .eq('id', runId)
+      .single();
+    run = data;
+
+    if (!run || run.workflows.agency_id !== agency.id || !(await canAccessModel(req, run.model_id))) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+  } catch (error) {
+    logger.error('Error opening run stream:', error);
+    return res.status(500).json({ error: 'Failed to open run stream' });
+  }
+
+  // Last state sent per run/node, so polling only reports changes
+  let lastRunKey = null;
+  const lastNodeKeys = new Map();
+
+  const sendRun = (current) => {
+    const key = `${current.status}:${current.credits_used}`;
+    if (key === lastRunKey) return;
+    lastRunKey = key;
+    const { workflows: _, ...runData } = current;
+    stream.send('run', { ...runData, agency_id: agency.id });
+    if (FINISHED_RUN_STATUSES.includes(current.status)) {
+      stream.close();
+    }
+  };
+
+  const sendNode = (result) => {
+    const key = `${result.status}:${result.credits_used}:${JSON.stringify(result.output)}:${result.error}`;
+    if (lastNodeKeys.get(result.id) === key) return;
+    lastNodeKeys.set(result.id, key);
+    stream.send('node', result);
+  };
+
+  const refresh = async () => {
+    const [runResult, resultsResult] = await Promise.all([
+      supabaseAdmin.from('workflow_runs').select(RUN_EVENT_COLUMNS).eq('id', runId).single(),
+      supabaseAdmin.from('workflow_node_results').select(NODE_EVENT_COLUMNS).eq('run_id', runId),
+    ]);
+    // Nodes first: a finishing run closes the stream
+    (resultsResult.data || []).forEach(sendNode);
+    if (runResult.data) sendRun(runResult.data);
+  };
+
+  const onRun = (updated) => {
+    if (updated.id === runId) sendRun(updated);
+  };
+  const onNode = (updated) => {
+    if (updated.run_id === runId) sendNode(updated);
+  };
+
+  const stream = openEventStream(req, res, {
+    poll: refresh,
+    onClose: () => {
+      runEvents.off('run', onRun);
+      runEvents.off('node', onNode);
+    },
+  });
+
+  runEvents.on('run', onRun);
+  runEvents.on('node', onNode);
+
+  try {
+    await refresh();
+  } catch (error) {
+    logger.error('Error sending run state:', error);
+    stream.close();
+  }
+});
+
 /**
  * GET /api/workflows/runs/:runId
  * Get run status with all node results
@@ -52,21 +309,26 @@ router.get('/runs/:runId', requireAuth, async (req, res) => {
       .eq('id', runId)
       .single();
 
-    if (error || !run || run.workflows.agency_id !== agency.id) {
+    if (error || !run || run.workflows.agency_id !== agency.id || !(await canAccessModel(req, run.model_id))) {
       return res.status(404).json({ error: 'Run not found' });
     }
 
-    // Fetch node results
-    const { data: results } = await supabaseAdmin
-      .from('workflow_node_results')
-      .select('*')
-      .eq('run_id', runId);
+    // Fetch node results and the graph the run executed
+    const [{ data: results }, { nodes, edges }] = await Promise.all([
+      supabaseAdmin
+        .from('workflow_node_results')
+        .select('*')
+        .eq('run_id', runId),
+      loadRunGraph(run),
+    ]);
 
     // Clean up the response
     const { workflows: _, ...runData } = run;
 
     res.json({
       ...runData,
+      nodes,
+      edges,
       node_results: results || [],
     });
   } catch (error) {
@@ -75,6 +337,65 @@ router.get('/runs/:runId', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Load a run, its graph and one of its node results waiting for review,
+ * checking the agency, model access and (for review nodes) the assigned
+ * reviewer. Sends the error response and returns null if any check fails.
+ */
+async function loadWaitingReview(req, res) {
+  const { agency, agencyUser } = req;
+  const { runId, nodeId } = req.params;
+
+  // Verify run belongs to agency
+  const { data: run } = await supabaseAdmin
+    .from('workflow_runs')
+    .select('*, workflows!inner(agency_id)')
+    .eq('id', runId)
+    .single();
+
+  if (!run || run.workflows.agency_id !== agency.id || !(await canAccessModel(req, run.model_id))) {
+    res.status(404).json({ error: 'Run not found' });
+    return null;
+  }
+
+  // Other branches may still be running while this node waits
+  if (!['running', 'waiting_for_review'].includes(run.status)) {
+    res.status(400).json({ error: 'Run is not waiting for review' });
+    return null;
+  }
+
+  // Get the node result
+  const { data: result } = await supabaseAdmin
+    .from('workflow_node_results')
+    .select('*')
+    .eq('run_id', runId)
+    .eq('node_id', nodeId)
+    .single();
+
+  if (!result || result.status !== 'waiting_for_review') {
+    res.status(400).json({ error: 'This node is not waiting for review' });
+    return null;
+  }
+
+  const { nodes, edges } = await loadRunGraph(run);
+  const node = nodes.find((n) => n.id === nodeId);
+  if (!node) {
+    res.status(404).json({ error: 'Node not found in this run' });
+    return null;
+  }
+
+  const settings = node.node_type === 'review'
+    ? getReviewSettings({ ...node.config, ...result.config_override })
+    : null;
+
+  if (settings && !canReview(agencyUser, settings.reviewer)) {
+    res.status(403).json({ error: 'This review is assigned to someone else' });
+    return null;
+  }
+
+  return { run, result, node, settings, nodes, edges };
+}
+
 /**
  * POST /api/workflows/runs/:runId/nodes/:nodeId/approve
  * Approve a review/pick node to resume workflow execution
@@ -82,41 +403,17 @@ router.get('/runs/:runId', requireAuth, async (req, res) => {
  * Body for pick: { selected_index: 0 } (which image from batch)
  */
 router.post('/runs/:runId/nodes/:nodeId/approve', requireAuth, async (req, res) => {
-  const { agency } = req;
-  const { runId, nodeId } = req.params;
+  const { agencyUser } = req;
   const { selected_index } = req.body;
 
   try {
-    // Verify run belongs to agency
-    const { data: run } = await supabaseAdmin
-      .from('workflow_runs')
-      .select('*, workflows!inner(agency_id)')
-      .eq('id', runId)
-      .single();
-
-    if (!run || run.workflows.agency_id !== agency.id) {
-      return res.status(404).json({ error: 'Run not found' });
-    }
-
-    if (run.status !== 'waiting_for_review') {
-      return res.status(400).json({ error: 'Run is not waiting for review' });
-    }
-
-    // Get the node result
-    const { data: result } = await supabaseAdmin
-      .from('workflow_node_results')
-      .select('*, workflow_nodes!inner(node_type)')
-      .eq('run_id', runId)
-      .eq('node_id', nodeId)
-      .single();
-
-    if (!result || result.status !== 'waiting_for_review') {
-      return res.status(400).json({ error: 'This node is not waiting for review' });
-    }
+    const review = await loadWaitingReview(req, res);
+    if (!review) return;
+    const { result, node } = review;
 
     // For pick nodes, extract the selected image
     let updatedOutput = result.output;
-    if (result.workflow_nodes.node_type === 'pick' && selected_index !== undefined) {
+    if (node.node_type === 'pick' && selected_index !== undefined) {
       const idx = Number(selected_index);
       if (!Number.isInteger(idx)) {
         return res.status(400).json({ error: 'selected_index must be an integer' });
@@ -125,33 +422,23 @@ router.post('/runs/:runId/nodes/:nodeId/approve', requireAuth, async (req, res)
       if (idx < 0 || idx >= images.length) {
         return res.status(400).json({ error: 'Invalid selection index' });
       }
-      updatedOutput = { image: images[idx] };
+      // Keep the auto pick scores when a human picks after all
+      updatedOutput = { image: images[idx], ...(result.output?.auto_pick && { auto_pick: result.output.auto_pick }) };
     }
 
-    // Mark node as completed
-    await supabaseAdmin
-      .from('workflow_node_results')
-      .update({
-        status: 'completed',
-        output: updatedOutput,
-        completed_at: new Date().toISOString(),
-      })
-      .eq('id', result.id);
-
-    // Update run status back to running
-    await supabaseAdmin
-      .from('workflow_runs')
-      .update({ status: 'running' })
-      .eq('id', runId);
+    // Mark node as completed and resume execution
+    const approved = await approveReview(result, {
+      output: updatedOutput,
+      review: {
+        ...(result.review || {}),
+        approved_by: agencyUser.id,
+        approved_by_name: agencyUser.name,
+        approved_at: new Date().toISOString(),
+      },
+    });
 
-    // Resume execution
-    try {
-      const { runWorkflow } = require('../services/workflowRunner');
-      runWorkflow(runId).catch((err) => {
-        logger.error('Workflow resume failed:', { runId, error: err.message });
-      });
-    } catch (importError) {
-      logger.warn('Workflow runner not available yet:', importError.message);
+    if (!approved) {
+      return res.status(409).json({ error: 'This node was already reviewed' });
     }
 
     res.json({ success: true });
@@ -161,6 +448,140 @@ router.post('/runs/:runId/nodes/:nodeId/approve', requireAuth, async (req, res)
   }
 });
 
+/**
+ * POST /api/workflows/runs/:runId/nodes/:nodeId/reject
+ * Reject a review/pick node.
+ * Body: { reason: string (required), regenerate: boolean, confirm: boolean }
+ * Without regenerate the node fails, and with it the run. With regenerate
+ * the nearest upstream node with a prompt runs again with the reason
+ * appended to its prompt, followed by everything downstream of it
+ * (including this node), up to the review's max_regenerations; confirm
+ * goes ahead past the user's credit limit.
+ */
+router.post('/runs/:runId/nodes/:nodeId/reject', requireAuth, async (req, res) => {
+  const { agencyUser } = req;
+  const { runId, nodeId } = req.params;
+  const { reason, regenerate = false } = req.body;
+
+  try {
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required to reject' });
+    }
+    if (reason.length > 2000) {
+      return res.status(400).json({ error: 'Reason must be 2000 characters or fewer' });
+    }
+
+    const review = await loadWaitingReview(req, res);
+    if (!review) return;
+    const { run, result, node, settings, nodes, edges } = review;
+
+    const rejections = result.review?.rejections || [];
+    const rejection = {
+      reason: reason.trim(),
+      regenerate: !!regenerate,
+      rejected_by: agencyUser.id,
+      rejected_by_name: agencyUser.name,
+      rejected_at: new Date().toISOString(),
+    };
+
+    if (!regenerate) {
+      const { data: rejected } = await supabaseAdmin
+        .from('workflow_node_results')
+        .update({
+          status: 'failed',
+          error: `Rejected: ${rejection.reason}`,
+          review: { ...(result.review || {}), rejections: [...rejections, rejection] },
+          review_expires_at: null,
+          completed_at: new Date().toISOString(),
+        })
+        .eq('id', result.id)
+        .eq('status', 'waiting_for_review')
+        .select(NODE_EVENT_COLUMNS)
+        .maybeSingle();
+
+      if (!rejected) {
+        return res.status(409).json({ error: 'This node was already reviewed' });
+      }
+      publishNodeResult(rejected);
+
+      // The runner fails the run once its running nodes have settled
+      await resumeRun(runId);
+
+      logger.info('Workflow review rejected', { runId, nodeId });
+      return res.json({ success: true });
+    }
+
+    const maxRegenerations = settings ? settings.maxRegenerations : getReviewSettings().maxRegenerations;
+    if (rejections.filter((r) => r.regenerate).length >= maxRegenerations) {
+      return res.status(400).json({
+        error: `${node.label} has already been regenerated ${maxRegenerations} time(s). Approve it or reject without regenerating.`,
+      });
+    }
+
+    const { data: results } = await supabaseAdmin
+      .from('workflow_node_results')
+      .select('*')
+      .eq('run_id', runId);
+
+    const target = findRegenerateTarget(nodeId, nodes, edges);
+    if (!target) {
+      return res.status(400).json({ error: `No node with a prompt feeds ${node.label}, so there is nothing to regenerate` });
+    }
+
+    let nodeIds;
+    try {
+      nodeIds = [...findDownstreamNodes([findRerunStart(target.id, nodes, edges)], edges)];
+    } catch (loopError) {
+      return res.status(400).json({ error: loopError.message });
+    }
+
+    // Nodes on other branches fed by the regenerated node may still be running
+    const busy = (results || []).find((r) => nodeIds.includes(r.node_id) && r.status === 'running');
+    if (busy) {
+      return res.status(409).json({ error: 'Nodes after the regenerated node are still running. Try again when they finish.' });
+    }
+
+    const refusal = await getRequeueRefusal(req, run, { nodes, edges }, results, nodeIds);
+    if (refusal) {
+      return res.status(refusal.status).json(refusal.body);
+    }
+
+    const targetResult = (results || []).find((r) => r.node_id === target.id);
+    const prompt = targetResult?.config_override?.prompt ?? target.config?.prompt;
+    const configOverride = { ...(targetResult?.config_override || {}), prompt: appendFeedback(prompt, rejection.reason) };
+
+    const [{ error: overrideError }, { data: recorded }] = await Promise.all([
+      supabaseAdmin
+        .from('workflow_node_results')
+        .update({ config_override: configOverride })
+        .eq('id', targetResult.id),
+      supabaseAdmin
+        .from('workflow_node_results')
+        .update({ review: { ...(result.review || {}), rejections: [...rejections, { ...rejection, node_id: target.id }] } })
+        .eq('id', result.id)
+        .eq('status', 'waiting_for_review')
+        .select('id')
+        .maybeSingle(),
+    ]);
+
+    if (overrideError) {
+      logger.error('Error saving regenerate prompt:', overrideError);
+      return res.status(500).json({ error: 'Failed to reject node' });
+    }
+    if (!recorded) {
+      return res.status(409).json({ error: 'This node was already reviewed' });
+    }
+
+    await requeueRunNodes(run, nodeIds);
+
+    logger.info('Workflow review rejected, regenerating', { runId, nodeId, targetId: target.id, nodeCount: nodeIds.length });
+    res.json({ success: true, node_ids: nodeIds });
+  } catch (error) {
+    logger.error('Error rejecting node:', error);
+    res.status(500).json({ error: 'Failed to reject node' });
+  }
+});
+
 /**
  * POST /api/workflows/runs/:runId/cancel
  * Cancel a running workflow
@@ -176,7 +597,7 @@ router.post('/runs/:runId/cancel', requireAuth, async (req, res) => {
       .eq('id', runId)
       .single();
 
-    if (!run || run.workflows.agency_id !== agency.id) {
+    if (!run || run.workflows.agency_id !== agency.id || !(await canAccessModel(req, run.model_id))) {
       return res.status(404).json({ error: 'Run not found' });
     }
 
@@ -184,23 +605,7 @@ router.post('/runs/:runId/cancel', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Run is already finished' });
     }
 
-    // Mark run as cancelled
-    await supabaseAdmin
-      .from('workflow_runs')
-      .update({
-        status: 'cancelled',
-        completed_at: new Date().toISOString(),
-      })
-      .eq('id', runId);
-
-    // Mark all pending/running node results as skipped
-    await supabaseAdmin
-      .from('workflow_node_results')
-      .update({ status: 'skipped' })
-      .eq('run_id', runId)
-      .in('status', ['pending', 'running', 'waiting_for_review']);
-
-    logger.info('Workflow run cancelled', { runId });
+    await cancelRun(runId);
     res.json({ success: true });
   } catch (error) {
     logger.error('Error cancelling run:', error);
@@ -208,6 +613,251 @@ router.post('/runs/:runId/cancel', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * The given nodes and every node downstream of them
+ */
+function findDownstreamNodes(nodeIds, edges) {
+  const found = new Set(nodeIds);
+  const queue = [...nodeIds];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    for (const edge of edges) {
+      if (edge.source_node_id === id && !found.has(edge.target_node_id)) {
+        found.add(edge.target_node_id);
+        queue.push(edge.target_node_id);
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Where re-running a node starts: loop body and collect nodes only run
+ * inside their For Each. Throws on malformed loops.
+ */
+function findRerunStart(nodeId, nodes, edges) {
+  let startId = nodeId;
+  for (const [forEachId, { bodyIds, collectId }] of findLoops(nodes, edges)) {
+    if (bodyIds.has(nodeId) || collectId === nodeId) startId = forEachId;
+  }
+  return startId;
+}
+
+/**
+ * Credits the user's open holds reserve against their credit limit
+ */
+async function getUserHeldCredits(agency, agencyUser) {
+  if (agencyUser.credit_limit === null || agencyUser.credit_limit === undefined) return 0;
+  return getOpenHoldCredits(agency.id, agencyUser.id);
+}
+
+/**
+ * Why a run's nodes may not run again, as for getRunRefusal, or null when
+ * they may. results are the run's node results (for their config
+ * overrides); overrides replaces some of them first.
+ */
+async function getRequeueRefusal(req, run, { nodes, edges }, results, nodeIds, overrides = {}) {
+  const { agency, agencyUser } = req;
+  const resultMap = new Map((results || []).map((r) => [r.node_id, r]));
+
+  const [{ data: model }, userHeld] = await Promise.all([
+    run.model_id
+      ? supabaseAdmin.from('agency_models').select('*').eq('id', run.model_id).maybeSingle()
+      : Promise.resolve({ data: null }),
+    getUserHeldCredits(agency, agencyUser),
+  ]);
+
+  const runNodes = nodes.map((node) => ({
+    ...node,
+    config: {
+      ...(node.config || {}),
+      ...(overrides[node.id] || resultMap.get(node.id)?.config_override || {}),
+    },
+  }));
+
+  const check = checkRequeue({ nodes: runNodes, edges }, nodeIds, model, agency, agencyUser, userHeld);
+  return getRunRefusal(check, { confirmed: req.body.confirm === true });
+}
+
+/**
+ * Reset a run's nodes to pending and execute the run again.
+ * Completed nodes that aren't reset keep their outputs (and aren't charged
+ * again).
+ */
+async function requeueRunNodes(run, nodeIds) {
+  const { data: requeued, error } = await supabaseAdmin
+    .from('workflow_node_results')
+    .update(REQUEUED_NODE_RESULT)
+    .eq('run_id', run.id)
+    .in('node_id', nodeIds)
+    .select(NODE_EVENT_COLUMNS);
+
+  if (error) {
+    throw error;
+  }
+  (requeued || []).forEach(publishNodeResult);
+
+  await resumeRun(run.id);
+}
+
+/**
+ * POST /api/workflows/runs/:runId/retry
+ * Resume a run from its failed nodes. Nodes that were skipped because a
+ * failed node never delivered run again too; completed nodes are kept.
+ * Body: { confirm: boolean } — go ahead past the user's credit limit
+ */
+router.post('/runs/:runId/retry', requireAuth, async (req, res) => {
+  const { agency } = req;
+  const { runId } = req.params;
+
+  try {
+    const { data: run } = await supabaseAdmin
+      .from('workflow_runs')
+      .select('*, workflows!inner(agency_id)')
+      .eq('id', runId)
+      .single();
+
+    if (!run || run.workflows.agency_id !== agency.id || !(await canAccessModel(req, run.model_id))) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    // Completed runs can have failed nodes whose failure didn't stop the run
+    if (!['failed', 'completed'].includes(run.status)) {
+      return res.status(400).json({ error: 'Only failed or completed runs can be retried' });
+    }
+
+    const [{ data: results }, graph] = await Promise.all([
+      supabaseAdmin.from('workflow_node_results').select('node_id, status, config_override').eq('run_id', runId),
+      loadRunGraph(run),
+    ]);
+    const { edges } = graph;
+
+    const failedIds = (results || []).filter((r) => r.status === 'failed').map((r) => r.node_id);
+    if (failedIds.length === 0) {
+      return res.status(400).json({ error: 'This run has no failed nodes' });
+    }
+
+    const downstream = findDownstreamNodes(failedIds, edges);
+    const nodeIds = results
+      .filter((r) => downstream.has(r.node_id) && ['failed', 'skipped'].includes(r.status))
+      .map((r) => r.node_id);
+
+    const refusal = await getRequeueRefusal(req, run, graph, results, nodeIds);
+    if (refusal) {
+      return res.status(refusal.status).json(refusal.body);
+    }
+
+    await requeueRunNodes(run, nodeIds);
+
+    logger.info('Workflow run retried', { runId, nodeCount: nodeIds.length });
+    res.json({ success: true, node_ids: nodeIds });
+  } catch (error) {
+    logger.error('Error retrying run:', error);
+    res.status(500).json({ error: 'Failed to retry run' });
+  }
+});
+
+/**
+ * POST /api/workflows/runs/:runId/nodes/:nodeId/rerun
+ * Run a node and everything downstream of it again. Nodes inside a
+ * For Each loop re-run the whole loop.
+ * Body: { config: { prompt: '...' } } (optional) — settings to change for
+ * this run only, on top of the workflow's node config;
+ * { confirm: boolean } — go ahead past the user's credit limit
+ */
+router.post('/runs/:runId/nodes/:nodeId/rerun', requireAuth, async (req, res) => {
+  const { agency } = req;
+  const { runId, nodeId } = req.params;
+  const { config: configChanges } = req.body;
+
+  try {
+    if (configChanges !== undefined && (typeof configChanges !== 'object' || configChanges === null || Array.isArray(configChanges))) {
+      return res.status(400).json({ error: 'config must be an object' });
+    }
+
+    const { data: run } = await supabaseAdmin
+      .from('workflow_runs')
+      .select('*, workflows!inner(agency_id)')
+      .eq('id', runId)
+      .single();
+
+    if (!run || run.workflows.agency_id !== agency.id || !(await canAccessModel(req, run.model_id))) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    if (run.status === 'running') {
+      return res.status(409).json({ error: 'Run is still executing. Wait for it to finish or cancel it first.' });
+    }
+
+    const [graph, { data: results }] = await Promise.all([
+      loadRunGraph(run),
+      supabaseAdmin.from('workflow_node_results').select('*').eq('run_id', runId),
+    ]);
+    const { nodes, edges } = graph;
+
+    const node = nodes.find((n) => n.id === nodeId);
+    const result = (results || []).find((r) => r.node_id === nodeId);
+    if (!node || !result) {
+      return res.status(404).json({ error: 'Node not found in this run' });
+    }
+
+    let configOverride = null;
+    if (configChanges && Object.keys(configChanges).length > 0) {
+      const schema = getNodeType(node.node_type)?.configSchema || {};
+      const unknownKey = Object.keys(configChanges).find((key) => !(key in schema));
+      if (unknownKey) {
+        return res.status(400).json({ error: `Unknown setting "${unknownKey}" for ${node.label}` });
+      }
+
+      configOverride = { ...(result.config_override || {}), ...configChanges };
+      const mergedConfig = { ...(node.config || {}), ...configOverride };
+      if (JSON.stringify(mergedConfig).length > 50000) {
+        return res.status(400).json({ error: `Node "${node.label}" config exceeds maximum size` });
+      }
+      if (node.node_type === 'condition') {
+        const conditionError = validateConditionConfig(mergedConfig);
+        if (conditionError) {
+          return res.status(400).json({ error: `Condition "${node.label}" ${conditionError}` });
+        }
+      }
+    }
+
+    let nodeIds;
+    try {
+      nodeIds = [...findDownstreamNodes([findRerunStart(nodeId, nodes, edges)], edges)];
+    } catch (loopError) {
+      return res.status(400).json({ error: loopError.message });
+    }
+
+    const refusal = await getRequeueRefusal(
+      req, run, graph, results, nodeIds, configOverride ? { [nodeId]: configOverride } : {},
+    );
+    if (refusal) {
+      return res.status(refusal.status).json(refusal.body);
+    }
+
+    if (configOverride) {
+      const { error: overrideError } = await supabaseAdmin
+        .from('workflow_node_results')
+        .update({ config_override: configOverride })
+        .eq('id', result.id);
+
+      if (overrideError) {
+        logger.error('Error saving node config override:', overrideError);
+        return res.status(500).json({ error: 'Failed to rerun node' });
+      }
+    }
+
+    await requeueRunNodes(run, nodeIds);
+
+    logger.info('Workflow node rerun', { runId, nodeId, nodeCount: nodeIds.length, configChanged: !!configChanges });
+    res.json({ success: true, node_ids: nodeIds });
+  } catch (error) {
+    logger.error('Error rerunning node:', error);
+    res.status(500).json({ error: 'Failed to rerun node' });
+  }
+});
+
 // =============================================
 // TRIGGER MANAGEMENT
 // These routes use /triggers prefix, defined before /:id routes.
@@ -222,15 +872,15 @@ router.get('/:workflowId/triggers', requireAuth, async (req, res) => {
   const { workflowId } = req.params;
 
   try {
-    // Verify workflow belongs to agency
+    // Verify workflow belongs to agency and the user's creators
     const { data: workflow } = await supabaseAdmin
       .from('workflows')
-      .select('id')
+      .select('id, model_id')
       .eq('id', workflowId)
       .eq('agency_id', agency.id)
       .single();
 
-    if (!workflow) {
+    if (!workflow || !(await canAccessModel(req, workflow.model_id))) {
       return res.status(404).json({ error: 'Workflow not found' });
     }
 
@@ -252,29 +902,53 @@ router.get('/:workflowId/triggers', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/workflows/triggers/preview
+ * The next fire times of a schedule, without saving it
+ * Body: { schedule_config, count? (default 10, max 50) }
+ */
+router.post('/triggers/preview', requireAuth, (req, res) => {
+  const { schedule_config, count = 10 } = req.body;
+
+  const scheduleError = validateScheduleConfig(schedule_config);
+  if (scheduleError) {
+    return res.status(400).json({ error: scheduleError });
+  }
+
+  const limit = Math.min(Math.max(parseInt(count, 10) || 10, 1), 50);
+  const times = previewTriggerTimes(schedule_config, limit);
+  res.json({ times: times.map((t) => t.toISOString()) });
+});
+
 /**
  * POST /api/workflows/:workflowId/triggers
  * Create a new trigger for a workflow
+ * Body: { trigger_type, schedule_config?, enabled?, misfire_policy?, misfire_limit? }
  */
 router.post('/:workflowId/triggers', requireAuth, async (req, res) => {
   const { agency } = req;
   const { workflowId } = req.params;
-  const { trigger_type, schedule_config, enabled } = req.body;
+  const { trigger_type, schedule_config, enabled, misfire_policy, misfire_limit } = req.body;
 
   if (!trigger_type || !['scheduled', 'webhook'].includes(trigger_type)) {
     return res.status(400).json({ error: 'trigger_type must be "scheduled" or "webhook"' });
   }
 
+  const misfireError = validateMisfireSettings({ misfire_policy, misfire_limit });
+  if (misfireError) {
+    return res.status(400).json({ error: misfireError });
+  }
+
   try {
-    // Verify workflow belongs to agency
+    // Verify workflow belongs to agency and the user's creators
     const { data: workflow } = await supabaseAdmin
       .from('workflows')
-      .select('id')
+      .select('id, model_id')
       .eq('id', workflowId)
       .eq('agency_id', agency.id)
       .single();
 
-    if (!workflow) {
+    if (!workflow || !(await canAccessModel(req, workflow.model_id))) {
       return res.status(404).json({ error: 'Workflow not found' });
     }
 
@@ -287,43 +961,22 @@ router.post('/:workflowId/triggers', requireAuth, async (req, res) => {
     };
 
     if (trigger_type === 'scheduled') {
-      if (!schedule_config || !schedule_config.time || !schedule_config.frequency) {
-        return res.status(400).json({ error: 'schedule_config must include frequency and time' });
-      }
-
-      // Validate frequency
-      if (!['daily', 'weekly', 'specific_days'].includes(schedule_config.frequency)) {
-        return res.status(400).json({ error: 'frequency must be daily, weekly, or specific_days' });
-      }
-
-      // Validate days for weekly/specific_days
-      if (['weekly', 'specific_days'].includes(schedule_config.frequency)) {
-        if (!Array.isArray(schedule_config.days) || schedule_config.days.length === 0) {
-          return res.status(400).json({ error: 'days array required for weekly/specific_days frequency' });
-        }
-        const validDays = schedule_config.days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6);
-        if (!validDays) {
-          return res.status(400).json({ error: 'days must be integers 0-6 (0=Sunday)' });
-        }
-      }
-
-      // Validate time format
-      const timeMatch = schedule_config.time.match(/^(\d{1,2}):(\d{2})$/);
-      if (!timeMatch) {
-        return res.status(400).json({ error: 'time must be in HH:MM format' });
-      }
-      const h = parseInt(timeMatch[1], 10);
-      const m = parseInt(timeMatch[2], 10);
-      if (h < 0 || h > 23 || m < 0 || m > 59) {
-        return res.status(400).json({ error: 'Invalid time values' });
+      const scheduleError = validateScheduleConfig(schedule_config);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
       }
 
       triggerData.schedule_config = schedule_config;
+      if (misfire_policy !== undefined) triggerData.misfire_policy = misfire_policy;
+      if (misfire_limit !== undefined) triggerData.misfire_limit = misfire_limit;
 
       // Compute first trigger time
       if (triggerData.enabled) {
         const nextAt = computeNextTriggerAt(schedule_config);
-        triggerData.next_trigger_at = nextAt ? nextAt.toISOString() : null;
+        if (!nextAt) {
+          return res.status(400).json({ error: 'This schedule has no upcoming runs' });
+        }
+        triggerData.next_trigger_at = nextAt.toISOString();
       }
     }
 
@@ -360,23 +1013,29 @@ router.post('/:workflowId/triggers', requireAuth, async (req, res) => {
 
 /**
  * PUT /api/workflows/triggers/:triggerId
- * Update a trigger (enable/disable, change schedule)
+ * Update a trigger (enable/disable, change schedule or misfire handling, rotate webhook token)
+ * Body: { enabled?, schedule_config?, misfire_policy?, misfire_limit?, regenerate_token? }
  */
 router.put('/triggers/:triggerId', requireAuth, async (req, res) => {
   const { agency } = req;
   const { triggerId } = req.params;
-  const { enabled, schedule_config } = req.body;
+  const { enabled, schedule_config, misfire_policy, misfire_limit, regenerate_token } = req.body;
+
+  const misfireError = validateMisfireSettings({ misfire_policy, misfire_limit });
+  if (misfireError) {
+    return res.status(400).json({ error: misfireError });
+  }
 
   try {
     // Verify trigger belongs to agency
     const { data: existing } = await supabaseAdmin
       .from('workflow_triggers')
-      .select('*')
+      .select('*, workflows!inner(model_id)')
       .eq('id', triggerId)
       .eq('agency_id', agency.id)
       .single();
 
-    if (!existing) {
+    if (!existing || !(await canAccessModel(req, existing.workflows.model_id))) {
       return res.status(404).json({ error: 'Trigger not found' });
     }
 
@@ -387,26 +1046,22 @@ router.put('/triggers/:triggerId', requireAuth, async (req, res) => {
     }
 
     if (schedule_config !== undefined && existing.trigger_type === 'scheduled') {
-      if (!schedule_config.time || !schedule_config.frequency) {
-        return res.status(400).json({ error: 'schedule_config must include frequency and time' });
+      const scheduleError = validateScheduleConfig(schedule_config);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
       }
 
-      if (!['daily', 'weekly', 'specific_days'].includes(schedule_config.frequency)) {
-        return res.status(400).json({ error: 'frequency must be daily, weekly, or specific_days' });
-      }
-
-      if (['weekly', 'specific_days'].includes(schedule_config.frequency)) {
-        if (!Array.isArray(schedule_config.days) || schedule_config.days.length === 0) {
-          return res.status(400).json({ error: 'days array required for weekly/specific_days frequency' });
-        }
-      }
+      updates.schedule_config = schedule_config;
+    }
 
-      const timeMatch = schedule_config.time.match(/^(\d{1,2}):(\d{2})$/);
-      if (!timeMatch) {
-        return res.status(400).json({ error: 'time must be in HH:MM format' });
-      }
+    if (existing.trigger_type === 'scheduled') {
+      if (misfire_policy !== undefined) updates.misfire_policy = misfire_policy;
+      if (misfire_limit !== undefined) updates.misfire_limit = misfire_limit;
+    }
 
-      updates.schedule_config = schedule_config;
+    if (regenerate_token && existing.trigger_type === 'webhook') {
+      const crypto = require('crypto');
+      updates.webhook_token = crypto.randomBytes(32).toString('hex');
     }
 
     // Recompute next_trigger_at if schedule or enabled changed
@@ -415,61 +1070,418 @@ router.put('/triggers/:triggerId', requireAuth, async (req, res) => {
 
     if (newEnabled && existing.trigger_type === 'scheduled') {
       const nextAt = computeNextTriggerAt(newConfig);
-      updates.next_trigger_at = nextAt ? nextAt.toISOString() : null;
+      if (!nextAt) {
+        return res.status(400).json({ error: 'This schedule has no upcoming runs' });
+      }
+      updates.next_trigger_at = nextAt.toISOString();
     } else if (!newEnabled) {
       updates.next_trigger_at = null;
     }
 
-    if (Object.keys(updates).length === 0) {
-      return res.status(400).json({ error: 'No valid fields to update' });
-    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    const { data: trigger, error } = await supabaseAdmin
+      .from('workflow_triggers')
+      .update(updates)
+      .eq('id', triggerId)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Error updating trigger:', error);
+      return res.status(500).json({ error: 'Failed to update trigger' });
+    }
+
+    logger.info('Workflow trigger updated', { triggerId, updates: Object.keys(updates) });
+    res.json(trigger);
+  } catch (error) {
+    logger.error('Error updating trigger:', error);
+    res.status(500).json({ error: 'Failed to update trigger' });
+  }
+});
+
+/**
+ * DELETE /api/workflows/triggers/:triggerId
+ * Delete a trigger
+ */
+router.delete('/triggers/:triggerId', requireAuth, async (req, res) => {
+  const { agency } = req;
+  const { triggerId } = req.params;
+
+  try {
+    const { data: existing } = await supabaseAdmin
+      .from('workflow_triggers')
+      .select('id, workflows!inner(model_id)')
+      .eq('id', triggerId)
+      .eq('agency_id', agency.id)
+      .single();
+
+    if (!existing || !(await canAccessModel(req, existing.workflows.model_id))) {
+      return res.status(404).json({ error: 'Trigger not found' });
+    }
+
+    const { data: trigger, error } = await supabaseAdmin
+      .from('workflow_triggers')
+      .delete()
+      .eq('id', triggerId)
+      .eq('agency_id', agency.id)
+      .select()
+      .single();
+
+    if (error || !trigger) {
+      return res.status(404).json({ error: 'Trigger not found' });
+    }
+
+    logger.info('Workflow trigger deleted', { triggerId, workflowId: trigger.workflow_id });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting trigger:', error);
+    res.status(500).json({ error: 'Failed to delete trigger' });
+  }
+});
+
+// =============================================
+// BATCH RUNS
+// These routes use the /batches prefix, defined before /:id routes.
+// =============================================
+
+/**
+ * Load a batch of the agency, or null
+ */
+async function findBatch(agencyId, batchId) {
+  const { data: batch } = await supabaseAdmin
+    .from('workflow_batches')
+    .select('*')
+    .eq('id', batchId)
+    .eq('agency_id', agencyId)
+    .maybeSingle();
+
+  return batch;
+}
+
+/**
+ * GET /api/workflows/batches/:batchId
+ * A batch with its progress, credits, failures and per-model runs
+ */
+router.get('/batches/:batchId', requireAuth, async (req, res) => {
+  const { agency } = req;
+  const { batchId } = req.params;
+
+  try {
+    const batch = await findBatch(agency.id, batchId);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const [summary] = await summarizeBatches([batch], {
+      modelIds: await getAccessibleModelIds(req),
+      includeRuns: true,
+    });
+    res.json(summary);
+  } catch (error) {
+    logger.error('Error fetching batch:', error);
+    res.status(500).json({ error: 'Failed to fetch batch' });
+  }
+});
+
+/**
+ * POST /api/workflows/batches/:batchId/cancel
+ * Cancel a batch's unfinished runs (of models the user can access)
+ */
+router.post('/batches/:batchId/cancel', requireAuth, async (req, res) => {
+  const { agency } = req;
+  const { batchId } = req.params;
+
+  try {
+    const batch = await findBatch(agency.id, batchId);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const query = supabaseAdmin
+      .from('workflow_runs')
+      .select('id')
+      .eq('batch_id', batchId)
+      .in('status', ['running', 'waiting_for_review']);
+
+    const { data: runs, error } = await applyModelScope(query, await getAccessibleModelIds(req));
+    if (error) {
+      logger.error('Error fetching batch runs:', error);
+      return res.status(500).json({ error: 'Failed to cancel batch' });
+    }
+
+    for (const run of runs || []) {
+      await cancelRun(run.id);
+    }
+
+    logger.info('Workflow batch cancelled', { batchId, cancelled: (runs || []).length });
+    res.json({ success: true, cancelled: (runs || []).length });
+  } catch (error) {
+    logger.error('Error cancelling batch:', error);
+    res.status(500).json({ error: 'Failed to cancel batch' });
+  }
+});
+
+/**
+ * GET /api/workflows/:id/batches
+ * A template's recent batches with their progress
+ */
+router.get('/:id/batches', requireAuth, async (req, res) => {
+  const { agency } = req;
+  const { id } = req.params;
+
+  try {
+    const workflow = await findWorkflow(req, id);
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    const { data: batches, error } = await supabaseAdmin
+      .from('workflow_batches')
+      .select('*')
+      .eq('workflow_id', id)
+      .eq('agency_id', agency.id)
+      .order('created_at', { ascending: false })
+      .limit(20);
+
+    if (error) {
+      logger.error('Error fetching batches:', error);
+      return res.status(500).json({ error: 'Failed to fetch batches' });
+    }
+
+    const summaries = await summarizeBatches(batches || [], { modelIds: await getAccessibleModelIds(req) });
+    res.json({ batches: summaries });
+  } catch (error) {
+    logger.error('Error fetching batches:', error);
+    res.status(500).json({ error: 'Failed to fetch batches' });
+  }
+});
+
+/**
+ * POST /api/workflows/:id/batches
+ * Run a template workflow against several models: one run per model
+ * Body: { model_ids: string[] } or { all_models: true } (every active
+ * model the user is assigned to)
+ */
+router.post('/:id/batches', requireAuth, async (req, res) => {
+  const { agency, agencyUser } = req;
+  const { id } = req.params;
+  const { model_ids, all_models } = req.body;
+
+  if (!all_models && (!Array.isArray(model_ids) || model_ids.length === 0
+    || !model_ids.every((m) => typeof m === 'string'))) {
+    return res.status(400).json({ error: 'model_ids (a non-empty array) or all_models is required' });
+  }
+
+  try {
+    const workflow = await findWorkflow(req, id);
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    if (workflow.model_id) {
+      return res.status(400).json({ error: 'Only template workflows can run across models' });
+    }
+
+    const accessibleModelIds = await getAccessibleModelIds(req);
+    const requestedIds = all_models ? null : [...new Set(model_ids)];
+
+    let modelsQuery = supabaseAdmin
+      .from('agency_models')
+      .select('*')
+      .eq('agency_id', agency.id)
+      .eq('status', 'active');
+    if (requestedIds) modelsQuery = modelsQuery.in('id', requestedIds);
+
+    const { data: models, error: modelsError } = await applyModelScope(modelsQuery, accessibleModelIds, { column: 'id' });
+    if (modelsError) {
+      logger.error('Error fetching batch models:', modelsError);
+      return res.status(500).json({ error: 'Failed to start batch' });
+    }
+
+    if (requestedIds && models.length !== requestedIds.length) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    if (models.length === 0) {
+      return res.status(400).json({ error: 'You have no active models to run this workflow for' });
+    }
+    if (models.length > MAX_BATCH_MODELS) {
+      return res.status(400).json({ error: `A batch can run at most ${MAX_BATCH_MODELS} models` });
+    }
+
+    // Pin every run to the current version
+    const version = await getCurrentVersion(id);
+
+    // Pre-flight credit check: ensure agency has at least some credits
+    if (agency.credit_pool <= 0) {
+      return res.status(402).json({
+        error: 'Insufficient credits',
+        message: 'Your agency has run out of credits. Please top up before running workflows.',
+      });
+    }
+
+    const check = checkRun(version, models, agency, agencyUser, await getUserHeldCredits(agency, agencyUser));
+    const refusal = getRunRefusal(check, { confirmed: req.body.confirm === true });
+    if (refusal) {
+      return res.status(refusal.status).json(refusal.body);
+    }
+
+    const { batch } = await startBatch({
+      workflow,
+      version,
+      modelIds: models.map((m) => m.id),
+      startedBy: agencyUser.id,
+    });
+
+    recordAudit(req, {
+      action: 'workflow.batch_started',
+      resourceType: 'workflow',
+      resourceId: id,
+      metadata: { name: workflow.name, batch_id: batch.id, model_count: batch.model_count },
+    });
+
+    const [summary] = await summarizeBatches([batch], { modelIds: accessibleModelIds, includeRuns: true });
+    res.status(201).json(summary);
+  } catch (error) {
+    logger.error('Error starting batch:', error);
+    res.status(500).json({ error: 'Failed to start batch' });
+  }
+});
+
+// =============================================
+// RUN EXPORTS AND PUBLISH QUEUE
+// These routes use the /exports and /publish-queue prefixes, defined
+// before /:id routes.
+// =============================================
+
+const PUBLISH_QUEUE_COLUMNS = '*, agency_models(name), workflow_exports(run_id, file_name, size_bytes)';
+
+/**
+ * GET /api/workflows/exports/:exportId/download
+ * A short-lived link that downloads an Export node's ZIP bundle
+ */
+router.get('/exports/:exportId/download', requireAuth, async (req, res) => {
+  const { agency } = req;
+  const { exportId } = req.params;
+
+  try {
+    const { data: exportRow } = await supabaseAdmin
+      .from('workflow_exports')
+      .select('*')
+      .eq('id', exportId)
+      .eq('agency_id', agency.id)
+      .maybeSingle();
+
+    if (!exportRow || !(await canAccessModel(req, exportRow.model_id))) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json(await getExportDownloadUrl(exportRow));
+  } catch (error) {
+    logger.error('Error creating export download link:', error);
+    res.status(500).json({ error: 'Failed to create download link' });
+  }
+});
+
+/**
+ * GET /api/workflows/publish-queue
+ * Items queued for publishing, soonest first.
+ * Query params: status (default queued, or all), platform, model_id
+ */
+router.get('/publish-queue', requireAuth, async (req, res) => {
+  const { agency } = req;
+  const { status = 'queued', platform, model_id } = req.query;
+
+  if (status !== 'all' && !PUBLISH_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: all, ${PUBLISH_STATUSES.join(', ')}` });
+  }
+  if (platform && !PUBLISH_PLATFORMS.includes(platform)) {
+    return res.status(400).json({ error: `platform must be one of: ${PUBLISH_PLATFORMS.join(', ')}` });
+  }
 
-    const { data: trigger, error } = await supabaseAdmin
-      .from('workflow_triggers')
-      .update(updates)
-      .eq('id', triggerId)
-      .select()
-      .single();
+  try {
+    let query = supabaseAdmin
+      .from('publish_queue')
+      .select(PUBLISH_QUEUE_COLUMNS)
+      .eq('agency_id', agency.id)
+      .order('scheduled_for', { ascending: status === 'queued' })
+      .limit(200);
+
+    if (status !== 'all') query = query.eq('status', status);
+    if (platform) query = query.eq('platform', platform);
+    if (model_id) query = query.eq('model_id', model_id);
 
+    const { data: items, error } = await applyModelScope(query, await getAccessibleModelIds(req));
     if (error) {
-      logger.error('Error updating trigger:', error);
-      return res.status(500).json({ error: 'Failed to update trigger' });
+      logger.error('Error fetching publish queue:', error);
+      return res.status(500).json({ error: 'Failed to fetch publish queue' });
     }
 
-    logger.info('Workflow trigger updated', { triggerId, updates: Object.keys(updates) });
-    res.json(trigger);
+    res.json({ items });
   } catch (error) {
-    logger.error('Error updating trigger:', error);
-    res.status(500).json({ error: 'Failed to update trigger' });
+    logger.error('Error fetching publish queue:', error);
+    res.status(500).json({ error: 'Failed to fetch publish queue' });
   }
 });
 
 /**
- * DELETE /api/workflows/triggers/:triggerId
- * Delete a trigger
+ * PATCH /api/workflows/publish-queue/:itemId
+ * Record what happened to a queued item (needs can_publish_content).
+ * Body: { status, post_url, error }
  */
-router.delete('/triggers/:triggerId', requireAuth, async (req, res) => {
-  const { agency } = req;
-  const { triggerId } = req.params;
+router.patch('/publish-queue/:itemId', requireAuth, hasPermission('can_publish_content'), async (req, res) => {
+  const { agency, agencyUser } = req;
+  const { itemId } = req.params;
+  const { status, post_url, error: publishError } = req.body;
+
+  if (!PUBLISH_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${PUBLISH_STATUSES.join(', ')}` });
+  }
 
   try {
-    const { data: trigger, error } = await supabaseAdmin
-      .from('workflow_triggers')
-      .delete()
-      .eq('id', triggerId)
+    const { data: item } = await supabaseAdmin
+      .from('publish_queue')
+      .select('id, model_id, platform, status')
+      .eq('id', itemId)
       .eq('agency_id', agency.id)
-      .select()
+      .maybeSingle();
+
+    if (!item || !(await canAccessModel(req, item.model_id))) {
+      return res.status(404).json({ error: 'Queue item not found' });
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('publish_queue')
+      .update({
+        status,
+        post_url: status === 'published' ? post_url || null : null,
+        error: status === 'failed' ? publishError || null : null,
+        published_at: status === 'published' ? new Date().toISOString() : null,
+        updated_by: agencyUser.id,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', itemId)
+      .select(PUBLISH_QUEUE_COLUMNS)
       .single();
 
-    if (error || !trigger) {
-      return res.status(404).json({ error: 'Trigger not found' });
+    if (error) {
+      logger.error('Error updating publish queue item:', error);
+      return res.status(500).json({ error: 'Failed to update queue item' });
     }
 
-    logger.info('Workflow trigger deleted', { triggerId, workflowId: trigger.workflow_id });
-    res.json({ success: true });
+    recordAudit(req, {
+      action: 'workflow.publish_item_updated',
+      resourceType: 'publish_item',
+      resourceId: itemId,
+      metadata: { platform: item.platform, from: item.status, to: status },
+    });
+
+    res.json(updated);
   } catch (error) {
-    logger.error('Error deleting trigger:', error);
-    res.status(500).json({ error: 'Failed to delete trigger' });
+    logger.error('Error updating publish queue item:', error);
+    res.status(500).json({ error: 'Failed to update queue item' });
   }
 });
 
@@ -495,6 +1507,8 @@ router.get('/', requireAuth, async (req, res) => {
       .limit(5, { referencedTable: 'workflow_runs' });
 
     if (model_id) query = query.eq('model_id', model_id);
+    // Templates stay visible; creator workflows follow the user's model scope
+    query = applyModelScope(query, await getAccessibleModelIds(req), { includeUnassigned: true });
     if (is_template === 'true') query = query.eq('is_template', true);
     if (is_template === 'false') query = query.eq('is_template', false);
     if (status && status !== 'all') query = query.eq('status', status);
@@ -586,7 +1600,7 @@ router.post('/', requireAuth, async (req, res) => {
         .eq('agency_id', agency.id)
         .single();
 
-      if (!model) {
+      if (!model || !(await canAccessModel(req, model_id))) {
         return res.status(404).json({ error: 'Model not found' });
       }
     }
@@ -634,7 +1648,7 @@ router.get('/:id', requireAuth, async (req, res) => {
       .eq('agency_id', agency.id)
       .single();
 
-    if (error || !workflow) {
+    if (error || !workflow || !(await canAccessModel(req, workflow.model_id))) {
       return res.status(404).json({ error: 'Workflow not found' });
     }
 
@@ -651,273 +1665,512 @@ router.get('/:id', requireAuth, async (req, res) => {
         .eq('workflow_id', id),
     ]);
 
-    if (nodesResult.error) {
-      logger.error('Error fetching nodes:', nodesResult.error);
-      return res.status(500).json({ error: 'Failed to fetch workflow nodes' });
+    if (nodesResult.error) {
+      logger.error('Error fetching nodes:', nodesResult.error);
+      return res.status(500).json({ error: 'Failed to fetch workflow nodes' });
+    }
+    if (edgesResult.error) {
+      logger.error('Error fetching edges:', edgesResult.error);
+      return res.status(500).json({ error: 'Failed to fetch workflow edges' });
+    }
+
+    res.json({
+      ...workflow,
+      nodes: nodesResult.data || [],
+      edges: edgesResult.data || [],
+    });
+  } catch (error) {
+    logger.error('Error fetching workflow:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow' });
+  }
+});
+
+/**
+ * PUT /api/workflows/:id
+ * Update workflow metadata (name, description, status)
+ */
+router.put('/:id', requireAuth, async (req, res) => {
+  const { agency } = req;
+  const { id } = req.params;
+  const { name, description, status, model_id } = req.body;
+
+  try {
+    // Verify ownership
+    const { data: existing } = await supabaseAdmin
+      .from('workflows')
+      .select('id, created_by, model_id')
+      .eq('id', id)
+      .eq('agency_id', agency.id)
+      .single();
+
+    if (!existing || !(await canAccessModel(req, existing.model_id))) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    // Reassigning to another creator requires access to that creator too
+    if (model_id && !(await canAccessModel(req, model_id))) {
+      return res.status(403).json({ error: 'You do not have access to this creator' });
+    }
+
+    const updates = {};
+    if (name !== undefined) updates.name = name.trim();
+    if (description !== undefined) updates.description = description;
+    if (status !== undefined && ['draft', 'active', 'paused', 'archived'].includes(status)) {
+      updates.status = status;
+    }
+    if (model_id !== undefined) updates.model_id = model_id || null;
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    const { data: workflow, error } = await supabaseAdmin
+      .from('workflows')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Error updating workflow:', error);
+      return res.status(500).json({ error: 'Failed to update workflow' });
+    }
+
+    res.json(workflow);
+  } catch (error) {
+    logger.error('Error updating workflow:', error);
+    res.status(500).json({ error: 'Failed to update workflow' });
+  }
+});
+
+/**
+ * DELETE /api/workflows/:id
+ * Archive a workflow (soft delete)
+ */
+router.delete('/:id', requireAuth, async (req, res) => {
+  const { agency } = req;
+  const { id } = req.params;
+
+  try {
+    const query = supabaseAdmin
+      .from('workflows')
+      .update({ status: 'archived' })
+      .eq('id', id)
+      .eq('agency_id', agency.id);
+
+    const { data: workflow, error } = await applyModelScope(query, await getAccessibleModelIds(req), {
+      includeUnassigned: true,
+    })
+      .select()
+      .single();
+
+    if (error || !workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    logger.info('Workflow archived', { agencyId: agency.id, workflowId: id });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error archiving workflow:', error);
+    res.status(500).json({ error: 'Failed to archive workflow' });
+  }
+});
+
+// =============================================
+// BULK GRAPH SAVE
+// =============================================
+
+/**
+ * Why a graph can't be saved, or null if it's valid
+ */
+function validateGraph(nodes, edges) {
+  // Validate limits
+  if (nodes.length > 50) {
+    return 'Workflow cannot exceed 50 nodes';
+  }
+  if (edges.length > 200) {
+    return 'Workflow cannot exceed 200 edges';
+  }
+
+  // Validate node types
+  for (const node of nodes) {
+    if (!getNodeType(node.node_type)) {
+      return `Unknown node type: ${node.node_type}`;
+    }
+    // Reject oversized config
+    if (node.config && JSON.stringify(node.config).length > 50000) {
+      return `Node "${node.label}" config exceeds maximum size`;
+    }
+    if (node.node_type === 'condition') {
+      const conditionError = validateConditionConfig(node.config);
+      if (conditionError) {
+        return `Condition "${node.label}" ${conditionError}`;
+      }
+    }
+  }
+
+  // Validate edges: source/target must reference nodes in this save,
+  // and port types must be compatible
+  const nodeMap = new Map(nodes.map((n) => [n.id, n]));
+  for (const edge of edges) {
+    const sourceNode = nodeMap.get(edge.source_node_id);
+    const targetNode = nodeMap.get(edge.target_node_id);
+
+    if (!sourceNode) {
+      return `Edge references unknown source node: ${edge.source_node_id}`;
+    }
+    if (!targetNode) {
+      return `Edge references unknown target node: ${edge.target_node_id}`;
+    }
+
+    // Validate port compatibility
+    const targetDef = getNodeType(targetNode.node_type);
+    const sourcePort = getNodeOutputs(sourceNode.node_type, sourceNode.config)
+      .find((p) => p.name === edge.source_port);
+    const targetPort = targetDef.inputs.find((p) => p.name === edge.target_port);
+
+    if (!sourcePort) {
+      return `Unknown output port "${edge.source_port}" on node type "${sourceNode.node_type}"`;
+    }
+    if (!targetPort) {
+      return `Unknown input port "${edge.target_port}" on node type "${targetNode.node_type}"`;
+    }
+    if (!isPortCompatible(sourcePort.type, targetPort.type)) {
+      return `Incompatible port types: "${sourcePort.type}" cannot connect to "${targetPort.type}"`;
+    }
+  }
+
+  // For Each loops must be closed by a Collect and only use values from inside the loop
+  try {
+    findLoops(nodes, edges);
+  } catch (loopError) {
+    return loopError.message;
+  }
+
+  return null;
+}
+
+/**
+ * Replace a workflow's nodes and edges. Returns the saved rows.
+ */
+async function replaceGraph(workflowId, nodes, edges) {
+  // Delete existing nodes and edges (edges cascade from nodes via FK)
+  await supabaseAdmin
+    .from('workflow_edges')
+    .delete()
+    .eq('workflow_id', workflowId);
+
+  await supabaseAdmin
+    .from('workflow_nodes')
+    .delete()
+    .eq('workflow_id', workflowId);
+
+  // Insert new nodes
+  let savedNodes = [];
+  let savedEdges = [];
+  const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  if (nodes.length > 0) {
+    // Build a map from client-side IDs to new UUIDs
+    // Nodes may have client-generated IDs that we need to preserve for edge mapping
+    const nodeIdMap = new Map();
+
+    const nodeRows = nodes.map((n) => {
+      const row = {
+        workflow_id: workflowId,
+        node_type: n.node_type,
+        label: n.label || getNodeType(n.node_type).label,
+        config: n.config || {},
+        position_x: n.position_x ?? 0,
+        position_y: n.position_y ?? 0,
+      };
+      // Only reuse the ID if it's a valid UUID (client-generated IDs like "node-123" are not)
+      if (n.id && UUID_REGEX.test(n.id)) {
+        row.id = n.id;
+      }
+      return row;
+    });
+
+    const { data: insertedNodes, error: nodesError } = await supabaseAdmin
+      .from('workflow_nodes')
+      .insert(nodeRows)
+      .select();
+
+    if (nodesError) {
+      logger.error('Error inserting nodes:', nodesError);
+      throw nodesError;
+    }
+
+    savedNodes = insertedNodes;
+
+    // Build ID map: client ID → saved ID
+    nodes.forEach((n, i) => {
+      nodeIdMap.set(n.id, insertedNodes[i].id);
+    });
+
+    // Insert edges with mapped IDs
+    if (edges.length > 0) {
+      const edgeRows = edges.map((e) => ({
+        workflow_id: workflowId,
+        source_node_id: nodeIdMap.get(e.source_node_id) || e.source_node_id,
+        source_port: e.source_port,
+        target_node_id: nodeIdMap.get(e.target_node_id) || e.target_node_id,
+        target_port: e.target_port,
+      }));
+
+      const { data: insertedEdges, error: edgesError } = await supabaseAdmin
+        .from('workflow_edges')
+        .insert(edgeRows)
+        .select();
+
+      if (edgesError) {
+        logger.error('Error inserting edges:', edgesError);
+        throw edgesError;
+      }
+
+      savedEdges = insertedEdges;
+    }
+  }
+
+  return { nodes: savedNodes, edges: savedEdges };
+}
+
+/**
+ * PUT /api/workflows/:id/graph
+ * Atomic save of the entire graph state (nodes + edges).
+ * Replaces all nodes and edges for this workflow and stores them as a new version.
+ */
+router.put('/:id/graph', requireAuth, async (req, res) => {
+  const { agency, agencyUser } = req;
+  const { id } = req.params;
+  const { nodes, edges } = req.body;
+
+  if (!Array.isArray(nodes) || !Array.isArray(edges)) {
+    return res.status(400).json({ error: 'nodes and edges arrays are required' });
+  }
+
+  try {
+    // Verify workflow belongs to agency
+    const { data: workflow } = await supabaseAdmin
+      .from('workflows')
+      .select('id, name, model_id')
+      .eq('id', id)
+      .eq('agency_id', agency.id)
+      .single();
+
+    if (!workflow || !(await canAccessModel(req, workflow.model_id))) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    const graphError = validateGraph(nodes, edges);
+    if (graphError) {
+      return res.status(400).json({ error: graphError });
+    }
+
+    const { nodes: savedNodes, edges: savedEdges } = await replaceGraph(id, nodes, edges);
+    const version = await createVersion(id, savedNodes, savedEdges, { createdBy: agencyUser.id });
+
+    recordAudit(req, {
+      action: 'workflow.graph_updated',
+      resourceType: 'workflow',
+      resourceId: id,
+      metadata: {
+        name: workflow.name,
+        version: version.version,
+        node_count: savedNodes.length,
+        edge_count: savedEdges.length,
+      },
+    });
+
+    res.json({ nodes: savedNodes, edges: savedEdges, version: version.version });
+  } catch (error) {
+    logger.error('Error saving graph:', error);
+    res.status(500).json({ error: 'Failed to save graph' });
+  }
+});
+
+// =============================================
+// VERSIONS
+// =============================================
+
+/**
+ * The agency's workflow, or null if it doesn't exist or its model isn't accessible
+ */
+async function findWorkflow(req, id) {
+  const { data: workflow } = await supabaseAdmin
+    .from('workflows')
+    .select('id, agency_id, name, model_id')
+    .eq('id', id)
+    .eq('agency_id', req.agency.id)
+    .single();
+
+  if (!workflow || !(await canAccessModel(req, workflow.model_id))) {
+    return null;
+  }
+  return workflow;
+}
+
+/**
+ * A workflow version with its snapshot, or null
+ */
+async function findVersion(workflowId, version) {
+  const { data, error } = await supabaseAdmin
+    .from('workflow_versions')
+    .select('*')
+    .eq('workflow_id', workflowId)
+    .eq('version', version)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * GET /api/workflows/:id/versions
+ * List a workflow's versions, newest first (without snapshots)
+ */
+router.get('/:id/versions', requireAuth, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await findWorkflow(req, id))) {
+      return res.status(404).json({ error: 'Workflow not found' });
     }
-    if (edgesResult.error) {
-      logger.error('Error fetching edges:', edgesResult.error);
-      return res.status(500).json({ error: 'Failed to fetch workflow edges' });
+
+    const { data: versions, error } = await supabaseAdmin
+      .from('workflow_versions')
+      .select(VERSION_LIST_COLUMNS)
+      .eq('workflow_id', id)
+      .order('version', { ascending: false });
+
+    if (error) {
+      logger.error('Error fetching workflow versions:', error);
+      return res.status(500).json({ error: 'Failed to fetch workflow versions' });
     }
 
-    res.json({
-      ...workflow,
-      nodes: nodesResult.data || [],
-      edges: edgesResult.data || [],
-    });
+    res.json({ versions: versions || [] });
   } catch (error) {
-    logger.error('Error fetching workflow:', error);
-    res.status(500).json({ error: 'Failed to fetch workflow' });
+    logger.error('Error fetching workflow versions:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow versions' });
   }
 });
 
 /**
- * PUT /api/workflows/:id
- * Update workflow metadata (name, description, status)
+ * GET /api/workflows/:id/versions/diff?from=&to=
+ * Nodes and edges added, removed or changed between two versions.
+ * `to` defaults to the latest version and `from` to the one before `to`.
  */
-router.put('/:id', requireAuth, async (req, res) => {
-  const { agency } = req;
+router.get('/:id/versions/diff', requireAuth, async (req, res) => {
   const { id } = req.params;
-  const { name, description, status, model_id } = req.body;
 
   try {
-    // Verify ownership
-    const { data: existing } = await supabaseAdmin
-      .from('workflows')
-      .select('id, created_by')
-      .eq('id', id)
-      .eq('agency_id', agency.id)
-      .single();
-
-    if (!existing) {
+    if (!(await findWorkflow(req, id))) {
       return res.status(404).json({ error: 'Workflow not found' });
     }
 
-    const updates = {};
-    if (name !== undefined) updates.name = name.trim();
-    if (description !== undefined) updates.description = description;
-    if (status !== undefined && ['draft', 'active', 'paused', 'archived'].includes(status)) {
-      updates.status = status;
+    let toVersion = req.query.to ? parseInt(req.query.to, 10) : null;
+    if (toVersion === null) {
+      const { data: latest } = await supabaseAdmin
+        .from('workflow_versions')
+        .select('version')
+        .eq('workflow_id', id)
+        .order('version', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      toVersion = latest?.version ?? null;
     }
-    if (model_id !== undefined) updates.model_id = model_id || null;
+    const fromVersion = req.query.from ? parseInt(req.query.from, 10) : toVersion - 1;
 
-    if (Object.keys(updates).length === 0) {
-      return res.status(400).json({ error: 'No valid fields to update' });
+    if (!Number.isInteger(toVersion) || !Number.isInteger(fromVersion)) {
+      return res.status(400).json({ error: 'from and to must be version numbers' });
     }
 
-    const { data: workflow, error } = await supabaseAdmin
-      .from('workflows')
-      .update(updates)
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (error) {
-      logger.error('Error updating workflow:', error);
-      return res.status(500).json({ error: 'Failed to update workflow' });
+    const [from, to] = await Promise.all([findVersion(id, fromVersion), findVersion(id, toVersion)]);
+    if (!from || !to) {
+      return res.status(404).json({ error: `Version ${!from ? fromVersion : toVersion} not found` });
     }
 
-    res.json(workflow);
+    res.json({
+      from: from.version,
+      to: to.version,
+      diff: diffGraphs(from, to),
+    });
   } catch (error) {
-    logger.error('Error updating workflow:', error);
-    res.status(500).json({ error: 'Failed to update workflow' });
+    logger.error('Error diffing workflow versions:', error);
+    res.status(500).json({ error: 'Failed to diff workflow versions' });
   }
 });
 
 /**
- * DELETE /api/workflows/:id
- * Archive a workflow (soft delete)
+ * GET /api/workflows/:id/versions/:version
+ * A single version with its nodes and edges
  */
-router.delete('/:id', requireAuth, async (req, res) => {
-  const { agency } = req;
+router.get('/:id/versions/:version', requireAuth, async (req, res) => {
   const { id } = req.params;
 
   try {
-    const { data: workflow, error } = await supabaseAdmin
-      .from('workflows')
-      .update({ status: 'archived' })
-      .eq('id', id)
-      .eq('agency_id', agency.id)
-      .select()
-      .single();
-
-    if (error || !workflow) {
+    if (!(await findWorkflow(req, id))) {
       return res.status(404).json({ error: 'Workflow not found' });
     }
 
-    logger.info('Workflow archived', { agencyId: agency.id, workflowId: id });
-    res.json({ success: true });
+    const version = await findVersion(id, parseInt(req.params.version, 10));
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json(version);
   } catch (error) {
-    logger.error('Error archiving workflow:', error);
-    res.status(500).json({ error: 'Failed to archive workflow' });
+    logger.error('Error fetching workflow version:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow version' });
   }
 });
 
-// =============================================
-// BULK GRAPH SAVE
-// =============================================
-
 /**
- * PUT /api/workflows/:id/graph
- * Atomic save of the entire graph state (nodes + edges).
- * Replaces all nodes and edges for this workflow.
+ * POST /api/workflows/:id/versions/:version/restore
+ * Make an older version's graph current again. The restore is saved as a
+ * new version; the versions in between are kept.
  */
-router.put('/:id/graph', requireAuth, async (req, res) => {
-  const { agency } = req;
+router.post('/:id/versions/:version/restore', requireAuth, async (req, res) => {
+  const { agencyUser } = req;
   const { id } = req.params;
-  const { nodes, edges } = req.body;
-
-  if (!Array.isArray(nodes) || !Array.isArray(edges)) {
-    return res.status(400).json({ error: 'nodes and edges arrays are required' });
-  }
 
   try {
-    // Verify workflow belongs to agency
-    const { data: workflow } = await supabaseAdmin
-      .from('workflows')
-      .select('id')
-      .eq('id', id)
-      .eq('agency_id', agency.id)
-      .single();
-
+    const workflow = await findWorkflow(req, id);
     if (!workflow) {
       return res.status(404).json({ error: 'Workflow not found' });
     }
 
-    // Validate limits
-    if (nodes.length > 50) {
-      return res.status(400).json({ error: 'Workflow cannot exceed 50 nodes' });
-    }
-    if (edges.length > 200) {
-      return res.status(400).json({ error: 'Workflow cannot exceed 200 edges' });
-    }
-
-    // Validate node types
-    for (const node of nodes) {
-      if (!getNodeType(node.node_type)) {
-        return res.status(400).json({ error: `Unknown node type: ${node.node_type}` });
-      }
-      // Reject oversized config
-      if (node.config && JSON.stringify(node.config).length > 50000) {
-        return res.status(400).json({ error: `Node "${node.label}" config exceeds maximum size` });
-      }
+    const restored = await findVersion(id, parseInt(req.params.version, 10));
+    if (!restored) {
+      return res.status(404).json({ error: 'Version not found' });
     }
 
-    // Validate edges: source/target must reference nodes in this save,
-    // and port types must be compatible
-    const nodeMap = new Map(nodes.map((n) => [n.id, n]));
-    for (const edge of edges) {
-      const sourceNode = nodeMap.get(edge.source_node_id);
-      const targetNode = nodeMap.get(edge.target_node_id);
-
-      if (!sourceNode) {
-        return res.status(400).json({ error: `Edge references unknown source node: ${edge.source_node_id}` });
-      }
-      if (!targetNode) {
-        return res.status(400).json({ error: `Edge references unknown target node: ${edge.target_node_id}` });
-      }
-
-      // Validate port compatibility
-      const sourceDef = getNodeType(sourceNode.node_type);
-      const targetDef = getNodeType(targetNode.node_type);
-      const sourcePort = sourceDef.outputs.find((p) => p.name === edge.source_port);
-      const targetPort = targetDef.inputs.find((p) => p.name === edge.target_port);
-
-      if (!sourcePort) {
-        return res.status(400).json({ error: `Unknown output port "${edge.source_port}" on node type "${sourceNode.node_type}"` });
-      }
-      if (!targetPort) {
-        return res.status(400).json({ error: `Unknown input port "${edge.target_port}" on node type "${targetNode.node_type}"` });
-      }
-      if (!isPortCompatible(sourcePort.type, targetPort.type)) {
-        return res.status(400).json({
-          error: `Incompatible port types: "${sourcePort.type}" cannot connect to "${targetPort.type}"`,
-        });
-      }
+    // Node types may have changed since the version was saved
+    const graphError = validateGraph(restored.nodes, restored.edges);
+    if (graphError) {
+      return res.status(400).json({ error: `Version ${restored.version} can't be restored: ${graphError}` });
     }
 
-    // Delete existing nodes and edges (edges cascade from nodes via FK)
-    await supabaseAdmin
-      .from('workflow_edges')
-      .delete()
-      .eq('workflow_id', id);
-
-    await supabaseAdmin
-      .from('workflow_nodes')
-      .delete()
-      .eq('workflow_id', id);
-
-    // Insert new nodes
-    let savedNodes = [];
-    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-
-    if (nodes.length > 0) {
-      // Build a map from client-side IDs to new UUIDs
-      // Nodes may have client-generated IDs that we need to preserve for edge mapping
-      const nodeIdMap = new Map();
-
-      const nodeRows = nodes.map((n) => {
-        const row = {
-          workflow_id: id,
-          node_type: n.node_type,
-          label: n.label || getNodeType(n.node_type).label,
-          config: n.config || {},
-          position_x: n.position_x ?? 0,
-          position_y: n.position_y ?? 0,
-        };
-        // Only reuse the ID if it's a valid UUID (client-generated IDs like "node-123" are not)
-        if (n.id && UUID_REGEX.test(n.id)) {
-          row.id = n.id;
-        }
-        return row;
-      });
-
-      const { data: insertedNodes, error: nodesError } = await supabaseAdmin
-        .from('workflow_nodes')
-        .insert(nodeRows)
-        .select();
-
-      if (nodesError) {
-        logger.error('Error inserting nodes:', nodesError);
-        return res.status(500).json({ error: 'Failed to save nodes' });
-      }
-
-      savedNodes = insertedNodes;
-
-      // Build ID map: client ID → saved ID
-      nodes.forEach((n, i) => {
-        nodeIdMap.set(n.id, insertedNodes[i].id);
-      });
-
-      // Insert edges with mapped IDs
-      if (edges.length > 0) {
-        const edgeRows = edges.map((e) => ({
-          workflow_id: id,
-          source_node_id: nodeIdMap.get(e.source_node_id) || e.source_node_id,
-          source_port: e.source_port,
-          target_node_id: nodeIdMap.get(e.target_node_id) || e.target_node_id,
-          target_port: e.target_port,
-        }));
-
-        const { data: insertedEdges, error: edgesError } = await supabaseAdmin
-          .from('workflow_edges')
-          .insert(edgeRows)
-          .select();
-
-        if (edgesError) {
-          logger.error('Error inserting edges:', edgesError);
-          return res.status(500).json({ error: 'Failed to save edges' });
-        }
+    const { nodes: savedNodes, edges: savedEdges } = await replaceGraph(id, restored.nodes, restored.edges);
+    const version = await createVersion(id, savedNodes, savedEdges, {
+      createdBy: agencyUser.id,
+      restoredFrom: restored.version,
+    });
 
-        res.json({ nodes: savedNodes, edges: insertedEdges });
-        return;
-      }
-    }
+    recordAudit(req, {
+      action: 'workflow.version_restored',
+      resourceType: 'workflow',
+      resourceId: id,
+      metadata: { name: workflow.name, restored_from: restored.version, version: version.version },
+    });
 
-    res.json({ nodes: savedNodes, edges: [] });
+    logger.info('Workflow version restored', { workflowId: id, restoredFrom: restored.version, version: version.version });
+    res.json({ nodes: savedNodes, edges: savedEdges, version: version.version });
   } catch (error) {
-    logger.error('Error saving graph:', error);
-    res.status(500).json({ error: 'Failed to save graph' });
+    logger.error('Error restoring workflow version:', error);
+    res.status(500).json({ error: 'Failed to restore workflow version' });
   }
 });
 
@@ -944,7 +2197,7 @@ router.post('/:id/clone', requireAuth, async (req, res) => {
       .eq('agency_id', agency.id)
       .single();
 
-    if (!source) {
+    if (!source || !(await canAccessModel(req, source.model_id))) {
       return res.status(404).json({ error: 'Workflow not found' });
     }
 
@@ -957,7 +2210,7 @@ router.post('/:id/clone', requireAuth, async (req, res) => {
         .eq('agency_id', agency.id)
         .single();
 
-      if (!model) {
+      if (!model || !(await canAccessModel(req, target_model_id))) {
         return res.status(404).json({ error: 'Target model not found' });
       }
     }
@@ -994,6 +2247,8 @@ router.post('/:id/clone', requireAuth, async (req, res) => {
 
     // 3. Insert cloned nodes, mapping old IDs to new
     const nodeIdMap = new Map();
+    let clonedNodes = [];
+    let clonedEdges = [];
 
     if (sourceNodes.length > 0) {
       const nodeRows = sourceNodes.map((n) => ({
@@ -1017,6 +2272,7 @@ router.post('/:id/clone', requireAuth, async (req, res) => {
         return res.status(500).json({ error: 'Failed to clone nodes' });
       }
 
+      clonedNodes = newNodes;
       sourceNodes.forEach((orig, i) => {
         nodeIdMap.set(orig.id, newNodes[i].id);
       });
@@ -1032,16 +2288,21 @@ router.post('/:id/clone', requireAuth, async (req, res) => {
         target_port: e.target_port,
       }));
 
-      const { error: edgesError } = await supabaseAdmin
+      const { data: newEdges, error: edgesError } = await supabaseAdmin
         .from('workflow_edges')
-        .insert(edgeRows);
+        .insert(edgeRows)
+        .select();
 
       if (edgesError) {
         logger.error('Error cloning edges:', edgesError);
         // Don't fail — workflow + nodes are already created, edges are secondary
       }
+      clonedEdges = newEdges || [];
     }
 
+    // 5. The clone starts its own history at version 1
+    await createVersion(newWorkflow.id, clonedNodes, clonedEdges, { createdBy: agencyUser.id });
+
     logger.info('Workflow cloned', {
       agencyId: agency.id,
       sourceId: id,
@@ -1056,10 +2317,230 @@ router.post('/:id/clone', requireAuth, async (req, res) => {
   }
 });
 
+// =============================================
+// EXPORT / IMPORT
+// =============================================
+
+/**
+ * GET /api/workflows/:id/export
+ * Export a workflow (graph, configs and triggers) as a portable JSON bundle
+ * that can be imported into another agency. See services/workflowBundles.js.
+ */
+router.get('/:id/export', requireAuth, async (req, res) => {
+  const { agency } = req;
+  const { id } = req.params;
+
+  try {
+    const { data: workflow } = await supabaseAdmin
+      .from('workflows')
+      .select('*')
+      .eq('id', id)
+      .eq('agency_id', agency.id)
+      .single();
+
+    if (!workflow || !(await canAccessModel(req, workflow.model_id))) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    const [nodesResult, edgesResult, triggersResult, modelResult] = await Promise.all([
+      supabaseAdmin.from('workflow_nodes').select('*').eq('workflow_id', id).order('created_at', { ascending: true }),
+      supabaseAdmin.from('workflow_edges').select('*').eq('workflow_id', id),
+      supabaseAdmin.from('workflow_triggers').select('*').eq('workflow_id', id).order('created_at', { ascending: true }),
+      workflow.model_id
+        ? supabaseAdmin.from('agency_models').select('*').eq('id', workflow.model_id).single()
+        : Promise.resolve({ data: null }),
+    ]);
+
+    const fetchError = nodesResult.error || edgesResult.error || triggersResult.error;
+    if (fetchError) {
+      logger.error('Error loading workflow for export:', fetchError);
+      return res.status(500).json({ error: 'Failed to export workflow' });
+    }
+
+    const bundle = buildBundle({
+      workflow,
+      nodes: nodesResult.data || [],
+      edges: edgesResult.data || [],
+      triggers: triggersResult.data || [],
+      model: modelResult.data,
+    });
+
+    recordAudit(req, {
+      action: 'workflow.exported',
+      resourceType: 'workflow',
+      resourceId: id,
+      metadata: { name: workflow.name, node_count: bundle.nodes.length },
+    });
+
+    res.json(bundle);
+  } catch (error) {
+    logger.error('Error exporting workflow:', error);
+    res.status(500).json({ error: 'Failed to export workflow' });
+  }
+});
+
+/**
+ * POST /api/workflows/import
+ * Create a workflow from an exported bundle.
+ * Body: { bundle, model_id } or { bundle, as_template: true }
+ * The graph is validated like a graph save. Imported triggers start
+ * disabled, and webhook triggers get new tokens.
+ */
+router.post('/import', requireAuth, async (req, res) => {
+  const { agency, agencyUser } = req;
+  const { bundle, model_id, as_template } = req.body;
+
+  const bundleError = validateBundle(bundle);
+  if (bundleError) {
+    return res.status(400).json({ error: bundleError });
+  }
+
+  const graphError = validateGraph(bundle.nodes, bundle.edges);
+  if (graphError) {
+    return res.status(400).json({ error: graphError });
+  }
+
+  const triggers = bundle.triggers || [];
+  for (const trigger of triggers) {
+    if (trigger.trigger_type !== 'scheduled') continue;
+    const scheduleError = validateScheduleConfig(trigger.schedule_config)
+      || validateMisfireSettings(trigger);
+    if (scheduleError) {
+      return res.status(400).json({ error: `Scheduled trigger: ${scheduleError}` });
+    }
+  }
+
+  try {
+    if (model_id && !as_template) {
+      const { data: model } = await supabaseAdmin
+        .from('agency_models')
+        .select('id')
+        .eq('id', model_id)
+        .eq('agency_id', agency.id)
+        .single();
+
+      if (!model || !(await canAccessModel(req, model_id))) {
+        return res.status(404).json({ error: 'Model not found' });
+      }
+    }
+
+    const { data: workflow, error: wfError } = await supabaseAdmin
+      .from('workflows')
+      .insert({
+        agency_id: agency.id,
+        model_id: as_template ? null : (model_id || null),
+        name: bundle.workflow.name.trim(),
+        description: bundle.workflow.description || null,
+        is_template: as_template || false,
+        status: 'draft',
+        created_by: agencyUser.id,
+      })
+      .select()
+      .single();
+
+    if (wfError) {
+      logger.error('Error creating imported workflow:', wfError);
+      return res.status(500).json({ error: 'Failed to import workflow' });
+    }
+
+    try {
+      const { nodes, edges } = await replaceGraph(workflow.id, bundle.nodes, bundle.edges);
+      await createVersion(workflow.id, nodes, edges, { createdBy: agencyUser.id });
+
+      if (triggers.length > 0) {
+        const crypto = require('crypto');
+        const { error: triggersError } = await supabaseAdmin
+          .from('workflow_triggers')
+          .insert(triggers.map((t) => ({
+            workflow_id: workflow.id,
+            agency_id: agency.id,
+            trigger_type: t.trigger_type,
+            schedule_config: t.trigger_type === 'scheduled' ? t.schedule_config : null,
+            max_concurrent_runs: t.max_concurrent_runs || 1,
+            ...(t.trigger_type === 'scheduled' && {
+              misfire_policy: t.misfire_policy || 'run_once',
+              misfire_limit: t.misfire_limit || 10,
+            }),
+            webhook_token: t.trigger_type === 'webhook' ? crypto.randomBytes(32).toString('hex') : null,
+            enabled: false,
+          })));
+
+        if (triggersError) {
+          throw triggersError;
+        }
+      }
+    } catch (importError) {
+      // Clean up the workflow we just created
+      await supabaseAdmin.from('workflows').delete().eq('id', workflow.id);
+      throw importError;
+    }
+
+    recordAudit(req, {
+      action: 'workflow.imported',
+      resourceType: 'workflow',
+      resourceId: workflow.id,
+      metadata: {
+        name: workflow.name,
+        node_count: bundle.nodes.length,
+        trigger_count: triggers.length,
+        format_version: bundle.format_version,
+      },
+    });
+
+    logger.info('Workflow imported', { agencyId: agency.id, workflowId: workflow.id, nodeCount: bundle.nodes.length });
+    res.status(201).json(workflow);
+  } catch (error) {
+    logger.error('Error importing workflow:', error);
+    res.status(500).json({ error: 'Failed to import workflow' });
+  }
+});
+
 // =============================================
 // START RUN (uses /:id param, so stays after CRUD)
 // =============================================
 
+/**
+ * POST /api/workflows/:id/validate
+ * Check the current version before running it: unconnected required inputs,
+ * incompatible ports, {{model.*}} variables that won't resolve, and a credit
+ * estimate. Body: { model_id } to check a template against a model.
+ */
+router.post('/:id/validate', requireAuth, async (req, res) => {
+  const { agency, agencyUser } = req;
+  const { id } = req.params;
+
+  try {
+    const workflow = await findWorkflow(req, id);
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    const modelId = workflow.model_id || req.body.model_id || null;
+    let model = null;
+    if (modelId) {
+      if (!(await canAccessModel(req, modelId))) {
+        return res.status(404).json({ error: 'Model not found' });
+      }
+      const { data } = await supabaseAdmin
+        .from('agency_models')
+        .select('*')
+        .eq('id', modelId)
+        .eq('agency_id', agency.id)
+        .single();
+      if (!data) {
+        return res.status(404).json({ error: 'Model not found' });
+      }
+      model = data;
+    }
+
+    const version = await getCurrentVersion(id);
+    res.json(checkRun(version, [model], agency, agencyUser, await getUserHeldCredits(agency, agencyUser)));
+  } catch (error) {
+    logger.error('Error validating workflow:', error);
+    res.status(500).json({ error: 'Failed to validate workflow' });
+  }
+});
+
 /**
  * POST /api/workflows/:id/run
  * Start a workflow run
@@ -1077,7 +2558,7 @@ router.post('/:id/run', requireAuth, async (req, res) => {
       .eq('agency_id', agency.id)
       .single();
 
-    if (!workflow) {
+    if (!workflow || !(await canAccessModel(req, workflow.model_id))) {
       return res.status(404).json({ error: 'Workflow not found' });
     }
 
@@ -1085,15 +2566,9 @@ router.post('/:id/run', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Cannot run a template workflow. Assign it to a model first.' });
     }
 
-    // Load nodes to verify there's something to run
-    const { data: nodes } = await supabaseAdmin
-      .from('workflow_nodes')
-      .select('*')
-      .eq('workflow_id', id);
-
-    if (!nodes || nodes.length === 0) {
-      return res.status(400).json({ error: 'Workflow has no nodes' });
-    }
+    // Pin the run to the current version
+    const version = await getCurrentVersion(id);
+    const { nodes } = version;
 
     // Pre-flight credit check: ensure agency has at least some credits
     if (agency.credit_pool <= 0) {
@@ -1103,12 +2578,25 @@ router.post('/:id/run', requireAuth, async (req, res) => {
       });
     }
 
+    const { data: model } = await supabaseAdmin
+      .from('agency_models')
+      .select('*')
+      .eq('id', workflow.model_id)
+      .single();
+
+    const check = checkRun(version, [model], agency, agencyUser, await getUserHeldCredits(agency, agencyUser));
+    const refusal = getRunRefusal(check, { confirmed: req.body.confirm === true });
+    if (refusal) {
+      return res.status(refusal.status).json(refusal.body);
+    }
+
     // Create the run
     const { data: run, error: runError } = await supabaseAdmin
       .from('workflow_runs')
       .insert({
         workflow_id: id,
         model_id: workflow.model_id,
+        version_id: version.id,
         started_by: agencyUser.id,
         status: 'running',
       })
@@ -0,0 +1,105 @@
+/**
+ * Send Stripe Event Script
+ * Posts a signed Stripe webhook event to the local API, for testing billing
+ * without the Stripe CLI. Pair with stripe-mock (STRIPE_API_BASE) for the
+ * checkout endpoints.
+ *
+ * Usage:
+ *   node scripts/send-stripe-event.js credit_pack <agencyId> [credits]
+ *   node scripts/send-stripe-event.js subscription <agencyId> <planId>
+ *   node scripts/send-stripe-event.js past_due <agencyId> <subscriptionId>
+ *   node scripts/send-stripe-event.js cancelled <agencyId> <subscriptionId>
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+const SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+
+function buildEvent(kind, agencyId, arg) {
+  const id = `evt_test_${crypto.randomBytes(8).toString('hex')}`;
+
+  switch (kind) {
+    case 'credit_pack':
+      return {
+        id,
+        type: 'checkout.session.completed',
+        data: {
+          object: {
+            id: `cs_test_${id}`,
+            mode: 'payment',
+            payment_status: 'paid',
+            metadata: { agency_id: agencyId, kind: 'credit_pack', credits: arg || '5000' },
+          },
+        },
+      };
+    case 'subscription':
+      return {
+        id,
+        type: 'checkout.session.completed',
+        data: {
+          object: {
+            id: `cs_test_${id}`,
+            mode: 'subscription',
+            payment_status: 'paid',
+            customer: 'cus_test_local',
+            subscription: 'sub_test_local',
+            metadata: { agency_id: agencyId, kind: 'subscription', plan_id: arg },
+          },
+        },
+      };
+    case 'past_due':
+    case 'cancelled':
+      return {
+        id,
+        type: kind === 'cancelled' ? 'customer.subscription.deleted' : 'customer.subscription.updated',
+        data: {
+          object: {
+            id: arg || 'sub_test_local',
+            customer: 'cus_test_local',
+            status: kind === 'cancelled' ? 'canceled' : 'past_due',
+            current_period_end: Math.floor(Date.now() / 1000),
+            metadata: { agency_id: agencyId },
+          },
+        },
+      };
+    default:
+      return null;
+  }
+}
+
+async function main() {
+  const [kind, agencyId, arg] = process.argv.slice(2);
+  const event = agencyId && buildEvent(kind, agencyId, arg);
+
+  if (!event) {
+    console.log('Usage: node scripts/send-stripe-event.js <credit_pack|subscription|past_due|cancelled> <agencyId> [arg]');
+    process.exit(1);
+  }
+  if (!SECRET) {
+    console.error('❌ STRIPE_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+  const response = await fetch(`${API_URL}/api/billing/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': `t=${timestamp},v1=${signature}`,
+    },
+    body,
+  });
+
+  console.log(`${event.type} (${event.id}) → HTTP ${response.status}`);
+  console.log(await response.text());
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
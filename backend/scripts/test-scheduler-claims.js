@@ -0,0 +1,385 @@
+/**
+ * Workflow Scheduler Claims Test
+ *
+ * Simulates two backend instances polling the same scheduled triggers and
+ * checks that every schedule occurrence fires exactly once, and that the
+ * misfire policies catch up on missed occurrences as documented in
+ * services/workflowScheduler.js, and that runs the pre-run check refuses
+ * are skipped.
+ *
+ * Runs against an in-memory stand-in for the tables the scheduler uses.
+ * claim_due_workflow_triggers is modelled on migration 028: rows being
+ * claimed are locked, and a concurrent claim skips them (SKIP LOCKED);
+ * workflow_runs enforces the unique (trigger_id, scheduled_for) index.
+ *
+ * Run with: cd backend && node scripts/test-scheduler-claims.js
+ */
+
+const assert = require('assert');
+
+// =============================================
+// In-memory database
+// =============================================
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+function createDb() {
+  const tables = {
+    agencies: [],
+    agency_models: [],
+    workflows: [],
+    workflow_nodes: [],
+    workflow_versions: [],
+    workflow_triggers: [],
+    workflow_runs: [],
+    workflow_node_results: [],
+  };
+  const locked = new Set();
+  let nextId = 1;
+
+  class Query {
+    constructor(table) {
+      this.table = table;
+      this.op = 'select';
+      this.filters = [];
+      this.sort = null;
+      this.max = null;
+      this.mode = 'many';
+    }
+
+    select() { return this; }
+    eq(column, value) { this.filters.push((row) => row[column] === value); return this; }
+    in(column, values) { this.filters.push((row) => values.includes(row[column])); return this; }
+    order(column, { ascending = true } = {}) { this.sort = { column, ascending }; return this; }
+    limit(count) { this.max = count; return this; }
+    maybeSingle() { this.mode = 'maybe'; return this; }
+    single() { this.mode = 'single'; return this; }
+    insert(rows) { this.op = 'insert'; this.rows = [].concat(rows); return this; }
+    update(values) { this.op = 'update'; this.values = values; return this; }
+
+    then(resolve, reject) {
+      return this.execute().then(resolve, reject);
+    }
+
+    async execute() {
+      await tick();
+      const table = tables[this.table];
+      let rows;
+
+      if (this.op === 'insert') {
+        rows = [];
+        for (const row of this.rows) {
+          const duplicate = this.table === 'workflow_runs' && row.scheduled_for && table.some(
+            (r) => r.trigger_id === row.trigger_id && r.scheduled_for === row.scheduled_for
+          );
+          if (duplicate) {
+            return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+          }
+          rows.push({ id: `${this.table}-${nextId++}`, ...row });
+        }
+        table.push(...rows);
+      } else {
+        rows = table.filter((row) => this.filters.every((f) => f(row)));
+        if (this.op === 'update') {
+          for (const row of rows) Object.assign(row, this.values);
+        }
+      }
+
+      if (this.sort) {
+        const { column, ascending } = this.sort;
+        rows = [...rows].sort((a, b) => (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1));
+      }
+      if (this.max !== null) rows = rows.slice(0, this.max);
+      rows = rows.map((row) => ({ ...row }));
+
+      if (this.mode === 'many') return { data: rows, error: null };
+      if (this.mode === 'single' && rows.length !== 1) {
+        return { data: null, error: { code: 'PGRST116', message: 'expected one row' } };
+      }
+      return { data: rows[0] || null, error: null };
+    }
+  }
+
+  async function claimDueWorkflowTriggers({ p_instance_id, p_lease_seconds, p_limit, p_now }) {
+    const now = Date.parse(p_now);
+    const due = tables.workflow_triggers
+      .filter((t) => t.enabled && t.trigger_type === 'scheduled'
+        && t.next_trigger_at && Date.parse(t.next_trigger_at) <= now
+        && (!t.claimed_until || Date.parse(t.claimed_until) < now)
+        && !locked.has(t.id))
+      .sort((a, b) => Date.parse(a.next_trigger_at) - Date.parse(b.next_trigger_at))
+      .slice(0, p_limit);
+
+    // FOR UPDATE SKIP LOCKED: hold the rows while the claim is written
+    due.forEach((t) => locked.add(t.id));
+    await tick();
+    for (const trigger of due) {
+      trigger.claimed_by = p_instance_id;
+      trigger.claimed_until = new Date(now + p_lease_seconds * 1000).toISOString();
+      locked.delete(trigger.id);
+    }
+    return due.map((t) => ({ ...t }));
+  }
+
+  return {
+    tables,
+    from: (table) => new Query(table),
+    async rpc(name, params) {
+      await tick();
+      if (name !== 'claim_due_workflow_triggers') {
+        return { data: null, error: { message: `Unknown function ${name}` } };
+      }
+      return { data: await claimDueWorkflowTriggers(params), error: null };
+    },
+  };
+}
+
+// The scheduler reads the database through services/supabase.js and
+// starts runs through workflowRunner.js; stand in for both
+const db = createDb();
+function provide(modulePath, exports) {
+  const filename = require.resolve(modulePath);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+provide('../services/supabase', { supabaseAdmin: db });
+provide('../services/workflowRunner', { runWorkflow: async () => {} });
+
+const { logger } = require('../services/logger');
+logger.level = 'error';
+
+const { previewTriggerTimes, _test: scheduler } = require('../services/workflowScheduler');
+
+// =============================================
+// Fixtures
+// =============================================
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const NOW = new Date('2026-06-10T12:00:00.000Z');
+
+const AGENCY_ID = 'agency-1';
+db.tables.agencies.push({ id: AGENCY_ID, credit_pool: 1000 });
+db.tables.agency_models.push({ id: 'model-1', agency_id: AGENCY_ID, name: 'Model' });
+
+let fixtureCount = 0;
+
+/**
+ * A workflow with one Generate Image node (10 credits) and a daily
+ * trigger at `time` (UTC)
+ */
+function addTrigger({ time, nextTriggerAt, ...trigger }) {
+  fixtureCount++;
+  const workflowId = `workflow-${fixtureCount}`;
+  db.tables.workflows.push({ id: workflowId, agency_id: AGENCY_ID, model_id: 'model-1', status: 'active' });
+  db.tables.workflow_nodes.push({ id: `node-${fixtureCount}`, workflow_id: workflowId });
+  db.tables.workflow_versions.push({
+    id: `version-${fixtureCount}`,
+    workflow_id: workflowId,
+    version: 1,
+    nodes: [{ id: `node-${fixtureCount}`, node_type: 'generate_image', label: 'Generate', config: { model: 'seedream' } }],
+    edges: [],
+  });
+
+  const row = {
+    id: `trigger-${fixtureCount}`,
+    workflow_id: workflowId,
+    agency_id: AGENCY_ID,
+    trigger_type: 'scheduled',
+    enabled: true,
+    schedule_config: { frequency: 'daily', times: [time], timezone: 'UTC' },
+    next_trigger_at: nextTriggerAt.toISOString(),
+    max_concurrent_runs: 100,
+    misfire_policy: 'run_once',
+    misfire_limit: 10,
+    claimed_by: null,
+    claimed_until: null,
+    ...trigger,
+  };
+  db.tables.workflow_triggers.push(row);
+  return row;
+}
+
+function runsFor(trigger) {
+  return db.tables.workflow_runs.filter((r) => r.trigger_id === trigger.id);
+}
+
+function runTimes(trigger) {
+  return runsFor(trigger).map((r) => r.scheduled_for).sort();
+}
+
+const results = { passed: 0, failed: 0 };
+
+async function test(name, fn) {
+  try {
+    await fn();
+    results.passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    results.failed++;
+    console.log(`✗ ${name}\n  ${err.message}`);
+  }
+}
+
+// =============================================
+// Tests
+// =============================================
+
+async function main() {
+  // Daily at 11:30 UTC; the server was down for the last three
+  const lastMissed = new Date(NOW.getTime() - 30 * 60 * 1000);
+  const firstMissed = new Date(lastMissed.getTime() - 2 * DAY_MS);
+  const missed = [firstMissed, new Date(lastMissed.getTime() - DAY_MS), lastMissed].map((d) => d.toISOString());
+
+  const runAll = Array.from({ length: 10 }, () => addTrigger({ time: '11:30', nextTriggerAt: firstMissed, misfire_policy: 'run_all' }));
+  const runOnce = Array.from({ length: 10 }, () => addTrigger({ time: '11:30', nextTriggerAt: firstMissed, misfire_policy: 'run_once' }));
+  const skip = Array.from({ length: 10 }, () => addTrigger({ time: '11:30', nextTriggerAt: firstMissed, misfire_policy: 'skip' }));
+  const onTime = addTrigger({ time: '11:59', nextTriggerAt: new Date(NOW.getTime() - 60 * 1000), misfire_policy: 'skip' });
+
+  // Two instances poll at the same moment
+  await Promise.all([
+    scheduler.pollAndFire({ instanceId: 'instance-a', now: NOW }),
+    scheduler.pollAndFire({ instanceId: 'instance-b', now: NOW }),
+  ]);
+
+  await test('run_all fires each missed occurrence once', () => {
+    for (const trigger of runAll) {
+      assert.deepStrictEqual(runTimes(trigger), missed);
+    }
+  });
+
+  await test('run_once fires one run for all missed occurrences', () => {
+    for (const trigger of runOnce) {
+      assert.strictEqual(runsFor(trigger).length, 1);
+    }
+  });
+
+  await test('skip drops missed occurrences', () => {
+    for (const trigger of skip) {
+      assert.strictEqual(runsFor(trigger).length, 0);
+    }
+  });
+
+  await test('skip still fires an occurrence that is on time', () => {
+    assert.strictEqual(runsFor(onTime).length, 1);
+  });
+
+  await test('every trigger is advanced past now and released', () => {
+    for (const trigger of db.tables.workflow_triggers) {
+      assert.ok(Date.parse(trigger.next_trigger_at) > NOW.getTime(), `${trigger.id} next_trigger_at ${trigger.next_trigger_at}`);
+      assert.strictEqual(trigger.claimed_by, null);
+      assert.strictEqual(trigger.claimed_until, null);
+    }
+  });
+
+  await test('polling again fires nothing more', async () => {
+    const before = db.tables.workflow_runs.length;
+    await Promise.all([
+      scheduler.pollAndFire({ instanceId: 'instance-a', now: NOW }),
+      scheduler.pollAndFire({ instanceId: 'instance-b', now: NOW }),
+    ]);
+    assert.strictEqual(db.tables.workflow_runs.length, before);
+  });
+
+  await test('many pollers racing still fire each occurrence once', async () => {
+    const triggers = Array.from({ length: 20 }, () => addTrigger({ time: '11:30', nextTriggerAt: firstMissed, misfire_policy: 'run_all' }));
+    await Promise.all(Array.from({ length: 5 }, (_, i) => scheduler.pollAndFire({ instanceId: `instance-${i}`, now: NOW })));
+    for (const trigger of triggers) {
+      assert.deepStrictEqual(runTimes(trigger), missed);
+    }
+  });
+
+  await test('run_all catches up on at most misfire_limit occurrences, the most recent', async () => {
+    const trigger = addTrigger({
+      time: '11:30',
+      nextTriggerAt: new Date(lastMissed.getTime() - 4 * DAY_MS),
+      misfire_policy: 'run_all',
+      misfire_limit: 2,
+    });
+    await scheduler.pollAndFire({ instanceId: 'instance-a', now: NOW });
+    assert.deepStrictEqual(runTimes(trigger), missed.slice(1));
+  });
+
+  await test('run_all queues occurrences beyond max_concurrent_runs for later polls', async () => {
+    const trigger = addTrigger({ time: '11:30', nextTriggerAt: firstMissed, misfire_policy: 'run_all', max_concurrent_runs: 1 });
+
+    for (let poll = 1; poll <= 3; poll++) {
+      await scheduler.pollAndFire({ instanceId: 'instance-a', now: NOW });
+      assert.strictEqual(runsFor(trigger).length, poll);
+      // Blocked until the active run finishes
+      await scheduler.pollAndFire({ instanceId: 'instance-b', now: NOW });
+      assert.strictEqual(runsFor(trigger).length, poll);
+      runsFor(trigger).forEach((run) => { run.status = 'completed'; });
+    }
+
+    assert.deepStrictEqual(runTimes(trigger), missed);
+    assert.ok(Date.parse(db.tables.workflow_triggers.find((t) => t.id === trigger.id).next_trigger_at) > NOW.getTime());
+  });
+
+  await test('an every-minute cron previews and fires every minute', async () => {
+    const scheduleConfig = { frequency: 'cron', cron: '* * * * *', timezone: 'UTC' };
+    const minute = (n) => new Date(NOW.getTime() + n * 60 * 1000).toISOString();
+
+    const preview = previewTriggerTimes(scheduleConfig, 3, new Date(NOW.getTime() + 30 * 1000));
+    assert.deepStrictEqual(preview.map((d) => d.toISOString()), [minute(1), minute(2), minute(3)]);
+
+    const trigger = addTrigger({ nextTriggerAt: NOW, schedule_config: scheduleConfig });
+    for (let n = 0; n < 3; n++) {
+      await scheduler.pollAndFire({ instanceId: 'instance-a', now: new Date(Date.parse(minute(n)) + 30 * 1000) });
+    }
+    assert.deepStrictEqual(runTimes(trigger), [minute(0), minute(1), minute(2)]);
+  });
+
+  await test('a run the pre-run check refuses is skipped, and the schedule advances', async () => {
+    db.tables.agencies.push({ id: 'agency-low', credit_pool: 5 });
+    const overPool = addTrigger({ time: '11:59', nextTriggerAt: new Date(NOW.getTime() - 60 * 1000), agency_id: 'agency-low' });
+    const broken = addTrigger({ time: '11:59', nextTriggerAt: new Date(NOW.getTime() - 60 * 1000) });
+    db.tables.workflow_versions.find((v) => v.workflow_id === broken.workflow_id).nodes[0].node_type = 'removed_type';
+
+    await scheduler.pollAndFire({ instanceId: 'instance-a', now: NOW });
+    for (const trigger of [overPool, broken]) {
+      assert.strictEqual(runsFor(trigger).length, 0);
+      assert.ok(Date.parse(db.tables.workflow_triggers.find((t) => t.id === trigger.id).next_trigger_at) > NOW.getTime());
+    }
+  });
+
+  await test('a lapsed claim cannot fire an occurrence twice', async () => {
+    const trigger = addTrigger({ time: '11:59', nextTriggerAt: new Date(NOW.getTime() - 60 * 1000), misfire_policy: 'run_once' });
+    const workflow = db.tables.workflows.find((w) => w.id === trigger.workflow_id);
+
+    // Instance A claims the trigger and stalls past its lease
+    const { data: claimed } = await db.rpc('claim_due_workflow_triggers', {
+      p_instance_id: 'instance-a',
+      p_lease_seconds: 300,
+      p_limit: 100,
+      p_now: NOW.toISOString(),
+    });
+    const stale = claimed.find((t) => t.id === trigger.id);
+    assert.ok(stale, 'instance A claimed the trigger');
+
+    // Instance B takes over once the lease has expired
+    const later = new Date(NOW.getTime() + 6 * 60 * 1000);
+    await scheduler.pollAndFire({ instanceId: 'instance-b', now: later });
+    assert.strictEqual(runsFor(trigger).length, 1);
+    const advancedTo = db.tables.workflow_triggers.find((t) => t.id === trigger.id).next_trigger_at;
+
+    // Instance A wakes up and processes its stale copy
+    const batchData = {
+      activeRunsMap: {},
+      agenciesMap: { [AGENCY_ID]: { id: AGENCY_ID, credit_pool: 1000 } },
+      nodesMap: { [workflow.id]: [{ id: 'node' }] },
+      modelsMap: {},
+    };
+    await scheduler.processTrigger({ ...stale, workflows: workflow }, batchData, { now: NOW, instanceId: 'instance-a' });
+
+    assert.strictEqual(runsFor(trigger).length, 1);
+    assert.strictEqual(db.tables.workflow_triggers.find((t) => t.id === trigger.id).next_trigger_at, advancedTo);
+  });
+
+  console.log(`\n${results.passed} passed, ${results.failed} failed`);
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
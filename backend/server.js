@@ -22,20 +22,28 @@ const healthRoutes = require('./routes/health');
 const authRoutes = require('./routes/auth');
 const agencyRoutes = require('./routes/agency');
 const teamRoutes = require('./routes/team');
+const apiKeysRoutes = require('./routes/apiKeys');
+const webhooksRoutes = require('./routes/webhooks');
+const billingRoutes = require('./routes/billing');
+const stripeWebhooksRoutes = require('./routes/stripeWebhooks');
 const generationRoutes = require('./routes/generation');
 const editingRoutes = require('./routes/editing');
 const chatRoutes = require('./routes/chat');
+const jobsRoutes = require('./routes/jobs');
 const galleryRoutes = require('./routes/gallery');
 const modelsRoutes = require('./routes/models');
 const workflowsRoutes = require('./routes/workflows');
 const contentRequestsRoutes = require('./routes/contentRequests');
 const portalRoutes = require('./routes/portal');
+const workflowWebhooksRoutes = require('./routes/workflowWebhooks');
 const modelInvitationsRoutes = require('./routes/modelInvitations');
 const brandingRoutes = require('./routes/admin/branding');
 const assetsRoutes = require('./routes/admin/assets');
 const trendsRoutes = require('./routes/trends');
 const workflowScheduler = require('./services/workflowScheduler');
 const trendsScheduler = require('./services/trendsScheduler');
+const billingCycleScheduler = require('./services/billingCycleScheduler');
+const generationJobs = require('./services/generationJobs');
 
 // Validate environment on startup
 try {
@@ -117,6 +125,10 @@ app.use(cors({
 // Request ID for tracing
 app.use(requestId);
 
+// Stripe webhooks are verified against the raw body, so they are mounted
+// before the JSON parser (and need no agency resolution)
+app.use('/api/billing/webhook', express.raw({ type: 'application/json', limit: '1mb' }), stripeWebhooksRoutes);
+
 // Body parsing
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -179,11 +191,17 @@ app.use('/api', resolveAgency);
 // Trial status checking (after agency resolution)
 // Adds trial info and blocks access if trial expired
 app.use('/api', addTrialInfo);
+
+// Billing stays reachable when the trial has ended or payment is past due
+app.use('/api/billing', billingRoutes);
+
 app.use('/api', checkTrialStatus);
 
 // API routes
 app.use('/api/agency', agencyRoutes);
 app.use('/api/team', teamRoutes);
+app.use('/api/api-keys', apiKeysRoutes);
+app.use('/api/webhooks', webhooksRoutes);
 app.use('/api/admin/branding', brandingRoutes);
 app.use('/api/admin/assets', assetsRoutes);
 app.use('/api/gallery', galleryRoutes);
@@ -194,6 +212,9 @@ app.use('/api/content-requests', contentRequestsRoutes);
 // Portal routes (public, token-auth — placed under /api so agency resolution applies)
 app.use('/api/portal', portalRoutes);
 
+// Workflow webhook triggers (public, token-auth — same pattern as portal)
+app.use('/api/workflow-webhooks', workflowWebhooksRoutes);
+
 // Model invitation routes (public validation/acceptance, admin-only creation)
 app.use('/api/model-invitations', modelInvitationsRoutes);
 
@@ -206,6 +227,9 @@ app.use('/api/generate', generationLimiter, generationRoutes);
 // Editing routes (same rate limit as generation)
 app.use('/api/edit', generationLimiter, editingRoutes);
 
+// Background generation job status (general rate limit; polled by clients)
+app.use('/api/jobs', jobsRoutes);
+
 // Chat route (general rate limit is sufficient)
 app.use('/api/chat', chatRoutes);
 
@@ -274,6 +298,12 @@ const server = app.listen(config.port, () => {
 
   // Start trends scheduler (scrapes Instagram Reels every 12 hours)
   trendsScheduler.start();
+
+  // Start billing cycle scheduler (monthly credit resets, checked hourly)
+  billingCycleScheduler.start();
+
+  // Start generation job worker (heartbeats + interrupted job sweep)
+  generationJobs.start();
 });
 
 // Graceful shutdown
@@ -281,6 +311,8 @@ process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
   workflowScheduler.stop();
   trendsScheduler.stop();
+  billingCycleScheduler.stop();
+  generationJobs.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -291,6 +323,8 @@ process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
   workflowScheduler.stop();
   trendsScheduler.stop();
+  billingCycleScheduler.stop();
+  generationJobs.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
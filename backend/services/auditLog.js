@@ -0,0 +1,71 @@
+/**
+ * Audit Log Service
+ *
+ * Writes security-relevant actions to audit_logs (actor, resource, IP).
+ * team_activity_log stays the source for the Team page's activity feed;
+ * audit_logs is the agency-wide trail shown on the enterprise Audit Log page.
+ *
+ * recordAudit() never throws — a failed audit write is logged but must not
+ * fail the request that performed the action.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { logger } = require('./logger');
+
+// Known actions, grouped by resource type (used for the viewer's filters)
+const AUDIT_ACTIONS = {
+  model: ['model.created', 'model.deleted', 'model.portal_token_regenerated'],
+  branding: ['branding.updated', 'branding.reset', 'branding.css_updated'],
+  agency: ['credits.adjusted'],
+  agency_user: ['credits.user_limit_changed'],
+  workflow: [
+    'workflow.graph_updated',
+    'workflow.version_restored',
+    'workflow.exported',
+    'workflow.imported',
+    'workflow.batch_started',
+  ],
+  publish_item: ['workflow.publish_item_updated'],
+  content_upload: ['content_upload.bulk_reviewed'],
+};
+
+/**
+ * Client IP for a request (req.ip honours the trust proxy setting)
+ */
+function getClientIp(req) {
+  return req.ip || req.socket?.remoteAddress || null;
+}
+
+/**
+ * Record an audit entry for the current request.
+ * @param {Object} req - Express request (uses req.agency, req.agencyUser, req.apiKey)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. 'model.created'
+ * @param {string} entry.resourceType - e.g. 'model'
+ * @param {string} [entry.resourceId] - UUID of the affected row
+ * @param {Object} [entry.metadata] - Additional context (names, before/after values)
+ */
+async function recordAudit(req, { action, resourceType, resourceId = null, metadata = {} }) {
+  try {
+    const { error } = await supabaseAdmin.from('audit_logs').insert({
+      agency_id: req.agency.id,
+      user_id: req.agencyUser?.id || null,
+      action,
+      resource_type: resourceType,
+      resource_id: resourceId,
+      metadata: req.apiKey ? { ...metadata, api_key_id: req.apiKey.id } : metadata,
+      ip_address: getClientIp(req),
+    });
+
+    if (error) {
+      logger.error('Failed to write audit log:', { action, error: error.message });
+    }
+  } catch (error) {
+    logger.error('Failed to write audit log:', { action, error: error.message });
+  }
+}
+
+module.exports = {
+  recordAudit,
+  AUDIT_ACTIONS,
+};
@@ -0,0 +1,300 @@
+/**
+ * Billing Service
+ * Applies verified Stripe webhook events to agencies: subscription status,
+ * plan / monthly allocation changes, and credit pack top-ups.
+ *
+ * Checkout sessions carry metadata.agency_id and metadata.kind
+ * ('subscription' | 'credit_pack'); subscriptions carry metadata.agency_id
+ * and metadata.plan_id (set via subscription_data at checkout).
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { logger } = require('./logger');
+const { config } = require('../config');
+const { adjustCredits } = require('./creditLedger');
+
+// Stripe subscription status → agencies.subscription_status
+// ('incomplete' is left unmapped: the first payment hasn't settled yet)
+const STRIPE_STATUS_MAP = {
+  trialing: 'active',
+  active: 'active',
+  past_due: 'past_due',
+  unpaid: 'past_due',
+  canceled: 'cancelled',
+  incomplete_expired: 'cancelled',
+};
+
+/**
+ * Find a credit pack by ID from config
+ */
+function getCreditPack(packId) {
+  return config.creditPacks.find((pack) => pack.id === packId) || null;
+}
+
+/**
+ * Resolve the agency an event belongs to: metadata first, then customer ID
+ */
+async function findAgency(object) {
+  const agencyId = object.metadata?.agency_id;
+  if (agencyId) {
+    const { data } = await supabaseAdmin
+      .from('agencies')
+      .select('*')
+      .eq('id', agencyId)
+      .single();
+    if (data) return data;
+  }
+
+  if (object.customer) {
+    const { data } = await supabaseAdmin
+      .from('agencies')
+      .select('*')
+      .eq('stripe_customer_id', object.customer)
+      .single();
+    if (data) return data;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the plan for a subscription from its price, then its metadata
+ */
+async function findPlanForSubscription(subscription) {
+  const priceId = subscription.items?.data?.[0]?.price?.id;
+  if (priceId) {
+    const { data } = await supabaseAdmin
+      .from('agency_plans')
+      .select('*')
+      .eq('stripe_price_id', priceId)
+      .single();
+    if (data) return data;
+  }
+
+  const planId = subscription.metadata?.plan_id;
+  if (planId) {
+    const { data } = await supabaseAdmin
+      .from('agency_plans')
+      .select('*')
+      .eq('id', planId)
+      .single();
+    if (data) return data;
+  }
+
+  return null;
+}
+
+/**
+ * Period end moved from the subscription to its items in newer API versions
+ */
+function getPeriodEnd(subscription) {
+  const seconds = subscription.current_period_end || subscription.items?.data?.[0]?.current_period_end;
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * checkout.session.completed
+ */
+async function handleCheckoutCompleted(session) {
+  const agency = await findAgency(session);
+  if (!agency) {
+    logger.warn('Stripe checkout for unknown agency', { sessionId: session.id });
+    return null;
+  }
+
+  if (session.metadata?.kind === 'credit_pack') {
+    if (session.payment_status !== 'paid') {
+      logger.warn('Credit pack checkout completed without payment', { sessionId: session.id, agencyId: agency.id });
+      return agency.id;
+    }
+
+    const credits = parseInt(session.metadata.credits, 10);
+    if (!Number.isInteger(credits) || credits <= 0) {
+      logger.error('Credit pack checkout missing credit amount', { sessionId: session.id });
+      return agency.id;
+    }
+
+    const newPool = await adjustCredits({
+      agencyId: agency.id,
+      amount: credits,
+      type: 'purchase',
+      reason: `Credit pack ${session.metadata.pack_id || ''}`.trim(),
+      referenceType: 'stripe_checkout',
+      referenceId: session.id,
+    });
+
+    logger.info('Credit pack purchased', { agencyId: agency.id, credits, newPool });
+    return agency.id;
+  }
+
+  // Subscription checkout: link the customer/subscription and start a fresh
+  // cycle on the purchased plan
+  const { data: plan } = await supabaseAdmin
+    .from('agency_plans')
+    .select('*')
+    .eq('id', session.metadata?.plan_id)
+    .single();
+
+  const updates = {
+    stripe_customer_id: session.customer || agency.stripe_customer_id,
+    stripe_subscription_id: session.subscription || agency.stripe_subscription_id,
+    subscription_status: 'active',
+    trial_ends_at: null,
+  };
+
+  if (plan) {
+    updates.plan_id = plan.id;
+    updates.monthly_credit_allocation = plan.monthly_credits;
+    updates.credits_used_this_cycle = 0;
+    updates.billing_cycle_start = new Date().toISOString();
+  }
+
+  const { error } = await supabaseAdmin
+    .from('agencies')
+    .update(updates)
+    .eq('id', agency.id);
+  if (error) throw new Error(`Failed to activate subscription: ${error.message}`);
+
+  // Top the pool up to the plan's allocation (purchased credits are kept)
+  const topUp = plan ? plan.monthly_credits - (agency.credit_pool || 0) : 0;
+  if (topUp > 0) {
+    await adjustCredits({
+      agencyId: agency.id,
+      amount: topUp,
+      type: 'subscription',
+      reason: `${plan.name} plan activated`,
+      referenceType: 'stripe_checkout',
+      referenceId: session.id,
+    });
+  }
+
+  logger.info('Subscription activated', { agencyId: agency.id, planId: plan?.id });
+  return agency.id;
+}
+
+/**
+ * customer.subscription.created / updated / deleted
+ */
+async function handleSubscriptionChanged(subscription, eventType) {
+  const agency = await findAgency(subscription);
+  if (!agency) {
+    logger.warn('Stripe subscription for unknown agency', { subscriptionId: subscription.id });
+    return null;
+  }
+
+  // Ignore events for a subscription the agency has since replaced
+  if (agency.stripe_subscription_id && agency.stripe_subscription_id !== subscription.id) {
+    logger.info('Ignoring event for superseded subscription', {
+      agencyId: agency.id,
+      subscriptionId: subscription.id,
+    });
+    return agency.id;
+  }
+
+  const status = eventType === 'customer.subscription.deleted'
+    ? 'cancelled'
+    : STRIPE_STATUS_MAP[subscription.status];
+
+  const updates = {
+    stripe_subscription_id: subscription.id,
+    subscription_current_period_end: getPeriodEnd(subscription),
+  };
+  if (subscription.customer) updates.stripe_customer_id = subscription.customer;
+  if (status) updates.subscription_status = status;
+
+  // Plan changes (upgrade/downgrade in the billing portal) move the
+  // allocation; the pool is refilled at the next cycle reset
+  const plan = await findPlanForSubscription(subscription);
+  if (plan && status !== 'cancelled') {
+    updates.plan_id = plan.id;
+    updates.monthly_credit_allocation = plan.monthly_credits;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('agencies')
+    .update(updates)
+    .eq('id', agency.id);
+  if (error) throw new Error(`Failed to update subscription: ${error.message}`);
+
+  logger.info('Subscription updated', {
+    agencyId: agency.id,
+    stripeStatus: subscription.status,
+    subscriptionStatus: updates.subscription_status,
+    planId: updates.plan_id,
+  });
+  return agency.id;
+}
+
+/**
+ * invoice.payment_failed — flag the agency before Stripe's own status flips
+ */
+async function handlePaymentFailed(invoice) {
+  const agency = await findAgency(invoice);
+  if (!agency) return null;
+
+  if (agency.subscription_status === 'active') {
+    await supabaseAdmin
+      .from('agencies')
+      .update({ subscription_status: 'past_due' })
+      .eq('id', agency.id);
+    logger.warn('Subscription payment failed', { agencyId: agency.id, invoiceId: invoice.id });
+  }
+  return agency.id;
+}
+
+/**
+ * Apply a verified Stripe event once. Returns { duplicate, agencyId }.
+ * The event is recorded before it is applied; if applying fails the record
+ * is removed so Stripe's retry can process it again.
+ */
+async function processStripeEvent(event) {
+  const { error: insertError } = await supabaseAdmin
+    .from('stripe_events')
+    .insert({ id: event.id, type: event.type });
+
+  if (insertError) {
+    if (insertError.code === '23505') {
+      return { duplicate: true, agencyId: null };
+    }
+    throw new Error(`Failed to record Stripe event: ${insertError.message}`);
+  }
+
+  const object = event.data?.object || {};
+  let agencyId = null;
+
+  try {
+    switch (event.type) {
+      case 'checkout.session.completed':
+        agencyId = await handleCheckoutCompleted(object);
+        break;
+      case 'customer.subscription.created':
+      case 'customer.subscription.updated':
+      case 'customer.subscription.deleted':
+        agencyId = await handleSubscriptionChanged(object, event.type);
+        break;
+      case 'invoice.payment_failed':
+        agencyId = await handlePaymentFailed(object);
+        break;
+      default:
+        logger.debug('Unhandled Stripe event type', { type: event.type });
+    }
+  } catch (error) {
+    await supabaseAdmin.from('stripe_events').delete().eq('id', event.id);
+    throw error;
+  }
+
+  if (agencyId) {
+    await supabaseAdmin
+      .from('stripe_events')
+      .update({ agency_id: agencyId })
+      .eq('id', event.id);
+  }
+
+  return { duplicate: false, agencyId };
+}
+
+module.exports = {
+  processStripeEvent,
+  getCreditPack,
+  STRIPE_STATUS_MAP,
+};
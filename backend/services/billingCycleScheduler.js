@@ -0,0 +1,174 @@
+/**
+ * Billing Cycle Scheduler Service
+ *
+ * Polls hourly for agencies whose monthly billing cycle has elapsed and
+ * rolls them over via close_agency_billing_cycle() (migration 019):
+ * snapshot the closed cycle into credit_usage_history, refill the pool per
+ * the plan's reset/rollover rule, and reset agency + per-user counters.
+ *
+ * Each poll first releases credit holds abandoned by requests that never
+ * finished, so a closing cycle's pool isn't understated by stale holds.
+ * Holds still in flight at the reset are carried into the new cycle
+ * (migration 020).
+ *
+ * Uses the same setInterval pattern as workflowScheduler.js. The SQL
+ * function locks the agency row and re-checks the boundary, so running
+ * several server instances can't refill an agency twice.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { logger } = require('./logger');
+const { releaseStaleHolds } = require('./creditLedger');
+
+const POLL_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Candidates are pre-filtered loosely (the shortest month); the SQL
+// function decides whether a full calendar month has passed
+const MIN_CYCLE_MS = 28 * 24 * 60 * 60 * 1000;
+
+// Agencies that no longer pay don't get refills
+const INACTIVE_SUBSCRIPTION_STATUSES = ['cancelled'];
+const INACTIVE_AGENCY_STATUSES = ['suspended', 'cancelled'];
+
+let _intervalId = null;
+let _isRunning = false;
+
+/**
+ * Start the scheduler. Call once at server boot.
+ */
+function start() {
+  if (_intervalId) {
+    logger.warn('Billing cycle scheduler already running');
+    return;
+  }
+
+  logger.info('Billing cycle scheduler started', { pollIntervalMs: POLL_INTERVAL_MS });
+
+  // Run immediately on startup, then hourly
+  poll().catch((err) => {
+    logger.error('Billing cycle initial run failed:', err.message);
+  });
+
+  _intervalId = setInterval(() => {
+    poll().catch((err) => {
+      logger.error('Billing cycle run failed:', err.message);
+    });
+  }, POLL_INTERVAL_MS);
+}
+
+/**
+ * Stop the scheduler. Call on graceful shutdown.
+ */
+function stop() {
+  if (_intervalId) {
+    clearInterval(_intervalId);
+    _intervalId = null;
+    logger.info('Billing cycle scheduler stopped');
+  }
+}
+
+/**
+ * Release stale holds, then roll over elapsed cycles.
+ */
+async function poll() {
+  try {
+    const released = await releaseStaleHolds();
+    if (released > 0) {
+      logger.info(`Released ${released} stale credit hold(s)`);
+    }
+  } catch (err) {
+    logger.error('Stale credit hold release failed:', err.message);
+  }
+
+  return runRollover();
+}
+
+/**
+ * Close the elapsed cycle of one agency. Returns the history row ID, or
+ * null if its cycle wasn't due yet.
+ */
+async function closeAgencyCycle(agencyId, now = new Date()) {
+  const { data: historyId, error } = await supabaseAdmin.rpc('close_agency_billing_cycle', {
+    p_agency_id: agencyId,
+    p_now: now.toISOString(),
+  });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return historyId || null;
+}
+
+/**
+ * Find agencies with an elapsed cycle and roll each one over.
+ */
+async function runRollover() {
+  // Prevent overlapping runs within this process
+  if (_isRunning) {
+    logger.warn('Billing cycle rollover already in progress, skipping');
+    return { skipped: true };
+  }
+
+  _isRunning = true;
+
+  try {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - MIN_CYCLE_MS).toISOString();
+
+    const { data: agencies, error } = await supabaseAdmin
+      .from('agencies')
+      .select('id, name, status, subscription_status, billing_cycle_start')
+      .lte('billing_cycle_start', cutoff)
+      .not('billing_cycle_start', 'is', null);
+
+    if (error) {
+      logger.error('Billing cycle query failed:', error.message);
+      return { error: error.message };
+    }
+
+    const due = (agencies || []).filter((agency) =>
+      !INACTIVE_AGENCY_STATUSES.includes(agency.status) &&
+      !INACTIVE_SUBSCRIPTION_STATUSES.includes(agency.subscription_status)
+    );
+
+    let rolledOver = 0;
+    let failed = 0;
+
+    for (const agency of due) {
+      try {
+        const historyId = await closeAgencyCycle(agency.id, now);
+        if (historyId) {
+          rolledOver++;
+          logger.info('Billing cycle closed', { agencyId: agency.id, historyId });
+        }
+      } catch (err) {
+        failed++;
+        logger.error('Failed to close billing cycle:', { agencyId: agency.id, error: err.message });
+      }
+    }
+
+    if (rolledOver > 0 || failed > 0) {
+      logger.info('Billing cycle rollover finished', { checked: due.length, rolledOver, failed });
+    }
+
+    return { checked: due.length, rolledOver, failed };
+  } finally {
+    _isRunning = false;
+  }
+}
+
+/**
+ * Check if the scheduler is running
+ */
+function isRunning() {
+  return !!_intervalId;
+}
+
+module.exports = {
+  start,
+  stop,
+  isRunning,
+  runRollover,
+  closeAgencyCycle,
+};
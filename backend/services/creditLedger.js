@@ -0,0 +1,199 @@
+/**
+ * Credit Ledger Service
+ *
+ * Thin wrapper around the credit_transactions functions (migration 020).
+ * Paid work follows hold → capture | release:
+ *   const holdId = await holdCredits({ agencyId, userId, amount, operation });
+ *   ... do the work ...
+ *   await captureHold(holdId)         // success
+ *   await releaseHold(holdId, reason) // failure before anything was delivered
+ *   await refundHold(holdId, reason)  // failure after the hold was captured
+ *
+ * Every function here changes credit_pool and writes the ledger atomically;
+ * nothing else should update credit_pool directly.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { logger } = require('./logger');
+
+const TRANSACTION_TYPES = [
+  'hold',
+  'capture',
+  'release',
+  'refund',
+  'adjustment',
+  'purchase',
+  'subscription',
+  'cycle_reset',
+];
+
+// Holds older than this are assumed abandoned and released
+const STALE_HOLD_INTERVAL = '6 hours';
+
+/**
+ * Reserve credits. Returns the hold ID, or null if the pool can't cover it.
+ * @param {Object} params
+ * @param {string} params.agencyId
+ * @param {string|null} params.userId - User the credits are spent by
+ * @param {number} params.amount
+ * @param {string} params.operation - e.g. 'kling', 'workflow:generate_image'
+ * @param {string} [params.referenceType] - e.g. 'workflow_run'
+ * @param {string} [params.referenceId]
+ * @param {Object} [params.metadata]
+ */
+async function holdCredits({ agencyId, userId, amount, operation, referenceType = null, referenceId = null, metadata = {} }) {
+  const { data: holdId, error } = await supabaseAdmin.rpc('hold_agency_credits', {
+    p_agency_id: agencyId,
+    p_user_id: userId || null,
+    p_amount: amount,
+    p_operation: operation,
+    p_reference_type: referenceType,
+    p_reference_id: referenceId,
+    p_metadata: metadata,
+  });
+
+  if (error) {
+    throw new Error(`Failed to hold credits: ${error.message}`);
+  }
+
+  return holdId || null;
+}
+
+/**
+ * Capture a hold (optionally only part of it). Returns the captured
+ * amount, or null if the hold was already settled.
+ */
+async function captureHold(holdId, { amount = null, referenceType = null, referenceId = null } = {}) {
+  const { data: captured, error } = await supabaseAdmin.rpc('capture_credit_hold', {
+    p_hold_id: holdId,
+    p_amount: amount,
+    p_reference_type: referenceType,
+    p_reference_id: referenceId,
+  });
+
+  if (error) {
+    throw new Error(`Failed to capture credits: ${error.message}`);
+  }
+
+  if (captured === -1) {
+    logger.warn('Credit hold already settled, not captured', { holdId });
+    return null;
+  }
+
+  return captured;
+}
+
+/**
+ * Release a hold back to the pool. Returns false if it was already settled.
+ */
+async function releaseHold(holdId, reason = null) {
+  const { data: released, error } = await supabaseAdmin.rpc('release_credit_hold', {
+    p_hold_id: holdId,
+    p_reason: reason,
+  });
+
+  if (error) {
+    throw new Error(`Failed to release credits: ${error.message}`);
+  }
+
+  return !!released;
+}
+
+/**
+ * Refund a captured hold. Returns the refunded amount, or null if there
+ * was nothing to refund.
+ */
+async function refundHold(holdId, reason = null) {
+  const { data: refunded, error } = await supabaseAdmin.rpc('refund_credit_hold', {
+    p_hold_id: holdId,
+    p_reason: reason,
+  });
+
+  if (error) {
+    throw new Error(`Failed to refund credits: ${error.message}`);
+  }
+
+  return refunded === -1 ? null : refunded;
+}
+
+/**
+ * Add or remove credits outside of a hold. Returns the new pool, or null
+ * if a removal would make the pool negative.
+ * @param {Object} params
+ * @param {string} params.agencyId
+ * @param {number} params.amount - Positive to add, negative to remove
+ * @param {string} [params.type='adjustment'] - 'adjustment' | 'purchase' | 'subscription'
+ * @param {string} [params.reason]
+ * @param {string} [params.userId] - Admin who made an adjustment
+ */
+async function adjustCredits({
+  agencyId,
+  amount,
+  type = 'adjustment',
+  reason = null,
+  userId = null,
+  referenceType = null,
+  referenceId = null,
+  metadata = {},
+}) {
+  const { data: newPool, error } = await supabaseAdmin.rpc('adjust_agency_credits', {
+    p_agency_id: agencyId,
+    p_amount: amount,
+    p_type: type,
+    p_reason: reason,
+    p_user_id: userId,
+    p_reference_type: referenceType,
+    p_reference_id: referenceId,
+    p_metadata: metadata,
+  });
+
+  if (error) {
+    throw new Error(`Failed to adjust credits: ${error.message}`);
+  }
+
+  return newPool === -1 ? null : newPool;
+}
+
+/**
+ * Credits reserved by an agency's holds that aren't settled yet, or by one
+ * user's when userId is given
+ */
+async function getOpenHoldCredits(agencyId, userId = null) {
+  const { data: total, error } = await supabaseAdmin.rpc('open_hold_credits', {
+    p_agency_id: agencyId,
+    p_user_id: userId,
+  });
+
+  if (error) {
+    throw new Error(`Failed to read open holds: ${error.message}`);
+  }
+
+  return total || 0;
+}
+
+/**
+ * Release holds abandoned by requests that never finished.
+ * Returns how many were released.
+ */
+async function releaseStaleHolds() {
+  const { data: count, error } = await supabaseAdmin.rpc('release_stale_credit_holds', {
+    p_older_than: STALE_HOLD_INTERVAL,
+  });
+
+  if (error) {
+    throw new Error(`Failed to release stale holds: ${error.message}`);
+  }
+
+  return count || 0;
+}
+
+module.exports = {
+  holdCredits,
+  captureHold,
+  releaseHold,
+  refundHold,
+  adjustCredits,
+  getOpenHoldCredits,
+  releaseStaleHolds,
+  TRANSACTION_TYPES,
+};
@@ -0,0 +1,376 @@
+/**
+ * Editing Tools
+ *
+ * One implementation of each image editing tool, shared by the
+ * /api/edit/* routes and the workflow editing nodes. Callers validate
+ * their own inputs and handle credits, jobs and gallery saves; these
+ * functions only talk to the providers and return result URLs.
+ *
+ * Images and masks may be base64 data URLs or http(s) URLs. Each tool
+ * takes an optional AbortSignal that cancels the provider job and stops
+ * polling when it fires.
+ */
+
+const fetch = require('node-fetch');
+const { logger } = require('./logger');
+const { runModel, extractOutputUrl, extractOutputUrls } = require('./replicateClient');
+const { routeGenerationRequest, getJobStatus } = require('./gpuRouter');
+const { extractImageFromOutput } = require('./comfyuiOutput');
+const { compressImage, compressImages } = require('./imageCompression');
+
+// =============================================
+// Constants
+// =============================================
+
+// Replicate model identifiers
+const BG_REMOVER_MODEL = '851-labs/background-remover:a029dff38972b5fda4ec5d75d7d1cd25aeff621d2cf4946a41055d7db66b80bc';
+const ERASER_MODEL = 'bria/eraser';
+const QWEN_EDIT_MODEL = 'qwen/qwen-image-edit-plus';
+const UPSCALE_MODEL = 'nightmareai/real-esrgan';
+
+// GPU Router polling (inpaint)
+const POLL_INTERVAL = 3000;   // Poll every 3 seconds
+const MAX_POLL_ATTEMPTS = 200; // Max ~10 minutes
+
+const COMPRESS_OPTIONS = { maxDimension: 1536, quality: 80 };
+
+// =============================================
+// COMFYUI INPAINT WORKFLOW (Qwen-based, SFW only)
+// =============================================
+
+/**
+ * Build Qwen inpainting workflow
+ * Uses two LoadImage nodes: one for image, one for mask
+ * ImageToMask converts the mask image's red channel to a mask tensor
+ */
+function getInpaintWorkflow({ prompt, negativePrompt = '', seed = null, denoise = 0.6 }) {
+  const actualSeed = seed ?? Math.floor(Math.random() * 999999999999999);
+
+  return {
+    "3": {
+      "inputs": {
+        "seed": actualSeed,
+        "steps": 6,
+        "cfg": 1,
+        "sampler_name": "euler",
+        "scheduler": "simple",
+        "denoise": denoise,
+        "model": ["15", 0],
+        "positive": ["6", 0],
+        "negative": ["7", 0],
+        "latent_image": ["16", 0]
+      },
+      "class_type": "KSampler",
+      "_meta": { "title": "KSampler" }
+    },
+    "4": {
+      "inputs": { "image": "mask_image.png" },
+      "class_type": "LoadImage",
+      "_meta": { "title": "Load Mask Image" }
+    },
+    "5": {
+      "inputs": { "image": "input_image.png" },
+      "class_type": "LoadImage",
+      "_meta": { "title": "Load Image" }
+    },
+    "6": {
+      "inputs": {
+        "text": prompt,
+        "clip": ["15", 1]
+      },
+      "class_type": "CLIPTextEncode",
+      "_meta": { "title": "Positive Prompt" }
+    },
+    "7": {
+      "inputs": {
+        "text": negativePrompt || "",
+        "clip": ["15", 1]
+      },
+      "class_type": "CLIPTextEncode",
+      "_meta": { "title": "Negative Prompt" }
+    },
+    "8": {
+      "inputs": {
+        "samples": ["3", 0],
+        "vae": ["11", 0]
+      },
+      "class_type": "VAEDecode",
+      "_meta": { "title": "VAE Decode" }
+    },
+    "9": {
+      "inputs": {
+        "filename_prefix": "Inpaint",
+        "images": ["8", 0]
+      },
+      "class_type": "SaveImage",
+      "_meta": { "title": "Save Image" }
+    },
+    "10": {
+      "inputs": {
+        "clip_name": "qwen_2.5_vl_7b_fp8_scaled.safetensors",
+        "type": "qwen_image",
+        "device": "default"
+      },
+      "class_type": "CLIPLoader",
+      "_meta": { "title": "Load CLIP" }
+    },
+    "11": {
+      "inputs": { "vae_name": "qwen_image_vae.safetensors" },
+      "class_type": "VAELoader",
+      "_meta": { "title": "Load VAE" }
+    },
+    "12": {
+      "inputs": {
+        "pixels": ["5", 0],
+        "vae": ["11", 0]
+      },
+      "class_type": "VAEEncode",
+      "_meta": { "title": "VAE Encode" }
+    },
+    "14": {
+      "inputs": {
+        "unet_name": "qwen_image_bf16.safetensors",
+        "weight_dtype": "default"
+      },
+      "class_type": "UNETLoader",
+      "_meta": { "title": "Load Diffusion Model" }
+    },
+    "15": {
+      "inputs": {
+        "PowerLoraLoaderHeaderWidget": { "type": "PowerLoraLoaderHeaderWidget" },
+        // All LoRAs disabled for inpainting — base model only
+        "lora_1": { "on": false, "lora": "None", "strength": 1 },
+        "lora_2": { "on": false, "lora": "None", "strength": 1 },
+        "lora_3": { "on": false, "lora": "None", "strength": 1 },
+        "➕ Add Lora": "",
+        "model": ["14", 0],
+        "clip": ["10", 0]
+      },
+      "class_type": "Power Lora Loader (rgthree)",
+      "_meta": { "title": "Power Lora Loader (rgthree)" }
+    },
+    "16": {
+      "inputs": {
+        "samples": ["12", 0],
+        "mask": ["17", 0]
+      },
+      "class_type": "SetLatentNoiseMask",
+      "_meta": { "title": "Set Latent Noise Mask" }
+    },
+    "17": {
+      "inputs": {
+        "channel": "red",
+        "image": ["4", 0]
+      },
+      "class_type": "ImageToMask",
+      "_meta": { "title": "Image To Mask" }
+    }
+  };
+}
+
+// =============================================
+// Helpers
+// =============================================
+
+/**
+ * Raw base64 of an image (the ComfyUI worker takes no data URL prefix).
+ * URLs are downloaded first.
+ */
+async function toBase64(image) {
+  if (image.startsWith('data:')) {
+    return image.split(',')[1];
+  }
+
+  if (/^https?:\/\//.test(image)) {
+    const response = await fetch(image);
+    if (!response.ok) {
+      throw new Error(`Failed to download image: ${response.status}`);
+    }
+    return (await response.buffer()).toString('base64');
+  }
+
+  return image;
+}
+
+async function pollInpaintJob(jobId, signal) {
+  logger.debug('Starting inpaint job polling', { jobId });
+
+  for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
+    signal?.throwIfAborted();
+
+    try {
+      const statusResult = await getJobStatus(jobId);
+
+      if (!statusResult.success) {
+        logger.debug('Poll failed', { attempt: attempt + 1, error: statusResult.error });
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+        continue;
+      }
+
+      const data = statusResult.data;
+      const status = data.status;
+
+      if (status === 'COMPLETED') {
+        const { imageUrl } = extractImageFromOutput(data.output);
+        if (imageUrl) {
+          return { success: true, image: imageUrl, endpoint: statusResult.endpoint };
+        }
+        logger.error('Inpaint job completed but no image in output', { jobId });
+        return { success: false, error: 'No image in output' };
+      }
+
+      if (status === 'FAILED') {
+        logger.error('Inpaint job failed', { jobId, error: data.error });
+        return { success: false, error: data.error || 'Job failed' };
+      }
+
+      if (status === 'CANCELLED') {
+        return { success: false, error: 'Job was cancelled' };
+      }
+
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+
+    } catch (err) {
+      logger.debug('Polling error', { attempt: attempt + 1, error: err.message });
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+  }
+
+  return { success: false, error: 'Job timed out after polling' };
+}
+
+// =============================================
+// Tools
+// =============================================
+
+/**
+ * Remove the background from an image (Replicate, 851-labs)
+ * @returns {Promise<string>} Result image URL
+ */
+async function removeBackground({ image, signal }) {
+  const compressedImage = await compressImage(image, COMPRESS_OPTIONS);
+  const output = await runModel(BG_REMOVER_MODEL, { image: compressedImage }, { signal });
+
+  // Handle Replicate's dual output format (File object vs URL string)
+  return extractOutputUrl(output) || output;
+}
+
+/**
+ * Erase the masked objects from an image (Replicate, Bria Eraser)
+ * @returns {Promise<string>} Result image URL
+ */
+async function eraseObjects({ image, mask, preserveAlpha = true, signal }) {
+  const compressedImage = await compressImage(image, COMPRESS_OPTIONS);
+  const compressedMask = await compressImage(mask, COMPRESS_OPTIONS);
+
+  const output = await runModel(ERASER_MODEL, {
+    image: compressedImage,
+    mask: compressedMask,
+    preserve_alpha: preserveAlpha,
+    content_moderation: false,
+    sync: true,
+  }, { signal });
+
+  return extractOutputUrl(output) || output;
+}
+
+/**
+ * Edit 1-3 images from a prompt (Replicate, Qwen Image Edit Plus)
+ * @returns {Promise<string[]>} Result image URLs
+ */
+async function editWithQwen({
+  images,
+  prompt,
+  aspectRatio = 'match_input_image',
+  outputFormat = 'webp',
+  seed,
+  goFast = true,
+  outputQuality = 95,
+  signal,
+}) {
+  const compressedImages = await compressImages(images, COMPRESS_OPTIONS);
+
+  const input = {
+    image: compressedImages,
+    prompt: prompt.trim(),
+    aspect_ratio: aspectRatio,
+    output_format: outputFormat,
+    go_fast: goFast,
+    output_quality: outputQuality,
+  };
+
+  if (seed !== undefined && seed !== null && seed !== '') {
+    input.seed = parseInt(seed);
+  }
+
+  const output = await runModel(QWEN_EDIT_MODEL, input, { signal });
+
+  // Output is an array of image URLs
+  const resultImages = extractOutputUrls(output);
+  if (resultImages.length === 0) {
+    throw new Error('No images returned from Qwen Edit');
+  }
+
+  return resultImages;
+}
+
+/**
+ * Repaint the masked area of an image from a prompt (ComfyUI via GPU Router)
+ * Mask must use the RED channel for the area to repaint.
+ * @returns {Promise<{ image: string, endpoint: string }>}
+ */
+async function inpaintImage({ image, mask, prompt, denoise = 0.6, signal }) {
+  const workflow = getInpaintWorkflow({
+    prompt,
+    denoise: Math.min(Math.max(parseFloat(denoise) || 0.6, 0), 1),
+  });
+
+  // Image + mask as named files for the two LoadImage nodes
+  const images = [
+    { name: 'input_image.png', image: await toBase64(image) },
+    { name: 'mask_image.png', image: await toBase64(mask) },
+  ];
+
+  // Submit via GPU router (dedicated-first, serverless fallback)
+  const submitResult = await routeGenerationRequest({ workflow, images });
+
+  if (!submitResult.success) {
+    throw new Error(`Failed to submit inpaint job: ${submitResult.error}`);
+  }
+
+  logger.info('Inpaint job submitted', {
+    gpuJobId: submitResult.jobId,
+    endpoint: submitResult.endpoint,
+    usedFallback: submitResult.usedFallback || false,
+  });
+
+  const result = await pollInpaintJob(submitResult.jobId, signal);
+
+  if (!result.success) {
+    throw new Error(`Inpaint failed: ${result.error}`);
+  }
+
+  return { image: result.image, endpoint: result.endpoint };
+}
+
+/**
+ * Upscale an image 2x or 4x (Replicate, Real-ESRGAN)
+ * @returns {Promise<string>} Result image URL
+ */
+async function upscaleImage({ image, scale = 2, faceEnhance = false, signal }) {
+  const output = await runModel(UPSCALE_MODEL, {
+    image,
+    scale: parseInt(scale) === 4 ? 4 : 2,
+    face_enhance: faceEnhance,
+  }, { signal });
+
+  return extractOutputUrl(output) || output;
+}
+
+module.exports = {
+  removeBackground,
+  eraseObjects,
+  editWithQwen,
+  inpaintImage,
+  upscaleImage,
+};
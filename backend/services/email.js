@@ -11,6 +11,20 @@ function getResendClient() {
     return resend;
 }
 
+/**
+ * Escape user-entered text for use in email HTML
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Get email configuration based on agency white-label settings
  * @param {Object} agency - Agency object with settings and plan info
@@ -547,8 +561,98 @@ ${agency.name}
     }
 }
 
+/**
+ * Send a workflow review request to an assigned reviewer
+ * @param {Object} agency - Agency object with name, settings and plan info
+ * @param {Object} reviewer - Agency user with name and email
+ * @param {Object} review - { workflowName, nodeLabel, note, reviewUrl, expiresAt }
+ * @returns {Promise<Object>} Resend API response
+ */
+async function sendWorkflowReviewEmail(agency, reviewer, review) {
+    const recipientName = reviewer.name || 'there';
+    const workflowName = escapeHtml(review.workflowName);
+    const nodeLabel = escapeHtml(review.nodeLabel);
+    const expiresAt = review.expiresAt ? new Date(review.expiresAt) : null;
+    const expiresText = expiresAt
+        ? `This review expires on ${expiresAt.toLocaleString('en-US', { month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: 'UTC', timeZoneName: 'short' })}.`
+        : '';
+
+    const noteContent = review.note
+        ? `<p style="margin: 20px 0; line-height: 1.6; color: #374151;">${escapeHtml(review.note).replace(/\n/g, '<br>')}</p>`
+        : '';
+
+    // Get branded email configuration
+    const emailConfig = await getEmailConfig(agency);
+
+    const bodyContent = `
+        <h2 style="margin: 0 0 20px; font-size: 20px; font-weight: 600; color: #111827;">
+            A workflow is waiting for your review
+        </h2>
+
+        <p style="margin: 0 0 20px; line-height: 1.6; color: #374151;">
+            Hi ${escapeHtml(recipientName)},
+        </p>
+
+        <p style="margin: 0 0 20px; line-height: 1.6; color: #374151;">
+            <strong>${workflowName}</strong> paused at <strong>${nodeLabel}</strong>.
+            Approve it to continue the run, or reject it with feedback.
+        </p>
+
+        ${noteContent}
+
+        ${expiresText ? `<p style="margin: 20px 0 0; font-size: 14px; line-height: 1.6; color: #6b7280;">${expiresText}</p>` : ''}
+    `;
+
+    const html = buildEmailTemplate(emailConfig, {
+        title: `Review requested - ${workflowName}`,
+        body: bodyContent,
+        ctaText: 'Review Now',
+        ctaUrl: review.reviewUrl
+    });
+
+    const text = `
+A workflow is waiting for your review
+
+Hi ${recipientName},
+
+${review.workflowName} paused at ${review.nodeLabel}. Approve it to continue the run, or reject it with feedback.
+
+${review.note || ''}
+
+Review it here:
+${review.reviewUrl}
+
+${expiresText}
+
+---
+${agency.name}
+    `.trim();
+
+    const client = getResendClient();
+
+    if (!client) {
+        throw new Error('Email service is not configured. Please set RESEND_API_KEY environment variable.');
+    }
+
+    try {
+        const response = await client.emails.send({
+            from: `${emailConfig.fromName} <${emailConfig.fromEmail}>`,
+            to: reviewer.email,
+            subject: `Review requested: ${review.workflowName}`,
+            html: html,
+            text: text
+        });
+
+        return response;
+    } catch (error) {
+        console.error('Error sending workflow review email:', error);
+        throw new Error(`Failed to send review email: ${error.message}`);
+    }
+}
+
 module.exports = {
     sendModelInviteEmail,
     sendWelcomeEmail,
-    sendTeamInviteEmail
+    sendTeamInviteEmail,
+    sendWorkflowReviewEmail
 };
@@ -0,0 +1,337 @@
+/**
+ * Generation Jobs Service
+ *
+ * Runs generation/editing work in the background so routes can answer
+ * immediately. The job is the generations row (migration 021):
+ *   pending → processing → completed | failed
+ *
+ * Routes call startGenerationJob(req, res, details, work). It inserts the
+ * row, takes over the request's credit hold, answers 202 with the job ID and
+ * queues work(job). work resolves to { resultUrl, resultMetadata, response }
+ * (response is what the endpoint used to return synchronously) or throws.
+ * The hold is captured on success and released on failure.
+ *
+ * Jobs run in the process that accepted them. Each process heartbeats the
+ * jobs it owns; the sweep fails jobs nobody has heartbeated for a while
+ * (server restarted mid-job) and releases their holds.
+ */
+
+const { EventEmitter } = require('events');
+const { supabaseAdmin } = require('./supabase');
+const { logger } = require('./logger');
+const { config } = require('../config');
+const { captureHold, releaseHold } = require('./creditLedger');
+const { emitGenerationCompleted } = require('./webhookDelivery');
+const { transferHold } = require('../middleware/credits');
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const STALE_JOB_MS = 3 * 60 * 1000;
+
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+const ACTIVE_JOB_STATUSES = ['pending', 'processing'];
+
+// Columns clients see (never the hold ID)
+const JOB_COLUMNS = 'id, agency_id, user_id, model_id, type, model, prompt, parameters, status, ' +
+  'result_url, result_metadata, error_message, credits_cost, created_at, started_at, completed_at';
+
+// Emits 'update' with the job row after every status change
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Jobs owned by this process: id → { generation, work }
+const _localJobs = new Map();
+const _queue = [];
+let _running = 0;
+
+let _heartbeatId = null;
+let _sweepId = null;
+
+/**
+ * Start heartbeats and the stale job sweep. Call once at server boot.
+ */
+function start() {
+  if (_sweepId) {
+    logger.warn('Generation job worker already running');
+    return;
+  }
+
+  logger.info('Generation job worker started', { concurrency: config.jobs.concurrency });
+
+  sweepStaleJobs().catch((err) => {
+    logger.error('Initial stale job sweep failed:', err.message);
+  });
+
+  _heartbeatId = setInterval(() => {
+    heartbeat().catch((err) => {
+      logger.error('Job heartbeat failed:', err.message);
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  _sweepId = setInterval(() => {
+    sweepStaleJobs().catch((err) => {
+      logger.error('Stale job sweep failed:', err.message);
+    });
+  }, SWEEP_INTERVAL_MS);
+}
+
+/**
+ * Stop timers. Call on graceful shutdown; unfinished jobs are failed by
+ * the next sweep (here or in another instance).
+ */
+function stop() {
+  if (_heartbeatId) {
+    clearInterval(_heartbeatId);
+    _heartbeatId = null;
+  }
+  if (_sweepId) {
+    clearInterval(_sweepId);
+    _sweepId = null;
+    logger.info('Generation job worker stopped', { unfinishedJobs: _localJobs.size });
+  }
+}
+
+// ============================================
+// ENQUEUE
+// ============================================
+
+/**
+ * Create a job for a request that passed requireCredits and answer 202.
+ * @param {Object} req - Express request (agency, agencyUser, credit hold)
+ * @param {Object} res - Express response
+ * @param {Object} details
+ * @param {string} details.type - 'image' | 'video' | 'edit'
+ * @param {string} details.model - e.g. 'seedream'
+ * @param {string} [details.prompt]
+ * @param {Object} [details.parameters]
+ * @param {string} [details.modelId] - Creator the output belongs to
+ * @param {Function} work - async (job) => { resultUrl, resultMetadata, response }
+ */
+async function startGenerationJob(req, res, { type, model, prompt = null, parameters = {}, modelId = null }, work) {
+  const { agency, agencyUser } = req;
+
+  const { data: generation, error } = await supabaseAdmin
+    .from('generations')
+    .insert({
+      agency_id: agency.id,
+      user_id: agencyUser.id,
+      model_id: modelId || null,
+      type,
+      model,
+      prompt,
+      parameters,
+      status: 'pending',
+      credits_cost: req.creditCost,
+      credit_hold_id: req.creditHoldId,
+      heartbeat_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Failed to create generation job:', error);
+    return res.status(500).json({ error: 'Failed to start generation' });
+  }
+
+  // The job settles the hold from here on
+  transferHold(req);
+
+  _localJobs.set(generation.id, { generation, work });
+  _queue.push(generation.id);
+  drainQueue();
+
+  logger.info('Generation job queued', { jobId: generation.id, model, agencyId: agency.id });
+
+  res.status(202).json({
+    success: true,
+    jobId: generation.id,
+    status: generation.status,
+    model,
+    creditsReserved: req.creditCost,
+    statusUrl: `/api/jobs/${generation.id}`,
+  });
+}
+
+/**
+ * Start queued jobs up to the concurrency limit
+ */
+function drainQueue() {
+  while (_running < config.jobs.concurrency && _queue.length > 0) {
+    const jobId = _queue.shift();
+    const entry = _localJobs.get(jobId);
+    if (!entry) continue;
+
+    _running++;
+    runJob(entry)
+      .catch((err) => {
+        logger.error('Generation job crashed:', { jobId, error: err.message });
+      })
+      .finally(() => {
+        _running--;
+        _localJobs.delete(jobId);
+        drainQueue();
+      });
+  }
+}
+
+// ============================================
+// EXECUTION
+// ============================================
+
+/**
+ * Update a job row and notify subscribers. Only moves jobs that are still
+ * unfinished, so a swept job can't be resurrected by a late worker.
+ */
+async function updateJob(jobId, updates) {
+  const { data: job, error } = await supabaseAdmin
+    .from('generations')
+    .update(updates)
+    .eq('id', jobId)
+    .in('status', ACTIVE_JOB_STATUSES)
+    .select(JOB_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to update job: ${error.message}`);
+  }
+
+  if (job) {
+    jobEvents.emit('update', job);
+  }
+  return job;
+}
+
+async function runJob({ generation, work }) {
+  const jobId = generation.id;
+  const now = new Date().toISOString();
+
+  const started = await updateJob(jobId, { status: 'processing', started_at: now, heartbeat_at: now });
+  if (!started) {
+    logger.warn('Generation job was settled before it started', { jobId });
+    return;
+  }
+
+  let output;
+  try {
+    output = await work(generation);
+  } catch (error) {
+    logger.error(`${generation.model} job failed:`, { jobId, error: error.message });
+    await failJob(generation, error.message || 'Generation failed');
+    return;
+  }
+
+  const { resultUrl = null, resultMetadata = null, response = null } = output || {};
+
+  if (generation.credit_hold_id) {
+    try {
+      await captureHold(generation.credit_hold_id, { referenceType: 'generation', referenceId: jobId });
+    } catch (error) {
+      logger.error('Failed to capture job credits:', { jobId, error: error.message });
+      await failJob(generation, 'Failed to charge credits for this generation');
+      return;
+    }
+  }
+
+  const completed = await updateJob(jobId, {
+    status: 'completed',
+    result_url: resultUrl,
+    result_metadata: resultMetadata,
+    result: response,
+    completed_at: new Date().toISOString(),
+  });
+
+  if (completed) {
+    emitGenerationCompleted(completed);
+    logger.info('Generation job completed', { jobId, model: generation.model });
+  }
+}
+
+/**
+ * Mark a job failed and give its credits back
+ */
+async function failJob(generation, message) {
+  try {
+    await updateJob(generation.id, {
+      status: 'failed',
+      error_message: message,
+      completed_at: new Date().toISOString(),
+    });
+  } finally {
+    if (generation.credit_hold_id) {
+      await releaseHold(generation.credit_hold_id, `Job failed: ${message}`.substring(0, 500));
+    }
+  }
+}
+
+// ============================================
+// LIVENESS
+// ============================================
+
+/**
+ * Mark every job this process owns as alive
+ */
+async function heartbeat() {
+  const jobIds = [..._localJobs.keys()];
+  if (jobIds.length === 0) return;
+
+  const { error } = await supabaseAdmin
+    .from('generations')
+    .update({ heartbeat_at: new Date().toISOString() })
+    .in('id', jobIds)
+    .in('status', ACTIVE_JOB_STATUSES);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
+/**
+ * Fail unfinished jobs whose owner stopped heartbeating.
+ * Returns how many were failed.
+ */
+async function sweepStaleJobs() {
+  const cutoff = new Date(Date.now() - STALE_JOB_MS).toISOString();
+
+  const { data: stale, error } = await supabaseAdmin
+    .from('generations')
+    .update({
+      status: 'failed',
+      error_message: 'Job was interrupted by a server restart',
+      completed_at: new Date().toISOString(),
+    })
+    .in('status', ACTIVE_JOB_STATUSES)
+    .lt('heartbeat_at', cutoff)
+    .select(`${JOB_COLUMNS}, credit_hold_id`);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  for (const { credit_hold_id: holdId, ...job } of stale || []) {
+    jobEvents.emit('update', job);
+    if (holdId) {
+      try {
+        await releaseHold(holdId, 'Job was interrupted by a server restart');
+      } catch (err) {
+        logger.error('Failed to release hold of interrupted job:', { jobId: job.id, error: err.message });
+      }
+    }
+  }
+
+  if (stale?.length > 0) {
+    logger.warn(`Failed ${stale.length} interrupted generation job(s)`);
+  }
+
+  return stale?.length || 0;
+}
+
+module.exports = {
+  start,
+  stop,
+  startGenerationJob,
+  sweepStaleJobs,
+  jobEvents,
+  JOB_COLUMNS,
+  JOB_STATUSES,
+  ACTIVE_JOB_STATUSES,
+};
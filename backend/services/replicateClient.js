@@ -30,13 +30,15 @@ function getClient() {
  *
  * @param {string} model - Model identifier (e.g., "wan-video/wan-2.2-i2v-a14b")
  * @param {object} input - Model input parameters
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the prediction when aborted
  * @returns {Promise<any>} - Model output
  */
-async function runModel(model, input) {
+async function runModel(model, input, { signal } = {}) {
   const replicate = getClient();
 
   try {
-    const output = await replicate.run(model, { input });
+    const output = await replicate.run(model, { input, signal });
     return output;
   } catch (error) {
     // Map Replicate errors to consistent HTTP status codes
@@ -13,6 +13,7 @@ const DEFAULTS = {
   initialBackoffMs: 5000,
   maxBackoffMs: 60000,
   jitterFactor: 0.3,
+  retryStatuses: [429],
 };
 
 /**
@@ -23,12 +24,37 @@ function addJitter(baseMs, jitterFactor) {
   return Math.floor(baseMs + jitter);
 }
 
+/**
+ * Signal for one fetch attempt: the caller's signal (options.signal) and
+ * the per-attempt timeout, whichever fires first
+ */
+function attemptSignal(signal, timeoutMs) {
+  if (!timeoutMs) return signal;
+
+  const timeout = AbortSignal.timeout(timeoutMs);
+  if (!signal) return timeout;
+
+  const controller = new AbortController();
+  for (const source of [signal, timeout]) {
+    if (source.aborted) {
+      controller.abort(source.reason);
+      break;
+    }
+    source.addEventListener('abort', () => controller.abort(source.reason), { once: true });
+  }
+  return controller.signal;
+}
+
 /**
  * Fetch with retry logic for rate limits and transient failures
  *
  * @param {string} url - URL to fetch
- * @param {object} options - fetch options
+ * @param {object} options - fetch options; once options.signal is aborted
+ *   no further attempts are made
  * @param {object} retryOptions - retry configuration
+ *   retryStatuses: HTTP statuses that trigger a retry (default [429])
+ *   timeoutMs: per-attempt timeout (default none)
+ *   onAttempt: called with the 1-based attempt number before each request
  * @returns {Promise<Response>}
  */
 async function fetchWithRetry(url, options, retryOptions = {}) {
@@ -37,24 +63,34 @@ async function fetchWithRetry(url, options, retryOptions = {}) {
     initialBackoffMs = DEFAULTS.initialBackoffMs,
     maxBackoffMs = DEFAULTS.maxBackoffMs,
     jitterFactor = DEFAULTS.jitterFactor,
+    retryStatuses = DEFAULTS.retryStatuses,
+    timeoutMs,
+    onAttempt,
   } = retryOptions;
 
   let lastError;
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    options?.signal?.throwIfAborted();
+
     try {
-      const response = await fetch(url, options);
+      if (onAttempt) onAttempt(attempt + 1);
+
+      const response = await fetch(url, timeoutMs
+        ? { ...options, signal: attemptSignal(options?.signal, timeoutMs) }
+        : options);
 
-      if (response.status === 429 && attempt < maxRetries) {
+      if (retryStatuses.includes(response.status) && attempt < maxRetries) {
         const baseBackoff = Math.min(initialBackoffMs * Math.pow(2, attempt), maxBackoffMs);
         const backoffMs = addJitter(baseBackoff, jitterFactor);
-        logger.debug(`Rate limited (429), retrying in ${(backoffMs / 1000).toFixed(1)}s (attempt ${attempt + 1}/${maxRetries})`);
+        logger.debug(`Received ${response.status}, retrying in ${(backoffMs / 1000).toFixed(1)}s (attempt ${attempt + 1}/${maxRetries})`);
         await new Promise(resolve => setTimeout(resolve, backoffMs));
         continue;
       }
 
       return response;
     } catch (error) {
+      if (options?.signal?.aborted) throw error;
       lastError = error;
       if (attempt < maxRetries) {
         const baseBackoff = Math.min(initialBackoffMs * Math.pow(2, attempt), maxBackoffMs);
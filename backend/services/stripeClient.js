@@ -0,0 +1,161 @@
+/**
+ * Stripe Client Service
+ * Minimal wrapper around the Stripe REST API (form-encoded requests) and
+ * webhook signature verification.
+ *
+ * STRIPE_API_BASE can point at a local stripe-mock
+ * (e.g. http://localhost:12111) for development and testing.
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config');
+const { logger } = require('./logger');
+
+// Reject webhook events whose signed timestamp is older than this
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Whether Stripe is configured for this deployment
+ */
+function isStripeConfigured() {
+  return !!config.stripe.secretKey;
+}
+
+/**
+ * Flatten nested params into Stripe's bracket notation
+ * ({ line_items: [{ price: 'p' }] } → line_items[0][price]=p)
+ */
+function encodeParams(params, prefix = '', pairs = []) {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+
+    if (typeof value === 'object') {
+      encodeParams(value, name, pairs);
+    } else {
+      pairs.push([name, String(value)]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Make a request to the Stripe API
+ */
+async function stripeRequest(method, path, params = null) {
+  if (!isStripeConfigured()) {
+    throw new Error('STRIPE_SECRET_KEY is not configured');
+  }
+
+  const url = `${config.stripe.apiBase}/v1${path}`;
+  const body = params ? new URLSearchParams(encodeParams(params)).toString() : undefined;
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${config.stripe.secretKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body,
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    logger.error('Stripe API error:', {
+      status: response.status,
+      path,
+      type: data.error?.type,
+      message: data.error?.message,
+    });
+    throw new Error(data.error?.message || `Stripe API error: ${response.status}`);
+  }
+
+  return data;
+}
+
+/**
+ * Create a customer for an agency
+ */
+async function createCustomer({ email, name, agencyId }) {
+  return stripeRequest('POST', '/customers', {
+    email,
+    name,
+    metadata: { agency_id: agencyId },
+  });
+}
+
+/**
+ * Create a Checkout Session. Returns the session (redirect to session.url).
+ */
+async function createCheckoutSession(params) {
+  return stripeRequest('POST', '/checkout/sessions', params);
+}
+
+/**
+ * Create a Billing Portal session for managing payment methods and invoices
+ */
+async function createPortalSession({ customerId, returnUrl }) {
+  return stripeRequest('POST', '/billing_portal/sessions', {
+    customer: customerId,
+    return_url: returnUrl,
+  });
+}
+
+/**
+ * Verify a webhook's Stripe-Signature header and parse the event.
+ * Throws if the signature is missing, stale or does not match.
+ * @param {Buffer|string} rawBody - Exact request body as received
+ * @param {string} signatureHeader - Stripe-Signature header value
+ * @returns {Object} Parsed event
+ */
+function constructEvent(rawBody, signatureHeader, secret = config.stripe.webhookSecret) {
+  if (!secret) {
+    throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+  }
+  if (!signatureHeader) {
+    throw new Error('Missing Stripe-Signature header');
+  }
+
+  // Header format: t=<timestamp>,v1=<sig>[,v1=<sig>...]
+  let timestamp = null;
+  const signatures = [];
+  for (const part of signatureHeader.split(',')) {
+    const [key, value] = part.split('=');
+    if (key === 't') timestamp = value;
+    if (key === 'v1' && value) signatures.push(value);
+  }
+
+  if (!timestamp || signatures.length === 0) {
+    throw new Error('Malformed Stripe-Signature header');
+  }
+
+  const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody;
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+  const matches = signatures.some((sig) =>
+    sig.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))
+  );
+  if (!matches) {
+    throw new Error('Stripe signature does not match');
+  }
+
+  const age = Math.floor(Date.now() / 1000) - Number(timestamp);
+  if (!Number.isFinite(age) || age > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Stripe signature timestamp is outside the tolerance window');
+  }
+
+  return JSON.parse(payload);
+}
+
+module.exports = {
+  isStripeConfigured,
+  createCustomer,
+  createCheckoutSession,
+  createPortalSession,
+  constructEvent,
+};
@@ -0,0 +1,313 @@
+/**
+ * Outbound Webhook Delivery Service
+ *
+ * Sends agency events to the URLs in webhook_subscriptions. Each POST is
+ * signed with the subscription's secret and logged to webhook_deliveries.
+ *
+ * Signature: X-AgencyStudio-Signature: sha256=<hex>
+ *   HMAC-SHA256(secret, `${X-AgencyStudio-Timestamp}.${rawBody}`)
+ * Receivers should recompute it over the raw body and reject stale timestamps.
+ *
+ * emitEvent() never throws — event sources call it fire-and-forget so a slow
+ * or broken receiver can't affect the request that produced the event.
+ *
+ * Receivers must be on the public internet: the host is resolved before
+ * each delivery, and loopback, private and link-local addresses are refused
+ * (except in development, for local testing). Redirects aren't followed,
+ * and only the receiver's status code is recorded, never its response.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { supabaseAdmin } = require('./supabase');
+const { logger } = require('./logger');
+const { config } = require('../config');
+const { fetchWithRetry } = require('./retryWithBackoff');
+
+const WEBHOOK_EVENTS = [
+  'generation.completed',
+  'workflow_run.completed',
+  'workflow_run.waiting_for_review',
+  'publish_item.queued',
+  'content_upload.received',
+  'content_request.delivered',
+];
+
+const DELIVERY_RETRY_OPTIONS = {
+  maxRetries: 4,
+  initialBackoffMs: 2000,
+  maxBackoffMs: 30000,
+  retryStatuses: [408, 429, 500, 502, 503, 504],
+  timeoutMs: 10000,
+};
+
+// Host names that only mean something inside a network
+const INTERNAL_HOSTNAME_REGEX = /(^|\.)(localhost|local|internal|lan|home\.arpa)$/i;
+
+// IPv4 ranges receivers may not be in: [first octets, prefix length]
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local (cloud metadata)
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 3], // multicast and reserved
+];
+
+/**
+ * Generate a new signing secret for a subscription
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Compute the signature header value for a body
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((n, octet) => n * 256 + parseInt(octet, 10), 0);
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * on the public internet
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const n = ipv4ToNumber(address);
+    return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+      const size = 2 ** (32 - bits);
+      return Math.floor(n / size) === Math.floor(ipv4ToNumber(base) / size);
+    });
+  }
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return lower === '::' || lower === '::1'
+      || /^f[cd]/.test(lower) // unique local
+      || /^fe[89ab]/.test(lower) // link-local
+      || /^ff/.test(lower); // multicast
+  }
+  return true;
+}
+
+/**
+ * Why a receiver URL's host can't be delivered to without resolving it
+ * (an internal name or a private IP literal), or null
+ */
+function checkReceiverHostname(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (INTERNAL_HOSTNAME_REGEX.test(host)) return 'Webhook URL must be a public host';
+  if (net.isIP(host) && isPrivateAddress(host)) return 'Webhook URL must be a public address';
+  return null;
+}
+
+/**
+ * Resolve a receiver URL's host and throw if any of its addresses isn't
+ * public. Checked at delivery time, since DNS can change after the
+ * subscription was saved.
+ */
+async function assertPublicReceiver(url) {
+  if (config.isDev) return;
+
+  const { hostname } = new URL(url);
+  const hostError = checkReceiverHostname(hostname);
+  if (hostError) throw new Error(hostError);
+
+  const addresses = await dns.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error('Webhook URL resolves to a private address');
+  }
+}
+
+/**
+ * Emit an event to every enabled subscription of an agency that listens for it.
+ */
+async function emitEvent(agencyId, event, data) {
+  try {
+    const { data: subscriptions, error } = await supabaseAdmin
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('agency_id', agencyId)
+      .eq('enabled', true)
+      .contains('events', [event]);
+
+    if (error) {
+      logger.error('Failed to load webhook subscriptions:', { agencyId, event, error: error.message });
+      return;
+    }
+
+    if (!subscriptions || subscriptions.length === 0) return;
+
+    await Promise.all(subscriptions.map((subscription) =>
+      createAndSend(subscription, {
+        event,
+        agency_id: agencyId,
+        created_at: new Date().toISOString(),
+        data,
+      })
+    ));
+  } catch (error) {
+    logger.error('Webhook emit failed:', { agencyId, event, error: error.message });
+  }
+}
+
+/**
+ * Emit generation.completed for a row that just completed.
+ * Fire-and-forget; safe to call with a null row (update failed).
+ */
+function emitGenerationCompleted(generation) {
+  if (!generation) return;
+  emitEvent(generation.agency_id, 'generation.completed', {
+    generation_id: generation.id,
+    type: generation.type,
+    model: generation.model,
+    model_id: generation.model_id,
+    user_id: generation.user_id,
+    prompt: generation.prompt,
+    result_url: generation.result_url,
+    credits_cost: generation.credits_cost,
+    completed_at: generation.completed_at,
+  });
+}
+
+/**
+ * Re-send a previous delivery's payload. Creates a new delivery row.
+ */
+async function replayDelivery(delivery, subscription, retryOptions = {}) {
+  const { id: _previousId, ...payload } = delivery.payload || {};
+  return createAndSend(subscription, payload, { replayOf: delivery.id, retryOptions });
+}
+
+/**
+ * Log a delivery row, then send it. Returns the final delivery row.
+ * Options: replayOf (original delivery id), retryOptions (overrides)
+ */
+async function createAndSend(subscription, payload, { replayOf = null, retryOptions = {} } = {}) {
+  const { data: delivery, error } = await supabaseAdmin
+    .from('webhook_deliveries')
+    .insert({
+      subscription_id: subscription.id,
+      agency_id: subscription.agency_id,
+      event: payload.event,
+      payload,
+      status: 'pending',
+      replay_of: replayOf,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Failed to create webhook delivery:', { subscriptionId: subscription.id, error: error.message });
+    return null;
+  }
+
+  return sendDelivery(subscription, delivery, retryOptions);
+}
+
+/**
+ * POST a delivery with retries and record the outcome.
+ */
+async function sendDelivery(subscription, delivery, retryOptions = {}) {
+  // The delivery id is part of the signed body so receivers can dedupe
+  const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  let attempts = 0;
+  const startedAt = Date.now();
+  const updates = {};
+
+  try {
+    await assertPublicReceiver(subscription.url);
+
+    const response = await fetchWithRetry(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'AgencyStudio-Webhooks/1.0',
+        'X-AgencyStudio-Event': delivery.event,
+        'X-AgencyStudio-Delivery': delivery.id,
+        'X-AgencyStudio-Timestamp': timestamp,
+        'X-AgencyStudio-Signature': signPayload(subscription.secret, timestamp, body),
+      },
+      body,
+      redirect: 'manual',
+    }, {
+      ...DELIVERY_RETRY_OPTIONS,
+      ...retryOptions,
+      onAttempt: (attempt) => { attempts = attempt; },
+    });
+
+    // The response isn't kept or shown, only its status
+    await response.body?.cancel().catch(() => {});
+
+    updates.status = response.ok ? 'succeeded' : 'failed';
+    updates.response_status = response.status;
+    if (!response.ok) updates.error = `Receiver responded with HTTP ${response.status}`;
+  } catch (error) {
+    updates.status = 'failed';
+    updates.error = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+  }
+
+  updates.attempts = attempts;
+  updates.duration_ms = Date.now() - startedAt;
+  updates.completed_at = new Date().toISOString();
+
+  const { data: updated, error: updateError } = await supabaseAdmin
+    .from('webhook_deliveries')
+    .update(updates)
+    .eq('id', delivery.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    logger.error('Failed to record webhook delivery:', { deliveryId: delivery.id, error: updateError.message });
+  }
+
+  await supabaseAdmin
+    .from('webhook_subscriptions')
+    .update({ last_triggered_at: updates.completed_at })
+    .eq('id', subscription.id);
+
+  if (updates.status === 'failed') {
+    logger.warn('Webhook delivery failed', {
+      deliveryId: delivery.id,
+      subscriptionId: subscription.id,
+      event: delivery.event,
+      attempts,
+      error: updates.error,
+    });
+  } else {
+    logger.info('Webhook delivered', {
+      deliveryId: delivery.id,
+      subscriptionId: subscription.id,
+      event: delivery.event,
+      attempts,
+    });
+  }
+
+  return updated || { ...delivery, ...updates };
+}
+
+module.exports = {
+  emitEvent,
+  emitGenerationCompleted,
+  replayDelivery,
+  createAndSend,
+  generateSecret,
+  signPayload,
+  checkReceiverHostname,
+  isPrivateAddress,
+  WEBHOOK_EVENTS,
+};
@@ -0,0 +1,185 @@
+/**
+ * Workflow Batches
+ *
+ * A batch runs a template workflow against several models at once
+ * (migration 029): one workflow_runs row per model, tagged with batch_id
+ * and pinned to the same version. Each run resolves {{model.*}} against
+ * its own model, exactly like a run of a workflow assigned to that model.
+ *
+ * Nothing on the batch row changes as its runs progress; summarizeBatches
+ * derives status, progress, credits and failures from the runs.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { logger } = require('./logger');
+const { applyModelScope } = require('../middleware/permissions');
+
+// Most models one batch may run against
+const MAX_BATCH_MODELS = 50;
+
+const BATCH_RUN_COLUMNS = 'id, batch_id, model_id, status, credits_used, started_at, completed_at';
+
+/**
+ * Create a batch and start one run of the version per model
+ *
+ * @param {Object} params
+ * @param {Object} params.workflow - workflows row (a template)
+ * @param {Object} params.version - workflow_versions row the runs are pinned to
+ * @param {string[]} params.modelIds
+ * @param {string} params.startedBy - Agency user ID
+ * @returns {Promise<{ batch: Object, runs: Object[] }>}
+ */
+async function startBatch({ workflow, version, modelIds, startedBy }) {
+  const { data: batch, error: batchError } = await supabaseAdmin
+    .from('workflow_batches')
+    .insert({
+      agency_id: workflow.agency_id,
+      workflow_id: workflow.id,
+      version_id: version.id,
+      model_count: modelIds.length,
+      started_by: startedBy,
+    })
+    .select()
+    .single();
+
+  if (batchError) {
+    throw batchError;
+  }
+
+  const { data: runs, error: runsError } = await supabaseAdmin
+    .from('workflow_runs')
+    .insert(modelIds.map((modelId) => ({
+      workflow_id: workflow.id,
+      model_id: modelId,
+      version_id: version.id,
+      batch_id: batch.id,
+      started_by: startedBy,
+      status: 'running',
+    })))
+    .select();
+
+  if (runsError) {
+    await supabaseAdmin.from('workflow_batches').delete().eq('id', batch.id);
+    throw runsError;
+  }
+
+  // Create pending results for each node of each run
+  const resultRows = runs.flatMap((run) => version.nodes.map((n) => ({
+    run_id: run.id,
+    node_id: n.id,
+    status: 'pending',
+  })));
+
+  const { error: resultsError } = await supabaseAdmin
+    .from('workflow_node_results')
+    .insert(resultRows);
+
+  if (resultsError) {
+    logger.error('Error creating batch node results:', resultsError);
+  }
+
+  // Fire-and-forget execution (same pattern as the manual run endpoint)
+  const { runWorkflow } = require('./workflowRunner');
+  for (const run of runs) {
+    runWorkflow(run.id).catch((err) => {
+      logger.error('Batch workflow run failed:', { batchId: batch.id, runId: run.id, error: err.message });
+    });
+  }
+
+  logger.info('Workflow batch started', {
+    agencyId: workflow.agency_id,
+    workflowId: workflow.id,
+    batchId: batch.id,
+    runs: runs.length,
+  });
+
+  return { batch, runs };
+}
+
+/**
+ * The overall status of a batch from its run counts:
+ * running | completed | partial (some runs failed or were cancelled) |
+ * failed | cancelled
+ */
+function getBatchStatus(progress) {
+  if (progress.running + progress.waiting_for_review > 0) return 'running';
+  if (progress.completed === progress.total) return 'completed';
+  if (progress.completed > 0) return 'partial';
+  return progress.failed > 0 ? 'failed' : 'cancelled';
+}
+
+/**
+ * Add status, progress, credits and failures to batch rows, from the runs
+ * the user can see
+ *
+ * @param {Object[]} batches - workflow_batches rows
+ * @param {Object} [options]
+ * @param {string[]|null} [options.modelIds] - From getAccessibleModelIds (null = all)
+ * @param {boolean} [options.includeRuns=false] - Also return each batch's runs
+ * @returns {Promise<Object[]>}
+ */
+async function summarizeBatches(batches, { modelIds = null, includeRuns = false } = {}) {
+  if (batches.length === 0) return [];
+
+  const query = supabaseAdmin
+    .from('workflow_runs')
+    .select(`${BATCH_RUN_COLUMNS}, agency_models(name)`)
+    .in('batch_id', batches.map((b) => b.id))
+    .order('started_at', { ascending: true });
+
+  const { data: runs, error } = await applyModelScope(query, modelIds);
+  if (error) {
+    throw error;
+  }
+
+  // Why each failed run failed: its first failed node's error
+  const failedRunIds = (runs || []).filter((r) => r.status === 'failed').map((r) => r.id);
+  const errors = new Map();
+  if (failedRunIds.length > 0) {
+    const { data: failedNodes, error: nodesError } = await supabaseAdmin
+      .from('workflow_node_results')
+      .select('run_id, error, completed_at')
+      .in('run_id', failedRunIds)
+      .eq('status', 'failed')
+      .order('completed_at', { ascending: true });
+
+    if (nodesError) {
+      throw nodesError;
+    }
+    for (const node of failedNodes || []) {
+      if (!errors.has(node.run_id)) errors.set(node.run_id, node.error);
+    }
+  }
+
+  return batches.map((batch) => {
+    const batchRuns = (runs || [])
+      .filter((r) => r.batch_id === batch.id)
+      .map(({ agency_models: model, ...run }) => ({
+        ...run,
+        model_name: model?.name || null,
+        error: errors.get(run.id) || null,
+      }));
+
+    const progress = { total: batchRuns.length, running: 0, waiting_for_review: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const run of batchRuns) {
+      progress[run.status] = (progress[run.status] || 0) + 1;
+    }
+
+    return {
+      ...batch,
+      status: getBatchStatus(progress),
+      progress,
+      credits_used: batchRuns.reduce((sum, r) => sum + (r.credits_used || 0), 0),
+      failures: batchRuns
+        .filter((r) => r.status === 'failed')
+        .map((r) => ({ run_id: r.id, model_id: r.model_id, model_name: r.model_name, error: r.error })),
+      ...(includeRuns && { runs: batchRuns }),
+    };
+  });
+}
+
+module.exports = {
+  MAX_BATCH_MODELS,
+  startBatch,
+  summarizeBatches,
+};
@@ -0,0 +1,140 @@
+/**
+ * Workflow Bundles
+ *
+ * Portable JSON documents for moving a workflow between agencies:
+ *
+ *   {
+ *     format: 'agency-studio.workflow',
+ *     format_version: 1,
+ *     exported_at,
+ *     workflow: { name, description },
+ *     nodes:    [{ id, node_type, label, config, position_x, position_y }],
+ *     edges:    [{ source_node_id, source_port, target_node_id, target_port }],
+ *     triggers: [{ trigger_type, schedule_config, max_concurrent_runs,
+ *                  misfire_policy, misfire_limit }],
+ *   }
+ *
+ * Node IDs are local to the bundle ('node-1', 'node-2', …). Values from the
+ * exported workflow's model are replaced with {{model.*}} placeholders, so
+ * an imported workflow resolves them against its own model. Nothing else
+ * agency-specific is exported: reviews assigned to a user go to admins,
+ * and webhook tokens are left out (importing creates new ones).
+ */
+
+const { templatizeNodeConfig } = require('./workflowTemplateVars');
+
+const BUNDLE_FORMAT = 'agency-studio.workflow';
+const BUNDLE_FORMAT_VERSION = 1;
+
+/**
+ * Serialize a workflow, its graph and triggers into a bundle
+ *
+ * @param {Object} params
+ * @param {Object} params.workflow - workflows row
+ * @param {Object[]} params.nodes - workflow_nodes rows
+ * @param {Object[]} params.edges - workflow_edges rows
+ * @param {Object[]} params.triggers - workflow_triggers rows
+ * @param {Object|null} params.model - agency_models row the workflow belongs to
+ * @returns {Object}
+ */
+function buildBundle({ workflow, nodes, edges, triggers, model }) {
+  const nodeKeys = new Map(nodes.map((n, i) => [n.id, `node-${i + 1}`]));
+
+  return {
+    format: BUNDLE_FORMAT,
+    format_version: BUNDLE_FORMAT_VERSION,
+    exported_at: new Date().toISOString(),
+    workflow: {
+      name: workflow.name,
+      description: workflow.description || null,
+    },
+    nodes: nodes.map((n) => {
+      const config = templatizeNodeConfig(n.config || {}, model);
+      if (n.node_type === 'review' && config.reviewer?.startsWith('user:')) {
+        config.reviewer = 'role:admin';
+      }
+      return {
+        id: nodeKeys.get(n.id),
+        node_type: n.node_type,
+        label: n.label,
+        config,
+        position_x: n.position_x ?? 0,
+        position_y: n.position_y ?? 0,
+      };
+    }),
+    edges: edges.map((e) => ({
+      source_node_id: nodeKeys.get(e.source_node_id),
+      source_port: e.source_port,
+      target_node_id: nodeKeys.get(e.target_node_id),
+      target_port: e.target_port,
+    })),
+    triggers: triggers.map((t) => ({
+      trigger_type: t.trigger_type,
+      schedule_config: t.trigger_type === 'scheduled' ? t.schedule_config : null,
+      max_concurrent_runs: t.max_concurrent_runs ?? 1,
+      ...(t.trigger_type === 'scheduled' && {
+        misfire_policy: t.misfire_policy || 'run_once',
+        misfire_limit: t.misfire_limit ?? 10,
+      }),
+    })),
+  };
+}
+
+/**
+ * Why a document isn't an importable bundle, or null if it is. Checks the
+ * bundle's shape only; the graph is validated like any graph save.
+ */
+function validateBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    return 'Not a workflow export file';
+  }
+  if (!Number.isInteger(bundle.format_version) || bundle.format_version < 1) {
+    return 'Missing or invalid format_version';
+  }
+  if (bundle.format_version > BUNDLE_FORMAT_VERSION) {
+    return `This export uses format version ${bundle.format_version}, newer than this server supports (${BUNDLE_FORMAT_VERSION})`;
+  }
+
+  if (typeof bundle.workflow?.name !== 'string' || !bundle.workflow.name.trim()) {
+    return 'workflow.name is required';
+  }
+  if (!Array.isArray(bundle.nodes) || !Array.isArray(bundle.edges)) {
+    return 'nodes and edges arrays are required';
+  }
+  if (bundle.triggers !== undefined && !Array.isArray(bundle.triggers)) {
+    return 'triggers must be an array';
+  }
+
+  const nodeIds = new Set();
+  for (const node of bundle.nodes) {
+    if (!node || typeof node.id !== 'string' || !node.id) {
+      return 'Every node needs an id';
+    }
+    if (nodeIds.has(node.id)) {
+      return `Duplicate node id: ${node.id}`;
+    }
+    nodeIds.add(node.id);
+    if (node.config !== undefined && (typeof node.config !== 'object' || node.config === null || Array.isArray(node.config))) {
+      return `Node "${node.label || node.id}" config must be an object`;
+    }
+  }
+
+  for (const trigger of bundle.triggers || []) {
+    if (!['scheduled', 'webhook'].includes(trigger?.trigger_type)) {
+      return 'trigger_type must be "scheduled" or "webhook"';
+    }
+    if (trigger.max_concurrent_runs !== undefined && trigger.max_concurrent_runs !== null
+      && !(Number.isInteger(trigger.max_concurrent_runs) && trigger.max_concurrent_runs >= 1)) {
+      return 'max_concurrent_runs must be a positive integer';
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_FORMAT_VERSION,
+  buildBundle,
+  validateBundle,
+};
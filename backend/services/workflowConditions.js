@@ -0,0 +1,348 @@
+/**
+ * Workflow Condition Expressions
+ *
+ * Small expression language for the `condition` node. Expressions are
+ * parsed and evaluated here (never with eval), so they can only read the
+ * values they are given.
+ *
+ * Values:
+ *   value                 - Whatever is connected to the node's input
+ *   value.<field>         - A field of it (dotted paths reach deeper)
+ *   model.<variable>      - Creator variables, as in {{model.*}} templates
+ *   payload.<field>       - Webhook payload of the run (if any)
+ *   12, 3.5, "text", 'text', true, false, null
+ *
+ * Functions: length(x) (characters of a string, items of a list),
+ *            count(x) (items of a list; 0 for nothing, 1 for a single value)
+ *
+ * Operators: == != > >= < <= contains, and, or, not, ( )
+ *            x is set / x is not set, x is empty / x is not empty
+ *
+ * Examples:
+ *   length(value) > 200
+ *   count(value) == 0
+ *   model.of_handle is set and payload.platform == "fansly"
+ */
+
+const { buildVariableMap } = require('./workflowTemplateVars');
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+const KEYWORDS = ['and', 'or', 'not', 'is', 'set', 'empty', 'contains', 'true', 'false', 'null'];
+const ROOTS = ['value', 'model', 'payload'];
+const FUNCTIONS = {
+  length: (x) => {
+    if (typeof x === 'string' || Array.isArray(x)) return x.length;
+    return 0;
+  },
+  count: (x) => {
+    if (Array.isArray(x)) return x.length;
+    return x === null || x === undefined ? 0 : 1;
+  },
+};
+
+// =============================================
+// Tokenizer
+// =============================================
+
+const TOKEN_PATTERNS = [
+  ['space', /^\s+/],
+  ['number', /^\d+(\.\d+)?/],
+  ['string', /^"([^"\\]|\\.)*"|^'([^'\\]|\\.)*'/],
+  ['operator', /^(==|!=|>=|<=|>|<)/],
+  ['paren', /^[()]/],
+  ['path', /^[A-Za-z_][\w]*(\.[\w]+)*/],
+];
+
+function tokenize(expression) {
+  const tokens = [];
+  let rest = expression;
+
+  while (rest.length > 0) {
+    const match = TOKEN_PATTERNS
+      .map(([type, pattern]) => [type, rest.match(pattern)])
+      .find(([, m]) => m);
+
+    if (!match) {
+      throw new Error(`Unexpected character "${rest[0]}"`);
+    }
+
+    const [type, m] = match;
+    rest = rest.slice(m[0].length);
+    if (type === 'space') continue;
+
+    if (type === 'path' && KEYWORDS.includes(m[0])) {
+      tokens.push({ type: 'keyword', value: m[0] });
+    } else if (type === 'number') {
+      tokens.push({ type, value: parseFloat(m[0]) });
+    } else if (type === 'string') {
+      tokens.push({ type, value: m[0].slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else {
+      tokens.push({ type, value: m[0] });
+    }
+  }
+
+  return tokens;
+}
+
+// =============================================
+// Parser (recursive descent → AST)
+// =============================================
+
+function parse(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new Error('Expression is empty');
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(expression);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isKeyword = (word) => peek()?.type === 'keyword' && peek().value === word;
+  const expectKeyword = (word) => {
+    if (!isKeyword(word)) throw new Error(`Expected "${word}"`);
+    pos++;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isKeyword('or')) {
+      pos++;
+      node = { op: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (isKeyword('and')) {
+      pos++;
+      node = { op: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  }
+
+  function parseNot() {
+    if (isKeyword('not')) {
+      pos++;
+      return { op: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseOperand();
+
+    if (isKeyword('is')) {
+      pos++;
+      const negate = isKeyword('not');
+      if (negate) pos++;
+      let test;
+      if (isKeyword('set')) test = 'set';
+      else if (isKeyword('empty')) test = 'empty';
+      else throw new Error('Expected "set" or "empty" after "is"');
+      pos++;
+      return { op: 'is', test, negate, operand: left };
+    }
+
+    if (isKeyword('contains')) {
+      pos++;
+      return { op: 'contains', left, right: parseOperand() };
+    }
+
+    if (peek()?.type === 'operator') {
+      const op = tokens[pos++].value;
+      return { op, left, right: parseOperand() };
+    }
+
+    return left;
+  }
+
+  function parseOperand() {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Unexpected end of expression');
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { literal: token.value };
+    }
+
+    if (token.type === 'keyword') {
+      if (token.value === 'true') return { literal: true };
+      if (token.value === 'false') return { literal: false };
+      if (token.value === 'null') return { literal: null };
+      throw new Error(`Unexpected "${token.value}"`);
+    }
+
+    if (token.type === 'paren' && token.value === '(') {
+      const inner = parseOr();
+      if (peek()?.value !== ')') throw new Error('Missing ")"');
+      pos++;
+      return inner;
+    }
+
+    if (token.type === 'path') {
+      // Function call
+      if (peek()?.value === '(') {
+        const fn = FUNCTIONS[token.value];
+        if (!fn) throw new Error(`Unknown function "${token.value}"`);
+        pos++;
+        const argument = parseOr();
+        if (peek()?.value !== ')') throw new Error(`Missing ")" after ${token.value}(`);
+        pos++;
+        return { call: token.value, argument };
+      }
+
+      const segments = token.value.split('.');
+      if (!ROOTS.includes(segments[0])) {
+        throw new Error(`Unknown value "${token.value}" (use value, model.* or payload.*)`);
+      }
+      return { path: segments };
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${tokens[pos].value}"`);
+  }
+  return ast;
+}
+
+// =============================================
+// Evaluation
+// =============================================
+
+function lookup(scope, segments) {
+  let current = scope;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, segment)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+function isEmpty(x) {
+  if (x === null || x === undefined || x === '') return true;
+  if (Array.isArray(x)) return x.length === 0;
+  if (typeof x === 'object') return Object.keys(x).length === 0;
+  return false;
+}
+
+function evaluate(node, scope) {
+  if ('literal' in node) return node.literal;
+  if (node.path) return lookup(scope, node.path);
+  if (node.call) return FUNCTIONS[node.call](evaluate(node.argument, scope));
+
+  switch (node.op) {
+    case 'or':
+      return Boolean(evaluate(node.left, scope)) || Boolean(evaluate(node.right, scope));
+    case 'and':
+      return Boolean(evaluate(node.left, scope)) && Boolean(evaluate(node.right, scope));
+    case 'not':
+      return !evaluate(node.operand, scope);
+    case 'is': {
+      const x = evaluate(node.operand, scope);
+      const result = node.test === 'set' ? !isEmpty(x) : isEmpty(x);
+      return node.negate ? !result : result;
+    }
+    case 'contains': {
+      const haystack = evaluate(node.left, scope);
+      const needle = evaluate(node.right, scope);
+      if (typeof haystack === 'string') return haystack.toLowerCase().includes(String(needle).toLowerCase());
+      if (Array.isArray(haystack)) return haystack.includes(needle);
+      return false;
+    }
+    default: {
+      const left = evaluate(node.left, scope);
+      const right = evaluate(node.right, scope);
+      // Compare numerically when both sides look like numbers ("12" == 12)
+      const numeric = left !== null && right !== null && left !== '' && right !== '' &&
+        !isNaN(Number(left)) && !isNaN(Number(right)) && typeof left !== 'boolean' && typeof right !== 'boolean';
+      const a = numeric ? Number(left) : left;
+      const b = numeric ? Number(right) : right;
+      switch (node.op) {
+        case '==': return a === b || (a == null && b == null);
+        case '!=': return !(a === b || (a == null && b == null));
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        default: throw new Error(`Unknown operator "${node.op}"`);
+      }
+    }
+  }
+}
+
+/**
+ * Evaluate an expression against { value, model, payload }. Throws on a
+ * syntax error.
+ */
+function evaluateExpression(expression, scope) {
+  return Boolean(evaluate(parse(expression), scope));
+}
+
+/**
+ * Check a condition node's config. Returns an error message or null.
+ */
+function validateConditionConfig(nodeConfig) {
+  const branches = nodeConfig?.branches;
+  if (!Array.isArray(branches) || branches.length === 0) {
+    return 'needs at least one branch';
+  }
+  if (branches.length > 10) {
+    return 'cannot have more than 10 branches';
+  }
+
+  for (const [i, branch] of branches.entries()) {
+    try {
+      parse(branch?.expression);
+    } catch (err) {
+      return `branch ${i + 1}: ${err.message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Run a condition node: the first branch whose expression is true (or
+ * "else") becomes the active output and carries the input value.
+ * Returns { active_branch, [port]: value }.
+ */
+function evaluateConditionNode(nodeConfig, inputs, ctx) {
+  const scope = {
+    value: inputs.value,
+    model: buildVariableMap(ctx.model),
+    payload: ctx.run?.trigger_payload || {},
+  };
+
+  let activeBranch = 'else';
+  for (const [i, branch] of (nodeConfig.branches || []).entries()) {
+    let matched;
+    try {
+      matched = evaluateExpression(branch.expression, scope);
+    } catch (err) {
+      throw new Error(`Condition branch ${i + 1} (${branch.label || branch.expression}): ${err.message}`);
+    }
+    if (matched) {
+      activeBranch = `branch_${i + 1}`;
+      break;
+    }
+  }
+
+  return {
+    active_branch: activeBranch,
+    [activeBranch]: inputs.value ?? null,
+  };
+}
+
+module.exports = {
+  evaluateExpression,
+  validateConditionConfig,
+  evaluateConditionNode,
+};
@@ -0,0 +1,122 @@
+/**
+ * Cron Expressions for Scheduled Triggers
+ *
+ * Standard 5-field expressions, evaluated in the trigger's timezone:
+ *
+ *   minute  hour  day-of-month  month  day-of-week
+ *   0-59    0-23  1-31          1-12   0-7 (0 and 7 = Sunday)
+ *
+ * Each field accepts *, single values, ranges (1-5), steps (*\/15, 9-17/2)
+ * and comma-separated lists of those. Months and weekdays also accept
+ * names (jan-dec, sun-sat). As in cron, when both day-of-month and
+ * day-of-week are restricted, a day matching either one fires.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day-of-week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+function parseValue(value, field) {
+  const lower = value.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`"${value}" is not a valid ${field.name}`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return number;
+}
+
+/**
+ * The set of values a field matches
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+      throw new Error(`"${part}" has an invalid step`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      [start, end] = [parseValue(from, field), parseValue(to, field)];
+      if (start > end) {
+        throw new Error(`"${range}" is not a valid ${field.name} range`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means from 5 to the end in steps of 15
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression. Throws an Error describing the problem
+ * if the expression is invalid.
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('expression is required');
+  }
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('expected 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // 7 is Sunday too
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Fields starting with * (including steps like */2) don't restrict the day
+    daysOfMonthRestricted: !parts[2].startsWith('*'),
+    daysOfWeekRestricted: !parts[4].startsWith('*'),
+  };
+}
+
+/**
+ * Whether a parsed expression fires on a date ({ month, day, dayOfWeek })
+ */
+function cronMatchesDay(cron, { month, day, dayOfWeek }) {
+  if (!cron.months.has(month)) return false;
+
+  const domMatch = cron.daysOfMonth.has(day);
+  const dowMatch = cron.daysOfWeek.has(dayOfWeek);
+  if (cron.daysOfMonthRestricted && cron.daysOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+module.exports = {
+  parseCron,
+  cronMatchesDay,
+};
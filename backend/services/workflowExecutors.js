@@ -3,10 +3,15 @@
  *
  * Wires workflow nodes to the actual generation, editing, and chat APIs.
  * Called by workflowRunner.js instead of the old HTTP-route stubs.
+ * Editing nodes use the same tool implementations as the /api/edit routes
+ * (services/editingTools.js).
  *
  * KEY BEHAVIOR: Qwen image generation auto-injects the model's LoRA
  * (trigger word prepended to prompt + LoRA config in Power Lora Loader)
  * so users never need to manually configure LoRA in workflow nodes.
+ *
+ * ctx.signal, when set, is aborted if the node's attempt times out
+ * (workflowRetries.js): provider requests are cancelled and polling stops.
  */
 
 const { config } = require('../config');
@@ -16,8 +21,10 @@ const { runModel, extractOutputUrl } = require('./replicateClient');
 const { routeGenerationRequest, getJobStatus } = require('./gpuRouter');
 const { extractImageFromOutput } = require('./comfyuiOutput');
 const { compressImage, compressImages } = require('./imageCompression');
+const editingTools = require('./editingTools');
 const { fetchWithRetry } = require('./retryWithBackoff');
 const { PerAgencyQueue } = require('./requestQueue');
+const { getNodeType } = require('./workflowNodeTypes');
 const fetch = require('node-fetch');
 
 // =============================================
@@ -31,7 +38,6 @@ const wavespeedQueue = new PerAgencyQueue(1500);
 const KLING_MODEL = 'kwaivgi/kling-v2.5-turbo-pro';
 const VEO_MODEL = 'google/veo-3.1-fast';
 const WAN_MODEL = 'wan-video/wan-2.2-i2v-a14b';
-const BG_REMOVER_MODEL = '851-labs/background-remover:a029dff38972b5fda4ec5d75d7d1cd25aeff621d2cf4946a41055d7db66b80bc';
 
 // OpenRouter
 const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
@@ -190,8 +196,10 @@ function getQwenWorkflowTemplate({ prompt, negativePrompt = '', width = 1152, he
 // GPU Router Polling (same logic as qwen.js)
 // =============================================
 
-async function pollGpuJob(jobId) {
+async function pollGpuJob(jobId, signal) {
   for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
+    signal?.throwIfAborted();
+
     try {
       const statusResult = await getJobStatus(jobId);
 
@@ -232,15 +240,17 @@ async function pollGpuJob(jobId) {
 // WaveSpeed Polling (same logic as seedream.js)
 // =============================================
 
-async function pollWavespeedResult(taskId) {
+async function pollWavespeedResult(taskId, signal) {
   const pollUrl = `${WAVESPEED_RESULT_URL}/${taskId}/result`;
 
   for (let attempt = 0; attempt < 60; attempt++) {
     await new Promise(resolve => setTimeout(resolve, 2000));
+    signal?.throwIfAborted();
 
     const response = await fetch(pollUrl, {
       method: 'GET',
       headers: { 'Authorization': `Bearer ${config.wavespeed.apiKey}` },
+      signal,
     });
 
     if (!response.ok) {
@@ -338,6 +348,8 @@ async function generateWithQwen(nodeConfig, inputs, ctx) {
 
   // Qwen ComfyUI produces 1 image per job, so loop for count > 1
   for (let i = 0; i < count; i++) {
+    ctx.signal?.throwIfAborted();
+
     const workflow = getQwenWorkflowTemplate({
       prompt: effectivePrompt,
       negativePrompt,
@@ -351,7 +363,7 @@ async function generateWithQwen(nodeConfig, inputs, ctx) {
       throw new Error(`Failed to submit Qwen job: ${submitResult.error}`);
     }
 
-    const result = await pollGpuJob(submitResult.jobId);
+    const result = await pollGpuJob(submitResult.jobId, ctx.signal);
     if (!result.success) {
       throw new Error(`Qwen generation failed: ${result.error}`);
     }
@@ -406,6 +418,7 @@ async function generateWithSeedream(nodeConfig, inputs, ctx) {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify(requestBody),
+      signal: ctx.signal,
     })
   );
 
@@ -419,7 +432,7 @@ async function generateWithSeedream(nodeConfig, inputs, ctx) {
 
   // If async response, poll for result
   if (images.length === 0 && result.id && !result.data) {
-    const taskResult = await pollWavespeedResult(result.id);
+    const taskResult = await pollWavespeedResult(result.id, ctx.signal);
     images = extractWavespeedImages(taskResult);
   }
 
@@ -479,6 +492,7 @@ async function generateWithNanoBanana(nodeConfig, inputs, ctx) {
         modalities: ['image', 'text'],
         image_config: { aspect_ratio: aspectRatio },
       }),
+      signal: ctx.signal,
     }, { maxRetries: 3, initialBackoffMs: 2000 });
 
     if (!response.ok) {
@@ -535,7 +549,7 @@ async function generateWithNanoBanana(nodeConfig, inputs, ctx) {
 // Video Generation — Model Backends
 // =============================================
 
-async function generateWithKling(nodeConfig, inputs) {
+async function generateWithKling(nodeConfig, inputs, signal) {
   const input = {
     prompt: nodeConfig.prompt || '',
     aspect_ratio: nodeConfig.aspect_ratio || '16:9',
@@ -547,11 +561,11 @@ async function generateWithKling(nodeConfig, inputs) {
     input.start_image = inputs.start_image;
   }
 
-  const output = await runModel(KLING_MODEL, input);
+  const output = await runModel(KLING_MODEL, input, { signal });
   return extractOutputUrl(output) || output;
 }
 
-async function generateWithVeo(nodeConfig, inputs) {
+async function generateWithVeo(nodeConfig, inputs, signal) {
   const input = {
     prompt: nodeConfig.prompt || '',
     aspect_ratio: nodeConfig.aspect_ratio || '16:9',
@@ -564,11 +578,11 @@ async function generateWithVeo(nodeConfig, inputs) {
     input.image = await compressImage(inputs.start_image, { maxDimension: 1024, quality: 75 });
   }
 
-  const output = await runModel(VEO_MODEL, input);
+  const output = await runModel(VEO_MODEL, input, { signal });
   return extractOutputUrl(output) || output;
 }
 
-async function generateWithWan(nodeConfig, inputs) {
+async function generateWithWan(nodeConfig, inputs, signal) {
   const input = {
     prompt: nodeConfig.prompt || '',
     resolution: '480p',
@@ -583,7 +597,7 @@ async function generateWithWan(nodeConfig, inputs) {
     input.image = await compressImage(inputs.start_image, { maxDimension: 1024, quality: 75 });
   }
 
-  const output = await runModel(WAN_MODEL, input);
+  const output = await runModel(WAN_MODEL, input, { signal });
   return extractOutputUrl(output) || output;
 }
 
@@ -637,13 +651,13 @@ async function executeGenerateVideo(nodeConfig, inputs, ctx) {
   let videoUrl;
   switch (genModel) {
     case 'kling':
-      videoUrl = await generateWithKling(nodeConfig, inputs);
+      videoUrl = await generateWithKling(nodeConfig, inputs, ctx.signal);
       break;
     case 'veo':
-      videoUrl = await generateWithVeo(nodeConfig, inputs);
+      videoUrl = await generateWithVeo(nodeConfig, inputs, ctx.signal);
       break;
     case 'wan':
-      videoUrl = await generateWithWan(nodeConfig, inputs);
+      videoUrl = await generateWithWan(nodeConfig, inputs, ctx.signal);
       break;
     default:
       throw new Error(`Unknown video generation model: ${genModel}`);
@@ -660,9 +674,99 @@ async function executeEditBgRemove(inputs, ctx) {
     throw new Error('No input image provided for background removal');
   }
 
-  const compressedImage = await compressImage(inputs.image, { maxDimension: 1536, quality: 80 });
-  const output = await runModel(BG_REMOVER_MODEL, { image: compressedImage });
-  const resultUrl = extractOutputUrl(output) || output;
+  const resultUrl = await editingTools.removeBackground({ image: inputs.image, signal: ctx.signal });
+
+  return { image: resultUrl };
+}
+
+/**
+ * A connected mask wins over the node's mask URL setting.
+ */
+function resolveMask(nodeConfig, inputs) {
+  const mask = inputs.mask || (nodeConfig.mask_url || '').trim();
+  if (!mask) {
+    throw new Error('No mask provided (connect a mask or set a mask URL)');
+  }
+  return mask;
+}
+
+/**
+ * Execute inpainting via ComfyUI (GPU Router).
+ */
+async function executeEditInpaint(nodeConfig, inputs, ctx) {
+  if (!config.runpod.apiKey) {
+    throw new Error('RunPod API key not configured');
+  }
+  if (!inputs.image) {
+    throw new Error('No input image provided for inpainting');
+  }
+  if (!(nodeConfig.prompt || '').trim()) {
+    throw new Error('Inpaint prompt is required');
+  }
+
+  const result = await editingTools.inpaintImage({
+    image: inputs.image,
+    mask: resolveMask(nodeConfig, inputs),
+    prompt: nodeConfig.prompt,
+    denoise: nodeConfig.denoise,
+    signal: ctx.signal,
+  });
+
+  return { image: result.image };
+}
+
+/**
+ * Execute object erasing via Replicate.
+ */
+async function executeEditErase(nodeConfig, inputs, ctx) {
+  if (!inputs.image) {
+    throw new Error('No input image provided for erasing');
+  }
+
+  const resultUrl = await editingTools.eraseObjects({
+    image: inputs.image,
+    mask: resolveMask(nodeConfig, inputs),
+    signal: ctx.signal,
+  });
+
+  return { image: resultUrl };
+}
+
+/**
+ * Execute Qwen Image Edit via Replicate.
+ */
+async function executeEditQwen(nodeConfig, inputs, ctx) {
+  if (!inputs.image) {
+    throw new Error('No input image provided for Qwen Edit');
+  }
+  if (!(nodeConfig.prompt || '').trim()) {
+    throw new Error('Qwen Edit prompt is required');
+  }
+
+  const images = await editingTools.editWithQwen({
+    images: [inputs.image, inputs.image_2, inputs.image_3].filter(Boolean),
+    prompt: nodeConfig.prompt,
+    aspectRatio: nodeConfig.aspect_ratio || 'match_input_image',
+    signal: ctx.signal,
+  });
+
+  return { image: images[0], images };
+}
+
+/**
+ * Execute upscaling via Replicate.
+ */
+async function executeEditUpscale(nodeConfig, inputs, ctx) {
+  if (!inputs.image) {
+    throw new Error('No input image provided for upscaling');
+  }
+
+  const resultUrl = await editingTools.upscaleImage({
+    image: inputs.image,
+    scale: nodeConfig.scale || '2',
+    faceEnhance: nodeConfig.face_enhance === 'on',
+    signal: ctx.signal,
+  });
 
   return { image: resultUrl };
 }
@@ -700,6 +804,18 @@ async function executeAiCaption(nodeConfig, inputs, ctx) {
     },
   ];
 
+  const aiMessage = await requestChatCompletion(messages, ctx.signal);
+
+  return {
+    text: aiMessage,
+    media: imageUrl, // Pass through
+  };
+}
+
+/**
+ * Send messages to the chat model via OpenRouter and return its reply text.
+ */
+async function requestChatCompletion(messages, signal) {
   const response = await fetchWithRetry(OPENROUTER_API_URL, {
     method: 'POST',
     headers: {
@@ -709,6 +825,7 @@ async function executeAiCaption(nodeConfig, inputs, ctx) {
       'X-Title': 'Agency Studio',
     },
     body: JSON.stringify({ model: CHAT_MODEL, messages }),
+    signal,
   }, { maxRetries: 3, initialBackoffMs: 2000 });
 
   if (!response.ok) {
@@ -723,10 +840,108 @@ async function executeAiCaption(nodeConfig, inputs, ctx) {
     throw new Error('No response from AI model');
   }
 
-  return {
-    text: aiMessage,
-    media: imageUrl, // Pass through
-  };
+  return aiMessage;
+}
+
+/**
+ * Parse the chat model's scores: { scores: [{ index, score, reason }] }.
+ * Returns one entry per image; images the model skipped get score null.
+ */
+function parseImageScores(reply, imageCount) {
+  const json = reply.match(/\{[\s\S]*\}/)?.[0];
+  if (!json) {
+    throw new Error('Scoring reply contained no JSON');
+  }
+
+  const parsed = JSON.parse(json);
+  const byIndex = new Map();
+  for (const entry of Array.isArray(parsed.scores) ? parsed.scores : []) {
+    const score = Number(entry?.score);
+    if (Number.isInteger(entry?.index) && Number.isFinite(score)) {
+      byIndex.set(entry.index, {
+        score: Math.min(Math.max(score, 0), 10),
+        reason: typeof entry.reason === 'string' ? entry.reason.slice(0, 300) : '',
+      });
+    }
+  }
+
+  return Array.from({ length: imageCount }, (_, index) => ({
+    index,
+    score: byIndex.get(index)?.score ?? null,
+    reason: byIndex.get(index)?.reason || '',
+  }));
+}
+
+/**
+ * Pick the best image of a batch automatically: the chat model scores
+ * every image 0-10 against the node's rubric in one request.
+ *
+ * Returns { image, auto_pick } when the best score reaches min_score.
+ * Otherwise (low score, unusable reply) returns { images, auto_pick } and
+ * the node waits for a human to pick, as in manual mode. auto_pick holds
+ * all scores either way. If the scoring request itself fails, auto_pick
+ * has scoring_failed set and the node's credits are released, not charged.
+ */
+async function executeAutoPick(nodeConfig, inputs, ctx) {
+  const images = inputs.images || [];
+  if (images.length === 0) {
+    throw new Error('No images provided to pick from');
+  }
+  if (!config.openrouter.apiKey) {
+    throw new Error('OpenRouter API key not configured');
+  }
+
+  const schema = getNodeType('pick').configSchema;
+  const rubric = nodeConfig.rubric || schema.rubric.default;
+  const minScore = Number(nodeConfig.min_score ?? schema.min_score.default);
+  const autoPick = { rubric, min_score: minScore, scores: [] };
+
+  const messages = [
+    {
+      role: 'system',
+      content: 'You are an art director for a creative agency. You score images strictly and consistently against a rubric. Reply with JSON only.',
+    },
+    {
+      role: 'user',
+      content: [
+        {
+          type: 'text',
+          text: `Score each of the ${images.length} images below from 0 to 10 against this rubric:\n${rubric}\n\n`
+            + 'Reply with JSON only, in this shape: {"scores": [{"index": 0, "score": 7.5, "reason": "one short sentence"}]}. '
+            + 'Images are numbered from 0 in the order given.',
+        },
+        ...images.flatMap((url, i) => [
+          { type: 'text', text: `Image ${i}:` },
+          { type: 'image_url', image_url: { url } },
+        ]),
+      ],
+    },
+  ];
+
+  try {
+    autoPick.scores = parseImageScores(await requestChatCompletion(messages, ctx.signal), images.length);
+  } catch (err) {
+    // A timed-out attempt goes to the node's failure policy instead
+    ctx.signal?.throwIfAborted();
+    logger.warn('Auto pick scoring failed, asking for a human pick', { runId: ctx.run.id, error: err.message });
+    return {
+      images,
+      auto_pick: { ...autoPick, scoring_failed: true, needs_review: `Scoring failed: ${err.message}` },
+    };
+  }
+
+  const best = autoPick.scores
+    .filter((s) => s.score !== null)
+    .reduce((top, s) => (!top || s.score > top.score ? s : top), null);
+
+  if (!best || best.score < minScore) {
+    const needsReview = best
+      ? `Best score ${best.score} is below the minimum of ${minScore}`
+      : 'No image could be scored';
+    return { images, auto_pick: { ...autoPick, needs_review: needsReview } };
+  }
+
+  return { image: images[best.index], auto_pick: { ...autoPick, selected_index: best.index } };
 }
 
 /**
@@ -768,6 +983,11 @@ module.exports = {
   executeGenerateImage,
   executeGenerateVideo,
   executeEditBgRemove,
+  executeEditInpaint,
+  executeEditErase,
+  executeEditQwen,
+  executeEditUpscale,
   executeAiCaption,
+  executeAutoPick,
   executeSaveToGallery,
 };
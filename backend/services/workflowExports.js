@@ -0,0 +1,375 @@
+/**
+ * Workflow Exports
+ *
+ * An Export node bundles the media that reaches it (migration 030):
+ *
+ *   media/001.png    the media, numbered in the order it arrived
+ *   media/001.txt    its caption (when there is one)
+ *   media/001.json   caption, model and publish targets
+ *   manifest.json    the whole export: workflow, run, model, media, targets
+ *
+ * The ZIP goes in the private workflow-exports bucket and is downloaded
+ * through a short-lived signed URL. The node's output carries the export,
+ * so the run links to it.
+ *
+ * For each platform the node targets, a publish_queue item holds the media,
+ * caption and scheduled time. Nothing here posts anywhere: a platform
+ * integration (via the publish_item.queued webhook) or a person takes queued
+ * items and marks them published, failed or cancelled.
+ */
+
+const zlib = require('zlib');
+const { v4: uuidv4 } = require('uuid');
+const { supabaseAdmin } = require('./supabase');
+const { logger } = require('./logger');
+const { fetchWithRetry } = require('./retryWithBackoff');
+const { emitEvent } = require('./webhookDelivery');
+
+const EXPORT_BUCKET = 'workflow-exports';
+
+const PUBLISH_PLATFORMS = ['onlyfans', 'fansly', 'twitter'];
+const PUBLISH_STATUSES = ['queued', 'published', 'failed', 'cancelled'];
+
+// Limits per export. Bundles are built in memory (the media and the ZIP
+// are both held until the upload finishes, so peak use is about twice
+// this) and use plain (not ZIP64) entries.
+const MAX_EXPORT_FILES = 100;
+const MAX_EXPORT_BYTES = 100 * 1024 * 1024;
+
+const MEDIA_FETCH_OPTIONS = { maxRetries: 2, timeoutMs: 60000 };
+
+// How long a bundle download link works
+const DOWNLOAD_URL_TTL_SECONDS = 3600;
+
+const MIME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/quicktime': 'mov',
+};
+
+// =============================================
+// ZIP writer
+// =============================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive
+ *
+ * @param {Object[]} entries - { name, data: Buffer, compress }. Media is
+ *   already compressed, so only entries with compress are deflated.
+ * @param {Date} [date] - Modification time of every entry
+ * @returns {Buffer}
+ */
+function createZip(entries, date = new Date()) {
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+  const files = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const { name, data, compress } of entries) {
+    const fileName = Buffer.from(name, 'utf8');
+    const body = compress ? zlib.deflateRawSync(data) : data;
+    const method = compress ? 8 : 0;
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed to extract
+    header.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(dosTime, 10);
+    header.writeUInt16LE(dosDate, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(body.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(fileName.length, 26);
+
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014b50, 0);
+    record.writeUInt16LE(20, 4); // version made by
+    record.writeUInt16LE(20, 6);
+    record.writeUInt16LE(0x0800, 8);
+    record.writeUInt16LE(method, 10);
+    record.writeUInt16LE(dosTime, 12);
+    record.writeUInt16LE(dosDate, 14);
+    record.writeUInt32LE(crc, 16);
+    record.writeUInt32LE(body.length, 20);
+    record.writeUInt32LE(data.length, 24);
+    record.writeUInt16LE(fileName.length, 28);
+    record.writeUInt32LE(offset, 42);
+
+    files.push(header, fileName, body);
+    directory.push(record, fileName);
+    offset += header.length + fileName.length + body.length;
+  }
+
+  const directorySize = directory.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...files, ...directory, end]);
+}
+
+// =============================================
+// Export node
+// =============================================
+
+/**
+ * Platforms an Export node queues for. Graphs saved before publish targets
+ * have a single platform setting instead ('download' = none).
+ */
+function getExportTargets(nodeConfig) {
+  const targets = Array.isArray(nodeConfig.targets)
+    ? nodeConfig.targets
+    : [nodeConfig.platform];
+  return [...new Set(targets)].filter((t) => PUBLISH_PLATFORMS.includes(t));
+}
+
+function exportTooLargeError() {
+  return new Error(`Export is larger than ${MAX_EXPORT_BYTES / 1024 / 1024} MB`);
+}
+
+/**
+ * The bytes and type of a media value (a URL or a data URL). Throws as
+ * soon as it turns out larger than maxBytes, without downloading the rest.
+ */
+async function loadMedia(url, maxBytes) {
+  const dataUrl = /^data:([\w.+/-]+);base64,/.exec(url);
+  if (dataUrl) {
+    const data = Buffer.from(url.slice(dataUrl[0].length), 'base64');
+    if (data.length > maxBytes) throw exportTooLargeError();
+    return { data, mimeType: dataUrl[1] };
+  }
+
+  const response = await fetchWithRetry(url, {}, MEDIA_FETCH_OPTIONS);
+  if (!response.ok) {
+    throw new Error(`Failed to download media to export (HTTP ${response.status})`);
+  }
+
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    await response.body?.cancel().catch(() => {});
+    throw exportTooLargeError();
+  }
+
+  // The declared length may be missing or wrong, so count as it arrives;
+  // leaving the loop early cancels the download
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > maxBytes) throw exportTooLargeError();
+    chunks.push(chunk);
+  }
+
+  return {
+    data: Buffer.concat(chunks, size),
+    mimeType: (response.headers.get('content-type') || '').split(';')[0].trim(),
+  };
+}
+
+function getExtension(mimeType, url) {
+  if (MIME_EXTENSIONS[mimeType]) return MIME_EXTENSIONS[mimeType];
+  const fromPath = /\.(\w{2,4})(?:[?#]|$)/.exec(url.startsWith('data:') ? '' : url);
+  return fromPath ? fromPath[1].toLowerCase() : 'bin';
+}
+
+function slugify(text) {
+  return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+}
+
+/**
+ * Run an Export node: bundle its media, store the bundle and queue it for
+ * each target platform. Returns the node output, { export: {...} }.
+ */
+async function exportNodeMedia(node, nodeConfig, inputs, ctx) {
+  const { run, workflow, model } = ctx;
+
+  const urls = [...new Set([...(inputs.images || []), inputs.media].filter(Boolean))];
+  if (urls.length === 0) {
+    throw new Error('No media provided to export');
+  }
+  if (urls.length > MAX_EXPORT_FILES) {
+    throw new Error(`An export can hold at most ${MAX_EXPORT_FILES} files`);
+  }
+
+  const caption = inputs.caption || nodeConfig.caption || null;
+  const targets = getExportTargets(nodeConfig);
+  const sidecars = nodeConfig.sidecars || 'both';
+  const delayHours = Math.max(Number(nodeConfig.publish_delay_hours) || 0, 0);
+  const createdAt = new Date();
+  const scheduledFor = new Date(createdAt.getTime() + delayHours * 3600000).toISOString();
+
+  const entries = [];
+  const media = [];
+  let totalBytes = 0;
+
+  for (const [i, url] of urls.entries()) {
+    const { data, mimeType } = await loadMedia(url, MAX_EXPORT_BYTES - totalBytes);
+    totalBytes += data.length;
+
+    const base = `media/${String(i + 1).padStart(3, '0')}`;
+    const file = `${base}.${getExtension(mimeType, url)}`;
+    media.push({
+      file,
+      type: mimeType.startsWith('video/') ? 'video' : 'image',
+      source_url: url.startsWith('http') ? url : null,
+    });
+
+    entries.push({ name: file, data });
+    if (caption && sidecars !== 'json') {
+      entries.push({ name: `${base}.txt`, data: Buffer.from(caption), compress: true });
+    }
+    if (sidecars !== 'txt') {
+      const sidecar = { file, caption, model: model?.name || null, targets, scheduled_for: scheduledFor };
+      entries.push({ name: `${base}.json`, data: Buffer.from(JSON.stringify(sidecar, null, 2)), compress: true });
+    }
+  }
+
+  const exportId = uuidv4();
+  const manifest = {
+    export_id: exportId,
+    workflow: { id: workflow.id, name: workflow.name },
+    run_id: run.id,
+    model: model ? { id: model.id, name: model.name } : null,
+    caption,
+    targets,
+    scheduled_for: scheduledFor,
+    created_at: createdAt.toISOString(),
+    media,
+  };
+  entries.push({ name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest, null, 2)), compress: true });
+
+  const zip = createZip(entries, createdAt);
+  const storagePath = `${workflow.agency_id}/${run.id}/${exportId}.zip`;
+  const fileName = `${[slugify(workflow.name), slugify(model?.name)].filter(Boolean).join('-') || 'export'}`
+    + `-${createdAt.toISOString().slice(0, 10)}.zip`;
+
+  const { error: uploadError } = await supabaseAdmin.storage
+    .from(EXPORT_BUCKET)
+    .upload(storagePath, zip, { contentType: 'application/zip', upsert: false });
+
+  if (uploadError) {
+    throw new Error(`Failed to store export: ${uploadError.message}`);
+  }
+
+  const { data: exportRow, error: exportError } = await supabaseAdmin
+    .from('workflow_exports')
+    .insert({
+      id: exportId,
+      agency_id: workflow.agency_id,
+      run_id: run.id,
+      node_id: node.id,
+      model_id: model?.id || null,
+      storage_path: storagePath,
+      file_name: fileName,
+      size_bytes: zip.length,
+      media,
+      caption,
+    })
+    .select()
+    .single();
+
+  if (exportError) {
+    await supabaseAdmin.storage.from(EXPORT_BUCKET).remove([storagePath]);
+    throw exportError;
+  }
+
+  if (targets.length > 0) {
+    const { data: items, error: queueError } = await supabaseAdmin
+      .from('publish_queue')
+      .insert(targets.map((platform) => ({
+        agency_id: workflow.agency_id,
+        export_id: exportId,
+        model_id: model?.id || null,
+        platform,
+        media,
+        caption,
+        scheduled_for: scheduledFor,
+      })))
+      .select();
+
+    if (queueError) {
+      // Don't leave a bundle behind for a failed node
+      await supabaseAdmin.from('workflow_exports').delete().eq('id', exportId);
+      await supabaseAdmin.storage.from(EXPORT_BUCKET).remove([storagePath]);
+      throw queueError;
+    }
+
+    for (const item of items) {
+      emitEvent(workflow.agency_id, 'publish_item.queued', {
+        item_id: item.id,
+        platform: item.platform,
+        export_id: exportId,
+        run_id: run.id,
+        model_id: item.model_id,
+        caption,
+        scheduled_for: item.scheduled_for,
+      });
+    }
+  }
+
+  logger.info('Workflow export created', {
+    runId: run.id,
+    nodeId: node.id,
+    exportId,
+    files: media.length,
+    bytes: zip.length,
+    targets,
+  });
+
+  return {
+    export: {
+      id: exportRow.id,
+      file_name: fileName,
+      size_bytes: zip.length,
+      file_count: media.length,
+      targets,
+      scheduled_for: targets.length > 0 ? scheduledFor : null,
+    },
+  };
+}
+
+/**
+ * A signed URL that downloads an export's bundle
+ */
+async function getExportDownloadUrl(exportRow) {
+  const { data, error } = await supabaseAdmin.storage
+    .from(EXPORT_BUCKET)
+    .createSignedUrl(exportRow.storage_path, DOWNLOAD_URL_TTL_SECONDS, { download: exportRow.file_name });
+
+  if (error) {
+    throw error;
+  }
+  return { url: data.signedUrl, file_name: exportRow.file_name, expires_in: DOWNLOAD_URL_TTL_SECONDS };
+}
+
+module.exports = {
+  PUBLISH_PLATFORMS,
+  PUBLISH_STATUSES,
+  createZip,
+  exportNodeMedia,
+  getExportDownloadUrl,
+};
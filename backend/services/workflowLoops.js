@@ -0,0 +1,106 @@
+/**
+ * Workflow Loops (for_each → … → collect)
+ *
+ * A for_each node runs the nodes between it and its collect node (the
+ * loop body) once per image of an image_batch, then the collect node
+ * gathers the per-item results back into a batch.
+ *
+ *   generate_image ─images→ for_each ─image→ edit_bg_remove ─image→ collect ─images→ save_to_gallery
+ *                                                  └──────→ ai_caption ─text→ ┘
+ *
+ * The body is everything reachable from the for_each node before its
+ * collect node. Item values must stay inside the loop, so body nodes only
+ * connect to each other, the for_each node and the collect node.
+ */
+
+const { getNodeType } = require('./workflowNodeTypes');
+
+// Node types that can't run once per item (they need a human, route
+// execution, or would nest loops)
+const NON_BODY_NODE_TYPES = ['for_each', 'collect', 'review', 'pick', 'condition'];
+
+/**
+ * Find every loop in a graph.
+ * Returns Map forEachNodeId → { bodyIds: Set, collectId }. Throws with a
+ * user-facing message if a loop is malformed.
+ */
+function findLoops(nodes, edges) {
+  const nodeMap = new Map(nodes.map((n) => [n.id, n]));
+  const label = (id) => `"${nodeMap.get(id)?.label || getNodeType(nodeMap.get(id)?.node_type)?.label || id}"`;
+  const outgoing = new Map(nodes.map((n) => [n.id, []]));
+  const incoming = new Map(nodes.map((n) => [n.id, []]));
+  for (const edge of edges) {
+    outgoing.get(edge.source_node_id)?.push(edge);
+    incoming.get(edge.target_node_id)?.push(edge);
+  }
+
+  const loops = new Map();
+  const collectOwners = new Map();
+
+  for (const node of nodes.filter((n) => n.node_type === 'for_each')) {
+    const bodyIds = new Set();
+    const collectIds = new Set();
+    const queue = outgoing.get(node.id).map((e) => e.target_node_id);
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (bodyIds.has(id) || collectIds.has(id)) continue;
+
+      const type = nodeMap.get(id)?.node_type;
+      if (type === 'collect') {
+        collectIds.add(id);
+        continue;
+      }
+      if (NON_BODY_NODE_TYPES.includes(type)) {
+        throw new Error(`For Each ${label(node.id)} can't contain ${label(id)}: ${getNodeType(type)?.label || type} nodes don't run per item`);
+      }
+
+      bodyIds.add(id);
+      queue.push(...outgoing.get(id).map((e) => e.target_node_id));
+    }
+
+    if (collectIds.size !== 1) {
+      throw new Error(`For Each ${label(node.id)} must lead into exactly one Collect node`);
+    }
+    const [collectId] = collectIds;
+    if (collectOwners.has(collectId)) {
+      throw new Error(`Collect ${label(collectId)} is reached from more than one For Each node`);
+    }
+    collectOwners.set(collectId, node.id);
+
+    // Item values can't come from or leak to nodes outside the loop
+    const inside = new Set([node.id, ...bodyIds]);
+    for (const id of [...bodyIds, collectId]) {
+      const outsider = incoming.get(id).find((e) => !inside.has(e.source_node_id));
+      if (outsider) {
+        throw new Error(`${label(id)} is inside For Each ${label(node.id)} and can only take inputs from the loop`);
+      }
+    }
+
+    loops.set(node.id, { bodyIds, collectId });
+  }
+
+  const orphan = nodes.find((n) => n.node_type === 'collect' && !collectOwners.has(n.id));
+  if (orphan) {
+    throw new Error(`Collect ${label(orphan.id)} must come after a For Each node`);
+  }
+
+  return loops;
+}
+
+/**
+ * Gather a collect node's per-item inputs into its outputs
+ * @param {Object[]} itemInputs - The collect node's inputs for each item, in item order
+ */
+function collectItems(itemInputs) {
+  return {
+    images: itemInputs.map((inputs) => inputs.media).filter(Boolean),
+    text: itemInputs.map((inputs) => inputs.text).filter(Boolean).join('\n\n'),
+  };
+}
+
+module.exports = {
+  findLoops,
+  collectItems,
+  NON_BODY_NODE_TYPES,
+};
@@ -4,17 +4,41 @@
  * Defines all available node types with their input/output ports,
  * config schemas, categories, and credit costs.
  *
- * Port types: image, image_batch, video, text, any_media
+ * Port types: image, image_batch, video, text, any_media, mask, any
  * Type compatibility:
- *   - image → image, any_media
+ *   - image → image, any_media, mask
  *   - video → video, any_media
  *   - image_batch → image_batch only (use "pick" to narrow)
  *   - text → text only
  *   - any_media → any_media only
+ *   - mask (red channel = area to edit) → mask only
+ *   - any (condition pass-through) → anything, and accepts anything
+ *
+ * Node types whose output ports depend on their config define
+ * outputsFromConfig(config); use getNodeOutputs() to get a node's ports.
  */
 
 const { config } = require('../config');
 
+/**
+ * Retry, timeout and on-failure settings for nodes that call a provider
+ * (applied by workflowRetries.js). Nodes with a model setting can name a
+ * fallback model.
+ */
+function failurePolicySchema(fallbackModels = null) {
+  const section = 'On Failure';
+  const onFailureOptions = ['fail_run', 'skip_downstream', ...(fallbackModels ? ['use_fallback_model'] : [])];
+
+  return {
+    retries: { type: 'number', min: 0, max: 5, default: 2, label: 'Retries', section },
+    timeout_seconds: { type: 'number', min: 0, max: 3600, default: 900, label: 'Timeout (seconds, 0 = none)', section },
+    on_failure: { type: 'select', options: onFailureOptions, default: 'fail_run', label: 'When Retries Run Out', section },
+    ...(fallbackModels && {
+      fallback_model: { type: 'select', options: ['none', ...fallbackModels], default: 'none', label: 'Fallback Model', section },
+    }),
+  };
+}
+
 /**
  * All registered node types
  */
@@ -39,6 +63,7 @@ const NODE_TYPES = {
       negative_prompt: { type: 'textarea', default: '', label: 'Negative Prompt', supportsVariables: true },
       aspect_ratio: { type: 'select', options: ['1:1', '4:3', '3:4', '16:9', '9:16', '2:3', '3:2'], default: '1:1', label: 'Aspect Ratio' },
       count: { type: 'number', min: 1, max: 4, default: 1, label: 'Number of Images' },
+      ...failurePolicySchema(['seedream', 'nanoBanana', 'qwen']),
     },
     creditCost: (nodeConfig) => {
       const modelCosts = { seedream: 10, nanoBanana: 8, qwen: 5 };
@@ -63,6 +88,7 @@ const NODE_TYPES = {
       prompt: { type: 'textarea', default: '', label: 'Prompt', supportsVariables: true },
       duration: { type: 'number', min: 1, max: 10, default: 5, label: 'Duration (seconds)' },
       aspect_ratio: { type: 'select', options: ['16:9', '9:16', '1:1'], default: '16:9', label: 'Aspect Ratio' },
+      ...failurePolicySchema(['kling', 'wan', 'veo']),
     },
     creditCost: (nodeConfig) => {
       const modelCosts = { kling: 50, wan: 40, veo: 60 };
@@ -84,10 +110,93 @@ const NODE_TYPES = {
     outputs: [
       { name: 'image', type: 'image', label: 'Image' },
     ],
-    configSchema: {},
+    configSchema: {
+      ...failurePolicySchema(),
+    },
     creditCost: () => config.creditCosts.bgRemover,
   },
 
+  edit_inpaint: {
+    type: 'edit_inpaint',
+    label: 'Inpaint',
+    category: 'editing',
+    description: 'Repaint the masked area of an image from a prompt',
+    inputs: [
+      { name: 'image', type: 'image', optional: false, label: 'Image' },
+      { name: 'mask', type: 'mask', optional: true, label: 'Mask' },
+    ],
+    outputs: [
+      { name: 'image', type: 'image', label: 'Image' },
+    ],
+    configSchema: {
+      prompt: { type: 'textarea', default: '', label: 'Prompt', supportsVariables: true },
+      mask_url: { type: 'textarea', default: '', label: 'Mask URL (if no mask is connected)', supportsVariables: true },
+      denoise: { type: 'number', min: 0, max: 1, step: 0.05, default: 0.6, label: 'Strength' },
+      ...failurePolicySchema(),
+    },
+    creditCost: () => config.creditCosts.inpaint,
+  },
+
+  edit_erase: {
+    type: 'edit_erase',
+    label: 'Erase Object',
+    category: 'editing',
+    description: 'Erase the masked objects from an image',
+    inputs: [
+      { name: 'image', type: 'image', optional: false, label: 'Image' },
+      { name: 'mask', type: 'mask', optional: true, label: 'Mask' },
+    ],
+    outputs: [
+      { name: 'image', type: 'image', label: 'Image' },
+    ],
+    configSchema: {
+      mask_url: { type: 'textarea', default: '', label: 'Mask URL (if no mask is connected)', supportsVariables: true },
+      ...failurePolicySchema(),
+    },
+    creditCost: () => config.creditCosts.eraser,
+  },
+
+  edit_qwen: {
+    type: 'edit_qwen',
+    label: 'Qwen Edit',
+    category: 'editing',
+    description: 'Edit an image by describing the changes',
+    inputs: [
+      { name: 'image', type: 'image', optional: false, label: 'Image' },
+      { name: 'image_2', type: 'image', optional: true, label: 'Extra Image' },
+      { name: 'image_3', type: 'image', optional: true, label: 'Extra Image' },
+    ],
+    outputs: [
+      { name: 'image', type: 'image', label: 'Image' },
+      { name: 'images', type: 'image_batch', label: 'All Images' },
+    ],
+    configSchema: {
+      prompt: { type: 'textarea', default: '', label: 'Prompt', supportsVariables: true },
+      aspect_ratio: { type: 'select', options: ['match_input_image', '1:1', '4:3', '3:4', '16:9', '9:16', '2:3', '3:2'], default: 'match_input_image', label: 'Aspect Ratio' },
+      ...failurePolicySchema(),
+    },
+    creditCost: () => config.creditCosts.qwenEdit,
+  },
+
+  edit_upscale: {
+    type: 'edit_upscale',
+    label: 'Upscale',
+    category: 'editing',
+    description: 'Upscale an image 2x or 4x',
+    inputs: [
+      { name: 'image', type: 'image', optional: false, label: 'Image' },
+    ],
+    outputs: [
+      { name: 'image', type: 'image', label: 'Image' },
+    ],
+    configSchema: {
+      scale: { type: 'select', options: ['2', '4'], default: '2', label: 'Scale' },
+      face_enhance: { type: 'select', options: ['off', 'on'], default: 'off', label: 'Enhance Faces' },
+      ...failurePolicySchema(),
+    },
+    creditCost: () => config.creditCosts.upscale,
+  },
+
   // ==================
   // AI
   // ==================
@@ -107,6 +216,7 @@ const NODE_TYPES = {
       instruction: { type: 'textarea', default: 'Write a caption for this image.', label: 'Instruction', supportsVariables: true },
       tone: { type: 'select', options: ['professional', 'casual', 'playful', 'flirty', 'edgy', 'custom'], default: 'casual', label: 'Tone' },
       max_length: { type: 'number', min: 10, max: 2000, default: 280, label: 'Max Length' },
+      ...failurePolicySchema(),
     },
     creditCost: () => config.creditCosts.chat,
   },
@@ -118,7 +228,7 @@ const NODE_TYPES = {
     type: 'review',
     label: 'Review Gate',
     category: 'flow_control',
-    description: 'Pause the workflow for human review and approval',
+    description: 'Pause the workflow for human review; rejecting fails the run or regenerates with feedback',
     inputs: [
       { name: 'media', type: 'any_media', optional: true, label: 'Media' },
       { name: 'text', type: 'text', optional: true, label: 'Text' },
@@ -129,7 +239,78 @@ const NODE_TYPES = {
     ],
     configSchema: {
       note: { type: 'textarea', default: '', label: 'Review Note', supportsVariables: true },
+      // 'anyone', 'role:admin' or 'user:<agency user id>' (see workflowReviews.js)
+      reviewer: { type: 'reviewer', default: 'anyone', label: 'Reviewer', section: 'Reviewer' },
+      max_regenerations: { type: 'number', default: 3, min: 0, max: 10, label: 'Max Regenerations on Reject', section: 'Reviewer' },
+      expire_after_hours: { type: 'number', default: 0, min: 0, max: 720, label: 'Expire After Hours (0 = never)', section: 'Expiry' },
+      on_expire: { type: 'select', options: ['cancel', 'approve'], default: 'cancel', label: 'When Expired', section: 'Expiry' },
+    },
+    creditCost: () => 0,
+  },
+
+  condition: {
+    type: 'condition',
+    label: 'Condition',
+    category: 'flow_control',
+    description: 'Route to the first branch whose expression is true; nodes on other branches are skipped',
+    inputs: [
+      { name: 'value', type: 'any', optional: true, label: 'Value' },
+    ],
+    // With the default config; see outputsFromConfig
+    outputs: [
+      { name: 'branch_1', type: 'any', label: 'Has caption' },
+      { name: 'else', type: 'any', label: 'Otherwise' },
+    ],
+    outputsFromConfig: (nodeConfig) => [
+      ...(nodeConfig.branches || []).map((branch, i) => ({
+        name: `branch_${i + 1}`,
+        type: 'any',
+        label: branch.label || `Branch ${i + 1}`,
+      })),
+      { name: 'else', type: 'any', label: 'Otherwise' },
+    ],
+    configSchema: {
+      branches: {
+        type: 'branches',
+        default: [{ label: 'Has caption', expression: 'value is set' }],
+        label: 'Branches',
+      },
+    },
+    creditCost: () => 0,
+  },
+
+  for_each: {
+    type: 'for_each',
+    label: 'For Each',
+    category: 'flow_control',
+    description: 'Run the nodes up to the next Collect once for every image in a batch',
+    inputs: [
+      { name: 'images', type: 'image_batch', optional: false, label: 'Image Batch' },
+    ],
+    outputs: [
+      { name: 'image', type: 'image', label: 'Each Image' },
+    ],
+    configSchema: {
+      concurrency: { type: 'number', min: 1, max: 4, default: 4, label: 'Images at Once' },
     },
+    // The loop body is charged per item
+    creditCost: () => 0,
+  },
+
+  collect: {
+    type: 'collect',
+    label: 'Collect',
+    category: 'flow_control',
+    description: 'Gather the results of a For Each loop back into a batch',
+    inputs: [
+      { name: 'media', type: 'any_media', optional: true, label: 'Media' },
+      { name: 'text', type: 'text', optional: true, label: 'Text' },
+    ],
+    outputs: [
+      { name: 'images', type: 'image_batch', label: 'Images' },
+      { name: 'text', type: 'text', label: 'Text (all items)' },
+    ],
+    configSchema: {},
     creditCost: () => 0,
   },
 
@@ -137,15 +318,26 @@ const NODE_TYPES = {
     type: 'pick',
     label: 'Pick Best',
     category: 'flow_control',
-    description: 'Select the best image from a batch',
+    description: 'Select the best image from a batch, by hand or scored by AI',
     inputs: [
       { name: 'images', type: 'image_batch', optional: false, label: 'Image Batch' },
     ],
     outputs: [
       { name: 'image', type: 'image', label: 'Selected Image' },
     ],
-    configSchema: {},
-    creditCost: () => 0,
+    configSchema: {
+      // auto: the chat model scores the batch; below min_score a human picks
+      mode: { type: 'select', options: ['manual', 'auto'], default: 'manual', label: 'Mode' },
+      rubric: {
+        type: 'textarea',
+        default: 'Most on-brand, sharp and natural-looking, with no artifacts or distorted hands and faces',
+        label: 'Scoring Rubric',
+        supportsVariables: true,
+        section: 'Auto Pick',
+      },
+      min_score: { type: 'number', min: 0, max: 10, step: 0.5, default: 6, label: 'Minimum Score (else a human picks)', section: 'Auto Pick' },
+    },
+    creditCost: (cfg) => (cfg.mode === 'auto' ? config.creditCosts.chat : 0),
   },
 
   // ==================
@@ -173,14 +365,20 @@ const NODE_TYPES = {
     type: 'export',
     label: 'Export',
     category: 'output',
-    description: 'Export content to a platform (coming soon)',
+    description: 'Bundle media and captions into a ZIP and queue them for publishing',
     inputs: [
-      { name: 'media', type: 'any_media', optional: false, label: 'Media' },
+      { name: 'media', type: 'any_media', optional: true, label: 'Media' },
+      { name: 'images', type: 'image_batch', optional: true, label: 'Image Batch' },
       { name: 'caption', type: 'text', optional: true, label: 'Caption' },
     ],
+    // At least one of these must be connected
+    requiresOneOf: ['media', 'images'],
     outputs: [],
     configSchema: {
-      platform: { type: 'select', options: ['download', 'onlyfans', 'fansly', 'twitter'], default: 'download', label: 'Platform' },
+      targets: { type: 'multiselect', options: ['onlyfans', 'fansly', 'twitter'], default: [], label: 'Queue for publishing on' },
+      caption: { type: 'textarea', default: '', label: 'Caption (when none is connected)', supportsVariables: true },
+      publish_delay_hours: { type: 'number', default: 0, min: 0, max: 720, label: 'Publish after (hours)' },
+      sidecars: { type: 'select', options: ['both', 'txt', 'json'], default: 'both', label: 'Caption files' },
     },
     creditCost: () => 0,
   },
@@ -191,27 +389,41 @@ const NODE_TYPES = {
  * Can output type X connect to input type Y?
  */
 const TYPE_COMPATIBILITY = {
-  image:       ['image', 'any_media'],
+  image:       ['image', 'any_media', 'mask'],
   image_batch: ['image_batch'],
   video:       ['video', 'any_media'],
   text:        ['text'],
   any_media:   ['any_media', 'image', 'video'],
+  mask:        ['mask'],
+  any:         ['image', 'image_batch', 'video', 'text', 'any_media', 'mask', 'any'],
 };
 
 /**
  * Check if an output port type is compatible with an input port type
  */
 function isPortCompatible(outputType, inputType) {
+  if (inputType === 'any') return true;
   const compatible = TYPE_COMPATIBILITY[outputType];
   return compatible ? compatible.includes(inputType) : false;
 }
 
+/**
+ * Output ports of a node, taking config-dependent ports into account
+ */
+function getNodeOutputs(nodeType, nodeConfig) {
+  const def = NODE_TYPES[nodeType];
+  if (!def) return [];
+  return def.outputsFromConfig ? def.outputsFromConfig(nodeConfig || {}) : def.outputs;
+}
+
 /**
  * Get all node types as an array (for the GET /node-types endpoint)
  */
 function getNodeTypeList() {
-  return Object.values(NODE_TYPES).map(({ creditCost, ...rest }) => ({
+  return Object.values(NODE_TYPES).map(({ creditCost, outputsFromConfig, ...rest }) => ({
     ...rest,
+    // The editor derives these ports from the node's config itself
+    outputsFromConfig: Boolean(outputsFromConfig),
     // Return a sample credit cost with default config
     estimatedCredits: typeof creditCost === 'function' ? creditCost(rest.configSchema ? Object.fromEntries(
       Object.entries(rest.configSchema).map(([k, v]) => [k, v.default])
@@ -253,5 +465,6 @@ module.exports = {
   isPortCompatible,
   getNodeTypeList,
   getNodeType,
+  getNodeOutputs,
   calculateNodeCreditCost,
 };
@@ -0,0 +1,128 @@
+/**
+ * Workflow Node Failure Policy
+ *
+ * Nodes that call a provider have these config settings
+ * (see failurePolicySchema in workflowNodeTypes.js):
+ *   retries          - extra attempts after a failure, waiting 5s, 10s,
+ *                      20s… (at most 60s) in between
+ *   timeout_seconds  - give up on an attempt after this long (0 = no limit)
+ *   on_failure       - once the attempts run out:
+ *                        fail_run            the run fails
+ *                        skip_downstream     the nodes fed by this one, and
+ *                                            everything below them, are
+ *                                            skipped (even merges with
+ *                                            another live input); the run
+ *                                            carries on
+ *                        use_fallback_model  run again with fallback_model
+ *
+ * Each attempt gets an AbortSignal that fires when it times out. Executors
+ * pass it to their provider requests and stop polling once it fires, so a
+ * timed-out attempt is abandoned before the retry starts; a job the
+ * provider already accepted may still finish, and its result is ignored.
+ * Nodes that write (Save to Gallery, Export) have no failure policy, so
+ * they're never timed out or retried.
+ */
+
+const { getNodeType } = require('./workflowNodeTypes');
+
+const RETRY_BASE_DELAY_MS = 5000;
+const RETRY_MAX_DELAY_MS = 60000;
+
+/**
+ * A node's failure policy with defaults applied, or null if its type has
+ * none (flow control nodes)
+ */
+function getFailurePolicy(nodeType, nodeConfig = {}) {
+  const schema = getNodeType(nodeType)?.configSchema;
+  if (!schema?.retries) return null;
+
+  const setting = (key) => nodeConfig[key] ?? schema[key]?.default;
+  const fallbackModel = setting('fallback_model');
+
+  return {
+    retries: Math.min(Math.max(parseInt(setting('retries'), 10) || 0, 0), schema.retries.max),
+    timeoutMs: Math.max(parseFloat(setting('timeout_seconds')) || 0, 0) * 1000,
+    onFailure: setting('on_failure') || 'fail_run',
+    fallbackModel: fallbackModel && fallbackModel !== 'none' ? fallbackModel : null,
+  };
+}
+
+/**
+ * Whether a failed node lets the rest of the run carry on
+ */
+function continuesOnFailure(node) {
+  return getFailurePolicy(node.node_type, node.config || {})?.onFailure === 'skip_downstream';
+}
+
+/**
+ * Provider errors that will fail the same way again (bad input, auth)
+ */
+function isRetryable(error) {
+  const status = error.statusCode;
+  return !(status >= 400 && status < 500 && ![408, 429].includes(status));
+}
+
+/**
+ * Run one attempt, aborting its signal and failing it after timeoutMs
+ */
+function withTimeout(execute, timeoutMs) {
+  const controller = new AbortController();
+  if (!timeoutMs) return execute(controller.signal);
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeoutMs / 1000}s`);
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([execute(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Call execute() until it succeeds or the policy's retries run out.
+ * Each attempt is appended to `attempts` as
+ * { attempt, model?, status, error?, started_at, completed_at }.
+ *
+ * @param {Function} execute - (signal) => Promise of the node's output;
+ *   signal is aborted if the attempt times out
+ * @param {Object} policy - From getFailurePolicy
+ * @param {Object} options
+ * @param {Object[]} options.attempts - Attempt history to append to
+ * @param {string} [options.model] - Model the attempts use (for the history)
+ * @param {Function} [options.onAttempt] - Called after each attempt settles
+ */
+async function runAttempts(execute, policy, { attempts, model, onAttempt }) {
+  for (let retry = 0; ; retry++) {
+    const attempt = {
+      attempt: attempts.length + 1,
+      ...(model && { model }),
+      status: 'running',
+      started_at: new Date().toISOString(),
+    };
+    attempts.push(attempt);
+
+    try {
+      const output = await withTimeout(execute, policy.timeoutMs);
+      Object.assign(attempt, { status: 'completed', completed_at: new Date().toISOString() });
+      await onAttempt?.();
+      return output;
+    } catch (err) {
+      Object.assign(attempt, { status: 'failed', error: err.message, completed_at: new Date().toISOString() });
+      await onAttempt?.();
+
+      if (retry >= policy.retries || !isRetryable(err)) {
+        throw err;
+      }
+      const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** retry, RETRY_MAX_DELAY_MS);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  getFailurePolicy,
+  continuesOnFailure,
+  runAttempts,
+};
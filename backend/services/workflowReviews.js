@@ -0,0 +1,231 @@
+/**
+ * Workflow Review Gates
+ *
+ * Review nodes have these config settings (see the review node's
+ * configSchema in workflowNodeTypes.js):
+ *   reviewer            - who may approve or reject: 'anyone', 'role:admin'
+ *                         (owners and admins) or 'user:<agency user id>'.
+ *                         Assigned reviewers are emailed when the node waits.
+ *   max_regenerations   - how many rejections may regenerate the upstream
+ *                         node with the reviewer's feedback
+ *   expire_after_hours  - once a review has waited this long (0 = never)
+ *   on_expire           - approve   the run continues
+ *                         cancel    the run is cancelled
+ *
+ * Owners and admins can act on any review. Expired reviews are handled by
+ * the workflow scheduler's poll (expireReviews).
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { logger } = require('./logger');
+const { getNodeType } = require('./workflowNodeTypes');
+const { sendWorkflowReviewEmail } = require('./email');
+const { publishNodeResult, NODE_EVENT_COLUMNS } = require('./workflowRunEvents');
+const { loadRunGraph } = require('./workflowVersions');
+
+/**
+ * A review node's settings with defaults applied
+ */
+function getReviewSettings(nodeConfig = {}) {
+  const schema = getNodeType('review').configSchema;
+  const setting = (key) => nodeConfig[key] ?? schema[key].default;
+
+  return {
+    reviewer: setting('reviewer') || 'anyone',
+    maxRegenerations: Math.max(parseInt(setting('max_regenerations'), 10) || 0, 0),
+    expireAfterHours: Math.max(parseFloat(setting('expire_after_hours')) || 0, 0),
+    onExpire: setting('on_expire') === 'approve' ? 'approve' : 'cancel',
+  };
+}
+
+/**
+ * Whether an agency user may approve or reject a review assigned to `reviewer`
+ */
+function canReview(agencyUser, reviewer) {
+  if (['owner', 'admin'].includes(agencyUser.role)) return true;
+  if (reviewer === 'anyone') return true;
+  if (reviewer.startsWith('user:')) return reviewer.slice('user:'.length) === agencyUser.id;
+  return false;
+}
+
+/**
+ * Active agency users a review is assigned to
+ */
+async function findReviewers(agencyId, reviewer) {
+  let query = supabaseAdmin
+    .from('agency_users')
+    .select('id, name, email, role')
+    .eq('agency_id', agencyId)
+    .eq('status', 'active');
+
+  if (reviewer === 'role:admin') {
+    query = query.in('role', ['owner', 'admin']);
+  } else if (reviewer.startsWith('user:')) {
+    query = query.eq('id', reviewer.slice('user:'.length));
+  } else {
+    return [];
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw error;
+  }
+  return data || [];
+}
+
+/**
+ * Email a waiting review node's assigned reviewers
+ */
+async function notifyReviewers({ run, workflow, node, reviewer, note, expiresAt }) {
+  const reviewers = await findReviewers(workflow.agency_id, reviewer);
+  if (reviewers.length === 0) {
+    logger.warn('Review node has no reviewers to notify', { runId: run.id, nodeId: node.id, reviewer });
+    return;
+  }
+
+  const { data: agency, error } = await supabaseAdmin
+    .from('agencies')
+    .select('id, name, slug, settings, plan_id')
+    .eq('id', workflow.agency_id)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const review = {
+    workflowName: workflow.name,
+    nodeLabel: node.label,
+    note,
+    reviewUrl: `${frontendUrl}/workflows/${workflow.id}/runs/${run.id}`,
+    expiresAt,
+  };
+
+  for (const user of reviewers) {
+    try {
+      await sendWorkflowReviewEmail(agency, user, review);
+    } catch (err) {
+      logger.error('Failed to send review email:', { runId: run.id, userId: user.id, error: err.message });
+    }
+  }
+}
+
+/**
+ * The node a rejection regenerates: the nearest node upstream of the
+ * review node that has a prompt, or null
+ */
+function findRegenerateTarget(nodeId, nodes, edges) {
+  const nodeMap = new Map(nodes.map((n) => [n.id, n]));
+  const seen = new Set([nodeId]);
+  const queue = [nodeId];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    for (const edge of edges) {
+      if (edge.target_node_id !== id || seen.has(edge.source_node_id)) continue;
+      seen.add(edge.source_node_id);
+
+      const source = nodeMap.get(edge.source_node_id);
+      if (getNodeType(source?.node_type)?.configSchema?.prompt) return source;
+      queue.push(edge.source_node_id);
+    }
+  }
+  return null;
+}
+
+/**
+ * A prompt with a reviewer's rejection feedback appended
+ */
+function appendFeedback(prompt, reason) {
+  return `${prompt || ''}\n\nReviewer feedback: ${reason}`.trim();
+}
+
+/**
+ * Complete a waiting review/pick node and resume its run.
+ * Returns false if the node was no longer waiting (already reviewed).
+ */
+async function approveReview(result, updates = {}) {
+  const { data: approved, error } = await supabaseAdmin
+    .from('workflow_node_results')
+    .update({
+      status: 'completed',
+      review_expires_at: null,
+      completed_at: new Date().toISOString(),
+      ...updates,
+    })
+    .eq('id', result.id)
+    .eq('status', 'waiting_for_review')
+    .select(NODE_EVENT_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!approved) return false;
+  publishNodeResult(approved);
+
+  const { resumeRun } = require('./workflowRunner');
+  await resumeRun(result.run_id);
+  return true;
+}
+
+/**
+ * Approve or cancel reviews that waited past their expiry.
+ * Called from the workflow scheduler's poll.
+ */
+async function expireReviews() {
+  const now = new Date().toISOString();
+
+  const { data: expired, error } = await supabaseAdmin
+    .from('workflow_node_results')
+    .select('*, workflow_runs!inner(id, workflow_id, version_id)')
+    .eq('status', 'waiting_for_review')
+    .lte('review_expires_at', now);
+
+  if (error) {
+    logger.error('Review expiry query failed:', error.message);
+    return;
+  }
+
+  for (const result of expired || []) {
+    const review = { ...(result.review || {}), expired: true, expired_at: now };
+
+    try {
+      const { nodes } = await loadRunGraph(result.workflow_runs);
+      const node = nodes.find((n) => n.id === result.node_id);
+      const { onExpire } = getReviewSettings({ ...node?.config, ...result.config_override });
+
+      if (onExpire === 'approve') {
+        await approveReview(result, { review });
+      } else {
+        // Claim the expiry so only one instance cancels the run
+        const { data: claimed } = await supabaseAdmin
+          .from('workflow_node_results')
+          .update({ review, review_expires_at: null })
+          .eq('id', result.id)
+          .eq('status', 'waiting_for_review')
+          .not('review_expires_at', 'is', null)
+          .select('id')
+          .maybeSingle();
+        if (!claimed) continue;
+
+        const { cancelRun } = require('./workflowRunner');
+        await cancelRun(result.run_id);
+      }
+      logger.info('Workflow review expired', { runId: result.run_id, nodeId: result.node_id, onExpire });
+    } catch (err) {
+      logger.error('Failed to expire review:', { resultId: result.id, error: err.message });
+    }
+  }
+}
+
+module.exports = {
+  getReviewSettings,
+  canReview,
+  notifyReviewers,
+  findRegenerateTarget,
+  appendFeedback,
+  approveReview,
+  expireReviews,
+};
@@ -0,0 +1,69 @@
+/**
+ * Workflow Run Events
+ *
+ * In-process pub/sub for workflow run progress, consumed by the SSE routes
+ * in routes/workflows.js. Whatever changes a run or node result (the runner,
+ * approve/cancel routes) publishes the updated row here:
+ *   'run'  → { id, workflow_id, model_id, agency_id, status, credits_used, started_at, completed_at }
+ *   'node' → { id, run_id, node_id, status, output, error, credits_used, started_at, completed_at }
+ *
+ * Runs executing in another instance never reach this emitter, so the
+ * streams also re-read the database periodically.
+ */
+
+const { EventEmitter } = require('events');
+
+const RUN_EVENT_COLUMNS = 'id, workflow_id, model_id, batch_id, status, credits_used, started_at, completed_at';
+const NODE_EVENT_COLUMNS = 'id, run_id, node_id, status, output, error, credits_used, iterations, attempts, config_override, review, review_expires_at, started_at, completed_at';
+
+const FINISHED_RUN_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const runEvents = new EventEmitter();
+runEvents.setMaxListeners(0);
+
+/**
+ * Publish a run's current state
+ * @param {Object} run - workflow_runs row (at least RUN_EVENT_COLUMNS)
+ * @param {string} agencyId - Owner of the run's workflow
+ */
+function publishRun(run, agencyId) {
+  if (!run) return;
+  runEvents.emit('run', {
+    id: run.id,
+    workflow_id: run.workflow_id,
+    model_id: run.model_id,
+    agency_id: agencyId,
+    status: run.status,
+    credits_used: run.credits_used,
+    started_at: run.started_at,
+    completed_at: run.completed_at,
+  });
+}
+
+/**
+ * Publish a node result's current state
+ * @param {Object} result - workflow_node_results row (at least NODE_EVENT_COLUMNS)
+ */
+function publishNodeResult(result) {
+  if (!result) return;
+  runEvents.emit('node', {
+    id: result.id,
+    run_id: result.run_id,
+    node_id: result.node_id,
+    status: result.status,
+    output: result.output,
+    error: result.error,
+    credits_used: result.credits_used,
+    started_at: result.started_at,
+    completed_at: result.completed_at,
+  });
+}
+
+module.exports = {
+  runEvents,
+  publishRun,
+  publishNodeResult,
+  RUN_EVENT_COLUMNS,
+  NODE_EVENT_COLUMNS,
+  FINISHED_RUN_STATUSES,
+};
@@ -2,115 +2,711 @@
  * Workflow Execution Engine
  *
  * Runs a workflow by:
- * 1. Loading the graph (nodes + edges)
+ * 1. Loading the graph (nodes + edges) of the version the run is pinned to
  * 2. Topological sorting for execution order
- * 3. Resolving {{model.*}} template variables
- * 4. Executing nodes sequentially (parallel branches where possible)
+ * 3. Resolving {{model.*}} (and webhook {{payload.*}}) template variables
+ * 4. Executing nodes as soon as their upstream nodes complete, so
+ *    independent branches run in parallel (limited per run and per agency)
  * 5. Passing outputs between connected nodes
- * 6. Pausing at review/pick gates for human approval
- * 7. Tracking credits consumed per node
+ * 6. Pausing at review/pick gates for human approval (only the gated
+ *    branch waits; the run is waiting_for_review once nothing else can run;
+ *    reviewers, rejection and expiry are in workflowReviews.js)
+ *    and routing at condition nodes (nodes only reachable through inactive
+ *    branches are skipped)
+ * 7. Running for_each loop bodies once per batch item (workflowLoops.js)
+ * 8. Retrying failed provider calls, timing them out, and failing the run,
+ *    skipping the node's dependents or switching to a fallback model once
+ *    the retries run out (workflowRetries.js)
+ * 9. Tracking credits consumed per node (held before the node runs,
+ *    captured when it completes, released if it fails)
  *
  * Node execution is handled by workflowExecutors.js which calls
  * the real generation, editing, and chat APIs directly (no HTTP overhead).
  * Qwen image generation auto-injects the model's LoRA.
+ * Export nodes bundle their media and queue it for publishing
+ * (workflowExports.js).
  */
 
 const { supabaseAdmin } = require('./supabase');
 const { logger } = require('./logger');
+const { config } = require('../config');
 const { resolveNodeConfig } = require('./workflowTemplateVars');
 const { calculateNodeCreditCost } = require('./workflowNodeTypes');
 const executors = require('./workflowExecutors');
+const { evaluateConditionNode } = require('./workflowConditions');
+const { exportNodeMedia } = require('./workflowExports');
+const { findLoops, collectItems } = require('./workflowLoops');
+const { getFailurePolicy, continuesOnFailure, runAttempts } = require('./workflowRetries');
+const { getReviewSettings, notifyReviewers } = require('./workflowReviews');
+const { loadRunGraph } = require('./workflowVersions');
+const { emitEvent } = require('./webhookDelivery');
+const { holdCredits, captureHold, releaseHold } = require('./creditLedger');
+const {
+  publishRun,
+  publishNodeResult,
+  RUN_EVENT_COLUMNS,
+  NODE_EVENT_COLUMNS,
+} = require('./workflowRunEvents');
+
+// Run columns for progress events, plus the owning agency
+const RUN_EVENT_SELECT = `${RUN_EVENT_COLUMNS}, workflows(agency_id)`;
+
+// Runs executing in this process: runId → execution (see runWorkflow)
+const _executions = new Map();
+
+// Nodes executing per agency across all runs in this process:
+// agencyId → { active, waiting: [resolve, ...] }
+const _agencySlots = new Map();
 
 /**
  * Main entry point: run (or resume) a workflow run.
+ *
+ * If the run is already executing in this process (another branch is still
+ * working while a review node was approved), the live execution is woken up
+ * to pick up the approved node instead of starting a second one.
  */
 async function runWorkflow(runId) {
-  const ctx = await loadRunContext(runId);
-  if (!ctx) return;
+  const existing = _executions.get(runId);
+  if (existing) {
+    existing.wake();
+    return existing.done;
+  }
+
+  const execution = createExecution();
+  _executions.set(runId, execution);
+
+  try {
+    const ctx = await loadRunContext(runId);
+    if (!ctx) return;
+    await executeRun(ctx, execution);
+  } finally {
+    _executions.delete(runId);
+    execution.finish();
+  }
+
+  // Woken after the scheduler had already stopped: start over to pick it up
+  if (execution.reloadRequested && !execution.cancelled) {
+    return runWorkflow(runId);
+  }
+}
+
+/**
+ * Stop scheduling new nodes for a run executing in this process.
+ * Nodes already running finish; the caller marks the run cancelled.
+ */
+function cancelRunExecution(runId) {
+  const execution = _executions.get(runId);
+  if (execution) {
+    execution.cancelled = true;
+    execution.wake();
+  }
+}
 
-  const { run, workflow, model, nodes, edges, nodeResults } = ctx;
+/**
+ * Mark a run running again after its node results were changed (approved,
+ * rejected or requeued) and execute it, or wake its live execution.
+ */
+async function resumeRun(runId) {
+  const { data: run, error } = await supabaseAdmin
+    .from('workflow_runs')
+    .update({ status: 'running', completed_at: null })
+    .eq('id', runId)
+    .select(RUN_EVENT_SELECT)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+  publishRun(run, run.workflows?.agency_id);
+
+  runWorkflow(runId).catch((err) => {
+    logger.error('Workflow resume failed:', { runId, error: err.message });
+  });
+}
+
+/**
+ * Cancel an unfinished run: stop scheduling its nodes, skip the ones that
+ * haven't finished and mark the run cancelled.
+ */
+async function cancelRun(runId) {
+  // Stop scheduling further nodes if the run is executing here
+  cancelRunExecution(runId);
+
+  const { data: skipped } = await supabaseAdmin
+    .from('workflow_node_results')
+    .update({ status: 'skipped' })
+    .eq('run_id', runId)
+    .in('status', ['pending', 'running', 'waiting_for_review'])
+    .select(NODE_EVENT_COLUMNS);
+  (skipped || []).forEach(publishNodeResult);
+
+  await updateRunStatus(runId, 'cancelled', new Date().toISOString());
+  logger.info('Workflow run cancelled', { runId });
+}
+
+/**
+ * Bookkeeping for one in-process execution of a run
+ */
+function createExecution() {
+  let finish;
+  const execution = {
+    cancelled: false,
+    // Set by wake(): node results changed outside this execution (approval)
+    reloadRequested: false,
+    done: new Promise((resolve) => { finish = resolve; }),
+    finish: () => finish(),
+    _wakeUp: null,
+    wake() {
+      execution.reloadRequested = true;
+      if (execution._wakeUp) execution._wakeUp();
+    },
+    // Resolves on the next wake()
+    nextWake() {
+      return new Promise((resolve) => {
+        execution._wakeUp = () => {
+          execution._wakeUp = null;
+          resolve();
+        };
+      });
+    },
+  };
+  return execution;
+}
+
+/**
+ * Schedule nodes as soon as everything upstream of them has completed,
+ * up to config.workflows.runConcurrency at a time. A node waiting for
+ * review only blocks its own downstream nodes; after a failure no new
+ * nodes start and the run fails once running ones have settled.
+ */
+async function executeRun(ctx, execution) {
+  const { run, workflow, nodes, edges } = ctx;
+  const runId = run.id;
 
   logger.info('Workflow execution starting', { runId, workflowId: workflow.id, nodeCount: nodes.length });
+  publishRun(run, workflow.agency_id);
 
   try {
-    // Build adjacency data structures
-    const { adjList, inDegree, nodeMap, resultMap } = buildGraph(nodes, edges, nodeResults);
+    const { adjList, inDegree, nodeMap, resultMap, incoming } = buildGraph(nodes, edges, ctx.nodeResults);
 
-    // Topological sort
-    const executionOrder = topologicalSort(nodes, adjList, inDegree);
+    // Rejects cycles and malformed loops before anything runs
+    const order = topologicalSort(nodes, adjList, inDegree);
+    const loops = findLoops(nodes, edges);
 
-    // Execute nodes in order
-    for (const nodeId of executionOrder) {
-      const node = nodeMap.get(nodeId);
-      const result = resultMap.get(nodeId);
+    // Loop bodies and collect nodes run inside their for_each node
+    const loopOwned = new Set();
+    for (const { bodyIds, collectId } of loops.values()) {
+      bodyIds.forEach((id) => loopOwned.add(id));
+      loopOwned.add(collectId);
+    }
 
-      // Skip already completed nodes (for resume after review)
-      if (result && ['completed', 'skipped', 'failed'].includes(result.status)) {
-        continue;
+    // nodeId → promise of the node's outcome
+    const inFlight = new Map();
+    let failed = [...resultMap.values()].some(
+      (r) => r.status === 'failed' && !continuesOnFailure(nodeMap.get(r.node_id))
+    );
+
+    for (;;) {
+      if (execution.reloadRequested) {
+        execution.reloadRequested = false;
+        await reloadNodeResults(runId, resultMap, inFlight);
+        // A review may have been rejected meanwhile
+        failed = failed || [...resultMap.values()].some(
+          (r) => r.status === 'failed' && !continuesOnFailure(nodeMap.get(r.node_id))
+        );
       }
 
-      // Collect inputs from upstream nodes
-      const inputs = collectInputs(nodeId, edges, nodeMap, resultMap);
+      if (!failed && !execution.cancelled) {
+        await skipUnreachableNodes(nodes, nodeMap, resultMap, incoming, inFlight);
 
-      // Resolve template variables
-      const resolvedConfig = resolveNodeConfig(node.config || {}, model);
+        for (const nodeId of findReadyNodes(nodes, nodeMap, resultMap, incoming, inFlight)) {
+          if (inFlight.size >= config.workflows.runConcurrency) break;
+          if (loopOwned.has(nodeId)) continue;
 
-      // Mark node as running
-      await updateNodeResult(result.id, { status: 'running', started_at: new Date().toISOString() });
+          const node = nodeMap.get(nodeId);
+          const promise = executeScheduledNode(node, ctx, { edges, nodeMap, resultMap, loops, order })
+            .then((outcome) => {
+              if (outcome === 'failed') failed = true;
+            })
+            .finally(() => inFlight.delete(nodeId));
+          inFlight.set(nodeId, promise);
+        }
+      }
 
-      try {
-        const output = await executeNode(node, resolvedConfig, inputs, ctx);
+      if (inFlight.size === 0) break;
 
-        // Check if this is a review/pick node that needs human approval
-        if (['review', 'pick'].includes(node.node_type)) {
-          await updateNodeResult(result.id, {
-            status: 'waiting_for_review',
-            output,
-          });
-          await updateRunStatus(runId, 'waiting_for_review');
-          logger.info('Workflow paused for review', { runId, nodeId, nodeType: node.node_type });
-          return; // Stop execution — will resume when user approves
-        }
+      // Continue when a node settles or the run is woken up
+      await Promise.race([...inFlight.values(), execution.nextWake()]);
+    }
 
-        // Calculate and track credits
-        const creditsCost = calculateNodeCreditCost(node.node_type, resolvedConfig);
-        if (creditsCost > 0) {
-          await deductRunCredits(run, creditsCost, ctx);
-        }
+    if (execution.cancelled) {
+      logger.info('Workflow execution stopped after cancel', { runId });
+      return;
+    }
 
-        // Mark node completed with output
-        await updateNodeResult(result.id, {
-          status: 'completed',
-          output,
-          credits_used: creditsCost,
-          completed_at: new Date().toISOString(),
-        });
-
-        // Update result map for downstream nodes
-        resultMap.set(nodeId, { ...result, status: 'completed', output });
-
-        logger.info('Node completed', { runId, nodeId, nodeType: node.node_type, creditsCost });
-      } catch (nodeError) {
-        logger.error('Node execution failed', { runId, nodeId, error: nodeError.message });
-        await updateNodeResult(result.id, {
-          status: 'failed',
-          error: nodeError.message,
-          completed_at: new Date().toISOString(),
-        });
-        await updateRunStatus(runId, 'failed', new Date().toISOString());
-        return; // Stop execution on failure
-      }
+    if (failed) {
+      await updateRunStatus(runId, 'failed', new Date().toISOString());
+      return;
+    }
+
+    const statuses = [...resultMap.values()].map((r) => r.status);
+    if (statuses.includes('waiting_for_review')) {
+      // Nothing else can run until a review is approved
+      await updateRunStatus(runId, 'waiting_for_review');
+      logger.info('Workflow paused for review', { runId });
+      return;
     }
 
     // All nodes completed successfully
-    await updateRunStatus(runId, 'completed', new Date().toISOString());
+    const completedAt = new Date().toISOString();
+    await updateRunStatus(runId, 'completed', completedAt);
     logger.info('Workflow run completed', { runId });
+    emitEvent(workflow.agency_id, 'workflow_run.completed', {
+      run_id: runId,
+      workflow_id: workflow.id,
+      model_id: run.model_id,
+      status: 'completed',
+      credits_used: run.credits_used,
+      completed_at: completedAt,
+    });
   } catch (error) {
     logger.error('Workflow execution error', { runId, error: error.message });
     await updateRunStatus(runId, 'failed', new Date().toISOString());
   }
 }
 
+// Recorded on nodes skipped because something upstream failed, so the
+// block still holds after node results are reloaded
+const UPSTREAM_FAILED_ERROR = 'Skipped: an upstream node failed';
+
+/**
+ * Whether an edge delivers a value: 'live' once its source completed (on
+ * the active branch, for condition nodes), 'dead' if the branch wasn't
+ * taken or its source was skipped because of that, 'blocked' if its source
+ * failed without failing the run (or was skipped because of such a
+ * failure), otherwise 'pending'.
+ */
+function getEdgeState(edge, nodeMap, resultMap) {
+  const source = resultMap.get(edge.source_node_id);
+  if (source?.status === 'failed') return 'blocked';
+  if (source?.status === 'skipped') {
+    return source.error === UPSTREAM_FAILED_ERROR ? 'blocked' : 'dead';
+  }
+  if (source?.status !== 'completed') return 'pending';
+
+  if (nodeMap.get(edge.source_node_id)?.node_type === 'condition') {
+    return source.output?.active_branch === edge.source_port ? 'live' : 'dead';
+  }
+  return 'live';
+}
+
+/**
+ * Nodes that haven't run yet, with how their incoming edges stand.
+ * 'running' counts as not yet run when nothing here is running it: the
+ * process that started it is gone.
+ */
+function getWaitingNodes(nodes, nodeMap, resultMap, incoming, inFlight) {
+  return nodes
+    .filter((node) => !inFlight.has(node.id) && ['pending', 'running'].includes(resultMap.get(node.id)?.status))
+    .map((node) => {
+      const states = incoming.get(node.id).map((edge) => getEdgeState(edge, nodeMap, resultMap));
+      return {
+        nodeId: node.id,
+        settled: !states.includes('pending'),
+        // Nodes without inputs always run
+        live: states.length === 0 || states.includes('live'),
+        blocked: states.includes('blocked'),
+      };
+    });
+}
+
+/**
+ * Nodes whose inputs have all settled, with at least one delivering and
+ * none blocked. A node fed from several branches (a merge) runs if any of
+ * them was taken.
+ */
+function findReadyNodes(nodes, nodeMap, resultMap, incoming, inFlight) {
+  return getWaitingNodes(nodes, nodeMap, resultMap, incoming, inFlight)
+    .filter(({ settled, live, blocked }) => settled && live && !blocked)
+    .map(({ nodeId }) => nodeId);
+}
+
+/**
+ * Mark nodes skipped when an input is blocked by an upstream failure, or
+ * none of their inputs can deliver (every path to them runs through a
+ * branch that wasn't taken). Repeats until downstream nodes of skipped
+ * ones are skipped too.
+ */
+async function skipUnreachableNodes(nodes, nodeMap, resultMap, incoming, inFlight) {
+  for (;;) {
+    const unreachable = getWaitingNodes(nodes, nodeMap, resultMap, incoming, inFlight)
+      .filter(({ settled, live, blocked }) => blocked || (settled && !live));
+    if (unreachable.length === 0) return;
+
+    for (const { nodeId, blocked } of unreachable) {
+      const result = resultMap.get(nodeId);
+      const updates = {
+        status: 'skipped',
+        ...(blocked && { error: UPSTREAM_FAILED_ERROR }),
+        completed_at: new Date().toISOString(),
+      };
+      await updateNodeResult(result.id, updates);
+      resultMap.set(nodeId, { ...result, ...updates });
+    }
+  }
+}
+
+/**
+ * Re-read node results changed outside this execution (approved reviews)
+ */
+async function reloadNodeResults(runId, resultMap, inFlight) {
+  const { data: results, error } = await supabaseAdmin
+    .from('workflow_node_results')
+    .select('*')
+    .eq('run_id', runId);
+
+  if (error) {
+    logger.error('Failed to reload node results:', { runId, error });
+    return;
+  }
+
+  for (const result of results || []) {
+    if (!inFlight.has(result.node_id)) {
+      resultMap.set(result.node_id, result);
+    }
+  }
+}
+
+/**
+ * Run one node within its agency's concurrency limit.
+ * Returns 'completed', 'waiting_for_review', 'failed' (the run fails) or
+ * 'failed_continue' (only the node's dependents are skipped).
+ */
+async function executeScheduledNode(node, ctx, graph) {
+  const { edges, nodeMap, resultMap } = graph;
+  const { run, workflow, model } = ctx;
+  const runId = run.id;
+  const nodeId = node.id;
+  const result = resultMap.get(nodeId);
+
+  // Collect inputs from upstream nodes
+  const inputs = collectInputs(nodeId, edges, nodeMap, resultMap);
+
+  // Resolve template variables
+  const resolvedConfig = resolveNodeConfig(getRunNodeConfig(node, result), model, run.trigger_payload);
+
+  const policy = getFailurePolicy(node.node_type, resolvedConfig);
+  const attempts = [];
+  const nodeRun = { node, inputs, ctx, graph, policy, attempts, resultId: result.id };
+
+  await acquireAgencySlot(workflow.agency_id);
+
+  try {
+    // Mark node as running
+    await updateNodeResult(result.id, { status: 'running', started_at: new Date().toISOString() });
+
+    let outcome;
+    try {
+      outcome = await runChargedAttempts(nodeRun, resolvedConfig);
+    } catch (err) {
+      const fallbackModel = policy?.onFailure === 'use_fallback_model' ? policy.fallbackModel : null;
+      if (!fallbackModel || fallbackModel === resolvedConfig.model) {
+        throw err;
+      }
+      logger.warn('Node failed, trying fallback model', { runId, nodeId, model: resolvedConfig.model, fallbackModel, error: err.message });
+      outcome = await runChargedAttempts(nodeRun, { ...resolvedConfig, model: fallbackModel });
+    }
+    const { output, creditsCost } = outcome;
+
+    // Review/pick nodes wait for human approval (unless auto pick chose an
+    // image); other branches carry on
+    if (node.node_type === 'review' || (node.node_type === 'pick' && !output.image)) {
+      const review = node.node_type === 'review' ? getReviewSettings(resolvedConfig) : null;
+      const expiresAt = review?.expireAfterHours
+        ? new Date(Date.now() + review.expireAfterHours * 60 * 60 * 1000).toISOString()
+        : null;
+
+      await updateNodeResult(result.id, {
+        status: 'waiting_for_review',
+        output,
+        credits_used: creditsCost,
+        review_expires_at: expiresAt,
+      });
+      resultMap.set(nodeId, { ...result, status: 'waiting_for_review', output });
+      logger.info('Workflow node waiting for review', { runId, nodeId, nodeType: node.node_type });
+
+      if (review && review.reviewer !== 'anyone') {
+        notifyReviewers({ run, workflow, node, reviewer: review.reviewer, note: resolvedConfig.note, expiresAt })
+          .catch((err) => logger.error('Failed to notify reviewers:', { runId, nodeId, error: err.message }));
+      }
+      emitEvent(workflow.agency_id, 'workflow_run.waiting_for_review', {
+        run_id: runId,
+        workflow_id: workflow.id,
+        model_id: run.model_id,
+        node_id: nodeId,
+        node_type: node.node_type,
+      });
+      return 'waiting_for_review';
+    }
+
+    // Mark node completed with output
+    await updateNodeResult(result.id, {
+      status: 'completed',
+      output,
+      credits_used: creditsCost,
+      ...(policy && { attempts }),
+      completed_at: new Date().toISOString(),
+    });
+
+    // Update result map for downstream nodes
+    resultMap.set(nodeId, { ...result, status: 'completed', output });
+
+    logger.info('Node completed', { runId, nodeId, nodeType: node.node_type, creditsCost });
+    return 'completed';
+  } catch (nodeError) {
+    const continueRun = policy?.onFailure === 'skip_downstream';
+    logger.error('Node execution failed', { runId, nodeId, error: nodeError.message, continueRun });
+    await updateNodeResult(result.id, {
+      status: 'failed',
+      error: nodeError.message,
+      ...(policy && { attempts }),
+      completed_at: new Date().toISOString(),
+    });
+    resultMap.set(nodeId, { ...result, status: 'failed' });
+    return continueRun ? 'failed_continue' : 'failed';
+  } finally {
+    releaseAgencySlot(workflow.agency_id);
+  }
+}
+
+/**
+ * Run a node with one config: hold its credits, make its attempts, then
+ * capture the credits if it succeeded or release them if not.
+ * Returns { output, creditsCost }.
+ */
+async function runChargedAttempts({ node, inputs, ctx, graph, policy, attempts, resultId }, nodeConfig) {
+  const { run } = ctx;
+  const creditsCost = calculateNodeCreditCost(node.node_type, nodeConfig);
+
+  // Reserve this node's credits before calling any provider
+  let holdId = null;
+  if (creditsCost > 0) {
+    holdId = await holdRunCredits(run, node, creditsCost, ctx);
+    if (!holdId) {
+      throw new Error('Insufficient credits to continue workflow');
+    }
+  }
+
+  try {
+    const execute = (signal) => (node.node_type === 'for_each'
+      ? executeForEach(node, nodeConfig, inputs, ctx, graph)
+      : executeNode(node, nodeConfig, inputs, { ...ctx, signal }));
+
+    const output = policy
+      ? await runAttempts(execute, policy, {
+        attempts,
+        model: nodeConfig.model,
+        onAttempt: () => updateNodeResult(resultId, { attempts }),
+      })
+      : await execute();
+
+    // Auto pick fell back to a human pick without a usable score
+    if (holdId && output?.auto_pick?.scoring_failed) {
+      await releaseHold(holdId, 'Auto pick scoring failed').catch((releaseErr) => {
+        logger.error('Failed to release node credits:', { runId: run.id, nodeId: node.id, error: releaseErr.message });
+      });
+      return { output, creditsCost: 0 };
+    }
+
+    // Charge for the completed node
+    if (holdId) {
+      await captureRunCredits(run, holdId, creditsCost);
+    }
+    return { output, creditsCost };
+  } catch (err) {
+    if (holdId) {
+      await releaseHold(holdId, `Workflow node failed: ${err.message}`).catch((releaseErr) => {
+        logger.error('Failed to release node credits:', { runId: run.id, nodeId: node.id, error: releaseErr.message });
+      });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Run a for_each node's loop body once per image (up to its concurrency
+ * setting at a time, within the agency's slots) and settle the body and collect nodes with the
+ * per-item results. Body nodes are charged per item. If any item fails,
+ * the loop fails once the items in progress have finished.
+ * Returns the for_each node's own output.
+ */
+async function executeForEach(node, resolvedConfig, inputs, ctx, { edges, nodeMap, resultMap, loops, order }) {
+  const { run, workflow } = ctx;
+  const { bodyIds, collectId } = loops.get(node.id);
+  const items = Array.isArray(inputs.images) ? inputs.images : [];
+  const bodyOrder = order.filter((id) => bodyIds.has(id));
+  const concurrency = Math.min(Math.max(parseInt(resolvedConfig.concurrency, 10) || 1, 1), 4);
+
+  // Per body node: one record per item, and the credits charged so far
+  const progress = new Map(bodyOrder.map((id) => [id, {
+    iterations: items.map((_, index) => ({ index, status: 'pending' })),
+    credits: 0,
+  }]));
+
+  const startedAt = new Date().toISOString();
+  for (const id of bodyOrder) {
+    await updateNodeResult(resultMap.get(id).id, {
+      status: 'running',
+      started_at: startedAt,
+      iterations: progress.get(id).iterations,
+    });
+  }
+  await updateNodeResult(resultMap.get(collectId).id, { status: 'running', started_at: startedAt });
+
+  // Runs the body for one item; resolves with the collect node's inputs
+  const runItem = async (index) => {
+    // Item-local results, shaped like resultMap entries for collectInputs
+    const itemResults = new Map([[node.id, { output: { image: items[index] } }]]);
+
+    for (const id of bodyOrder) {
+      const bodyNode = nodeMap.get(id);
+      const { iterations } = progress.get(id);
+      const record = iterations[index];
+      const bodyConfig = resolveNodeConfig(getRunNodeConfig(bodyNode, resultMap.get(id)), ctx.model, run.trigger_payload);
+      const creditsCost = calculateNodeCreditCost(bodyNode.node_type, bodyConfig);
+
+      let holdId = null;
+      record.status = 'running';
+      try {
+        if (creditsCost > 0) {
+          holdId = await holdRunCredits(run, bodyNode, creditsCost, ctx, { item_index: index });
+          if (!holdId) throw new Error('Insufficient credits to continue workflow');
+        }
+
+        // Retries and timeouts apply per item; a failed item fails the loop
+        const bodyPolicy = getFailurePolicy(bodyNode.node_type, bodyConfig);
+        const execute = (signal) => executeNode(
+          bodyNode, bodyConfig, collectInputs(id, edges, nodeMap, itemResults), { ...ctx, signal },
+        );
+        const output = bodyPolicy
+          ? await runAttempts(execute, bodyPolicy, { attempts: (record.attempts = []) })
+          : await execute();
+
+        if (holdId) {
+          await captureRunCredits(run, holdId, creditsCost);
+        }
+        progress.get(id).credits += creditsCost;
+        Object.assign(record, { status: 'completed', output });
+        itemResults.set(id, { output });
+      } catch (err) {
+        if (holdId) {
+          await releaseHold(holdId, `Workflow node failed: ${err.message}`).catch((releaseErr) => {
+            logger.error('Failed to release node credits:', { runId: run.id, nodeId: id, error: releaseErr.message });
+          });
+        }
+        Object.assign(record, { status: 'failed', error: err.message });
+        await updateNodeResult(resultMap.get(id).id, { iterations });
+        throw new Error(`Item ${index + 1}: ${err.message}`);
+      }
+
+      // Live per-item progress
+      await updateNodeResult(resultMap.get(id).id, { iterations });
+    }
+
+    return collectInputs(collectId, edges, nodeMap, itemResults);
+  };
+
+  const collected = new Array(items.length);
+  let nextIndex = 0;
+  let failure = null;
+
+  // The first worker runs in the for_each node's own agency slot; the
+  // others take a slot per item, so the loop counts against the agency limit
+  const worker = async (_, workerIndex) => {
+    while (nextIndex < items.length && !failure) {
+      if (workerIndex > 0) await acquireAgencySlot(workflow.agency_id);
+      try {
+        // Another worker may have taken the last item or failed meanwhile
+        if (nextIndex >= items.length || failure) return;
+        const index = nextIndex++;
+        collected[index] = await runItem(index);
+      } catch (err) {
+        failure = failure || err;
+      } finally {
+        if (workerIndex > 0) releaseAgencySlot(workflow.agency_id);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+  const completedAt = new Date().toISOString();
+  const loopStatus = failure ? 'failed' : 'completed';
+
+  for (const id of bodyOrder) {
+    const { iterations, credits } = progress.get(id);
+    await updateNodeResult(resultMap.get(id).id, {
+      status: loopStatus,
+      output: {},
+      iterations,
+      credits_used: credits,
+      ...(failure && { error: failure.message }),
+      completed_at: completedAt,
+    });
+    resultMap.set(id, { ...resultMap.get(id), status: loopStatus, output: {} });
+  }
+
+  const collectOutput = failure ? {} : collectItems(collected);
+  await updateNodeResult(resultMap.get(collectId).id, {
+    status: loopStatus,
+    output: collectOutput,
+    ...(failure && { error: 'For Each loop failed' }),
+    completed_at: completedAt,
+  });
+  resultMap.set(collectId, { ...resultMap.get(collectId), status: loopStatus, output: collectOutput });
+
+  if (failure) {
+    throw failure;
+  }
+
+  logger.info('For Each loop completed', { runId: run.id, nodeId: node.id, items: items.length });
+  return { count: items.length };
+}
+
+/**
+ * Wait for one of the agency's config.workflows.agencyConcurrency node slots
+ */
+function acquireAgencySlot(agencyId) {
+  let slots = _agencySlots.get(agencyId);
+  if (!slots) {
+    slots = { active: 0, waiting: [] };
+    _agencySlots.set(agencyId, slots);
+  }
+
+  if (slots.active < config.workflows.agencyConcurrency) {
+    slots.active++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => slots.waiting.push(resolve));
+}
+
+function releaseAgencySlot(agencyId) {
+  const slots = _agencySlots.get(agencyId);
+  if (!slots) return;
+
+  const next = slots.waiting.shift();
+  if (next) {
+    // Hand the slot straight to the next waiting node
+    next();
+    return;
+  }
+
+  slots.active--;
+  if (slots.active === 0) {
+    _agencySlots.delete(agencyId);
+  }
+}
+
 /**
  * Load all context needed to execute a run
  */
@@ -131,11 +727,10 @@ async function loadRunContext(runId) {
     return null;
   }
 
-  const [workflowResult, modelResult, nodesResult, edgesResult, resultsResult] = await Promise.all([
+  const [workflowResult, modelResult, graph, resultsResult] = await Promise.all([
     supabaseAdmin.from('workflows').select('*').eq('id', run.workflow_id).single(),
     supabaseAdmin.from('agency_models').select('*').eq('id', run.model_id).single(),
-    supabaseAdmin.from('workflow_nodes').select('*').eq('workflow_id', run.workflow_id),
-    supabaseAdmin.from('workflow_edges').select('*').eq('workflow_id', run.workflow_id),
+    loadRunGraph(run),
     supabaseAdmin.from('workflow_node_results').select('*').eq('run_id', runId),
   ]);
 
@@ -143,12 +738,20 @@ async function loadRunContext(runId) {
     run,
     workflow: workflowResult.data,
     model: modelResult.data,
-    nodes: nodesResult.data || [],
-    edges: edgesResult.data || [],
+    nodes: graph.nodes,
+    edges: graph.edges,
     nodeResults: resultsResult.data || [],
   };
 }
 
+/**
+ * A node's config for this run: the workflow's config with any settings
+ * changed when the node was re-run (config_override) on top
+ */
+function getRunNodeConfig(node, result) {
+  return { ...(node.config || {}), ...(result?.config_override || {}) };
+}
+
 /**
  * Build graph adjacency structures from nodes and edges
  */
@@ -160,18 +763,22 @@ function buildGraph(nodes, edges, nodeResults) {
   const adjList = new Map();
   // In-degree count for each node
   const inDegree = new Map();
+  // Incoming edges: nodeId -> [edges ending at it]
+  const incoming = new Map();
 
   for (const node of nodes) {
     adjList.set(node.id, []);
     inDegree.set(node.id, 0);
+    incoming.set(node.id, []);
   }
 
   for (const edge of edges) {
     adjList.get(edge.source_node_id).push(edge.target_node_id);
     inDegree.set(edge.target_node_id, (inDegree.get(edge.target_node_id) || 0) + 1);
+    incoming.get(edge.target_node_id).push(edge);
   }
 
-  return { adjList, inDegree, nodeMap, resultMap };
+  return { adjList, inDegree, nodeMap, resultMap, incoming };
 }
 
 /**
@@ -218,7 +825,8 @@ function collectInputs(nodeId, edges, nodeMap, resultMap) {
   const incomingEdges = edges.filter((e) => e.target_node_id === nodeId);
   for (const edge of incomingEdges) {
     const sourceResult = resultMap.get(edge.source_node_id);
-    if (sourceResult && sourceResult.output) {
+    // Branches not taken have no value; don't let them overwrite one that was
+    if (sourceResult && sourceResult.output && sourceResult.output[edge.source_port] !== undefined) {
       inputs[edge.target_port] = sourceResult.output[edge.source_port];
     }
   }
@@ -241,6 +849,18 @@ async function executeNode(node, resolvedConfig, inputs, ctx) {
     case 'edit_bg_remove':
       return executors.executeEditBgRemove(inputs, ctx);
 
+    case 'edit_inpaint':
+      return executors.executeEditInpaint(resolvedConfig, inputs, ctx);
+
+    case 'edit_erase':
+      return executors.executeEditErase(resolvedConfig, inputs, ctx);
+
+    case 'edit_qwen':
+      return executors.executeEditQwen(resolvedConfig, inputs, ctx);
+
+    case 'edit_upscale':
+      return executors.executeEditUpscale(resolvedConfig, inputs, ctx);
+
     case 'ai_caption':
       return executors.executeAiCaption(resolvedConfig, inputs, ctx);
 
@@ -251,7 +871,14 @@ async function executeNode(node, resolvedConfig, inputs, ctx) {
         text: inputs.text || null,
       };
 
+    case 'condition':
+      // Activates one output port; the scheduler skips the other branches
+      return evaluateConditionNode(resolvedConfig, inputs, ctx);
+
     case 'pick':
+      if (resolvedConfig.mode === 'auto') {
+        return executors.executeAutoPick(resolvedConfig, inputs, ctx);
+      }
       // Present the batch — execution pauses for user selection
       return {
         images: inputs.images || [],
@@ -260,12 +887,9 @@ async function executeNode(node, resolvedConfig, inputs, ctx) {
     case 'save_to_gallery':
       return executors.executeSaveToGallery(resolvedConfig, inputs, ctx);
 
-    case 'export': {
-      const platform = resolvedConfig.platform || 'download';
-      logger.info('Export node executed', { platform, hasMedia: !!inputs.media, hasCaption: !!inputs.caption });
-      // Placeholder — platform integrations are future work
-      return {};
-    }
+    case 'export':
+      // Bundles the media into a ZIP and queues it per target (workflowExports.js)
+      return exportNodeMedia(node, resolvedConfig, inputs, ctx);
 
     default:
       throw new Error(`Unknown node type: ${node.node_type}`);
@@ -277,69 +901,84 @@ async function executeNode(node, resolvedConfig, inputs, ctx) {
 // =============================================
 
 async function updateNodeResult(resultId, updates) {
-  const { error } = await supabaseAdmin
+  const { data: result, error } = await supabaseAdmin
     .from('workflow_node_results')
     .update(updates)
-    .eq('id', resultId);
+    .eq('id', resultId)
+    .select(NODE_EVENT_COLUMNS)
+    .single();
 
   if (error) {
     logger.error('Failed to update node result:', { resultId, error });
+    return;
   }
+
+  publishNodeResult(result);
 }
 
 async function updateRunStatus(runId, status, completedAt) {
   const updates = { status };
   if (completedAt) updates.completed_at = completedAt;
 
-  const { error } = await supabaseAdmin
+  const { data: run, error } = await supabaseAdmin
     .from('workflow_runs')
     .update(updates)
-    .eq('id', runId);
+    .eq('id', runId)
+    .select(RUN_EVENT_SELECT)
+    .single();
 
   if (error) {
     logger.error('Failed to update run status:', { runId, error });
+    return;
   }
+
+  publishRun(run, run.workflows?.agency_id);
 }
 
-async function deductRunCredits(run, creditsCost, ctx) {
-  // Update run total
-  await supabaseAdmin
-    .from('workflow_runs')
-    .update({ credits_used: run.credits_used + creditsCost })
-    .eq('id', run.id);
+/**
+ * Hold a node's credits against the agency pool. Returns the hold ID, or
+ * null if the pool can't cover it.
+ */
+async function holdRunCredits(run, node, creditsCost, ctx, metadata = {}) {
+  return holdCredits({
+    agencyId: ctx.workflow.agency_id,
+    userId: run.started_by,
+    amount: creditsCost,
+    operation: `workflow:${node.node_type}`,
+    referenceType: 'workflow_run',
+    referenceId: run.id,
+    metadata: { node_id: node.id, ...metadata },
+  });
+}
 
-  run.credits_used += creditsCost;
+/**
+ * Capture a completed node's hold and add it to the run total.
+ * The total is incremented in the database, since parallel nodes
+ * capture at the same time.
+ */
+async function captureRunCredits(run, holdId, creditsCost) {
+  const captured = await captureHold(holdId);
+  if (captured === null) return;
 
-  // Atomic credit deduction — single UPDATE with WHERE credit_pool >= cost
-  // prevents race conditions when multiple runs deduct concurrently
-  const { data: newPool, error: rpcError } = await supabaseAdmin
-    .rpc('deduct_agency_credits', {
-      p_agency_id: ctx.workflow.agency_id,
-      p_amount: creditsCost,
-    });
+  const { data: total, error } = await supabaseAdmin.rpc('increment_workflow_run_credits', {
+    p_run_id: run.id,
+    p_amount: creditsCost,
+  });
 
-  if (rpcError) {
-    logger.error('Credit deduction RPC failed:', { error: rpcError.message });
-    throw new Error('Failed to deduct credits');
+  if (error) {
+    logger.error('Failed to update run credits:', { runId: run.id, error });
+    return;
   }
 
-  if (newPool === -1) {
-    throw new Error('Insufficient credits to continue workflow');
-  }
+  run.credits_used = total;
 
-  // Atomic user usage increment
-  if (run.started_by) {
-    const { error: userError } = await supabaseAdmin
-      .rpc('increment_user_credits_used', {
-        p_user_id: run.started_by,
-        p_amount: creditsCost,
-      });
+  const { data: updated } = await supabaseAdmin
+    .from('workflow_runs')
+    .select(RUN_EVENT_SELECT)
+    .eq('id', run.id)
+    .single();
 
-    if (userError) {
-      logger.error('User credit tracking failed:', { error: userError.message });
-      // Non-fatal — agency pool was already deducted correctly
-    }
-  }
+  publishRun(updated, updated?.workflows?.agency_id);
 }
 
-module.exports = { runWorkflow };
+module.exports = { runWorkflow, cancelRunExecution, resumeRun, cancelRun };
@@ -2,17 +2,55 @@
  * Workflow Scheduler Service
  *
  * Polls the database every 60 seconds for scheduled triggers
- * whose next_trigger_at has passed, and fires them.
+ * whose next_trigger_at has passed, and fires them. The same poll
+ * approves or cancels expired review gates (workflowReviews.js).
+ *
+ * Every backend instance runs a scheduler. A poll claims due triggers
+ * with claim_due_workflow_triggers (migration 028), which leases each one
+ * to a single instance, and a scheduled run records the occurrence it was
+ * fired for (scheduled_for), which the database keeps unique per trigger.
+ * So each occurrence fires once however many instances poll.
+ *
+ * Occurrences missed while no scheduler ran are handled by the trigger's
+ * misfire_policy:
+ *   skip      only an occurrence due within MISFIRE_GRACE_MS fires
+ *   run_once  one run stands in for every missed occurrence
+ *   run_all   each missed occurrence fires (the most recent misfire_limit),
+ *             as max_concurrent_runs allows; the rest wait for later polls
  *
  * Uses the same setInterval pattern as gpuRouter.js cleanup.
  * No external cron libraries — just a timer + DB query.
  */
 
+const crypto = require('crypto');
+const os = require('os');
 const { supabaseAdmin } = require('./supabase');
 const { logger } = require('./logger');
+const { expireReviews } = require('./workflowReviews');
+const { getCurrentVersion } = require('./workflowVersions');
+const { checkRun, getRunRefusal } = require('./workflowValidation');
+const { parseCron, cronMatchesDay } = require('./workflowCron');
 
 const POLL_INTERVAL_MS = 60 * 1000; // 60 seconds
 
+// How long a claimed trigger stays leased to this instance. A poll that
+// dies mid-fire leaves its triggers to other instances after this.
+const CLAIM_LEASE_SECONDS = 5 * 60;
+const CLAIM_BATCH_SIZE = 100;
+
+const MISFIRE_POLICIES = ['skip', 'run_once', 'run_all'];
+const DEFAULT_MISFIRE_LIMIT = 10;
+const MAX_MISFIRE_LIMIT = 100;
+
+// An occurrence fired within this long of its time counts as on time
+const MISFIRE_GRACE_MS = 5 * 60 * 1000;
+
+// Most missed occurrences a run_all trigger is scanned for
+const MAX_MISSED_SCAN = 5000;
+
+// Identifies this process's claims
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
 let _intervalId = null;
 
 /**
@@ -24,7 +62,7 @@ function start() {
     return;
   }
 
-  logger.info('Workflow scheduler started', { pollIntervalMs: POLL_INTERVAL_MS });
+  logger.info('Workflow scheduler started', { pollIntervalMs: POLL_INTERVAL_MS, instanceId: INSTANCE_ID });
 
   // Run immediately on startup, then every 60s
   pollAndFire().catch((err) => {
@@ -35,6 +73,9 @@ function start() {
     pollAndFire().catch((err) => {
       logger.error('Scheduler poll failed:', err.message);
     });
+    expireReviews().catch((err) => {
+      logger.error('Review expiry poll failed:', err.message);
+    });
   }, POLL_INTERVAL_MS);
 }
 
@@ -50,35 +91,54 @@ function stop() {
 }
 
 /**
- * Poll for due triggers and fire them.
+ * Claim due triggers and fire them.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.instanceId] - Who the claims are for (this process by default)
+ * @param {Date} [options.now]
  */
-async function pollAndFire() {
-  const now = new Date().toISOString();
-
-  // Find all enabled scheduled triggers that are due
-  const { data: triggers, error } = await supabaseAdmin
-    .from('workflow_triggers')
-    .select('*, workflows!inner(id, agency_id, model_id, status)')
-    .eq('enabled', true)
-    .eq('trigger_type', 'scheduled')
-    .lte('next_trigger_at', now)
-    .not('next_trigger_at', 'is', null);
+async function pollAndFire({ instanceId = INSTANCE_ID, now = new Date() } = {}) {
+  // Lease the due triggers no other instance is processing
+  const { data: claimed, error } = await supabaseAdmin.rpc('claim_due_workflow_triggers', {
+    p_instance_id: instanceId,
+    p_lease_seconds: CLAIM_LEASE_SECONDS,
+    p_limit: CLAIM_BATCH_SIZE,
+    p_now: now.toISOString(),
+  });
 
   if (error) {
-    logger.error('Scheduler query failed:', error.message);
+    logger.error('Scheduler claim failed:', error.message);
     return;
   }
 
-  if (!triggers || triggers.length === 0) return;
+  if (!claimed || claimed.length === 0) return;
+
+  // The claim returns bare trigger rows; attach their workflows
+  const workflowIds = [...new Set(claimed.map((t) => t.workflow_id))];
+  const { data: workflows, error: workflowsError } = await supabaseAdmin
+    .from('workflows')
+    .select('id, agency_id, model_id, status')
+    .in('id', workflowIds);
 
-  logger.info(`Scheduler found ${triggers.length} due trigger(s)`);
+  if (workflowsError) {
+    // The claims lapse and another poll retries them
+    logger.error('Scheduler workflow query failed:', workflowsError.message);
+    return;
+  }
+
+  const workflowsMap = Object.fromEntries((workflows || []).map((w) => [w.id, w]));
+  const triggers = claimed
+    .filter((t) => workflowsMap[t.workflow_id])
+    .map((t) => ({ ...t, workflows: workflowsMap[t.workflow_id] }));
+
+  logger.info(`Scheduler claimed ${triggers.length} due trigger(s)`, { instanceId });
 
   // Batch load all data needed for processing triggers
   const batchData = await batchLoadTriggerData(triggers);
 
   for (const trigger of triggers) {
     try {
-      await fireTrigger(trigger, batchData);
+      await processTrigger(trigger, batchData, { now, instanceId });
     } catch (err) {
       logger.error('Failed to fire trigger:', { triggerId: trigger.id, error: err.message });
     }
@@ -87,7 +147,7 @@ async function pollAndFire() {
 
 /**
  * Batch load all data needed to process triggers (eliminates N+1 queries).
- * Loads: active run counts, agency credits, and workflow nodes in 3 queries.
+ * Loads: active run counts, agency credits, workflow nodes and models in 4 queries.
  */
 async function batchLoadTriggerData(triggers) {
   const workflowIds = triggers.map((t) => t.workflows.id);
@@ -129,78 +189,178 @@ async function batchLoadTriggerData(triggers) {
     nodesMap[node.workflow_id].push(node);
   }
 
+  // Query 4: Get the models the runs are for (pre-run check)
+  const modelIds = [...new Set(triggers.map((t) => t.workflows.model_id).filter(Boolean))];
+  const { data: modelsData } = await supabaseAdmin
+    .from('agency_models')
+    .select('*')
+    .in('id', modelIds);
+
+  const modelsMap = Object.fromEntries(
+    (modelsData || []).map((m) => [m.id, m])
+  );
+
   return {
     activeRunsMap,
     agenciesMap,
     nodesMap,
+    modelsMap,
   };
 }
 
 /**
- * Fire a single trigger: create a workflow run and advance next_trigger_at.
- * Uses pre-loaded batchData to avoid N+1 queries.
+ * Why a claimed trigger can't fire at all, or null.
+ * Uses pre-loaded batchData to avoid N+1 queries. A run that passes the
+ * quick checks gets the same pre-run check as a manual one, unconfirmed:
+ * a broken graph, or an estimate over the agency's pool, skips it.
  */
-async function fireTrigger(trigger, batchData) {
+async function findSkipReason(trigger, batchData) {
   const workflow = trigger.workflows;
 
-  // Skip if workflow is not active or has no model
-  if (workflow.status !== 'active') {
-    logger.debug('Skipping trigger: workflow not active', {
-      triggerId: trigger.id,
-      workflowStatus: workflow.status,
-    });
-    // Still advance the schedule so we don't re-fire every poll
-    await advanceTrigger(trigger);
-    return;
-  }
+  if (workflow.status !== 'active') return 'workflow not active';
+  if (!workflow.model_id) return 'workflow has no model';
 
-  if (!workflow.model_id) {
-    logger.debug('Skipping trigger: workflow has no model', { triggerId: trigger.id });
-    await advanceTrigger(trigger);
-    return;
+  // Pre-flight credit check
+  const agency = batchData.agenciesMap[trigger.agency_id];
+  if (!agency || agency.credit_pool <= 0) return 'insufficient credits';
+
+  if (!batchData.nodesMap[workflow.id]) return 'workflow has no nodes';
+
+  const version = await getCurrentVersion(workflow.id);
+  const model = batchData.modelsMap[workflow.model_id] || null;
+  const refusal = getRunRefusal(checkRun(version, [model], agency, null));
+  return refusal ? refusal.body.message || refusal.body.error : null;
+}
+
+/**
+ * The occurrences of a trigger's schedule from next_trigger_at up to now,
+ * oldest first and at most `limit` (the most recent ones), how many older
+ * ones were dropped, and the first occurrence after now.
+ */
+function findDueOccurrences(trigger, now, limit) {
+  const due = [];
+  let dropped = 0;
+  let occurrence = new Date(trigger.next_trigger_at);
+
+  for (let i = 0; occurrence && occurrence.getTime() <= now.getTime(); i++) {
+    if (i >= MAX_MISSED_SCAN) {
+      // Give up on the older backlog and resume from now
+      return { due, dropped, nextAt: computeNextTriggerAt(trigger.schedule_config, now) };
+    }
+    due.push(occurrence);
+    if (due.length > limit) {
+      due.shift();
+      dropped++;
+    }
+    occurrence = computeNextTriggerAt(trigger.schedule_config, occurrence);
   }
 
-  // Check max_concurrent_runs using pre-loaded data
-  const activeRuns = batchData.activeRunsMap[workflow.id] || 0;
+  return { due, dropped, nextAt: occurrence };
+}
 
-  if (activeRuns >= (trigger.max_concurrent_runs || 1)) {
-    logger.debug('Skipping trigger: max concurrent runs reached', {
-      triggerId: trigger.id,
-      activeRuns,
-      maxConcurrent: trigger.max_concurrent_runs,
-    });
-    // Still advance so we don't re-fire every 60s while a run is active
-    await advanceTrigger(trigger);
+/**
+ * Fire a claimed trigger's due occurrences as its misfire policy says,
+ * then advance next_trigger_at and release the claim.
+ */
+async function processTrigger(trigger, batchData, { now, instanceId }) {
+  const workflow = trigger.workflows;
+  const scheduleConfig = trigger.schedule_config;
+  const policy = MISFIRE_POLICIES.includes(trigger.misfire_policy) ? trigger.misfire_policy : 'run_once';
+  const firstDue = new Date(trigger.next_trigger_at);
+
+  const skipReason = await findSkipReason(trigger, batchData);
+  if (skipReason) {
+    logger.debug(`Skipping trigger: ${skipReason}`, { triggerId: trigger.id, workflowId: workflow.id });
+    // Still advance the schedule so we don't re-fire every poll
+    await advanceTrigger(trigger, computeNextTriggerAt(scheduleConfig, now), { instanceId });
     return;
   }
 
-  // Pre-flight credit check using pre-loaded data
-  const agency = batchData.agenciesMap[trigger.agency_id];
+  // Occurrences to fire, oldest first, and next_trigger_at once they have
+  let occurrences;
+  let nextAt;
+
+  if (policy === 'run_all') {
+    const limit = trigger.misfire_limit || DEFAULT_MISFIRE_LIMIT;
+    let dropped;
+    ({ due: occurrences, dropped, nextAt } = findDueOccurrences(trigger, now, limit));
+    if (dropped > 0) {
+      logger.warn('Dropping missed trigger occurrences over the misfire limit', {
+        triggerId: trigger.id,
+        dropped,
+        misfireLimit: limit,
+      });
+    }
+  } else {
+    nextAt = computeNextTriggerAt(scheduleConfig, now);
+
+    if (policy === 'run_once') {
+      occurrences = [firstDue];
+    } else {
+      // The latest occurrence, if it's recent enough to count as on time
+      const onTime = computeNextTriggerAt(scheduleConfig, new Date(now.getTime() - MISFIRE_GRACE_MS));
+      const fires = onTime && onTime >= firstDue && onTime <= now;
+      occurrences = fires ? [onTime] : [];
+    }
 
-  if (!agency || agency.credit_pool <= 0) {
-    logger.warn('Skipping trigger: insufficient credits', {
-      triggerId: trigger.id,
-      agencyId: trigger.agency_id,
-    });
-    await advanceTrigger(trigger);
-    return;
+    if (now.getTime() - firstDue.getTime() > MISFIRE_GRACE_MS) {
+      logger.info('Trigger missed its scheduled time', {
+        triggerId: trigger.id,
+        missedSince: firstDue.toISOString(),
+        misfirePolicy: policy,
+        firing: occurrences.length,
+      });
+    }
   }
 
-  // Check nodes using pre-loaded data
-  const nodes = batchData.nodesMap[workflow.id] || [];
+  let fired = 0;
+  for (const scheduledFor of occurrences) {
+    // Check max_concurrent_runs using pre-loaded data
+    const activeRuns = batchData.activeRunsMap[workflow.id] || 0;
+
+    if (activeRuns >= (trigger.max_concurrent_runs || 1)) {
+      logger.debug('Skipping trigger: max concurrent runs reached', {
+        triggerId: trigger.id,
+        activeRuns,
+        maxConcurrent: trigger.max_concurrent_runs,
+      });
+      // run_all keeps the rest queued for a later poll; the other policies
+      // still advance so we don't re-fire every 60s while a run is active
+      if (policy === 'run_all') {
+        nextAt = scheduledFor;
+      }
+      break;
+    }
 
-  if (nodes.length === 0) {
-    logger.debug('Skipping trigger: workflow has no nodes', { triggerId: trigger.id });
-    await advanceTrigger(trigger);
-    return;
+    if (await fireTrigger(trigger, batchData, scheduledFor)) {
+      fired++;
+    }
   }
 
+  await advanceTrigger(trigger, nextAt, { instanceId, fired: fired > 0 });
+}
+
+/**
+ * Start a run of a trigger's workflow for one schedule occurrence.
+ * Returns the run, or null if none was created (including when another
+ * instance already fired this occurrence).
+ */
+async function fireTrigger(trigger, batchData, scheduledFor) {
+  const workflow = trigger.workflows;
+
+  // Pin the run to the current version
+  const version = await getCurrentVersion(workflow.id);
+  const { nodes } = version;
+
   // Create the run (same as POST /:id/run)
   const { data: run, error: runError } = await supabaseAdmin
     .from('workflow_runs')
     .insert({
       workflow_id: workflow.id,
       model_id: workflow.model_id,
+      version_id: version.id,
+      trigger_id: trigger.id,
+      scheduled_for: scheduledFor.toISOString(),
       started_by: null, // Scheduled — no user
       status: 'running',
     })
@@ -208,11 +368,19 @@ async function fireTrigger(trigger, batchData) {
     .single();
 
   if (runError) {
-    logger.error('Scheduler failed to create run:', { triggerId: trigger.id, error: runError.message });
-    await advanceTrigger(trigger);
-    return;
+    if (runError.code === '23505') {
+      logger.info('Trigger occurrence already fired', {
+        triggerId: trigger.id,
+        scheduledFor: scheduledFor.toISOString(),
+      });
+    } else {
+      logger.error('Scheduler failed to create run:', { triggerId: trigger.id, error: runError.message });
+    }
+    return null;
   }
 
+  batchData.activeRunsMap[workflow.id] = (batchData.activeRunsMap[workflow.id] || 0) + 1;
+
   // Create pending node results
   const resultRows = nodes.map((n) => ({
     run_id: run.id,
@@ -238,110 +406,312 @@ async function fireTrigger(trigger, batchData) {
     triggerId: trigger.id,
     workflowId: workflow.id,
     runId: run.id,
+    scheduledFor: scheduledFor.toISOString(),
   });
 
-  // Advance the trigger
-  await advanceTrigger(trigger);
+  return run;
 }
 
 /**
- * Update last_triggered_at and compute + set next_trigger_at.
+ * Set next_trigger_at (and last_triggered_at if a run fired) and release
+ * this instance's claim. Does nothing if the claim lapsed and another
+ * instance has taken the trigger.
  */
-async function advanceTrigger(trigger) {
-  const now = new Date();
-  const nextAt = computeNextTriggerAt(trigger.schedule_config, now);
-
-  const { error } = await supabaseAdmin
+async function advanceTrigger(trigger, nextAt, { instanceId = INSTANCE_ID, fired = false } = {}) {
+  const { data: advanced, error } = await supabaseAdmin
     .from('workflow_triggers')
     .update({
-      last_triggered_at: now.toISOString(),
       next_trigger_at: nextAt ? nextAt.toISOString() : null,
+      ...(fired && { last_triggered_at: new Date().toISOString() }),
+      // One-off schedules, and schedules past their end_date, are finished
+      ...(!nextAt && { enabled: false }),
+      claimed_by: null,
+      claimed_until: null,
     })
-    .eq('id', trigger.id);
+    .eq('id', trigger.id)
+    .eq('claimed_by', instanceId)
+    .select('id')
+    .maybeSingle();
 
   if (error) {
     logger.error('Failed to advance trigger:', { triggerId: trigger.id, error: error.message });
+  } else if (!advanced) {
+    logger.warn('Trigger claim lapsed before it was advanced', { triggerId: trigger.id, instanceId });
   }
 }
 
 // =============================================
 // Schedule computation
 // =============================================
+//
+// schedule_config (all times are local to `timezone`, default UTC):
+//   { frequency: 'daily',         times: ['09:00', '13:00'] }
+//   { frequency: 'weekly' |
+//                'specific_days', days: [1, 3, 5], times: ['09:00'] }   (0 = Sunday)
+//   { frequency: 'interval',      interval_hours: 4, time: '08:00', days? }
+//       - every N hours from `time` (default 00:00) until midnight, each day
+//   { frequency: 'cron',          cron: '0 9,13,18 * * 1-5' }          (see workflowCron.js)
+//   { frequency: 'once',          run_at: '2026-03-01T09:00' }
+//
+// Older configs have a single `time` instead of `times`. Recurring
+// schedules may be bounded by start_date and/or end_date ('YYYY-MM-DD',
+// inclusive); a schedule past its end_date has no next trigger time.
+
+const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'specific_days', 'interval', 'cron', 'once'];
+const TIME_REGEX = /^(\d{1,2}):(\d{2})$/;
+const DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATETIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+const MAX_TIMES_PER_DAY = 24;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead to look for the next matching day. Cron expressions like
+// "0 9 29 2 *" (Feb 29) only match every four years.
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
 
 /**
- * Compute the next trigger time from a schedule config.
- *
- * @param {object} scheduleConfig - { frequency, days, time, timezone }
- * @param {Date} fromTime - Compute next after this time
- * @returns {Date|null}
+ * [hours, minutes] for "HH:MM", or null
  */
-function computeNextTriggerAt(scheduleConfig, fromTime = new Date()) {
-  if (!scheduleConfig || !scheduleConfig.time) return null;
+function parseTime(time) {
+  const match = typeof time === 'string' && time.match(TIME_REGEX);
+  if (!match) return null;
+  const [hours, minutes] = [parseInt(match[1], 10), parseInt(match[2], 10)];
+  if (hours > 23 || minutes > 59) return null;
+  return [hours, minutes];
+}
 
-  const { frequency, days, time, timezone } = scheduleConfig;
-  const [hours, minutes] = time.split(':').map(Number);
+/**
+ * A 'YYYY-MM-DD' date as a UTC midnight timestamp (for calendar arithmetic), or null
+ */
+function parseDateDay(date) {
+  const match = typeof date === 'string' && date.match(DATE_REGEX);
+  if (!match) return null;
+  const day = Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  // Reject dates that rolled over, like 2026-02-30
+  return new Date(day).toISOString().slice(0, 10) === date ? day : null;
+}
 
-  if (isNaN(hours) || isNaN(minutes)) return null;
+/**
+ * The days a recurring schedule fires on and its sorted [hours, minutes]
+ * times on those days, or null if the config can't be scheduled
+ */
+function buildRecurringSchedule(scheduleConfig) {
+  const { frequency, days } = scheduleConfig;
+  const daySet = Array.isArray(days) && days.length > 0 ? new Set(days) : null;
+  const onDays = (date) => !daySet || daySet.has(date.dayOfWeek);
 
-  const tz = timezone || 'UTC';
+  if (frequency === 'cron') {
+    let cron;
+    try {
+      cron = parseCron(scheduleConfig.cron);
+    } catch {
+      return null;
+    }
+    const times = cron.hours.flatMap((h) => cron.minutes.map((m) => [h, m]));
+    return { matchesDay: (date) => cronMatchesDay(cron, date), times };
+  }
 
-  if (frequency === 'daily') {
-    return nextDailyOccurrence(fromTime, hours, minutes, tz);
+  if (frequency === 'interval') {
+    const intervalHours = scheduleConfig.interval_hours;
+    const start = scheduleConfig.time ? parseTime(scheduleConfig.time) : [0, 0];
+    if (!Number.isInteger(intervalHours) || intervalHours < 1 || !start) return null;
+
+    const times = [];
+    for (let minute = start[0] * 60 + start[1]; minute < 24 * 60; minute += intervalHours * 60) {
+      times.push([Math.floor(minute / 60), minute % 60]);
+    }
+    return { matchesDay: onDays, times };
   }
 
+  const times = (Array.isArray(scheduleConfig.times) ? scheduleConfig.times : [scheduleConfig.time])
+    .map(parseTime);
+  if (times.length === 0 || times.some((t) => !t)) return null;
+  times.sort((a, b) => a[0] * 60 + a[1] - (b[0] * 60 + b[1]));
+
+  if (frequency === 'daily') {
+    return { matchesDay: () => true, times };
+  }
   if (frequency === 'weekly' || frequency === 'specific_days') {
-    if (!Array.isArray(days) || days.length === 0) return null;
-    return nextWeekdayOccurrence(fromTime, days, hours, minutes, tz);
+    return daySet ? { matchesDay: onDays, times } : null;
   }
-
   return null;
 }
 
 /**
- * Next daily occurrence of HH:MM in the given timezone.
- * If today's time hasn't passed yet (in that timezone), returns today.
- * Otherwise returns tomorrow.
+ * Compute the next trigger time from a schedule config.
+ *
+ * @param {object} scheduleConfig - See the schedule_config shapes above
+ * @param {Date} fromTime - Compute next after this time
+ * @returns {Date|null} null if the schedule is invalid or has no more runs
  */
-function nextDailyOccurrence(fromTime, hours, minutes, tz) {
-  // Get current date components in target timezone
-  const parts = getDatePartsInTz(fromTime, tz);
+function computeNextTriggerAt(scheduleConfig, fromTime = new Date()) {
+  if (!scheduleConfig) return null;
 
-  // Build candidate: today at the specified time
-  let candidate = buildDateInTz(parts.year, parts.month, parts.day, hours, minutes, tz);
+  const tz = scheduleConfig.timezone || 'UTC';
 
-  // If candidate is in the past (or within 60s to avoid re-fire), go to tomorrow
-  if (candidate.getTime() <= fromTime.getTime() + 60000) {
-    const tomorrow = new Date(fromTime.getTime() + 24 * 60 * 60 * 1000);
-    const tParts = getDatePartsInTz(tomorrow, tz);
-    candidate = buildDateInTz(tParts.year, tParts.month, tParts.day, hours, minutes, tz);
+  if (scheduleConfig.frequency === 'once') {
+    const match = typeof scheduleConfig.run_at === 'string' && scheduleConfig.run_at.match(DATETIME_REGEX);
+    if (!match) return null;
+    const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+    const runAt = buildDateInTz(year, month, day, hours, minutes, tz);
+    return runAt.getTime() > fromTime.getTime() ? runAt : null;
   }
 
-  return candidate;
+  const schedule = buildRecurringSchedule(scheduleConfig);
+  if (!schedule) return null;
+
+  return nextOccurrence(fromTime, schedule, tz, {
+    startDay: parseDateDay(scheduleConfig.start_date),
+    endDay: parseDateDay(scheduleConfig.end_date),
+  });
+}
+
+/**
+ * The first of a recurring schedule's times, on a day it matches, that's
+ * after fromTime, within the date bounds. An occurrence is never re-fired:
+ * the trigger's claim and the unique scheduled_for index (migration 028)
+ * see to that, so every-minute schedules fire every minute.
+ * Days are stepped on the calendar, so each time is built in the timezone
+ * for its own date and stays correct across DST changes.
+ */
+function nextOccurrence(fromTime, schedule, tz, { startDay, endDay }) {
+  const from = getDatePartsInTz(fromTime, tz);
+  let day = Math.max(Date.UTC(from.year, from.month - 1, from.day), startDay || 0);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++, day += DAY_MS) {
+    if (endDay && day > endDay) return null;
+
+    const calendarDay = new Date(day);
+    const date = {
+      year: calendarDay.getUTCFullYear(),
+      month: calendarDay.getUTCMonth() + 1,
+      day: calendarDay.getUTCDate(),
+      dayOfWeek: calendarDay.getUTCDay(),
+    };
+    if (!schedule.matchesDay(date)) continue;
+
+    for (const [hours, minutes] of schedule.times) {
+      const candidate = buildDateInTz(date.year, date.month, date.day, hours, minutes, tz);
+      if (candidate.getTime() > fromTime.getTime()) {
+        return candidate;
+      }
+    }
+  }
+
+  return null;
 }
 
 /**
- * Next occurrence of HH:MM on one of the specified days of week.
- * days: array of 0-6 (0=Sunday)
+ * The next `count` trigger times of a schedule, for previews
+ *
+ * @returns {Date[]}
  */
-function nextWeekdayOccurrence(fromTime, days, hours, minutes, tz) {
-  const sortedDays = [...new Set(days)].sort((a, b) => a - b);
+function previewTriggerTimes(scheduleConfig, count = 10, fromTime = new Date()) {
+  const times = [];
+  let cursor = fromTime;
+  while (times.length < count) {
+    const next = computeNextTriggerAt(scheduleConfig, cursor);
+    if (!next) break;
+    times.push(next);
+    cursor = next;
+  }
+  return times;
+}
 
-  // Check the next 8 days (guarantees we wrap around the week)
-  for (let offset = 0; offset <= 7; offset++) {
-    const candidateDate = new Date(fromTime.getTime() + offset * 24 * 60 * 60 * 1000);
-    const parts = getDatePartsInTz(candidateDate, tz);
-    const candidateDow = parts.dayOfWeek; // 0=Sunday
+/**
+ * Why a scheduled trigger's schedule_config is invalid, or null if it's valid
+ */
+function validateScheduleConfig(scheduleConfig) {
+  if (!scheduleConfig || typeof scheduleConfig !== 'object') {
+    return 'schedule_config is required';
+  }
 
-    if (!sortedDays.includes(candidateDow)) continue;
+  const { frequency, days, timezone } = scheduleConfig;
 
-    const candidate = buildDateInTz(parts.year, parts.month, parts.day, hours, minutes, tz);
+  // Validate frequency
+  if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+    return `frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}`;
+  }
 
-    // Must be in the future (with 60s buffer)
-    if (candidate.getTime() > fromTime.getTime() + 60000) {
-      return candidate;
+  if (timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      return `Unknown timezone: ${timezone}`;
     }
   }
 
+  if (frequency === 'once') {
+    const match = typeof scheduleConfig.run_at === 'string' && scheduleConfig.run_at.match(DATETIME_REGEX);
+    if (!match || !parseDateDay(scheduleConfig.run_at.slice(0, 10)) || !parseTime(scheduleConfig.run_at.slice(11))) {
+      return 'run_at must be a date and time in YYYY-MM-DDTHH:MM format';
+    }
+    return null;
+  }
+
+  // Validate days (required for weekly/specific_days, optional for intervals)
+  if (['weekly', 'specific_days'].includes(frequency) || (frequency === 'interval' && days !== undefined)) {
+    if (!Array.isArray(days) || days.length === 0) {
+      return `days array required for ${frequency} frequency`;
+    }
+    const validDays = days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6);
+    if (!validDays) {
+      return 'days must be integers 0-6 (0=Sunday)';
+    }
+  }
+
+  if (frequency === 'cron') {
+    try {
+      parseCron(scheduleConfig.cron);
+    } catch (err) {
+      return `Invalid cron expression: ${err.message}`;
+    }
+  } else if (frequency === 'interval') {
+    const intervalHours = scheduleConfig.interval_hours;
+    if (!Number.isInteger(intervalHours) || intervalHours < 1 || intervalHours > 24) {
+      return 'interval_hours must be a whole number from 1 to 24';
+    }
+    if (scheduleConfig.time !== undefined && !parseTime(scheduleConfig.time)) {
+      return 'time must be in HH:MM format';
+    }
+  } else {
+    const times = scheduleConfig.times !== undefined ? scheduleConfig.times : [scheduleConfig.time];
+    if (!Array.isArray(times) || times.length === 0) {
+      return 'schedule_config must include at least one time';
+    }
+    if (times.length > MAX_TIMES_PER_DAY) {
+      return `A schedule can have at most ${MAX_TIMES_PER_DAY} times per day`;
+    }
+    if (!times.every(parseTime)) {
+      return 'times must be in HH:MM format';
+    }
+  }
+
+  // Validate date bounds
+  const { start_date: startDate, end_date: endDate } = scheduleConfig;
+  if (startDate !== undefined && startDate !== null && !parseDateDay(startDate)) {
+    return 'start_date must be a date in YYYY-MM-DD format';
+  }
+  if (endDate !== undefined && endDate !== null && !parseDateDay(endDate)) {
+    return 'end_date must be a date in YYYY-MM-DD format';
+  }
+  if (startDate && endDate && startDate > endDate) {
+    return 'end_date must not be before start_date';
+  }
+
+  return null;
+}
+
+/**
+ * Why a trigger's misfire_policy / misfire_limit are invalid, or null.
+ * Either may be undefined (unchanged or defaulted).
+ */
+function validateMisfireSettings({ misfire_policy: policy, misfire_limit: limit }) {
+  if (policy !== undefined && !MISFIRE_POLICIES.includes(policy)) {
+    return `misfire_policy must be one of: ${MISFIRE_POLICIES.join(', ')}`;
+  }
+  if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1 && limit <= MAX_MISFIRE_LIMIT)) {
+    return `misfire_limit must be a whole number from 1 to ${MAX_MISFIRE_LIMIT}`;
+  }
   return null;
 }
 
@@ -385,41 +755,36 @@ function buildDateInTz(year, month, day, hours, minutes, tz) {
   // Create a UTC date with the target date/time values
   const utcGuess = new Date(Date.UTC(year, month - 1, day, hours, minutes, 0, 0));
 
-  // Find the actual offset at that time in the target timezone
-  const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: tz,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false,
-  });
+  // The guess is off by the timezone's UTC offset; shift it back
+  const guessOffset = getTzOffsetMs(utcGuess, tz);
+  const candidate = new Date(utcGuess.getTime() - guessOffset);
 
-  // Parse the local time that our UTC guess maps to
-  const parts = {};
-  for (const { type, value } of formatter.formatToParts(utcGuess)) {
-    if (type === 'hour') parts.hour = parseInt(value, 10);
-    if (type === 'minute') parts.minute = parseInt(value, 10);
+  // Around a DST change the offset at the result can differ from the
+  // offset at the guess; use the result's offset instead
+  const candidateOffset = getTzOffsetMs(candidate, tz);
+  if (candidateOffset !== guessOffset) {
+    return new Date(utcGuess.getTime() - candidateOffset);
   }
+  return candidate;
+}
 
-  // Calculate offset: difference between what we wanted and what we got
-  const wantedMinutes = hours * 60 + minutes;
-  const gotMinutes = (parts.hour || 0) * 60 + (parts.minute || 0);
-  let diffMinutes = wantedMinutes - gotMinutes;
-
-  // Handle day wrap-around
-  if (diffMinutes > 720) diffMinutes -= 1440;
-  if (diffMinutes < -720) diffMinutes += 1440;
-
-  // Adjust by the difference
-  return new Date(utcGuess.getTime() - diffMinutes * 60 * 1000);
+/**
+ * A timezone's UTC offset at an instant, in ms (positive east of UTC)
+ */
+function getTzOffsetMs(date, tz) {
+  const parts = getDatePartsInTz(date, tz);
+  // Some ICU versions format midnight as hour 24
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute);
+  return localAsUtc - Math.floor(date.getTime() / 60000) * 60000;
 }
 
 module.exports = {
   start,
   stop,
   computeNextTriggerAt,
+  previewTriggerTimes,
+  validateScheduleConfig,
+  validateMisfireSettings,
   // Exported for testing
-  _test: { pollAndFire, fireTrigger, advanceTrigger },
+  _test: { pollAndFire, processTrigger, fireTrigger, advanceTrigger, findDueOccurrences },
 };
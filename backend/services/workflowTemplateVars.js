@@ -12,9 +12,17 @@
  *   {{model.lora_name}}      - LoRA model filename (from lora_config.path)
  *   {{model.lora_strength}}  - LoRA weight (from lora_config.weight)
  *   {{model.lora_trigger}}   - LoRA trigger word (from lora_config.triggerWord)
+ *
+ * Runs started by a webhook trigger also resolve {{payload.*}} against the
+ * JSON body of the webhook request. Dotted paths reach into nested objects,
+ * e.g. {{payload.post.title}}. Objects and arrays are inserted as JSON.
+ *
+ * templatizeNodeConfig does the reverse for exported workflows: a model's
+ * values written out in a config become {{model.*}} placeholders again.
  */
 
 const VARIABLE_REGEX = /\{\{model\.(\w+)\}\}/g;
+const PAYLOAD_VARIABLE_REGEX = /\{\{payload\.([\w.]+)\}\}/g;
 
 /**
  * Build the variable map from an agency_models record
@@ -35,30 +43,55 @@ function buildVariableMap(modelRecord) {
   };
 }
 
+/**
+ * Look up a dotted path (e.g. "post.title") in a webhook payload.
+ * Returns undefined when any segment is missing.
+ */
+function lookupPayloadPath(payload, path) {
+  let current = payload;
+  for (const segment of path.split('.')) {
+    if (current === null || typeof current !== 'object' || !(segment in current)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
 /**
  * Resolve template variables in a single string
  */
-function resolveString(str, variableMap) {
+function resolveString(str, variableMap, payload = null) {
   if (typeof str !== 'string') return str;
-  return str.replace(VARIABLE_REGEX, (match, key) => {
+  let resolved = str.replace(VARIABLE_REGEX, (match, key) => {
     return variableMap[key] !== undefined ? variableMap[key] : match;
   });
+
+  if (payload) {
+    resolved = resolved.replace(PAYLOAD_VARIABLE_REGEX, (match, path) => {
+      const value = lookupPayloadPath(payload, path);
+      if (value === undefined || value === null) return match;
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  return resolved;
 }
 
 /**
  * Recursively resolve template variables in a value (string, object, or array)
  */
-function resolveValue(value, variableMap) {
+function resolveValue(value, variableMap, payload = null) {
   if (typeof value === 'string') {
-    return resolveString(value, variableMap);
+    return resolveString(value, variableMap, payload);
   }
   if (Array.isArray(value)) {
-    return value.map((item) => resolveValue(item, variableMap));
+    return value.map((item) => resolveValue(item, variableMap, payload));
   }
   if (value !== null && typeof value === 'object') {
     const resolved = {};
     for (const [k, v] of Object.entries(value)) {
-      resolved[k] = resolveValue(v, variableMap);
+      resolved[k] = resolveValue(v, variableMap, payload);
     }
     return resolved;
   }
@@ -67,11 +100,51 @@ function resolveValue(value, variableMap) {
 
 /**
  * Resolve all template variables in a node's config
- * Returns a new config object with all {{model.*}} replaced
+ * Returns a new config object with all {{model.*}} (and {{payload.*}},
+ * when the run was started by a webhook) replaced
  */
-function resolveNodeConfig(config, modelRecord) {
+function resolveNodeConfig(config, modelRecord, payload = null) {
   const variableMap = buildVariableMap(modelRecord);
-  return resolveValue(config, variableMap);
+  return resolveValue(config, variableMap, payload);
+}
+
+/**
+ * Replace a model's values in a config with {{model.*}} placeholders.
+ * Numeric values and values under 3 characters are left alone, since they
+ * match too much text that has nothing to do with the model.
+ */
+function templatizeNodeConfig(config, modelRecord) {
+  const valueKeys = new Map();
+  for (const [key, value] of Object.entries(buildVariableMap(modelRecord))) {
+    if (value.length < 3 || /^[\d.]+$/.test(value) || valueKeys.has(value)) continue;
+    valueKeys.set(value, key);
+  }
+  if (valueKeys.size === 0) return config;
+
+  // Whole words only, longest first so a name inside a longer value
+  // (the LoRA trigger word, say) doesn't split it
+  const alternatives = [...valueKeys.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((value) => {
+      const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return `${/^\w/.test(value) ? '(?<!\\w)' : ''}${escaped}${/\w$/.test(value) ? '(?!\\w)' : ''}`;
+    });
+  const valueRegex = new RegExp(alternatives.join('|'), 'g');
+
+  const templatize = (value) => {
+    if (typeof value === 'string') {
+      return value.replace(valueRegex, (match) => `{{model.${valueKeys.get(match)}}}`);
+    }
+    if (Array.isArray(value)) {
+      return value.map(templatize);
+    }
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, templatize(v)]));
+    }
+    return value;
+  };
+
+  return templatize(config);
 }
 
 /**
@@ -86,6 +159,7 @@ function getAvailableVariables() {
     { key: 'model.lora_name', label: 'LoRA Filename', example: 'sarah_v2.safetensors' },
     { key: 'model.lora_strength', label: 'LoRA Strength', example: '0.85' },
     { key: 'model.lora_trigger', label: 'LoRA Trigger Word', example: 'sks_sarah' },
+    { key: 'payload.<field>', label: 'Webhook Payload Field', example: 'beach sunset' },
   ];
 }
 
@@ -93,6 +167,8 @@ module.exports = {
   resolveNodeConfig,
   resolveString,
   buildVariableMap,
+  templatizeNodeConfig,
   getAvailableVariables,
   VARIABLE_REGEX,
+  PAYLOAD_VARIABLE_REGEX,
 };
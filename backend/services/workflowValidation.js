@@ -0,0 +1,367 @@
+/**
+ * Workflow Pre-Run Checks
+ *
+ * checkWorkflow finds what would make a run fail before it starts, and
+ * estimates what the run will cost:
+ *
+ *   issues:   [{ severity: 'error' | 'warning', node_id, message }]
+ *   estimate: { total, approximate,
+ *               nodes: [{ node_id, label, node_type, credits_each, times, credits }] }
+ *
+ * Errors (a required input left unconnected, incompatible ports, a
+ * malformed loop, an unknown {{model.*}} variable) stop a run starting.
+ * Warnings ({{model.*}} values that are empty for the run's model) don't.
+ *
+ * checkRun and getRunRefusal apply this to a run (or batch) about to start:
+ * manual runs, scheduled triggers and webhooks all go through them.
+ * checkRequeue does the same for nodes of a run that run again.
+ *
+ * Loop bodies are charged once per item. The item count is the size of the
+ * batch entering the For Each when the graph says what it is (Generate
+ * Image's count); otherwise it's taken as 1 and the estimate is marked
+ * approximate. Every Condition branch is counted, so for one pass through
+ * the graph the estimate is an upper bound; reviews that regenerate on
+ * rejection cost more.
+ */
+
+const {
+  getNodeType,
+  getNodeOutputs,
+  isPortCompatible,
+  calculateNodeCreditCost,
+} = require('./workflowNodeTypes');
+const { findLoops } = require('./workflowLoops');
+const { buildVariableMap, VARIABLE_REGEX } = require('./workflowTemplateVars');
+
+// Pass-through nodes: an output carries what came in on this input
+const PASS_THROUGH_INPUTS = {
+  condition: 'value',
+  review: 'media',
+  save_to_gallery: 'media',
+  ai_caption: 'media',
+};
+
+function nodeLabel(node) {
+  return `"${node.label || getNodeType(node.node_type)?.label || node.node_type}"`;
+}
+
+/**
+ * Every {{model.*}} variable name used in a config value
+ */
+function findModelVariables(value, found = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(VARIABLE_REGEX)) found.add(match[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => findModelVariables(item, found));
+  } else if (value !== null && typeof value === 'object') {
+    Object.values(value).forEach((item) => findModelVariables(item, found));
+  }
+  return found;
+}
+
+/**
+ * Required inputs, port types and loops
+ */
+function checkConnections(nodes, edges, issues) {
+  const nodeMap = new Map(nodes.map((n) => [n.id, n]));
+
+  for (const node of nodes) {
+    const def = getNodeType(node.node_type);
+    if (!def) {
+      issues.push({ severity: 'error', node_id: node.id, message: `Unknown node type: ${node.node_type}` });
+      continue;
+    }
+
+    const connectedPorts = new Set(edges.filter((e) => e.target_node_id === node.id).map((e) => e.target_port));
+    for (const input of def.inputs.filter((i) => !i.optional)) {
+      if (!connectedPorts.has(input.name)) {
+        issues.push({
+          severity: 'error',
+          node_id: node.id,
+          message: `${nodeLabel(node)} needs its ${input.label} input connected`,
+        });
+      }
+    }
+
+    if (def.requiresOneOf && !def.requiresOneOf.some((port) => connectedPorts.has(port))) {
+      const labels = def.inputs.filter((i) => def.requiresOneOf.includes(i.name)).map((i) => i.label);
+      issues.push({
+        severity: 'error',
+        node_id: node.id,
+        message: `${nodeLabel(node)} needs its ${labels.join(' or ')} input connected`,
+      });
+    }
+  }
+
+  for (const edge of edges) {
+    const source = nodeMap.get(edge.source_node_id);
+    const target = nodeMap.get(edge.target_node_id);
+    if (!source || !target || !getNodeType(target.node_type)) continue;
+
+    const sourcePort = getNodeOutputs(source.node_type, source.config).find((p) => p.name === edge.source_port);
+    const targetPort = getNodeType(target.node_type).inputs.find((p) => p.name === edge.target_port);
+    if (!sourcePort || !targetPort) {
+      issues.push({
+        severity: 'error',
+        node_id: target.id,
+        message: `${nodeLabel(source)} → ${nodeLabel(target)} connects a port that no longer exists`,
+      });
+    } else if (!isPortCompatible(sourcePort.type, targetPort.type)) {
+      issues.push({
+        severity: 'error',
+        node_id: target.id,
+        message: `${nodeLabel(source)} sends ${sourcePort.type} but ${nodeLabel(target)}'s ${targetPort.label} input takes ${targetPort.type}`,
+      });
+    }
+  }
+
+  try {
+    return findLoops(nodes, edges);
+  } catch (loopError) {
+    issues.push({ severity: 'error', node_id: null, message: loopError.message });
+    return null;
+  }
+}
+
+/**
+ * {{model.*}} variables that don't exist, or are empty for the model
+ * (checked only when there's a model to check against)
+ */
+function checkVariables(nodes, model, issues) {
+  const known = buildVariableMap({});
+  const values = model ? buildVariableMap(model) : null;
+
+  for (const node of nodes) {
+    for (const key of findModelVariables(node.config || {})) {
+      if (!(key in known)) {
+        issues.push({
+          severity: 'error',
+          node_id: node.id,
+          message: `${nodeLabel(node)} uses {{model.${key}}}, which isn't a model variable`,
+        });
+      } else if (values && !values[key]) {
+        issues.push({
+          severity: 'warning',
+          node_id: node.id,
+          message: `${nodeLabel(node)} uses {{model.${key}}}, which is empty for ${model.name}`,
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Credits for one pass through the graph, with loop bodies multiplied by
+ * their estimated item counts
+ */
+function estimateCredits(nodes, edges, loops) {
+  const nodeMap = new Map(nodes.map((n) => [n.id, n]));
+  let approximate = false;
+
+  // How many images leave a node's output port (null = unknown)
+  const batchSize = (nodeId, port, seen = new Set()) => {
+    const node = nodeMap.get(nodeId);
+    if (!node || seen.has(nodeId)) return null;
+    seen.add(nodeId);
+
+    if (node.node_type === 'generate_image') {
+      return Math.min(Math.max(parseInt(node.config?.count, 10) || 1, 1), 4);
+    }
+    if (node.node_type === 'collect') {
+      const [forEachId] = [...(loops || new Map())].find(([, loop]) => loop.collectId === nodeId) || [];
+      return forEachId ? itemCount(forEachId, seen) : null;
+    }
+    const passInput = PASS_THROUGH_INPUTS[node.node_type];
+    if (passInput) {
+      const edge = edges.find((e) => e.target_node_id === nodeId && e.target_port === passInput);
+      return edge ? batchSize(edge.source_node_id, edge.source_port, seen) : null;
+    }
+    return null;
+  };
+
+  const itemCount = (forEachId, seen = new Set()) => {
+    const edge = edges.find((e) => e.target_node_id === forEachId && e.target_port === 'images');
+    const size = edge ? batchSize(edge.source_node_id, edge.source_port, seen) : null;
+    if (size === null) {
+      approximate = true;
+      return 1;
+    }
+    return size;
+  };
+
+  // Times each loop body node runs
+  const times = new Map();
+  for (const [forEachId, { bodyIds }] of loops || []) {
+    const items = itemCount(forEachId);
+    bodyIds.forEach((id) => times.set(id, items));
+  }
+
+  const breakdown = nodes
+    .map((node) => {
+      const creditsEach = calculateNodeCreditCost(node.node_type, node.config);
+      const count = times.get(node.id) || 1;
+      return {
+        node_id: node.id,
+        label: node.label,
+        node_type: node.node_type,
+        credits_each: creditsEach,
+        times: count,
+        credits: creditsEach * count,
+      };
+    })
+    .filter((n) => n.credits > 0);
+
+  return {
+    total: breakdown.reduce((sum, n) => sum + n.credits, 0),
+    approximate,
+    nodes: breakdown,
+  };
+}
+
+/**
+ * Check a graph before running it for a model
+ *
+ * @param {Object[]} nodes
+ * @param {Object[]} edges
+ * @param {Object|null} model - agency_models row the run resolves {{model.*}} against
+ * @returns {{ issues: Object[], estimate: Object }}
+ */
+function checkWorkflow(nodes, edges, model) {
+  const issues = [];
+
+  if (nodes.length === 0) {
+    issues.push({ severity: 'error', node_id: null, message: 'Workflow has no nodes' });
+  }
+
+  const loops = checkConnections(nodes, edges, issues);
+  checkVariables(nodes, model, issues);
+
+  return { issues, estimate: estimateCredits(nodes, edges, loops) };
+}
+
+/**
+ * Whether an estimate fits the agency's pool and the user's credit limit
+ * (no user for scheduled and webhook runs). userHeld is what the user's
+ * unsettled holds already reserve against the limit.
+ * Returns { agency_available, user_available, exceeds: null | 'agency' | 'user' }
+ */
+function checkCreditsAvailable(estimate, agency, agencyUser, userHeld = 0) {
+  const userAvailable = agencyUser && agencyUser.credit_limit !== null && agencyUser.credit_limit !== undefined
+    ? agencyUser.credit_limit - (agencyUser.credits_used_this_cycle || 0) - userHeld
+    : null; // null means unlimited from pool
+
+  let exceeds = null;
+  if (estimate.total > agency.credit_pool) exceeds = 'agency';
+  else if (userAvailable !== null && estimate.total > userAvailable) exceeds = 'user';
+
+  return { agency_available: agency.credit_pool, user_available: userAvailable, exceeds };
+}
+
+/**
+ * Pre-run check of a version for the models it will run for: graph issues,
+ * the credit estimate for all the runs, and whether that fits what the
+ * agency and the user have left. Pass [null] to check a template on its own.
+ * Returns { valid, issues, estimate, credits }.
+ *
+ * @param {Object} version - workflow_versions row
+ * @param {Array<Object|null>} models - agency_models rows, one per run
+ * @param {Object} agency
+ * @param {Object|null} agencyUser - User starting the runs (null when unattended)
+ * @param {number} [userHeld] - Credits the user's open holds reserve (getOpenHoldCredits)
+ */
+function checkRun(version, models, agency, agencyUser, userHeld = 0) {
+  const checks = models.map((model) => checkWorkflow(version.nodes, version.edges, model));
+
+  // Graph errors come up once per model; keep one of each
+  const issues = [...new Map(checks.flatMap((c) => c.issues)
+    .map((issue) => [`${issue.node_id}:${issue.message}`, issue])).values()];
+
+  const perRun = checks[0].estimate;
+  const estimate = { ...perRun, per_run: perRun.total, runs: models.length, total: perRun.total * models.length };
+
+  return {
+    valid: !issues.some((i) => i.severity === 'error'),
+    issues,
+    estimate,
+    credits: checkCreditsAvailable(estimate, agency, agencyUser, userHeld),
+  };
+}
+
+/**
+ * Pre-run check for nodes of an existing run queued to run again (retry,
+ * rerun, regenerate): as checkRun for the run's graph and model, with the
+ * estimate cut down to the requeued nodes. Nodes should carry the run's
+ * config overrides.
+ * Returns { valid, issues, estimate, credits }.
+ */
+function checkRequeue({ nodes, edges }, nodeIds, model, agency, agencyUser, userHeld = 0) {
+  const { issues, estimate: full } = checkWorkflow(nodes, edges, model);
+
+  const requeued = new Set(nodeIds);
+  const breakdown = full.nodes.filter((n) => requeued.has(n.node_id));
+  const total = breakdown.reduce((sum, n) => sum + n.credits, 0);
+  const estimate = { ...full, nodes: breakdown, total, per_run: total, runs: 1 };
+
+  return {
+    valid: !issues.some((i) => i.severity === 'error'),
+    issues,
+    estimate,
+    credits: checkCreditsAvailable(estimate, agency, agencyUser, userHeld),
+  };
+}
+
+/**
+ * Why a checked run may not start, as { status, body }, or null when it may.
+ * A run estimated to cost more than the user has left this cycle can start
+ * if the request confirms it (the estimate is an upper bound, so it may
+ * still fit). One estimated to cost more than the agency pool has left
+ * can't, and nor can anything unconfirmed: scheduled and webhook runs
+ * never confirm.
+ */
+function getRunRefusal(check, { confirmed = false } = {}) {
+  if (!check.valid) {
+    const errors = check.issues.filter((i) => i.severity === 'error');
+    return {
+      status: 400,
+      body: { error: `Workflow can't run: ${errors[0].message}`, issues: errors },
+    };
+  }
+
+  const { estimate, credits } = check;
+  if (!credits.exceeds || (credits.exceeds === 'user' && confirmed)) {
+    return null;
+  }
+
+  if (credits.exceeds === 'agency') {
+    return {
+      status: 402,
+      body: {
+        error: 'Insufficient credits',
+        required: estimate.total,
+        available: credits.agency_available,
+        message: `This may use up to ${estimate.total} credits but the agency has ${credits.agency_available} left.`,
+        estimate,
+      },
+    };
+  }
+
+  return {
+    status: 402,
+    body: {
+      error: 'User credit limit reached',
+      required: estimate.total,
+      available: credits.user_available,
+      message: `This may use up to ${estimate.total} credits but you have ${credits.user_available} left this cycle.`,
+      requires_confirmation: true,
+      estimate,
+    },
+  };
+}
+
+module.exports = {
+  checkWorkflow,
+  checkCreditsAvailable,
+  checkRun,
+  checkRequeue,
+  getRunRefusal,
+};
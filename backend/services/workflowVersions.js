@@ -0,0 +1,249 @@
+/**
+ * Workflow Versions
+ *
+ * Every graph save is snapshotted into workflow_versions (migration 027).
+ * Runs are pinned to the version current when they started: loadRunGraph
+ * reads a run's nodes and edges from its snapshot, so later saves and
+ * restores never change a run's graph. Runs from before versioning have
+ * no version and use the current graph.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { logger } = require('./logger');
+
+// Columns for version lists (without the snapshots)
+const VERSION_LIST_COLUMNS = 'id, workflow_id, version, node_count, edge_count, restored_from, created_by, created_at';
+
+// Attempts at taking the next version number when saves race
+const CREATE_VERSION_ATTEMPTS = 3;
+
+/**
+ * The snapshot fields of nodes and edges
+ */
+function snapshotGraph(nodes, edges) {
+  return {
+    nodes: nodes.map((n) => ({
+      id: n.id,
+      node_type: n.node_type,
+      label: n.label,
+      config: n.config || {},
+      position_x: n.position_x ?? 0,
+      position_y: n.position_y ?? 0,
+    })),
+    edges: edges.map((e) => ({
+      id: e.id,
+      source_node_id: e.source_node_id,
+      source_port: e.source_port,
+      target_node_id: e.target_node_id,
+      target_port: e.target_port,
+    })),
+  };
+}
+
+/**
+ * Store a graph as the workflow's next version
+ *
+ * @param {string} workflowId
+ * @param {Object[]} nodes - Saved workflow_nodes rows
+ * @param {Object[]} edges - Saved workflow_edges rows
+ * @param {Object} [options]
+ * @param {string} [options.createdBy] - Agency user ID
+ * @param {number} [options.restoredFrom] - Version this one restores
+ * @returns {Promise<Object>} The version row
+ */
+async function createVersion(workflowId, nodes, edges, { createdBy = null, restoredFrom = null } = {}) {
+  const snapshot = snapshotGraph(nodes, edges);
+
+  for (let attempt = 1; ; attempt++) {
+    const { data: latest } = await supabaseAdmin
+      .from('workflow_versions')
+      .select('version')
+      .eq('workflow_id', workflowId)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    const { data: version, error } = await supabaseAdmin
+      .from('workflow_versions')
+      .insert({
+        workflow_id: workflowId,
+        version: (latest?.version || 0) + 1,
+        nodes: snapshot.nodes,
+        edges: snapshot.edges,
+        node_count: snapshot.nodes.length,
+        edge_count: snapshot.edges.length,
+        restored_from: restoredFrom,
+        created_by: createdBy,
+      })
+      .select()
+      .single();
+
+    if (!error) {
+      return version;
+    }
+    // Another save took this version number
+    if (error.code !== '23505' || attempt >= CREATE_VERSION_ATTEMPTS) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * The workflow's latest version, for pinning a new run. Workflows without
+ * one (created before versioning and never saved since) get one from the
+ * current graph.
+ */
+async function getCurrentVersion(workflowId) {
+  const { data: latest, error } = await supabaseAdmin
+    .from('workflow_versions')
+    .select('*')
+    .eq('workflow_id', workflowId)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (latest) {
+    return latest;
+  }
+
+  const [{ data: nodes }, { data: edges }] = await Promise.all([
+    supabaseAdmin.from('workflow_nodes').select('*').eq('workflow_id', workflowId).order('created_at', { ascending: true }),
+    supabaseAdmin.from('workflow_edges').select('*').eq('workflow_id', workflowId),
+  ]);
+
+  logger.info('Creating first workflow version from the current graph', { workflowId });
+  return createVersion(workflowId, nodes || [], edges || []);
+}
+
+/**
+ * The nodes and edges a run executes: its pinned version, or the current
+ * graph for runs from before versioning
+ */
+async function loadRunGraph(run) {
+  if (run.version_id) {
+    const { data: version, error } = await supabaseAdmin
+      .from('workflow_versions')
+      .select('nodes, edges')
+      .eq('id', run.version_id)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+    return { nodes: version.nodes || [], edges: version.edges || [] };
+  }
+
+  const [{ data: nodes, error: nodesError }, { data: edges, error: edgesError }] = await Promise.all([
+    supabaseAdmin.from('workflow_nodes').select('*').eq('workflow_id', run.workflow_id),
+    supabaseAdmin.from('workflow_edges').select('*').eq('workflow_id', run.workflow_id),
+  ]);
+
+  if (nodesError || edgesError) {
+    throw nodesError || edgesError;
+  }
+  return { nodes: nodes || [], edges: edges || [] };
+}
+
+// =============================================
+// Diff
+// =============================================
+
+function edgeKey(edge) {
+  return `${edge.source_node_id}:${edge.source_port}->${edge.target_node_id}:${edge.target_port}`;
+}
+
+function describeNode(node) {
+  return { id: node.id, label: node.label, node_type: node.node_type };
+}
+
+function describeEdge(edge, nodes) {
+  return {
+    source_node_id: edge.source_node_id,
+    source_label: nodes.get(edge.source_node_id)?.label || null,
+    source_port: edge.source_port,
+    target_node_id: edge.target_node_id,
+    target_label: nodes.get(edge.target_node_id)?.label || null,
+    target_port: edge.target_port,
+  };
+}
+
+/**
+ * What changed on a node kept between versions:
+ * [{ field: 'label' | 'position' | 'config.<key>', from, to }]
+ */
+function diffNode(before, after) {
+  const changes = [];
+
+  if (before.node_type !== after.node_type) {
+    changes.push({ field: 'node_type', from: before.node_type, to: after.node_type });
+  }
+  if (before.label !== after.label) {
+    changes.push({ field: 'label', from: before.label, to: after.label });
+  }
+  if (before.position_x !== after.position_x || before.position_y !== after.position_y) {
+    changes.push({
+      field: 'position',
+      from: { x: before.position_x, y: before.position_y },
+      to: { x: after.position_x, y: after.position_y },
+    });
+  }
+
+  const beforeConfig = before.config || {};
+  const afterConfig = after.config || {};
+  const keys = new Set([...Object.keys(beforeConfig), ...Object.keys(afterConfig)]);
+  for (const key of keys) {
+    if (JSON.stringify(beforeConfig[key]) !== JSON.stringify(afterConfig[key])) {
+      changes.push({ field: `config.${key}`, from: beforeConfig[key] ?? null, to: afterConfig[key] ?? null });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Nodes and edges added, removed or changed going from one version's
+ * graph to another's. Nodes match by ID; edges by their endpoints and ports.
+ */
+function diffGraphs(from, to) {
+  const fromNodes = new Map(from.nodes.map((n) => [n.id, n]));
+  const toNodes = new Map(to.nodes.map((n) => [n.id, n]));
+  const fromEdges = new Map(from.edges.map((e) => [edgeKey(e), e]));
+  const toEdges = new Map(to.edges.map((e) => [edgeKey(e), e]));
+
+  const changed = [];
+  for (const [id, after] of toNodes) {
+    const before = fromNodes.get(id);
+    if (!before) continue;
+    const changes = diffNode(before, after);
+    if (changes.length > 0) {
+      changed.push({ ...describeNode(after), changes });
+    }
+  }
+
+  return {
+    nodes: {
+      added: to.nodes.filter((n) => !fromNodes.has(n.id)).map(describeNode),
+      removed: from.nodes.filter((n) => !toNodes.has(n.id)).map(describeNode),
+      changed,
+    },
+    edges: {
+      added: [...toEdges.keys()]
+        .filter((key) => !fromEdges.has(key))
+        .map((key) => describeEdge(toEdges.get(key), toNodes)),
+      removed: [...fromEdges.keys()]
+        .filter((key) => !toEdges.has(key))
+        .map((key) => describeEdge(fromEdges.get(key), fromNodes)),
+    },
+  };
+}
+
+module.exports = {
+  VERSION_LIST_COLUMNS,
+  createVersion,
+  getCurrentVersion,
+  loadRunGraph,
+  diffGraphs,
+};
@@ -0,0 +1,23 @@
+-- =============================================
+-- Migration: Webhook Triggers
+-- Lets external systems start a workflow run by POSTing to
+-- /api/workflow-webhooks/:token. The JSON body is stored on the run
+-- and exposed to node configs as {{payload.*}} template variables.
+-- =============================================
+
+-- 1. Link runs back to the trigger that started them
+ALTER TABLE workflow_runs
+    ADD COLUMN IF NOT EXISTS trigger_id UUID REFERENCES workflow_triggers(id) ON DELETE SET NULL;
+
+-- 2. Webhook request body (resolved as {{payload.*}})
+ALTER TABLE workflow_runs
+    ADD COLUMN IF NOT EXISTS trigger_payload JSONB;
+
+
+-- =============================================
+-- INDEXES
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_workflow_runs_trigger
+    ON workflow_runs (trigger_id)
+    WHERE trigger_id IS NOT NULL;
@@ -0,0 +1,13 @@
+-- =============================================
+-- Migration: API Key Scopes
+-- The api_keys table (migration 010) stores hashed agency API keys.
+-- Adds the scopes a key is allowed to use. Valid scopes:
+--   generate       - /api/generate/* and /api/edit/*
+--   gallery:read   - GET /api/gallery
+--   workflows:run  - POST /api/workflows/:id/run, GET /api/workflows/runs/:runId
+-- =============================================
+
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN api_keys.scopes IS 'Endpoints this key may call: generate, gallery:read, workflows:run';
@@ -0,0 +1,55 @@
+-- =============================================
+-- Migration: Webhook Deliveries
+-- Per-delivery log for outbound webhooks sent to webhook_subscriptions
+-- (migration 010). One row per event sent to one subscription; replays
+-- create a new row pointing at the original via replay_of.
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    agency_id UUID NOT NULL REFERENCES agencies(id) ON DELETE CASCADE,
+
+    -- e.g. "generation.completed", "workflow_run.completed"
+    event TEXT NOT NULL,
+    -- Event payload. The signed, POSTed body is this with the delivery's
+    -- id added first: {"id": <delivery id>, ...payload}
+    payload JSONB NOT NULL,
+
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    -- No longer recorded: receivers' responses aren't kept
+    response_body TEXT,
+    error TEXT,
+    duration_ms INTEGER,
+
+    replay_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+
+-- =============================================
+-- INDEXES
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+    ON webhook_deliveries (subscription_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_failed
+    ON webhook_deliveries (agency_id, created_at DESC)
+    WHERE status = 'failed';
+
+
+-- =============================================
+-- ROW LEVEL SECURITY
+-- =============================================
+
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view webhook deliveries"
+    ON webhook_deliveries FOR SELECT
+    USING (agency_id = get_user_agency_id() AND is_agency_admin());
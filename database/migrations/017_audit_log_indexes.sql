@@ -0,0 +1,32 @@
+-- =============================================
+-- Migration: Audit Log Indexes
+-- audit_logs (migration 010) is now written by services/auditLog.js and
+-- read by GET /api/agency/audit, which filters by action / resource type
+-- within an agency and pages newest-first.
+-- =============================================
+
+
+-- =============================================
+-- INDEXES
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_agency_created
+    ON audit_logs (agency_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_agency_action
+    ON audit_logs (agency_id, action, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_resource
+    ON audit_logs (agency_id, resource_type, resource_id);
+
+
+-- =============================================
+-- ROW LEVEL SECURITY
+-- =============================================
+
+ALTER TABLE audit_logs ENABLE ROW LEVEL SECURITY;
+
+-- Entries are only written through the service role; admins may read them
+CREATE POLICY "Admins can view audit logs"
+    ON audit_logs FOR SELECT
+    USING (agency_id = get_user_agency_id() AND is_agency_admin());
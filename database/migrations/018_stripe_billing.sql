@@ -0,0 +1,67 @@
+-- =============================================
+-- Migration: Stripe Billing
+-- Subscription checkout for agency_plans, one-off credit pack purchases,
+-- and an idempotency log for processed Stripe webhook events.
+-- =============================================
+
+-- Stripe Price for each plan's monthly subscription. When NULL, checkout
+-- builds an inline monthly price from price_cents.
+ALTER TABLE agency_plans ADD COLUMN IF NOT EXISTS stripe_price_id TEXT;
+
+ALTER TABLE agencies ADD COLUMN IF NOT EXISTS stripe_subscription_id TEXT;
+ALTER TABLE agencies ADD COLUMN IF NOT EXISTS subscription_current_period_end TIMESTAMPTZ;
+
+COMMENT ON COLUMN agencies.subscription_current_period_end IS 'End of the paid Stripe period; past_due agencies keep access for a grace period after it';
+
+
+-- Every Stripe event we have applied. Stripe retries deliveries, so the
+-- webhook inserts here first and skips events it has already seen.
+CREATE TABLE IF NOT EXISTS stripe_events (
+    id TEXT PRIMARY KEY,                 -- Stripe event ID (evt_...)
+    type TEXT NOT NULL,
+    agency_id UUID REFERENCES agencies(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+-- Atomically add purchased credits to an agency's pool.
+-- Returns the new credit_pool value.
+CREATE OR REPLACE FUNCTION add_agency_credits(
+    p_agency_id UUID,
+    p_amount INTEGER
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    new_pool INTEGER;
+BEGIN
+    UPDATE agencies
+    SET credit_pool = credit_pool + p_amount
+    WHERE id = p_agency_id
+    RETURNING credit_pool INTO new_pool;
+
+    RETURN new_pool;
+END;
+$$;
+
+
+-- =============================================
+-- INDEXES
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_agencies_stripe_customer
+    ON agencies (stripe_customer_id)
+    WHERE stripe_customer_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_agency_plans_stripe_price
+    ON agency_plans (stripe_price_id)
+    WHERE stripe_price_id IS NOT NULL;
+
+
+-- =============================================
+-- ROW LEVEL SECURITY
+-- =============================================
+
+-- Written and read only by the service role
+ALTER TABLE stripe_events ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,149 @@
+-- =============================================
+-- Migration: Billing Cycle Reset
+-- Monthly rollover of agency credit cycles (services/billingCycleScheduler.js).
+-- Each plan either resets the pool to its allocation or rolls unused
+-- credits over up to a cap. Closed cycles are snapshotted into
+-- credit_usage_history and per-user counters start again from zero.
+-- =============================================
+
+-- 'reset': pool = allocation. 'rollover': pool = allocation + unused
+-- credits, carrying over at most credit_rollover_cap (NULL = no cap).
+-- Unused credits include purchased credit packs (from migration 020,
+-- what's left of purchased packs is kept in either mode).
+ALTER TABLE agency_plans ADD COLUMN IF NOT EXISTS credit_rollover_mode TEXT DEFAULT 'reset'
+    CHECK (credit_rollover_mode IN ('reset', 'rollover'));
+ALTER TABLE agency_plans ADD COLUMN IF NOT EXISTS credit_rollover_cap INTEGER
+    CHECK (credit_rollover_cap IS NULL OR credit_rollover_cap >= 0);
+
+-- Larger plans roll over up to one month of credits
+UPDATE agency_plans SET credit_rollover_mode = 'rollover', credit_rollover_cap = monthly_credits
+WHERE name IN ('Professional', 'Enterprise');
+
+
+CREATE TABLE IF NOT EXISTS credit_usage_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    agency_id UUID NOT NULL REFERENCES agencies(id) ON DELETE CASCADE,
+    plan_id UUID REFERENCES agency_plans(id) ON DELETE SET NULL,
+
+    cycle_start TIMESTAMPTZ NOT NULL,
+    cycle_end TIMESTAMPTZ NOT NULL,
+
+    monthly_credit_allocation INTEGER NOT NULL DEFAULT 0,
+    credits_used INTEGER NOT NULL DEFAULT 0,
+    -- Pool left when the cycle closed, how much of it carried over,
+    -- and the pool the next cycle started with
+    closing_pool INTEGER NOT NULL DEFAULT 0,
+    credits_rolled_over INTEGER NOT NULL DEFAULT 0,
+    opening_pool INTEGER NOT NULL DEFAULT 0,
+
+    -- [{ "user_id", "name", "email", "credits_used", "credit_limit" }]
+    user_usage JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE (agency_id, cycle_start)
+);
+
+
+-- Close every elapsed cycle of one agency, if any.
+-- Locks the agency row so concurrent schedulers can't double-refill.
+-- Returns the new credit_usage_history row ID, or NULL if no cycle was due.
+CREATE OR REPLACE FUNCTION close_agency_billing_cycle(
+    p_agency_id UUID,
+    p_now TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_agency agencies%ROWTYPE;
+    v_plan agency_plans%ROWTYPE;
+    v_months INTEGER := 1;
+    v_new_start TIMESTAMPTZ;
+    v_rolled_over INTEGER := 0;
+    v_new_pool INTEGER;
+    v_user_usage JSONB;
+    v_history_id UUID;
+BEGIN
+    SELECT * INTO v_agency FROM agencies WHERE id = p_agency_id FOR UPDATE;
+
+    IF NOT FOUND OR v_agency.billing_cycle_start IS NULL
+       OR v_agency.billing_cycle_start + INTERVAL '1 month' > p_now THEN
+        RETURN NULL;
+    END IF;
+
+    -- Advance to the latest boundary (anchored on the original start so
+    -- month-end dates don't drift); skipped months have no usage of their own
+    WHILE v_agency.billing_cycle_start + ((v_months + 1) || ' months')::INTERVAL <= p_now LOOP
+        v_months := v_months + 1;
+    END LOOP;
+    v_new_start := v_agency.billing_cycle_start + (v_months || ' months')::INTERVAL;
+
+    SELECT * INTO v_plan FROM agency_plans WHERE id = v_agency.plan_id;
+
+    IF FOUND AND v_plan.credit_rollover_mode = 'rollover' THEN
+        v_rolled_over := GREATEST(COALESCE(v_agency.credit_pool, 0), 0);
+        IF v_plan.credit_rollover_cap IS NOT NULL THEN
+            v_rolled_over := LEAST(v_rolled_over, v_plan.credit_rollover_cap);
+        END IF;
+    END IF;
+
+    v_new_pool := COALESCE(v_agency.monthly_credit_allocation, 0) + v_rolled_over;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+               'user_id', id,
+               'name', name,
+               'email', email,
+               'credits_used', credits_used_this_cycle,
+               'credit_limit', credit_limit
+           ) ORDER BY credits_used_this_cycle DESC), '[]'::jsonb)
+    INTO v_user_usage
+    FROM agency_users
+    WHERE agency_id = p_agency_id AND credits_used_this_cycle > 0;
+
+    INSERT INTO credit_usage_history (
+        agency_id, plan_id, cycle_start, cycle_end,
+        monthly_credit_allocation, credits_used,
+        closing_pool, credits_rolled_over, opening_pool, user_usage
+    ) VALUES (
+        p_agency_id, v_agency.plan_id, v_agency.billing_cycle_start, v_new_start,
+        COALESCE(v_agency.monthly_credit_allocation, 0), COALESCE(v_agency.credits_used_this_cycle, 0),
+        COALESCE(v_agency.credit_pool, 0), v_rolled_over, v_new_pool, v_user_usage
+    )
+    RETURNING id INTO v_history_id;
+
+    UPDATE agency_users
+    SET credits_used_this_cycle = 0
+    WHERE agency_id = p_agency_id AND credits_used_this_cycle <> 0;
+
+    UPDATE agencies
+    SET credit_pool = v_new_pool,
+        credits_used_this_cycle = 0,
+        billing_cycle_start = v_new_start
+    WHERE id = p_agency_id;
+
+    RETURN v_history_id;
+END;
+$$;
+
+
+-- =============================================
+-- INDEXES
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_credit_usage_history_agency
+    ON credit_usage_history (agency_id, cycle_start DESC);
+
+CREATE INDEX IF NOT EXISTS idx_agencies_billing_cycle_start
+    ON agencies (billing_cycle_start);
+
+
+-- =============================================
+-- ROW LEVEL SECURITY
+-- =============================================
+
+ALTER TABLE credit_usage_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view credit usage history"
+    ON credit_usage_history FOR SELECT
+    USING (agency_id = get_user_agency_id() AND is_agency_admin());
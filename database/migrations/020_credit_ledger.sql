@@ -0,0 +1,539 @@
+-- =============================================
+-- Migration: Credit Ledger
+-- Every change to agencies.credit_pool is recorded in credit_transactions.
+-- Paid operations reserve credits up front (hold) and settle the hold when
+-- they finish: capture on success, release on failure, refund if a captured
+-- request still failed. Admins can adjust the pool manually with a reason.
+--
+-- All balance changes go through the functions below, which lock the rows
+-- they touch, so the ledger and the pool can't drift apart.
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS credit_transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    agency_id UUID NOT NULL REFERENCES agencies(id) ON DELETE CASCADE,
+    -- User the credits were spent by (or the user an adjustment was made by)
+    user_id UUID REFERENCES agency_users(id) ON DELETE SET NULL,
+
+    type TEXT NOT NULL CHECK (type IN (
+        'hold', 'capture', 'release', 'refund',
+        'adjustment', 'purchase', 'subscription', 'cycle_reset'
+    )),
+    -- Credits this entry is about (always >= 0)
+    amount INTEGER NOT NULL CHECK (amount >= 0),
+    -- Signed effect on credit_pool (captures are 0: the hold already moved them)
+    pool_change INTEGER NOT NULL,
+    balance_after INTEGER NOT NULL,
+
+    -- capture / release / refund entries point at the hold they settle
+    hold_id UUID REFERENCES credit_transactions(id) ON DELETE CASCADE,
+
+    -- What the credits were for, e.g. 'kling', 'chat', 'workflow:generate_image'
+    operation TEXT,
+    reference_type TEXT,      -- 'generation', 'workflow_run', 'stripe_checkout', ...
+    reference_id TEXT,
+    reason TEXT,
+    metadata JSONB DEFAULT '{}'::jsonb,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE credit_transactions IS 'Append-only credit ledger; sum(pool_change) per agency equals credit_pool';
+
+
+-- =============================================
+-- HOLDS
+-- =============================================
+
+-- Reserve credits for an operation. Returns the hold ID, or NULL if the
+-- pool can't cover it.
+CREATE OR REPLACE FUNCTION hold_agency_credits(
+    p_agency_id UUID,
+    p_user_id UUID,
+    p_amount INTEGER,
+    p_operation TEXT,
+    p_reference_type TEXT DEFAULT NULL,
+    p_reference_id TEXT DEFAULT NULL,
+    p_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_pool INTEGER;
+    v_hold_id UUID;
+BEGIN
+    UPDATE agencies
+    SET credit_pool = credit_pool - p_amount
+    WHERE id = p_agency_id
+      AND credit_pool >= p_amount
+    RETURNING credit_pool INTO v_pool;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO credit_transactions (
+        agency_id, user_id, type, amount, pool_change, balance_after,
+        operation, reference_type, reference_id, metadata
+    ) VALUES (
+        p_agency_id, p_user_id, 'hold', p_amount, -p_amount, v_pool,
+        p_operation, p_reference_type, p_reference_id, COALESCE(p_metadata, '{}'::jsonb)
+    )
+    RETURNING id INTO v_hold_id;
+
+    RETURN v_hold_id;
+END;
+$$;
+
+
+-- Whether a hold has already been captured or released
+CREATE OR REPLACE FUNCTION credit_hold_is_settled(p_hold_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM credit_transactions
+        WHERE hold_id = p_hold_id AND type IN ('capture', 'release')
+    );
+$$;
+
+
+-- Capture a hold, optionally for less than was held (the rest is
+-- released). Counts the credits as used this cycle for the agency and user.
+-- Returns the captured amount, or -1 if the hold is unknown or settled.
+CREATE OR REPLACE FUNCTION capture_credit_hold(
+    p_hold_id UUID,
+    p_amount INTEGER DEFAULT NULL,
+    p_reference_type TEXT DEFAULT NULL,
+    p_reference_id TEXT DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_hold credit_transactions%ROWTYPE;
+    v_amount INTEGER;
+    v_remainder INTEGER;
+    v_pool INTEGER;
+BEGIN
+    SELECT * INTO v_hold FROM credit_transactions
+    WHERE id = p_hold_id AND type = 'hold'
+    FOR UPDATE;
+
+    IF NOT FOUND OR credit_hold_is_settled(p_hold_id) THEN
+        RETURN -1;
+    END IF;
+
+    v_amount := LEAST(GREATEST(COALESCE(p_amount, v_hold.amount), 0), v_hold.amount);
+    v_remainder := v_hold.amount - v_amount;
+
+    UPDATE agencies
+    SET credits_used_this_cycle = credits_used_this_cycle + v_amount,
+        credit_pool = credit_pool + v_remainder
+    WHERE id = v_hold.agency_id
+    RETURNING credit_pool INTO v_pool;
+
+    IF v_hold.user_id IS NOT NULL AND v_amount > 0 THEN
+        UPDATE agency_users
+        SET credits_used_this_cycle = credits_used_this_cycle + v_amount
+        WHERE id = v_hold.user_id;
+    END IF;
+
+    INSERT INTO credit_transactions (
+        agency_id, user_id, type, amount, pool_change, balance_after,
+        hold_id, operation, reference_type, reference_id
+    ) VALUES (
+        v_hold.agency_id, v_hold.user_id, 'capture', v_amount, 0, v_pool - v_remainder,
+        p_hold_id, v_hold.operation,
+        COALESCE(p_reference_type, v_hold.reference_type), COALESCE(p_reference_id, v_hold.reference_id)
+    );
+
+    IF v_remainder > 0 THEN
+        INSERT INTO credit_transactions (
+            agency_id, user_id, type, amount, pool_change, balance_after,
+            hold_id, operation, reason
+        ) VALUES (
+            v_hold.agency_id, v_hold.user_id, 'release', v_remainder, v_remainder, v_pool,
+            p_hold_id, v_hold.operation, 'Unused part of hold'
+        );
+    END IF;
+
+    RETURN v_amount;
+END;
+$$;
+
+
+-- Return a hold's credits to the pool (the operation failed).
+-- Returns false if the hold is unknown or already settled.
+CREATE OR REPLACE FUNCTION release_credit_hold(
+    p_hold_id UUID,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_hold credit_transactions%ROWTYPE;
+    v_pool INTEGER;
+BEGIN
+    SELECT * INTO v_hold FROM credit_transactions
+    WHERE id = p_hold_id AND type = 'hold'
+    FOR UPDATE;
+
+    IF NOT FOUND OR credit_hold_is_settled(p_hold_id) THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE agencies
+    SET credit_pool = credit_pool + v_hold.amount
+    WHERE id = v_hold.agency_id
+    RETURNING credit_pool INTO v_pool;
+
+    INSERT INTO credit_transactions (
+        agency_id, user_id, type, amount, pool_change, balance_after,
+        hold_id, operation, reason
+    ) VALUES (
+        v_hold.agency_id, v_hold.user_id, 'release', v_hold.amount, v_hold.amount, v_pool,
+        p_hold_id, v_hold.operation, p_reason
+    );
+
+    RETURN TRUE;
+END;
+$$;
+
+
+-- Refund a captured hold (the request failed after the provider was paid
+-- for, so the user got nothing). Returns the refunded amount, or -1 if the
+-- hold was never captured or was already refunded.
+CREATE OR REPLACE FUNCTION refund_credit_hold(
+    p_hold_id UUID,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_hold credit_transactions%ROWTYPE;
+    v_captured INTEGER;
+    v_pool INTEGER;
+BEGIN
+    SELECT * INTO v_hold FROM credit_transactions
+    WHERE id = p_hold_id AND type = 'hold'
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN -1;
+    END IF;
+
+    SELECT amount INTO v_captured FROM credit_transactions
+    WHERE hold_id = p_hold_id AND type = 'capture';
+
+    IF v_captured IS NULL OR v_captured = 0 OR EXISTS (
+        SELECT 1 FROM credit_transactions WHERE hold_id = p_hold_id AND type = 'refund'
+    ) THEN
+        RETURN -1;
+    END IF;
+
+    UPDATE agencies
+    SET credit_pool = credit_pool + v_captured,
+        credits_used_this_cycle = GREATEST(credits_used_this_cycle - v_captured, 0)
+    WHERE id = v_hold.agency_id
+    RETURNING credit_pool INTO v_pool;
+
+    IF v_hold.user_id IS NOT NULL THEN
+        UPDATE agency_users
+        SET credits_used_this_cycle = GREATEST(credits_used_this_cycle - v_captured, 0)
+        WHERE id = v_hold.user_id;
+    END IF;
+
+    INSERT INTO credit_transactions (
+        agency_id, user_id, type, amount, pool_change, balance_after,
+        hold_id, operation, reason
+    ) VALUES (
+        v_hold.agency_id, v_hold.user_id, 'refund', v_captured, v_captured, v_pool,
+        p_hold_id, v_hold.operation, p_reason
+    );
+
+    RETURN v_captured;
+END;
+$$;
+
+
+-- Release holds left open by requests that never finished (crash, lost
+-- connection). Returns how many were released.
+CREATE OR REPLACE FUNCTION release_stale_credit_holds(p_older_than INTERVAL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_hold_id UUID;
+    v_count INTEGER := 0;
+BEGIN
+    FOR v_hold_id IN
+        SELECT h.id FROM credit_transactions h
+        WHERE h.type = 'hold'
+          AND h.created_at < NOW() - p_older_than
+          AND NOT credit_hold_is_settled(h.id)
+    LOOP
+        IF release_credit_hold(v_hold_id, 'Hold expired') THEN
+            v_count := v_count + 1;
+        END IF;
+    END LOOP;
+
+    RETURN v_count;
+END;
+$$;
+
+
+-- Credits held by holds that haven't been captured or released yet, for an
+-- agency, or for one of its users when p_user_id is given
+CREATE OR REPLACE FUNCTION open_hold_credits(
+    p_agency_id UUID,
+    p_user_id UUID DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT COALESCE(SUM(h.amount), 0)::INTEGER
+    FROM credit_transactions h
+    WHERE h.agency_id = p_agency_id
+      AND h.type = 'hold'
+      AND (p_user_id IS NULL OR h.user_id = p_user_id)
+      AND NOT credit_hold_is_settled(h.id);
+$$;
+
+
+-- =============================================
+-- ADJUSTMENTS, PURCHASES
+-- =============================================
+
+-- Add (positive) or remove (negative) credits outside of a hold:
+-- admin adjustments, credit pack purchases, subscription top-ups.
+-- Returns the new pool, or -1 if a removal would make it negative.
+CREATE OR REPLACE FUNCTION adjust_agency_credits(
+    p_agency_id UUID,
+    p_amount INTEGER,
+    p_type TEXT DEFAULT 'adjustment',
+    p_reason TEXT DEFAULT NULL,
+    p_user_id UUID DEFAULT NULL,
+    p_reference_type TEXT DEFAULT NULL,
+    p_reference_id TEXT DEFAULT NULL,
+    p_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_pool INTEGER;
+BEGIN
+    UPDATE agencies
+    SET credit_pool = credit_pool + p_amount
+    WHERE id = p_agency_id
+      AND credit_pool + p_amount >= 0
+    RETURNING credit_pool INTO v_pool;
+
+    IF NOT FOUND THEN
+        RETURN -1;
+    END IF;
+
+    INSERT INTO credit_transactions (
+        agency_id, user_id, type, amount, pool_change, balance_after,
+        reference_type, reference_id, reason, metadata
+    ) VALUES (
+        p_agency_id, p_user_id, p_type, ABS(p_amount), p_amount, v_pool,
+        p_reference_type, p_reference_id, p_reason, COALESCE(p_metadata, '{}'::jsonb)
+    );
+
+    RETURN v_pool;
+END;
+$$;
+
+-- Superseded by adjust_agency_credits(..., 'purchase')
+DROP FUNCTION IF EXISTS add_agency_credits(UUID, INTEGER);
+
+
+-- =============================================
+-- BILLING CYCLE RESET (migration 019) — now records the refill
+-- =============================================
+
+-- Credits reserved by holds still open at the reset are carried into the
+-- new cycle: they count toward the closing balance (and its rollover) and
+-- stay reserved out of the new pool. Releasing such a hold later returns
+-- them to the new pool; capturing it counts as usage in the new cycle,
+-- which is where the credits were taken from.
+--
+-- Purchased credit packs don't expire. Whatever is left of them (they're
+-- spent last, after the allocation) is kept on top of the plan's rule and
+-- counts as rolled over, outside the rollover cap; the cycle_reset
+-- transaction records it as purchased_kept for the next reset.
+
+CREATE OR REPLACE FUNCTION close_agency_billing_cycle(
+    p_agency_id UUID,
+    p_now TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_agency agencies%ROWTYPE;
+    v_plan agency_plans%ROWTYPE;
+    v_months INTEGER := 1;
+    v_new_start TIMESTAMPTZ;
+    v_rolled_over INTEGER := 0;
+    v_open_holds INTEGER;
+    v_balance INTEGER;
+    v_last_reset credit_transactions%ROWTYPE;
+    v_purchased INTEGER;
+    v_purchased_kept INTEGER;
+    v_new_pool INTEGER;
+    v_user_usage JSONB;
+    v_history_id UUID;
+BEGIN
+    SELECT * INTO v_agency FROM agencies WHERE id = p_agency_id FOR UPDATE;
+
+    IF NOT FOUND OR v_agency.billing_cycle_start IS NULL
+       OR v_agency.billing_cycle_start + INTERVAL '1 month' > p_now THEN
+        RETURN NULL;
+    END IF;
+
+    WHILE v_agency.billing_cycle_start + ((v_months + 1) || ' months')::INTERVAL <= p_now LOOP
+        v_months := v_months + 1;
+    END LOOP;
+    v_new_start := v_agency.billing_cycle_start + (v_months || ' months')::INTERVAL;
+
+    v_open_holds := open_hold_credits(p_agency_id);
+    v_balance := GREATEST(COALESCE(v_agency.credit_pool, 0) + v_open_holds, 0);
+
+    -- Purchased credits kept at the last reset, plus packs bought since
+    SELECT * INTO v_last_reset
+    FROM credit_transactions
+    WHERE agency_id = p_agency_id AND type = 'cycle_reset'
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    SELECT COALESCE((v_last_reset.metadata->>'purchased_kept')::INTEGER, 0) + COALESCE(SUM(pool_change), 0)
+    INTO v_purchased
+    FROM credit_transactions
+    WHERE agency_id = p_agency_id AND type = 'purchase'
+      AND created_at > COALESCE(v_last_reset.created_at, '-infinity'::TIMESTAMPTZ);
+
+    v_purchased_kept := LEAST(GREATEST(v_purchased, 0), v_balance);
+    v_rolled_over := v_purchased_kept;
+
+    SELECT * INTO v_plan FROM agency_plans WHERE id = v_agency.plan_id;
+
+    IF FOUND AND v_plan.credit_rollover_mode = 'rollover' THEN
+        v_rolled_over := v_rolled_over + CASE
+            WHEN v_plan.credit_rollover_cap IS NULL THEN v_balance - v_purchased_kept
+            ELSE LEAST(v_balance - v_purchased_kept, v_plan.credit_rollover_cap)
+        END;
+    END IF;
+
+    v_new_pool := COALESCE(v_agency.monthly_credit_allocation, 0) + v_rolled_over - v_open_holds;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+               'user_id', id,
+               'name', name,
+               'email', email,
+               'credits_used', credits_used_this_cycle,
+               'credit_limit', credit_limit
+           ) ORDER BY credits_used_this_cycle DESC), '[]'::jsonb)
+    INTO v_user_usage
+    FROM agency_users
+    WHERE agency_id = p_agency_id AND credits_used_this_cycle > 0;
+
+    INSERT INTO credit_usage_history (
+        agency_id, plan_id, cycle_start, cycle_end,
+        monthly_credit_allocation, credits_used,
+        closing_pool, credits_rolled_over, opening_pool, user_usage
+    ) VALUES (
+        p_agency_id, v_agency.plan_id, v_agency.billing_cycle_start, v_new_start,
+        COALESCE(v_agency.monthly_credit_allocation, 0), COALESCE(v_agency.credits_used_this_cycle, 0),
+        COALESCE(v_agency.credit_pool, 0), v_rolled_over, v_new_pool, v_user_usage
+    )
+    RETURNING id INTO v_history_id;
+
+    UPDATE agency_users
+    SET credits_used_this_cycle = 0
+    WHERE agency_id = p_agency_id AND credits_used_this_cycle <> 0;
+
+    UPDATE agencies
+    SET credit_pool = v_new_pool,
+        credits_used_this_cycle = 0,
+        billing_cycle_start = v_new_start
+    WHERE id = p_agency_id;
+
+    INSERT INTO credit_transactions (
+        agency_id, type, amount, pool_change, balance_after,
+        reference_type, reference_id, reason, metadata
+    ) VALUES (
+        p_agency_id, 'cycle_reset',
+        ABS(v_new_pool - COALESCE(v_agency.credit_pool, 0)),
+        v_new_pool - COALESCE(v_agency.credit_pool, 0),
+        v_new_pool,
+        'credit_usage_history', v_history_id::TEXT,
+        'Monthly billing cycle reset',
+        jsonb_build_object(
+            'rolled_over', v_rolled_over,
+            'purchased_kept', v_purchased_kept,
+            'allocation', COALESCE(v_agency.monthly_credit_allocation, 0),
+            'open_holds', v_open_holds
+        )
+    );
+
+    RETURN v_history_id;
+END;
+$$;
+
+
+-- =============================================
+-- OPENING BALANCES
+-- =============================================
+
+-- Start each existing agency's ledger at its current pool
+INSERT INTO credit_transactions (agency_id, type, amount, pool_change, balance_after, reason)
+SELECT id, 'adjustment', ABS(COALESCE(credit_pool, 0)), COALESCE(credit_pool, 0), COALESCE(credit_pool, 0), 'Opening balance'
+FROM agencies
+WHERE NOT EXISTS (
+    SELECT 1 FROM credit_transactions t WHERE t.agency_id = agencies.id
+);
+
+
+-- =============================================
+-- INDEXES
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_agency_created
+    ON credit_transactions (agency_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_agency_type
+    ON credit_transactions (agency_id, type, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_hold
+    ON credit_transactions (hold_id)
+    WHERE hold_id IS NOT NULL;
+
+-- One capture, one release and one refund per hold at most
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_transactions_settlement
+    ON credit_transactions (hold_id, type)
+    WHERE hold_id IS NOT NULL;
+
+-- Finding stale open holds
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_open_holds
+    ON credit_transactions (created_at)
+    WHERE type = 'hold';
+
+
+-- =============================================
+-- ROW LEVEL SECURITY
+-- =============================================
+
+ALTER TABLE credit_transactions ENABLE ROW LEVEL SECURITY;
+
+-- Written only through the functions above (service role)
+CREATE POLICY "Admins can view credit transactions"
+    ON credit_transactions FOR SELECT
+    USING (agency_id = get_user_agency_id() AND is_agency_admin());
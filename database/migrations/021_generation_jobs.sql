@@ -0,0 +1,34 @@
+-- =============================================
+-- Migration: Generation Jobs
+-- Generation and editing requests no longer hold the HTTP connection open
+-- while the provider works. The route inserts a 'pending' generations row,
+-- answers 202 with its ID, and a background worker moves the row through
+-- pending → processing → completed | failed (services/generationJobs.js).
+--
+-- The request's credit hold (migration 020) is handed to the job and
+-- settled when it finishes. Workers heartbeat the jobs they own so jobs
+-- orphaned by a restart can be failed and their holds released.
+-- =============================================
+
+ALTER TABLE generations
+    ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS credit_hold_id UUID REFERENCES credit_transactions(id) ON DELETE SET NULL,
+    -- What the synchronous endpoint used to return (images, videoUrl, ...)
+    ADD COLUMN IF NOT EXISTS result JSONB;
+
+COMMENT ON COLUMN generations.heartbeat_at IS 'Last time the worker running this job reported in; stale pending/processing jobs are failed';
+
+
+-- =============================================
+-- INDEXES
+-- =============================================
+
+-- "My jobs" lists on the generation pages
+CREATE INDEX IF NOT EXISTS idx_generations_user_created
+    ON generations (user_id, created_at DESC);
+
+-- Stale job sweep
+CREATE INDEX IF NOT EXISTS idx_generations_unfinished
+    ON generations (heartbeat_at)
+    WHERE status IN ('pending', 'processing');
@@ -0,0 +1,28 @@
+-- =============================================
+-- Migration: Parallel Workflow Runs
+-- The workflow runner now executes independent branches at the same time,
+-- so several nodes of one run can finish (and be charged) concurrently.
+-- Run totals are incremented in the database instead of being written back
+-- from the runner's in-memory copy, which would lose concurrent updates.
+-- =============================================
+
+-- Add a completed node's credits to its run. Returns the new total.
+CREATE OR REPLACE FUNCTION increment_workflow_run_credits(
+    p_run_id UUID,
+    p_amount INTEGER
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_total INTEGER;
+BEGIN
+    UPDATE workflow_runs
+    SET credits_used = COALESCE(credits_used, 0) + p_amount
+    WHERE id = p_run_id
+    RETURNING credits_used INTO v_total;
+
+    RETURN v_total;
+END;
+$$;
+
@@ -0,0 +1,10 @@
+-- =============================================
+-- Migration: Workflow Loops
+-- A for_each node runs the nodes between it and its collect node once per
+-- image of a batch. Those body nodes keep one result row per run, with the
+-- outcome of each item recorded alongside it.
+-- =============================================
+
+-- Per-item results of loop body nodes:
+-- [{ index, status, output, error }]
+ALTER TABLE workflow_node_results ADD COLUMN IF NOT EXISTS iterations JSONB;
@@ -0,0 +1,9 @@
+-- =============================================
+-- Migration: Workflow Node Attempts
+-- Nodes that call a provider are retried with backoff, can time out, and
+-- can switch to a fallback model. Each node result keeps the history of
+-- its attempts so failures and recoveries are visible after the run.
+-- =============================================
+
+-- [{ attempt, model, status, error, started_at, completed_at }]
+ALTER TABLE workflow_node_results ADD COLUMN IF NOT EXISTS attempts JSONB;
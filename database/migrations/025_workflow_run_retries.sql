@@ -0,0 +1,9 @@
+-- =============================================
+-- Migration: Workflow Run Retries
+-- Failed runs can be resumed from their failed nodes, and any node of a
+-- finished run can be re-run (with everything downstream of it). A re-run
+-- may change the node's settings for that run only, e.g. a new prompt.
+-- =============================================
+
+-- Settings merged over the workflow node's config for this run
+ALTER TABLE workflow_node_results ADD COLUMN IF NOT EXISTS config_override JSONB;
@@ -0,0 +1,17 @@
+-- =============================================
+-- Migration: Workflow Review Gates
+-- Review nodes can be rejected (optionally regenerating the upstream node
+-- with the reviewer's feedback), assigned to a reviewer, and expire after
+-- a configurable time (auto-approving or cancelling the run).
+-- =============================================
+
+-- Review history: { rejections: [...], approved_by, approved_at, expired }
+ALTER TABLE workflow_node_results ADD COLUMN IF NOT EXISTS review JSONB;
+
+-- When a waiting review node expires (null = never)
+ALTER TABLE workflow_node_results ADD COLUMN IF NOT EXISTS review_expires_at TIMESTAMPTZ;
+
+-- The scheduler looks for expired reviews every minute
+CREATE INDEX IF NOT EXISTS idx_workflow_node_results_review_expires
+  ON workflow_node_results(review_expires_at)
+  WHERE status = 'waiting_for_review';
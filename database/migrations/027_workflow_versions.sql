@@ -0,0 +1,87 @@
+-- =============================================
+-- Migration: Workflow Versions
+-- Every graph save is stored as an immutable snapshot of the workflow's
+-- nodes and edges. Runs are pinned to the version they executed, so the
+-- runner and the run page read the graph from the snapshot, and saving
+-- (or restoring) a different graph never affects a run in progress.
+--
+-- workflow_nodes / workflow_edges remain the current graph the editor
+-- works on; they always match the latest version.
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS workflow_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workflow_id UUID NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+
+    -- 1, 2, 3… per workflow
+    version INTEGER NOT NULL,
+
+    -- Snapshots: [{ id, node_type, label, config, position_x, position_y }]
+    -- and [{ id, source_node_id, source_port, target_node_id, target_port }]
+    nodes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    edges JSONB NOT NULL DEFAULT '[]'::jsonb,
+    node_count INTEGER NOT NULL DEFAULT 0,
+    edge_count INTEGER NOT NULL DEFAULT 0,
+
+    -- Set when the version was created by restoring an older one
+    restored_from INTEGER,
+
+    created_by UUID REFERENCES agency_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(workflow_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_versions_workflow
+    ON workflow_versions(workflow_id, version DESC);
+
+-- Runs started before this migration have no version and use the current graph
+ALTER TABLE workflow_runs
+    ADD COLUMN IF NOT EXISTS version_id UUID REFERENCES workflow_versions(id) ON DELETE SET NULL;
+
+-- Node results outlive the nodes they ran: a graph save deletes nodes that
+-- the pinned version of an older run still refers to
+ALTER TABLE workflow_node_results DROP CONSTRAINT IF EXISTS workflow_node_results_node_id_fkey;
+
+
+-- =============================================
+-- BACKFILL: current graphs become version 1
+-- =============================================
+
+INSERT INTO workflow_versions (workflow_id, version, nodes, edges, node_count, edge_count, created_by)
+SELECT
+    w.id,
+    1,
+    COALESCE(n.nodes, '[]'::jsonb),
+    COALESCE(e.edges, '[]'::jsonb),
+    COALESCE(jsonb_array_length(n.nodes), 0),
+    COALESCE(jsonb_array_length(e.edges), 0),
+    w.created_by
+FROM workflows w
+LEFT JOIN LATERAL (
+    SELECT jsonb_agg(jsonb_build_object(
+        'id', id, 'node_type', node_type, 'label', label, 'config', config,
+        'position_x', position_x, 'position_y', position_y
+    ) ORDER BY created_at) AS nodes
+    FROM workflow_nodes WHERE workflow_id = w.id
+) n ON true
+LEFT JOIN LATERAL (
+    SELECT jsonb_agg(jsonb_build_object(
+        'id', id, 'source_node_id', source_node_id, 'source_port', source_port,
+        'target_node_id', target_node_id, 'target_port', target_port
+    )) AS edges
+    FROM workflow_edges WHERE workflow_id = w.id
+) e ON true
+ON CONFLICT (workflow_id, version) DO NOTHING;
+
+
+-- =============================================
+-- ROW LEVEL SECURITY
+-- =============================================
+
+ALTER TABLE workflow_versions ENABLE ROW LEVEL SECURITY;
+
+-- Versions are written by the API only; access follows the parent workflow
+CREATE POLICY "Users can view workflow versions"
+    ON workflow_versions FOR SELECT
+    USING (workflow_id IN (SELECT id FROM workflows WHERE agency_id = get_user_agency_id()));
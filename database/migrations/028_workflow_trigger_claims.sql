@@ -0,0 +1,66 @@
+-- =============================================
+-- Migration: Scheduled Trigger Claims and Misfires
+-- Several backend instances can run the workflow scheduler. Each poll
+-- claims due triggers with claim_due_workflow_triggers, which leases them
+-- to one instance (FOR UPDATE SKIP LOCKED), so two pollers never process
+-- the same trigger. Scheduled runs record the occurrence they fire for,
+-- and a unique index makes a second run for the same occurrence fail even
+-- if a lease expired mid-fire.
+--
+-- misfire_policy decides what happens to occurrences missed while no
+-- scheduler was running (services/workflowScheduler.js):
+--   skip      missed occurrences are dropped
+--   run_once  one run stands in for all of them (the old behaviour)
+--   run_all   each one runs, up to misfire_limit of the most recent
+-- =============================================
+
+ALTER TABLE workflow_triggers ADD COLUMN IF NOT EXISTS misfire_policy TEXT NOT NULL DEFAULT 'run_once'
+    CHECK (misfire_policy IN ('skip', 'run_once', 'run_all'));
+ALTER TABLE workflow_triggers ADD COLUMN IF NOT EXISTS misfire_limit INTEGER NOT NULL DEFAULT 10
+    CHECK (misfire_limit BETWEEN 1 AND 100);
+
+-- Lease held by the scheduler instance processing the trigger
+ALTER TABLE workflow_triggers ADD COLUMN IF NOT EXISTS claimed_by TEXT;
+ALTER TABLE workflow_triggers ADD COLUMN IF NOT EXISTS claimed_until TIMESTAMPTZ;
+
+-- The schedule occurrence a scheduled run was fired for
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workflow_runs_trigger_occurrence
+    ON workflow_runs (trigger_id, scheduled_for)
+    WHERE scheduled_for IS NOT NULL;
+
+
+-- Lease up to p_limit due scheduled triggers to one scheduler instance.
+-- Triggers leased to another instance are skipped until the lease expires;
+-- rows another poller is claiming at the same moment are skipped rather
+-- than waited on. Returns the claimed rows.
+CREATE OR REPLACE FUNCTION claim_due_workflow_triggers(
+    p_instance_id TEXT,
+    p_lease_seconds INTEGER DEFAULT 300,
+    p_limit INTEGER DEFAULT 100,
+    p_now TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS SETOF workflow_triggers
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE workflow_triggers t
+    SET claimed_by = p_instance_id,
+        claimed_until = p_now + make_interval(secs => p_lease_seconds)
+    WHERE t.id IN (
+        SELECT id FROM workflow_triggers
+        WHERE enabled = true
+          AND trigger_type = 'scheduled'
+          AND next_trigger_at IS NOT NULL
+          AND next_trigger_at <= p_now
+          AND (claimed_until IS NULL OR claimed_until < p_now)
+        ORDER BY next_trigger_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING t.*;
+END;
+$$;
+
@@ -0,0 +1,44 @@
+-- =============================================
+-- Migration: Workflow Batches
+-- A template workflow can be run against several creators at once. The
+-- batch fans out into one run per model, all pinned to the same version;
+-- each run resolves {{model.*}} against its own model as usual.
+--
+-- Progress, credits and failures are read from the batch's runs
+-- (services/workflowBatches.js), so the batch row never goes stale.
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS workflow_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    agency_id UUID NOT NULL REFERENCES agencies(id) ON DELETE CASCADE,
+    workflow_id UUID NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+    version_id UUID REFERENCES workflow_versions(id) ON DELETE SET NULL,
+
+    -- How many runs the batch started with
+    model_count INTEGER NOT NULL DEFAULT 0,
+
+    started_by UUID REFERENCES agency_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_batches_workflow
+    ON workflow_batches (workflow_id, created_at DESC);
+
+ALTER TABLE workflow_runs
+    ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES workflow_batches(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_workflow_runs_batch
+    ON workflow_runs (batch_id)
+    WHERE batch_id IS NOT NULL;
+
+
+-- =============================================
+-- ROW LEVEL SECURITY
+-- =============================================
+
+ALTER TABLE workflow_batches ENABLE ROW LEVEL SECURITY;
+
+-- Batches are written by the API only
+CREATE POLICY "Users can view workflow batches"
+    ON workflow_batches FOR SELECT
+    USING (agency_id = get_user_agency_id());
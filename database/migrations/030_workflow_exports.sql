@@ -0,0 +1,82 @@
+-- =============================================
+-- Migration: Workflow Exports and Publish Queue
+-- An Export node bundles the media that reaches it into a ZIP (media files,
+-- caption sidecars and a manifest) in the private workflow-exports bucket,
+-- and records it in workflow_exports. The run links to the bundle through
+-- the node's output.
+--
+-- For each platform the node targets it also queues a publish_queue item:
+-- platform-neutral media, caption and scheduled time, for a platform
+-- integration or a person to post and then mark published
+-- (services/workflowExports.js).
+-- =============================================
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('workflow-exports', 'workflow-exports', false)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS workflow_exports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    agency_id UUID NOT NULL REFERENCES agencies(id) ON DELETE CASCADE,
+    run_id UUID NOT NULL REFERENCES workflow_runs(id) ON DELETE CASCADE,
+    node_id UUID NOT NULL,
+    model_id UUID REFERENCES agency_models(id) ON DELETE SET NULL,
+
+    -- Path of the ZIP in the workflow-exports bucket
+    storage_path TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL DEFAULT 0,
+
+    -- [{ file, type, source_url }] — files are paths inside the ZIP
+    media JSONB NOT NULL DEFAULT '[]',
+    caption TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_exports_run
+    ON workflow_exports (run_id);
+
+CREATE TABLE IF NOT EXISTS publish_queue (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    agency_id UUID NOT NULL REFERENCES agencies(id) ON DELETE CASCADE,
+    export_id UUID NOT NULL REFERENCES workflow_exports(id) ON DELETE CASCADE,
+    model_id UUID REFERENCES agency_models(id) ON DELETE SET NULL,
+
+    platform TEXT NOT NULL CHECK (platform IN ('onlyfans', 'fansly', 'twitter')),
+    media JSONB NOT NULL DEFAULT '[]',
+    caption TEXT,
+    scheduled_for TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'published', 'failed', 'cancelled')),
+    -- Set by whoever publishes the item
+    post_url TEXT,
+    error TEXT,
+    published_at TIMESTAMPTZ,
+    updated_by UUID REFERENCES agency_users(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_publish_queue_due
+    ON publish_queue (agency_id, scheduled_for)
+    WHERE status = 'queued';
+
+
+-- =============================================
+-- ROW LEVEL SECURITY
+-- =============================================
+
+ALTER TABLE workflow_exports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE publish_queue ENABLE ROW LEVEL SECURITY;
+
+-- Exports and queue items are written by the API only
+CREATE POLICY "Users can view workflow exports"
+    ON workflow_exports FOR SELECT
+    USING (agency_id = get_user_agency_id());
+
+CREATE POLICY "Users can view publish queue"
+    ON publish_queue FOR SELECT
+    USING (agency_id = get_user_agency_id());
@@ -20,6 +20,7 @@ import { TeamPage } from './pages/Team';
 import { UsagePage } from './pages/Usage';
 import { BrandingPage } from './pages/Branding';
 import { SettingsPage } from './pages/Settings';
+import { AuditLogPage } from './pages/AuditLog';
 import { ModelsPage } from './pages/Models';
 import { WorkflowsPage } from './pages/Workflows';
 import { WorkflowEditorPage } from './pages/WorkflowEditor';
@@ -217,6 +218,14 @@ function App() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/admin/audit"
+        element={
+          <ProtectedRoute requireAdmin>
+            <AuditLogPage />
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/admin/settings"
         element={
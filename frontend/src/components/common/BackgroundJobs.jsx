@@ -0,0 +1,76 @@
+/**
+ * BackgroundJobs Component
+ * Lists generation jobs that kept running on the server after the page
+ * that started them was left, and the ones that finished since.
+ */
+
+import { Loader2, Check, X, Clock } from 'lucide-react';
+
+const MODEL_LABELS = {
+  seedream: 'Seedream 4.5',
+  nanoBanana: 'Nano Banana Pro',
+  qwen: 'Qwen Image',
+  kling: 'Kling 2.5',
+  wan: 'WAN 2.2',
+  veo: 'Veo 3.1',
+  'bg-remover': 'Background removal',
+  eraser: 'Object eraser',
+  'qwen-edit': 'Qwen edit',
+  inpaint: 'Inpaint',
+  upscale: 'Upscale',
+};
+
+function StatusIcon({ status }) {
+  if (status === 'completed') return <Check className="h-4 w-4 text-green-500" />;
+  if (status === 'failed') return <X className="h-4 w-4 text-red-500" />;
+  if (status === 'pending') return <Clock className="h-4 w-4 text-text-muted" />;
+  return <Loader2 className="h-4 w-4 text-primary animate-spin" />;
+}
+
+function describeStatus(job) {
+  switch (job.status) {
+    case 'pending':
+      return 'Queued';
+    case 'processing':
+      return 'Generating...';
+    case 'completed':
+      return 'Done';
+    case 'failed':
+      return job.error_message || 'Failed';
+    default:
+      return job.status;
+  }
+}
+
+export function BackgroundJobs({ jobs, onDismiss, className = '' }) {
+  if (!jobs || jobs.length === 0) return null;
+
+  return (
+    <div className={`rounded-lg border border-border bg-surface p-4 space-y-2 ${className}`}>
+      <p className="text-sm font-medium text-text">Background jobs</p>
+      {jobs.map((job) => (
+        <div key={job.id} className="flex items-center gap-3 text-sm">
+          <StatusIcon status={job.status} />
+          <span className="text-text">{MODEL_LABELS[job.model] || job.model}</span>
+          {job.prompt && (
+            <span className="text-text-muted truncate flex-1" title={job.prompt}>
+              {job.prompt}
+            </span>
+          )}
+          <span className={`ml-auto truncate ${job.status === 'failed' ? 'text-red-500' : 'text-text-muted'}`}>
+            {describeStatus(job)}
+          </span>
+          {!['pending', 'processing'].includes(job.status) && (
+            <button
+              onClick={() => onDismiss(job.id)}
+              className="text-text-muted hover:text-text"
+              aria-label="Dismiss"
+            >
+              <X className="h-3.5 w-3.5" />
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
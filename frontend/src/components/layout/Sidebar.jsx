@@ -22,6 +22,7 @@ import {
   LogOut,
   ChevronDown,
   UserCircle,
+  ShieldCheck,
 } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { useAgency } from '../../context/AgencyContext';
@@ -45,6 +46,7 @@ const adminNavItems = [
   { to: '/admin/team', icon: Users, label: 'Team' },
   { to: '/admin/usage', icon: BarChart3, label: 'Usage' },
   { to: '/admin/branding', icon: Palette, label: 'Branding' },
+  { to: '/admin/audit', icon: ShieldCheck, label: 'Audit Log', feature: 'audit_log' },
   { to: '/admin/settings', icon: Settings, label: 'Settings' },
 ];
 
@@ -113,6 +115,7 @@ function ModelSwitcher() {
 export function Sidebar() {
   const { agencyUser, signOut, credits, isAdmin } = useAuth();
   const { branding, features } = useAgency();
+  const { hasFeature } = useWhiteLabelTier();
 
   // Filter nav items based on enabled features
   const filteredMainNav = mainNavItems.filter((item) => {
@@ -160,7 +163,7 @@ export function Sidebar() {
                 Admin
               </p>
             </div>
-            {adminNavItems.map((item) => (
+            {adminNavItems.filter((item) => !item.feature || hasFeature(item.feature)).map((item) => (
               <NavItem key={item.to} {...item} />
             ))}
           </>
@@ -0,0 +1,230 @@
+import { useState, useEffect } from 'react';
+import { Key, Plus, Copy, Trash2, AlertTriangle } from 'lucide-react';
+import { Card } from '../layout/Layout';
+import { Button } from '../common/Button';
+import { Input } from '../common/Input';
+import { api } from '../../services/api';
+
+const SCOPE_LABELS = {
+  generate: 'Generate & edit',
+  'gallery:read': 'Read gallery',
+  'workflows:run': 'Run workflows',
+};
+
+function formatDate(isoString) {
+  if (!isoString) return 'Never';
+  return new Date(isoString).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+}
+
+/**
+ * ApiKeysPanel Component
+ * Settings card for creating, listing and revoking agency API keys.
+ * A newly created key is displayed once and never again.
+ */
+export default function ApiKeysPanel() {
+  const [keys, setKeys] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState(Object.keys(SCOPE_LABELS));
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['generate']);
+  const [creating, setCreating] = useState(false);
+  const [newKey, setNewKey] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadKeys = async () => {
+    try {
+      const data = await api.getApiKeys();
+      setKeys(data.keys || []);
+      if (data.availableScopes) setAvailableScopes(data.availableScopes);
+    } catch (err) {
+      console.error('Failed to load API keys:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadKeys();
+  }, []);
+
+  const toggleScope = (scope) => {
+    setScopes((prev) =>
+      prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]
+    );
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    setError('');
+    try {
+      const created = await api.createApiKey({ name, scopes });
+      setNewKey(created.key);
+      setShowForm(false);
+      setName('');
+      setScopes(['generate']);
+      await loadKeys();
+    } catch (err) {
+      setError(err.message || 'Failed to create API key');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (key) => {
+    if (!confirm(`Revoke "${key.name}"? Scripts using this key will stop working immediately.`)) return;
+    try {
+      await api.revokeApiKey(key.id);
+      await loadKeys();
+    } catch (err) {
+      alert(err.message || 'Failed to revoke API key');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold text-text">API Keys</h3>
+        {!showForm && (
+          <Button size="sm" variant="outline" onClick={() => setShowForm(true)}>
+            <Plus className="h-4 w-4" />
+            New Key
+          </Button>
+        )}
+      </div>
+      <p className="text-sm text-text-muted mb-4">
+        Let scripts call the API without logging in. Send the key as <code className="font-mono">Authorization: Bearer &lt;key&gt;</code>.
+        Requests act as the admin who created the key.
+      </p>
+
+      {newKey && (
+        <div className="mb-4 p-3 rounded-lg border border-yellow-500/30 bg-yellow-500/10">
+          <div className="flex items-start gap-2 mb-2">
+            <AlertTriangle className="h-4 w-4 text-yellow-500 mt-0.5 flex-shrink-0" />
+            <p className="text-xs text-text">
+              Copy this key now. It will not be shown again.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 truncate bg-surface border border-border rounded px-2 py-1.5 font-mono text-xs text-text">
+              {newKey}
+            </code>
+            <Button size="sm" variant="secondary" onClick={handleCopy}>
+              <Copy className="h-3.5 w-3.5" />
+              {copied ? 'Copied!' : 'Copy'}
+            </Button>
+          </div>
+          <button
+            onClick={() => setNewKey(null)}
+            className="mt-2 text-xs text-text-muted hover:text-text"
+          >
+            I've saved it
+          </button>
+        </div>
+      )}
+
+      {showForm && (
+        <div className="mb-4 p-4 rounded-lg border border-border bg-surface-elevated space-y-3">
+          <Input
+            label="Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Nightly posting script"
+          />
+          <div>
+            <label className="block text-sm font-medium text-text-muted mb-2">Scopes</label>
+            <div className="flex flex-wrap gap-2">
+              {availableScopes.map((scope) => (
+                <button
+                  key={scope}
+                  type="button"
+                  onClick={() => toggleScope(scope)}
+                  className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${
+                    scopes.includes(scope)
+                      ? 'bg-primary text-white'
+                      : 'bg-surface border border-border text-text-muted hover:text-text'
+                  }`}
+                >
+                  {SCOPE_LABELS[scope] || scope}
+                </button>
+              ))}
+            </div>
+          </div>
+          {error && <p className="text-sm text-red-500">{error}</p>}
+          <div className="flex gap-2">
+            <Button size="sm" variant="outline" onClick={() => { setShowForm(false); setError(''); }}>
+              Cancel
+            </Button>
+            <Button
+              size="sm"
+              onClick={handleCreate}
+              loading={creating}
+              disabled={!name.trim() || scopes.length === 0}
+            >
+              Create Key
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary" />
+        </div>
+      ) : keys.length === 0 ? (
+        <div className="text-center py-6">
+          <Key className="h-8 w-8 text-text-muted mx-auto mb-2" />
+          <p className="text-sm text-text-muted">No API keys yet.</p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {keys.map((key) => (
+            <div
+              key={key.id}
+              className={`flex items-center gap-3 p-3 rounded-lg border border-border ${key.revoked_at ? 'opacity-50' : ''}`}
+            >
+              <Key className="h-4 w-4 text-text-muted flex-shrink-0" />
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <p className="text-sm font-medium text-text truncate">{key.name}</p>
+                  <code className="text-xs text-text-muted font-mono">{key.key_prefix}…</code>
+                </div>
+                <p className="text-xs text-text-muted">
+                  {(key.scopes || []).map((s) => SCOPE_LABELS[s] || s).join(', ')}
+                  {' · '}
+                  {key.revoked_at
+                    ? `Revoked ${formatDate(key.revoked_at)}`
+                    : `Last used ${formatDate(key.last_used_at)}`}
+                </p>
+              </div>
+              {!key.revoked_at && (
+                <button
+                  onClick={() => handleRevoke(key)}
+                  className="p-1.5 rounded text-text-muted hover:text-red-400 transition-colors"
+                  title="Revoke key"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,202 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { CreditCard, Zap, AlertTriangle, CheckCircle, ExternalLink } from 'lucide-react';
+import { Card } from '../layout/Layout';
+import { Button } from '../common/Button';
+import { useAuth } from '../../context/AuthContext';
+import { api } from '../../services/api';
+
+const STATUS_STYLES = {
+  trial: { label: 'Trial', className: 'bg-blue-500/10 text-blue-500' },
+  active: { label: 'Active', className: 'bg-green-500/10 text-green-500' },
+  past_due: { label: 'Past due', className: 'bg-yellow-500/10 text-yellow-500' },
+  cancelled: { label: 'Cancelled', className: 'bg-red-500/10 text-red-500' },
+};
+
+const RETURN_MESSAGES = {
+  success: 'Thanks! Your subscription will be active in a moment.',
+  credits_success: 'Thanks! Your credits will be added in a moment.',
+};
+
+function formatPrice(cents) {
+  return `$${(cents / 100).toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(isoString) {
+  return new Date(isoString).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+}
+
+/**
+ * BillingPanel Component
+ * Settings card showing the agency's plan and subscription status, with
+ * Stripe Checkout for plans and credit packs. Purchases are owner-only.
+ */
+export default function BillingPanel() {
+  const { isOwner } = useAuth();
+  const [searchParams] = useSearchParams();
+  const [billing, setBilling] = useState(null);
+  const [plans, setPlans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState('');
+
+  const returnMessage = RETURN_MESSAGES[searchParams.get('billing')];
+
+  useEffect(() => {
+    Promise.all([api.getBilling(), api.getPlans()])
+      .then(([billingData, plansData]) => {
+        setBilling(billingData);
+        setPlans(plansData.plans || []);
+      })
+      .catch((err) => console.error('Failed to load billing:', err))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Checkout and portal calls return a Stripe-hosted URL to redirect to
+  const redirectTo = async (actionKey, startSession) => {
+    setPendingAction(actionKey);
+    setError('');
+    try {
+      const { url } = await startSession();
+      window.location.href = url;
+    } catch (err) {
+      setError(err.message || 'Failed to open checkout');
+      setPendingAction(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Card>
+        <h3 className="font-semibold text-text mb-4">Billing</h3>
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary" />
+        </div>
+      </Card>
+    );
+  }
+
+  if (!billing) return null;
+
+  const status = STATUS_STYLES[billing.subscription_status] || STATUS_STYLES.trial;
+  const subscribed = billing.has_subscription && ['active', 'past_due'].includes(billing.subscription_status);
+  const canPurchase = isOwner && billing.billing_enabled;
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold text-text">Billing</h3>
+        {subscribed && canPurchase && (
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => redirectTo('portal', api.openBillingPortal)}
+            loading={pendingAction === 'portal'}
+          >
+            <ExternalLink className="h-4 w-4" />
+            Manage Billing
+          </Button>
+        )}
+      </div>
+
+      {returnMessage && (
+        <div className="mb-4 flex items-center gap-2 p-3 rounded-lg bg-green-500/10 border border-green-500/20 text-sm text-green-500">
+          <CheckCircle className="h-4 w-4 flex-shrink-0" />
+          {returnMessage}
+        </div>
+      )}
+
+      {billing.subscription_status === 'past_due' && (
+        <div className="mb-4 flex items-start gap-2 p-3 rounded-lg bg-yellow-500/10 border border-yellow-500/30">
+          <AlertTriangle className="h-4 w-4 text-yellow-500 mt-0.5 flex-shrink-0" />
+          <p className="text-xs text-text">
+            Your last payment failed. Update your payment method to keep access to the platform.
+          </p>
+        </div>
+      )}
+
+      {/* Current plan */}
+      <div className="flex items-center justify-between p-4 rounded-lg bg-surface-elevated mb-4">
+        <div>
+          <div className="flex items-center gap-2">
+            <p className="font-medium text-text">{billing.plan?.name || 'No plan'}</p>
+            <span className={`px-2 py-0.5 rounded text-xs font-medium ${status.className}`}>{status.label}</span>
+          </div>
+          <p className="text-sm text-text-muted">
+            {billing.plan && `${billing.plan.max_users} users, ${billing.plan.monthly_credits?.toLocaleString()} credits/month`}
+            {billing.subscription_status === 'trial' && billing.trial_ends_at && ` · Trial ends ${formatDate(billing.trial_ends_at)}`}
+            {subscribed && billing.current_period_end && ` · Renews ${formatDate(billing.current_period_end)}`}
+          </p>
+        </div>
+        <Zap className="h-6 w-6 text-primary" />
+      </div>
+
+      {!billing.billing_enabled && (
+        <p className="text-sm text-text-muted">Online billing is not configured for this deployment.</p>
+      )}
+
+      {billing.billing_enabled && !isOwner && (
+        <p className="text-sm text-text-muted">Only the agency owner can change the plan or buy credits.</p>
+      )}
+
+      {/* Plan choice (until subscribed; plan changes then go through the portal) */}
+      {canPurchase && !subscribed && plans.length > 0 && (
+        <div className="mb-4">
+          <p className="text-sm font-medium text-text-muted mb-2">Choose a plan</p>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            {plans.map((plan) => (
+              <div key={plan.id} className="p-4 rounded-lg border border-border">
+                <p className="font-medium text-text">{plan.name}</p>
+                <p className="text-lg font-semibold text-text mt-1">
+                  {formatPrice(plan.price_cents)}<span className="text-sm font-normal text-text-muted">/mo</span>
+                </p>
+                <p className="text-xs text-text-muted mb-3">
+                  {plan.monthly_credits.toLocaleString()} credits · {plan.max_users} users
+                </p>
+                <Button
+                  size="sm"
+                  className="w-full"
+                  onClick={() => redirectTo(`plan:${plan.id}`, () => api.startPlanCheckout(plan.id))}
+                  loading={pendingAction === `plan:${plan.id}`}
+                  disabled={!!pendingAction}
+                >
+                  Subscribe
+                </Button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Credit packs */}
+      {canPurchase && billing.credit_packs?.length > 0 && (
+        <div>
+          <p className="text-sm font-medium text-text-muted mb-2">
+            Top up credits <span className="font-normal">(pool: {billing.credit_pool?.toLocaleString()})</span>
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {billing.credit_packs.map((pack) => (
+              <Button
+                key={pack.id}
+                size="sm"
+                variant="outline"
+                onClick={() => redirectTo(`pack:${pack.id}`, () => api.startCreditCheckout(pack.id))}
+                loading={pendingAction === `pack:${pack.id}`}
+                disabled={!!pendingAction}
+              >
+                <CreditCard className="h-4 w-4" />
+                {pack.credits.toLocaleString()} credits · {formatPrice(pack.price_cents)}
+              </Button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-500 mt-3">{error}</p>}
+    </Card>
+  );
+}
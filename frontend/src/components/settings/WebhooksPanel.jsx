@@ -0,0 +1,425 @@
+import { useState, useEffect } from 'react';
+import {
+  Webhook,
+  Plus,
+  Copy,
+  Trash2,
+  AlertTriangle,
+  Send,
+  RefreshCw,
+  RotateCcw,
+  ChevronDown,
+  ChevronRight,
+  CheckCircle,
+  XCircle,
+  Clock,
+} from 'lucide-react';
+import { Card } from '../layout/Layout';
+import { Button } from '../common/Button';
+import { Input } from '../common/Input';
+import { api } from '../../services/api';
+
+const EVENT_LABELS = {
+  'generation.completed': 'Generation completed',
+  'workflow_run.completed': 'Workflow run completed',
+  'workflow_run.waiting_for_review': 'Workflow waiting for review',
+  'publish_item.queued': 'Export queued for publishing',
+  'content_upload.received': 'Portal upload received',
+  'content_request.delivered': 'Content request delivered',
+};
+
+const STATUS_ICONS = {
+  succeeded: <CheckCircle className="h-3.5 w-3.5 text-green-500" />,
+  failed: <XCircle className="h-3.5 w-3.5 text-red-500" />,
+  pending: <Clock className="h-3.5 w-3.5 text-yellow-500" />,
+};
+
+function formatDateTime(isoString) {
+  if (!isoString) return 'Never';
+  return new Date(isoString).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * DeliveryLog Component
+ * Recent deliveries for one subscription, with replay for failures.
+ */
+function DeliveryLog({ subscriptionId }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [failedOnly, setFailedOnly] = useState(false);
+  const [replaying, setReplaying] = useState(null);
+
+  const loadDeliveries = async () => {
+    setLoading(true);
+    try {
+      const data = await api.getWebhookDeliveries(subscriptionId, {
+        status: failedOnly ? 'failed' : undefined,
+      });
+      setDeliveries(data.deliveries || []);
+    } catch (err) {
+      console.error('Failed to load deliveries:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [subscriptionId, failedOnly]);
+
+  const handleReplay = async (delivery) => {
+    setReplaying(delivery.id);
+    try {
+      await api.replayWebhookDelivery(delivery.id);
+      await loadDeliveries();
+    } catch (err) {
+      alert(err.message || 'Failed to replay delivery');
+    } finally {
+      setReplaying(null);
+    }
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t border-border">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-xs font-medium text-text-muted">Recent deliveries</p>
+        <div className="flex items-center gap-3">
+          <label className="flex items-center gap-1.5 text-xs text-text-muted cursor-pointer">
+            <input
+              type="checkbox"
+              checked={failedOnly}
+              onChange={(e) => setFailedOnly(e.target.checked)}
+            />
+            Failed only
+          </label>
+          <button
+            onClick={loadDeliveries}
+            className="p-1 rounded text-text-muted hover:text-text transition-colors"
+            title="Refresh"
+          >
+            <RefreshCw className="h-3.5 w-3.5" />
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-3">
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-primary" />
+        </div>
+      ) : deliveries.length === 0 ? (
+        <p className="text-xs text-text-muted py-2">No deliveries yet.</p>
+      ) : (
+        <div className="space-y-1">
+          {deliveries.map((delivery) => (
+            <div key={delivery.id} className="flex items-center gap-2 text-xs py-1">
+              {STATUS_ICONS[delivery.status]}
+              <span className="font-mono text-text">{delivery.event}</span>
+              <span className="text-text-muted">
+                {delivery.response_status ? `HTTP ${delivery.response_status}` : delivery.error || ''}
+              </span>
+              <span className="text-text-muted">
+                {delivery.attempts > 1 && `· ${delivery.attempts} attempts`}
+              </span>
+              {delivery.replay_of && <span className="text-text-muted">· replay</span>}
+              <span className="ml-auto text-text-muted">{formatDateTime(delivery.created_at)}</span>
+              {delivery.status === 'failed' && (
+                <button
+                  onClick={() => handleReplay(delivery)}
+                  disabled={replaying === delivery.id}
+                  className="p-1 rounded text-text-muted hover:text-primary transition-colors disabled:opacity-50"
+                  title="Replay delivery"
+                >
+                  <RotateCcw className={`h-3.5 w-3.5 ${replaying === delivery.id ? 'animate-spin' : ''}`} />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * WebhooksPanel Component
+ * Settings card for outbound webhook subscriptions: create, toggle, test,
+ * rotate secrets and inspect/replay deliveries.
+ * Signing secrets are displayed once, on create or rotate.
+ */
+export default function WebhooksPanel() {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [availableEvents, setAvailableEvents] = useState(Object.keys(EVENT_LABELS));
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState(['generation.completed']);
+  const [creating, setCreating] = useState(false);
+  const [newSecret, setNewSecret] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [testing, setTesting] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadSubscriptions = async () => {
+    try {
+      const data = await api.getWebhooks();
+      setSubscriptions(data.subscriptions || []);
+      if (data.events) setAvailableEvents(data.events);
+    } catch (err) {
+      console.error('Failed to load webhooks:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSubscriptions();
+  }, []);
+
+  const toggleEvent = (event) => {
+    setEvents((prev) =>
+      prev.includes(event) ? prev.filter((e) => e !== event) : [...prev, event]
+    );
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    setError('');
+    try {
+      const created = await api.createWebhook({ url: url.trim(), events });
+      setNewSecret(created.secret);
+      setShowForm(false);
+      setUrl('');
+      setEvents(['generation.completed']);
+      await loadSubscriptions();
+    } catch (err) {
+      setError(err.message || 'Failed to create webhook');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleToggleEnabled = async (subscription) => {
+    try {
+      await api.updateWebhook(subscription.id, { enabled: !subscription.enabled });
+      await loadSubscriptions();
+    } catch (err) {
+      alert(err.message || 'Failed to update webhook');
+    }
+  };
+
+  const handleDelete = async (subscription) => {
+    if (!confirm(`Delete the webhook for ${subscription.url}? Its delivery log will be deleted too.`)) return;
+    try {
+      await api.deleteWebhook(subscription.id);
+      await loadSubscriptions();
+    } catch (err) {
+      alert(err.message || 'Failed to delete webhook');
+    }
+  };
+
+  const handleRotate = async (subscription) => {
+    if (!confirm('Rotate the signing secret? Receivers must be updated with the new secret.')) return;
+    try {
+      const rotated = await api.rotateWebhookSecret(subscription.id);
+      setNewSecret(rotated.secret);
+    } catch (err) {
+      alert(err.message || 'Failed to rotate secret');
+    }
+  };
+
+  const handleTest = async (subscription) => {
+    setTesting(subscription.id);
+    try {
+      const { delivery } = await api.testWebhook(subscription.id);
+      if (delivery.status !== 'succeeded') {
+        alert(`Test delivery failed: ${delivery.error || `HTTP ${delivery.response_status}`}`);
+      }
+      setExpanded(subscription.id);
+      await loadSubscriptions();
+    } catch (err) {
+      alert(err.message || 'Failed to send test delivery');
+    } finally {
+      setTesting(null);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newSecret);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold text-text">Webhooks</h3>
+        {!showForm && (
+          <Button size="sm" variant="outline" onClick={() => setShowForm(true)}>
+            <Plus className="h-4 w-4" />
+            New Webhook
+          </Button>
+        )}
+      </div>
+      <p className="text-sm text-text-muted mb-4">
+        Notify your own systems when things happen in the studio. Each request is signed with
+        an HMAC-SHA256 of <code className="font-mono">timestamp.body</code> in the <code className="font-mono">X-AgencyStudio-Signature</code> header.
+      </p>
+
+      {newSecret && (
+        <div className="mb-4 p-3 rounded-lg border border-yellow-500/30 bg-yellow-500/10">
+          <div className="flex items-start gap-2 mb-2">
+            <AlertTriangle className="h-4 w-4 text-yellow-500 mt-0.5 flex-shrink-0" />
+            <p className="text-xs text-text">
+              Copy this signing secret now. It will not be shown again.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 truncate bg-surface border border-border rounded px-2 py-1.5 font-mono text-xs text-text">
+              {newSecret}
+            </code>
+            <Button size="sm" variant="secondary" onClick={handleCopy}>
+              <Copy className="h-3.5 w-3.5" />
+              {copied ? 'Copied!' : 'Copy'}
+            </Button>
+          </div>
+          <button
+            onClick={() => setNewSecret(null)}
+            className="mt-2 text-xs text-text-muted hover:text-text"
+          >
+            I've saved it
+          </button>
+        </div>
+      )}
+
+      {showForm && (
+        <div className="mb-4 p-4 rounded-lg border border-border bg-surface-elevated space-y-3">
+          <Input
+            label="Endpoint URL"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="https://example.com/hooks/agency-studio"
+          />
+          <div>
+            <label className="block text-sm font-medium text-text-muted mb-2">Events</label>
+            <div className="flex flex-wrap gap-2">
+              {availableEvents.map((event) => (
+                <button
+                  key={event}
+                  type="button"
+                  onClick={() => toggleEvent(event)}
+                  className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${
+                    events.includes(event)
+                      ? 'bg-primary text-white'
+                      : 'bg-surface border border-border text-text-muted hover:text-text'
+                  }`}
+                >
+                  {EVENT_LABELS[event] || event}
+                </button>
+              ))}
+            </div>
+          </div>
+          {error && <p className="text-sm text-red-500">{error}</p>}
+          <div className="flex gap-2">
+            <Button size="sm" variant="outline" onClick={() => { setShowForm(false); setError(''); }}>
+              Cancel
+            </Button>
+            <Button
+              size="sm"
+              onClick={handleCreate}
+              loading={creating}
+              disabled={!url.trim() || events.length === 0}
+            >
+              Create Webhook
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary" />
+        </div>
+      ) : subscriptions.length === 0 ? (
+        <div className="text-center py-6">
+          <Webhook className="h-8 w-8 text-text-muted mx-auto mb-2" />
+          <p className="text-sm text-text-muted">No webhooks yet.</p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {subscriptions.map((subscription) => (
+            <div
+              key={subscription.id}
+              className={`p-3 rounded-lg border border-border ${subscription.enabled ? '' : 'opacity-60'}`}
+            >
+              <div className="flex items-center gap-3">
+                <button
+                  onClick={() => setExpanded(expanded === subscription.id ? null : subscription.id)}
+                  className="text-text-muted hover:text-text"
+                  title="Show deliveries"
+                >
+                  {expanded === subscription.id
+                    ? <ChevronDown className="h-4 w-4" />
+                    : <ChevronRight className="h-4 w-4" />}
+                </button>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-text truncate font-mono">{subscription.url}</p>
+                  <p className="text-xs text-text-muted">
+                    {(subscription.events || []).map((e) => EVENT_LABELS[e] || e).join(', ')}
+                    {' · '}
+                    Last delivery {formatDateTime(subscription.last_triggered_at)}
+                    {subscription.recent_failures > 0 && (
+                      <span className="text-red-400">
+                        {' · '}{subscription.recent_failures} failed in 7 days
+                      </span>
+                    )}
+                  </p>
+                </div>
+                <label className="flex items-center gap-1.5 text-xs text-text-muted cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={subscription.enabled}
+                    onChange={() => handleToggleEnabled(subscription)}
+                  />
+                  Enabled
+                </label>
+                <button
+                  onClick={() => handleTest(subscription)}
+                  disabled={testing === subscription.id}
+                  className="p-1.5 rounded text-text-muted hover:text-primary transition-colors disabled:opacity-50"
+                  title="Send test event"
+                >
+                  <Send className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => handleRotate(subscription)}
+                  className="p-1.5 rounded text-text-muted hover:text-text transition-colors"
+                  title="Rotate signing secret"
+                >
+                  <RefreshCw className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(subscription)}
+                  className="p-1.5 rounded text-text-muted hover:text-red-400 transition-colors"
+                  title="Delete webhook"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+              {expanded === subscription.id && <DeliveryLog subscriptionId={subscription.id} />}
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -23,7 +23,7 @@ export default function PermissionEditor({ user, onSave, onClose }) {
     { key: 'can_view_analytics', label: 'View Analytics', description: 'Access performance metrics and reports' },
     { key: 'can_send_messages', label: 'Send Messages', description: 'Send messages to subscribers' },
     { key: 'can_upload_content', label: 'Upload Content', description: 'Upload images and videos' },
-    { key: 'can_publish_content', label: 'Publish Content', description: 'Publish content without review' },
+    { key: 'can_publish_content', label: 'Publish Content', description: 'Work through the publish queue of exported content' },
     { key: 'can_view_subscribers', label: 'View Subscribers', description: 'Access subscriber lists' },
     { key: 'can_export_data', label: 'Export Data', description: 'Export analytics and reports' },
     { key: 'can_edit_profiles', label: 'Edit Profiles', description: 'Modify creator profiles' }
@@ -0,0 +1,55 @@
+import { useEffect, useRef } from 'react';
+
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Hook to stay subscribed to a Server-Sent Events stream.
+ *
+ * Reconnects after a dropped connection or error. A stream the server
+ * closes on purpose (e.g. the run finished) is only reopened if
+ * `reconnect` says so.
+ *
+ * @param {Function|null} open - (onEvent, { signal }) => Promise, e.g.
+ *   api.streamWorkflowRun bound to a run ID; null to stay disconnected
+ * @param {Function} onEvent - Called with (event, data) for each message
+ * @param {Object} [options]
+ * @param {Function} [options.onReconnect] - Called before reconnecting, to
+ *   resync state that may have changed while disconnected
+ * @param {Function} [options.reconnect] - () => boolean; whether to reopen a
+ *   stream the server closed (default: always)
+ */
+export function useEventStream(open, onEvent, { onReconnect, reconnect } = {}) {
+  // Keep the latest callbacks without reconnecting when they change
+  const handlersRef = useRef({ onEvent, onReconnect, reconnect });
+  handlersRef.current = { onEvent, onReconnect, reconnect };
+
+  useEffect(() => {
+    if (!open) return;
+
+    const controller = new AbortController();
+    let retryId = null;
+
+    const connect = async () => {
+      try {
+        await open((event, data) => handlersRef.current.onEvent(event, data), { signal: controller.signal });
+        if (controller.signal.aborted) return;
+        if (handlersRef.current.reconnect && !handlersRef.current.reconnect()) return;
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('Event stream error:', err);
+      }
+
+      retryId = setTimeout(() => {
+        handlersRef.current.onReconnect?.();
+        connect();
+      }, RECONNECT_DELAY_MS);
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(retryId);
+    };
+  }, [open]);
+}
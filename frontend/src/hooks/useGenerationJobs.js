@@ -0,0 +1,126 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { api } from '../services/api';
+
+const POLL_INTERVAL_MS = 3000;
+const ACTIVE_STATUSES = ['pending', 'processing'];
+
+/**
+ * Hook to follow background generation jobs of one type.
+ *
+ * Generation/edit endpoints answer with a jobId and keep working on the
+ * server, so jobs outlive the page that started them. On mount the hook
+ * picks up the user's unfinished jobs; while any are active it polls them.
+ *
+ * @param {string} type - 'image' | 'video' | 'edit'
+ * @param {Object} [options]
+ * @param {Function} [options.onJobDone] - Called with the job row when a job
+ *   finishes that nobody is awaiting (e.g. started before navigating away)
+ * @returns {Object} { backgroundJobs, trackJob, dismissJob }
+ */
+export function useGenerationJobs(type, { onJobDone } = {}) {
+  const [jobs, setJobs] = useState([]);
+  // jobId → { resolve, reject } for jobs a caller is awaiting via trackJob
+  const waitersRef = useRef(new Map());
+  const onJobDoneRef = useRef(onJobDone);
+  onJobDoneRef.current = onJobDone;
+
+  // Pick up jobs still running from an earlier visit
+  useEffect(() => {
+    let cancelled = false;
+    api.getJobs({ type, status: 'active' })
+      .then((data) => {
+        if (cancelled) return;
+        setJobs((prev) => {
+          const known = new Set(prev.map((job) => job.id));
+          return [...prev, ...(data.jobs || []).filter((job) => !known.has(job.id))];
+        });
+      })
+      .catch((err) => console.error('Failed to fetch active jobs:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [type]);
+
+  const hasActiveJobs = jobs.some((job) => ACTIVE_STATUSES.includes(job.status));
+
+  // Poll active jobs until they finish
+  useEffect(() => {
+    if (!hasActiveJobs) return;
+
+    let cancelled = false;
+    const interval = setInterval(async () => {
+      const active = jobs.filter((job) => ACTIVE_STATUSES.includes(job.status));
+      const updates = await Promise.all(
+        active.map((job) => api.getJob(job.id).then((data) => data.job).catch(() => null))
+      );
+      if (cancelled) return;
+
+      const finished = updates.filter((job) => job && !ACTIVE_STATUSES.includes(job.status));
+      for (const job of finished) {
+        const waiter = waitersRef.current.get(job.id);
+        if (waiter) {
+          waitersRef.current.delete(job.id);
+          if (job.status === 'completed') {
+            waiter.resolve(job.result || {});
+          } else {
+            waiter.reject(new Error(job.error_message || 'Generation failed'));
+          }
+        } else {
+          onJobDoneRef.current?.(job);
+        }
+      }
+
+      const byId = new Map(updates.filter(Boolean).map((job) => [job.id, job]));
+      // Awaited jobs are reported to their caller, not kept in the list
+      setJobs((prev) => prev
+        .map((job) => (byId.has(job.id) ? { ...byId.get(job.id), awaited: job.awaited } : job))
+        .filter((job) => !(finished.some((f) => f.id === job.id) && job.awaited)));
+    }, POLL_INTERVAL_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [jobs, hasActiveJobs]);
+
+  // Reject anything still awaited when the page unmounts; the job itself
+  // keeps running and shows up again on the next visit
+  useEffect(() => {
+    const waiters = waitersRef.current;
+    return () => {
+      waiters.forEach(({ reject }) => reject(new Error('Navigated away before the job finished')));
+      waiters.clear();
+    };
+  }, []);
+
+  /**
+   * Await a job started by this page. Takes the 202 response of a
+   * generate/edit endpoint and resolves with the job's result (the
+   * endpoint's original response body), or rejects with its error.
+   */
+  const trackJob = useCallback((started) => {
+    if (!started?.jobId) {
+      // Endpoint answered synchronously
+      return Promise.resolve(started);
+    }
+
+    return new Promise((resolve, reject) => {
+      waitersRef.current.set(started.jobId, { resolve, reject });
+      setJobs((prev) => [
+        ...prev.filter((job) => job.id !== started.jobId),
+        { id: started.jobId, status: started.status, model: started.model, created_at: new Date().toISOString(), awaited: true },
+      ]);
+    });
+  }, []);
+
+  const dismissJob = useCallback((jobId) => {
+    setJobs((prev) => prev.filter((job) => job.id !== jobId));
+  }, []);
+
+  return {
+    // Jobs no caller is awaiting: running from an earlier visit, or finished since
+    backgroundJobs: jobs.filter((job) => !job.awaited),
+    trackJob,
+    dismissJob,
+  };
+}
@@ -38,7 +38,8 @@ const TIER_FEATURES = {
     'full_color_palette',
     'custom_css',
     'remove_platform_refs',
-    'custom_templates'
+    'custom_templates',
+    'audit_log'
   ]
 };
 
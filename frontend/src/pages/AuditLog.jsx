@@ -0,0 +1,348 @@
+/**
+ * Audit Log Page (Admin only, Enterprise plans)
+ * Filterable history of security-relevant actions with CSV export
+ */
+
+import { useState, useEffect } from 'react';
+import { ShieldCheck, Download, Lock, ChevronLeft, ChevronRight } from 'lucide-react';
+import { Layout, PageHeader, Card } from '../components/layout/Layout';
+import { Button } from '../components/common/Button';
+import { LoadingSpinner } from '../components/common/LoadingSpinner';
+import { useWhiteLabelTier } from '../hooks/useWhiteLabelTier';
+import { api } from '../services/api';
+
+const PAGE_SIZE = 50;
+
+const RESOURCE_LABELS = {
+  model: 'Models',
+  branding: 'Branding',
+  agency: 'Agency credits',
+  agency_user: 'Credits',
+  workflow: 'Workflows',
+  content_upload: 'Uploads',
+  publish_item: 'Publish queue',
+};
+
+const ACTION_LABELS = {
+  'model.created': 'Model created',
+  'model.deleted': 'Model deleted',
+  'model.portal_token_regenerated': 'Portal link regenerated',
+  'branding.updated': 'Branding updated',
+  'branding.css_updated': 'Custom CSS updated',
+  'branding.reset': 'Branding reset',
+  'credits.user_limit_changed': 'User credit limit changed',
+  'credits.adjusted': 'Credits adjusted',
+  'workflow.graph_updated': 'Workflow graph edited',
+  'workflow.version_restored': 'Workflow version restored',
+  'workflow.exported': 'Workflow exported',
+  'workflow.imported': 'Workflow imported',
+  'workflow.batch_started': 'Workflow batch started',
+  'workflow.publish_item_updated': 'Publish item updated',
+  'content_upload.bulk_reviewed': 'Uploads bulk reviewed',
+};
+
+const selectClassName =
+  'bg-surface-elevated border border-border rounded-lg px-3 py-2 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary';
+
+function formatDateTime(isoString) {
+  return new Date(isoString).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * One-line summary of an entry's metadata
+ */
+function describeMetadata(entry) {
+  const m = entry.metadata || {};
+  switch (entry.action) {
+    case 'credits.user_limit_changed':
+      return `${m.user_name || 'User'}: ${m.previous_limit ?? 'unlimited'} → ${m.new_limit ?? 'unlimited'}`;
+    case 'credits.adjusted':
+      return `${m.amount > 0 ? '+' : ''}${m.amount} (${m.previous_pool} → ${m.new_pool}): ${m.reason}`;
+    case 'workflow.graph_updated':
+      return `${m.name || 'Workflow'} (${m.node_count} nodes, ${m.edge_count} edges)`;
+    case 'workflow.version_restored':
+      return `${m.name || 'Workflow'}: v${m.restored_from} restored as v${m.version}`;
+    case 'workflow.exported':
+    case 'workflow.imported':
+      return `${m.name || 'Workflow'} (${m.node_count} nodes)`;
+    case 'workflow.batch_started':
+      return `${m.name || 'Workflow'} for ${m.model_count} models`;
+    case 'workflow.publish_item_updated':
+      return `${m.platform}: ${m.from} → ${m.to}`;
+    case 'content_upload.bulk_reviewed':
+      return `${m.review_action === 'approve' ? 'Approved' : 'Rejected'} ${m.review_action === 'approve' ? m.approved : m.rejected} of ${(m.upload_ids || []).length}`;
+    case 'branding.updated':
+    case 'branding.css_updated':
+      return [...(m.branding_fields || []), ...(m.white_label_fields || [])].join(', ');
+    default:
+      return m.name || '';
+  }
+}
+
+// ============================================================================
+// MAIN PAGE
+// ============================================================================
+
+export function AuditLogPage() {
+  const { meetsMinimumTier } = useWhiteLabelTier();
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [actions, setActions] = useState({});
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [filters, setFilters] = useState({
+    resource_type: '',
+    action: '',
+    user_id: '',
+    from: '',
+    to: '',
+  });
+
+  const hasAccess = meetsMinimumTier('enterprise');
+
+  // Drop empty filters; date inputs are whole days
+  const buildParams = () => {
+    const params = {};
+    if (filters.resource_type) params.resource_type = filters.resource_type;
+    if (filters.action) params.action = filters.action;
+    if (filters.user_id) params.user_id = filters.user_id;
+    if (filters.from) params.from = new Date(`${filters.from}T00:00:00`).toISOString();
+    if (filters.to) params.to = new Date(`${filters.to}T23:59:59.999`).toISOString();
+    return params;
+  };
+
+  useEffect(() => {
+    if (!hasAccess) return;
+    api.getTeam()
+      .then((data) => setMembers(data.users || []))
+      .catch((err) => console.error('Failed to load team:', err));
+  }, [hasAccess]);
+
+  useEffect(() => {
+    if (!hasAccess) {
+      setLoading(false);
+      return;
+    }
+
+    async function fetchEntries() {
+      setLoading(true);
+      setError('');
+      try {
+        const data = await api.getAuditLog({ ...buildParams(), limit: PAGE_SIZE, offset });
+        setEntries(data.entries || []);
+        setTotal(data.total || 0);
+        if (data.actions) setActions(data.actions);
+      } catch (err) {
+        setError(err.message || 'Failed to load audit log');
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchEntries();
+  }, [hasAccess, filters, offset]);
+
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({
+      ...prev,
+      [key]: value,
+      // Changing the resource type invalidates an action from another type
+      ...(key === 'resource_type' && { action: '' }),
+    }));
+    setOffset(0);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const csv = await api.exportAuditLog(buildParams());
+      const blob = new Blob([csv], { type: 'text/csv' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(err.message || 'Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  if (!hasAccess) {
+    return (
+      <Layout>
+        <PageHeader title="Audit Log" description="History of security-relevant actions in your agency" />
+        <Card className="text-center py-12">
+          <Lock className="h-10 w-10 text-text-muted mx-auto mb-3" />
+          <p className="font-medium text-text mb-1">Available on the Enterprise plan</p>
+          <p className="text-sm text-text-muted">
+            Upgrade to review who changed models, branding, credits and workflows, and export the history as CSV.
+          </p>
+        </Card>
+      </Layout>
+    );
+  }
+
+  const actionOptions = filters.resource_type
+    ? actions[filters.resource_type] || []
+    : Object.values(actions).flat();
+
+  return (
+    <Layout>
+      <PageHeader
+        title="Audit Log"
+        description="History of security-relevant actions in your agency"
+        actions={
+          <Button variant="outline" onClick={handleExport} loading={exporting} disabled={total === 0}>
+            <Download className="h-4 w-4" />
+            Export CSV
+          </Button>
+        }
+      />
+
+      {/* Filters */}
+      <Card className="mb-6">
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <label className="block text-xs font-medium text-text-muted mb-1">Area</label>
+            <select
+              value={filters.resource_type}
+              onChange={(e) => updateFilter('resource_type', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">All areas</option>
+              {Object.keys(actions).map((type) => (
+                <option key={type} value={type}>{RESOURCE_LABELS[type] || type}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-text-muted mb-1">Action</label>
+            <select
+              value={filters.action}
+              onChange={(e) => updateFilter('action', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">All actions</option>
+              {actionOptions.map((action) => (
+                <option key={action} value={action}>{ACTION_LABELS[action] || action}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-text-muted mb-1">User</label>
+            <select
+              value={filters.user_id}
+              onChange={(e) => updateFilter('user_id', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">Everyone</option>
+              {members.map((member) => (
+                <option key={member.id} value={member.id}>{member.name || member.email}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-text-muted mb-1">From</label>
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              className={selectClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-text-muted mb-1">To</label>
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              className={selectClassName}
+            />
+          </div>
+        </div>
+      </Card>
+
+      {/* Entries */}
+      <Card>
+        {loading ? (
+          <LoadingSpinner label="Loading audit log..." showTimer={false} />
+        ) : error ? (
+          <p className="text-sm text-red-500 py-6 text-center">{error}</p>
+        ) : entries.length === 0 ? (
+          <div className="text-center py-10">
+            <ShieldCheck className="h-8 w-8 text-text-muted mx-auto mb-2" />
+            <p className="text-sm text-text-muted">No audit entries match these filters.</p>
+          </div>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-text-muted border-b border-border">
+                    <th className="py-2 pr-4 font-medium">When</th>
+                    <th className="py-2 pr-4 font-medium">Action</th>
+                    <th className="py-2 pr-4 font-medium">Details</th>
+                    <th className="py-2 pr-4 font-medium">User</th>
+                    <th className="py-2 font-medium">IP</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => (
+                    <tr key={entry.id} className="border-b border-border/50 last:border-0">
+                      <td className="py-2.5 pr-4 text-text-muted whitespace-nowrap">{formatDateTime(entry.created_at)}</td>
+                      <td className="py-2.5 pr-4 text-text whitespace-nowrap">{ACTION_LABELS[entry.action] || entry.action}</td>
+                      <td className="py-2.5 pr-4 text-text-muted">{describeMetadata(entry)}</td>
+                      <td className="py-2.5 pr-4 text-text whitespace-nowrap">
+                        {entry.user?.name || entry.user?.email || 'System'}
+                        {entry.metadata?.api_key_id && <span className="text-xs text-text-muted"> (API key)</span>}
+                      </td>
+                      <td className="py-2.5 text-text-muted font-mono text-xs">{entry.ip_address || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Pagination */}
+            <div className="flex items-center justify-between mt-4 pt-4 border-t border-border">
+              <p className="text-xs text-text-muted">
+                {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total.toLocaleString()}
+              </p>
+              <div className="flex gap-2">
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+                  disabled={offset === 0}
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                  Previous
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => setOffset(offset + PAGE_SIZE)}
+                  disabled={offset + PAGE_SIZE >= total}
+                >
+                  Next
+                  <ChevronRight className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          </>
+        )}
+      </Card>
+    </Layout>
+  );
+}
@@ -22,6 +22,7 @@ import {
   Check,
   Loader2,
   AlertTriangle,
+  RefreshCw,
 } from 'lucide-react';
 import { useModel } from '../context/ModelContext';
 import { Layout } from '../components/layout/Layout';
@@ -501,6 +502,16 @@ function RequestDetail({ request, onClose, onRefresh }) {
     }
   };
 
+  const handleRegenerateLink = async () => {
+    if (!confirm('Generate a new upload link? The current link will stop working immediately.')) return;
+    try {
+      const data = await api.regeneratePortalToken(request.model_id);
+      setPortalUrl(`${window.location.origin}/portal/${data.portal_token}`);
+    } catch (err) {
+      alert(err.message || 'Failed to regenerate link');
+    }
+  };
+
   const handleReview = async (uploadId, action) => {
     setReviewingId(uploadId);
     try {
@@ -644,13 +655,22 @@ function RequestDetail({ request, onClose, onRefresh }) {
             <div className="mb-6 p-3 bg-surface rounded-lg border border-border">
               <div className="flex items-center justify-between mb-1">
                 <span className="text-xs font-medium text-text-muted">Upload link for model</span>
-                <button
-                  onClick={handleCopyLink}
-                  className="flex items-center gap-1 text-xs text-primary hover:text-primary-hover"
-                >
-                  <Copy className="h-3 w-3" />
-                  {copied ? 'Copied!' : 'Copy link'}
-                </button>
+                <div className="flex items-center gap-3">
+                  <button
+                    onClick={handleRegenerateLink}
+                    className="flex items-center gap-1 text-xs text-text-muted hover:text-text"
+                  >
+                    <RefreshCw className="h-3 w-3" />
+                    Regenerate
+                  </button>
+                  <button
+                    onClick={handleCopyLink}
+                    className="flex items-center gap-1 text-xs text-primary hover:text-primary-hover"
+                  >
+                    <Copy className="h-3 w-3" />
+                    {copied ? 'Copied!' : 'Copy link'}
+                  </button>
+                </div>
               </div>
               <p className="text-xs text-text-muted font-mono truncate">{portalUrl}</p>
             </div>
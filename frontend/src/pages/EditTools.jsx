@@ -28,6 +28,8 @@ import { Layout, PageHeader, Card } from '../components/layout/Layout';
 import { Button } from '../components/common/Button';
 import { Textarea } from '../components/common/Input';
 import { MaskCanvas } from '../components/common/MaskCanvas';
+import { BackgroundJobs } from '../components/common/BackgroundJobs';
+import { useGenerationJobs } from '../hooks/useGenerationJobs';
 import { LoadingSpinner } from '../components/common/LoadingSpinner';
 import { SendToMenu } from '../components/common/SendToMenu';
 import { ImagePicker } from '../components/common/ImagePicker';
@@ -591,7 +593,7 @@ function EmptyState({ tool }) {
 // TOOL WORKSPACE
 // ============================================================================
 
-function ToolWorkspace({ tool, onBack, initialImage }) {
+function ToolWorkspace({ tool, onBack, initialImage, trackJob }) {
   const { credits, refreshCredits } = useAuth();
   const { selectedModel: activeModel } = useModel();
   const maskCanvasRef = useRef(null);
@@ -652,19 +654,19 @@ function ToolWorkspace({ tool, onBack, initialImage }) {
     }, 1000);
 
     try {
-      let data;
+      let started;
 
       const agencyModelId = activeModel?.id || null;
 
       switch (tool.id) {
         case 'bg-remover': {
-          data = await api.removeBg({ image: images[0], model_id: agencyModelId });
+          started = await api.removeBg({ image: images[0], model_id: agencyModelId });
           break;
         }
 
         case 'eraser': {
           const maskData = maskCanvasRef.current.getMaskData();
-          data = await api.eraseObject({
+          started = await api.eraseObject({
             image: `data:image/png;base64,${maskData.image}`,
             mask: `data:image/png;base64,${maskData.mask}`,
             model_id: agencyModelId,
@@ -673,7 +675,7 @@ function ToolWorkspace({ tool, onBack, initialImage }) {
         }
 
         case 'qwen-edit': {
-          data = await api.qwenEdit({
+          started = await api.qwenEdit({
             images,
             prompt: prompt.trim(),
             model_id: agencyModelId,
@@ -683,7 +685,7 @@ function ToolWorkspace({ tool, onBack, initialImage }) {
 
         case 'inpaint': {
           const maskData = maskCanvasRef.current.getMaskData();
-          data = await api.inpaint({
+          started = await api.inpaint({
             image: maskData.image,
             mask: maskData.mask,
             prompt: prompt.trim(),
@@ -696,7 +698,10 @@ function ToolWorkspace({ tool, onBack, initialImage }) {
         }
       }
 
-      // Extract images from response
+      // The server answers right away; wait for the background job
+      const data = await trackJob(started);
+
+      // Extract images from the job result
       // bg-remover, eraser, inpaint return { image: url } (singular)
       // qwen-edit returns { images: [...] } (plural)
       const resultImages = data?.images || (data?.image ? [data.image] : []);
@@ -934,6 +939,12 @@ export function EditToolsPage() {
   const navigate = useNavigate();
   const [activeTool, setActiveTool] = useState(null);
   const [initialImage, setInitialImage] = useState(null);
+  const { refreshCredits } = useAuth();
+
+  // Edits started before navigating away keep running; list them here
+  const { backgroundJobs, trackJob, dismissJob } = useGenerationJobs('edit', {
+    onJobDone: () => refreshCredits(),
+  });
 
   // Handle incoming image from SendToMenu via location.state
   useEffect(() => {
@@ -953,6 +964,8 @@ export function EditToolsPage() {
 
   return (
     <Layout>
+      <BackgroundJobs jobs={backgroundJobs} onDismiss={dismissJob} className="mb-6" />
+
       {!activeTool ? (
         <>
           <PageHeader
@@ -966,6 +979,7 @@ export function EditToolsPage() {
           tool={activeTool}
           onBack={() => { setActiveTool(null); setInitialImage(null); }}
           initialImage={initialImage}
+          trackJob={trackJob}
         />
       )}
     </Layout>
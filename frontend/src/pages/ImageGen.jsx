@@ -8,8 +8,10 @@ import { Image, Loader2, Download, Zap, Trash2, RefreshCw, ChevronDown, Sparkles
 import { Layout, PageHeader, Card } from '../components/layout/Layout';
 import { Button } from '../components/common/Button';
 import { SendToMenu } from '../components/common/SendToMenu';
+import { BackgroundJobs } from '../components/common/BackgroundJobs';
 import { useAuth } from '../context/AuthContext';
 import { useModel } from '../context/ModelContext';
+import { useGenerationJobs } from '../hooks/useGenerationJobs';
 
 const MODELS = [
   { id: 'seedream', name: 'Seedream 4.5', credits: 10 },
@@ -154,6 +156,14 @@ export function ImageGenPage() {
     fetchGallery();
   }, [fetchGallery]);
 
+  // Jobs started before navigating away land in the gallery when they finish
+  const { backgroundJobs, trackJob, dismissJob } = useGenerationJobs('image', {
+    onJobDone: (job) => {
+      if (job.status === 'completed') fetchGallery();
+      refreshCredits();
+    },
+  });
+
   // Track loading time
   useEffect(() => {
     if (!loading) {
@@ -201,6 +211,9 @@ export function ImageGenPage() {
       const data = await response.json();
       if (!response.ok) throw new Error(data.error || 'Generation failed');
 
+      // The server answers right away; wait for the background job
+      await trackJob(data);
+
       await fetchGallery();
       refreshCredits();
 
@@ -350,6 +363,8 @@ export function ImageGenPage() {
 
         {/* Right: Results */}
         <div className="lg:col-span-2 space-y-4">
+          <BackgroundJobs jobs={backgroundJobs} onDismiss={dismissJob} />
+
           {/* Loading */}
           {loading && (
             <Card className="card-premium text-center py-12 animate-pulse-slow">
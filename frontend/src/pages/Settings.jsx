@@ -11,12 +11,14 @@ import {
   Video,
   Wand2,
   MessageSquare,
-  Zap,
   Info,
 } from 'lucide-react';
 import { Layout, PageHeader, Card } from '../components/layout/Layout';
 import { Button } from '../components/common/Button';
 import { Input } from '../components/common/Input';
+import ApiKeysPanel from '../components/settings/ApiKeysPanel';
+import WebhooksPanel from '../components/settings/WebhooksPanel';
+import BillingPanel from '../components/settings/BillingPanel';
 import { useAgency } from '../context/AgencyContext';
 import { api } from '../services/api';
 
@@ -180,21 +182,14 @@ export function SettingsPage() {
           </div>
         </Card>
 
-        {/* Plan Info */}
-        {agency?.plan && (
-          <Card>
-            <h3 className="font-semibold text-text mb-4">Current Plan</h3>
-            <div className="flex items-center justify-between p-4 rounded-lg bg-surface-elevated">
-              <div>
-                <p className="font-medium text-text">{agency.plan.name}</p>
-                <p className="text-sm text-text-muted">
-                  {agency.plan.max_users} users, {agency.plan.monthly_credits?.toLocaleString()} credits/month
-                </p>
-              </div>
-              <Zap className="h-6 w-6 text-primary" />
-            </div>
-          </Card>
-        )}
+        {/* API Keys */}
+        <ApiKeysPanel />
+
+        {/* Outbound Webhooks */}
+        <WebhooksPanel />
+
+        {/* Plan & Billing */}
+        <BillingPanel />
 
         {error && (
           <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/20 text-red-500 text-sm">
@@ -1,15 +1,40 @@
 /**
  * Usage Statistics Page (Admin only)
- * Credit usage analytics for the current billing cycle
+ * Credit usage analytics for the current billing cycle, driven by the
+ * credit ledger
  */
 
-import { useState, useEffect } from 'react';
-import { BarChart3, Zap, TrendingUp, Users } from 'lucide-react';
+import { useState, useEffect, useCallback } from 'react';
+import { BarChart3, Zap, TrendingUp, Users, History, Receipt, ChevronLeft, ChevronRight, AlertTriangle } from 'lucide-react';
 import { Layout, PageHeader, Card } from '../components/layout/Layout';
+import { Button } from '../components/common/Button';
+import { Input } from '../components/common/Input';
 import { LoadingSpinner } from '../components/common/LoadingSpinner';
 import { useAuth } from '../context/AuthContext';
 import { api } from '../services/api';
 
+const TRANSACTIONS_PAGE_SIZE = 25;
+
+const TRANSACTION_LABELS = {
+  hold: 'Hold',
+  capture: 'Charged',
+  release: 'Released',
+  refund: 'Refund',
+  adjustment: 'Adjustment',
+  purchase: 'Purchase',
+  subscription: 'Subscription',
+  cycle_reset: 'Cycle reset',
+};
+
+const TYPE_LABELS = {
+  image: 'Images',
+  video: 'Videos',
+  edit: 'Editing',
+  chat: 'Chat',
+  workflow: 'Workflows',
+  other: 'Other',
+};
+
 // ============================================================================
 // STAT CARD
 // ============================================================================
@@ -60,28 +85,295 @@ function UsageBar({ label, value, max, color = 'bg-primary' }) {
 }
 
 // ============================================================================
-// MAIN PAGE
+// PAST CYCLES
 // ============================================================================
 
-export function UsagePage() {
-  const { credits } = useAuth();
-  const [usage, setUsage] = useState(null);
+function formatDate(isoString) {
+  return new Date(isoString).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+}
+
+function CycleHistory({ cycles }) {
+  return (
+    <Card className="mt-6">
+      <div className="flex items-center gap-2 mb-4">
+        <History className="h-5 w-5 text-text-muted" />
+        <h3 className="font-semibold text-text">Past Billing Cycles</h3>
+      </div>
+      {cycles.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-text-muted border-b border-border">
+                <th className="py-2 pr-4 font-medium">Cycle</th>
+                <th className="py-2 pr-4 font-medium text-right">Used</th>
+                <th className="py-2 pr-4 font-medium text-right">Left at close</th>
+                <th className="py-2 pr-4 font-medium text-right">Rolled over</th>
+                <th className="py-2 font-medium text-right">Next cycle pool</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cycles.map((cycle) => (
+                <tr key={cycle.id} className="border-b border-border/50 last:border-0">
+                  <td className="py-2.5 pr-4 text-text whitespace-nowrap">
+                    {formatDate(cycle.cycle_start)} – {formatDate(cycle.cycle_end)}
+                  </td>
+                  <td className="py-2.5 pr-4 text-text text-right">{cycle.credits_used.toLocaleString()}</td>
+                  <td className="py-2.5 pr-4 text-text-muted text-right">{cycle.closing_pool.toLocaleString()}</td>
+                  <td className="py-2.5 pr-4 text-text-muted text-right">{cycle.credits_rolled_over.toLocaleString()}</td>
+                  <td className="py-2.5 text-text-muted text-right">{cycle.opening_pool.toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-text-muted text-sm py-4 text-center">No completed cycles yet</p>
+      )}
+    </Card>
+  );
+}
+
+// ============================================================================
+// TRANSACTIONS
+// ============================================================================
+
+function formatDateTime(isoString) {
+  return new Date(isoString).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+function formatPoolChange(change) {
+  if (change === 0) return '—';
+  return change > 0 ? `+${change.toLocaleString()}` : change.toLocaleString();
+}
+
+function TransactionsTable({ refreshKey }) {
+  const [transactions, setTransactions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [type, setType] = useState('');
+  const [offset, setOffset] = useState(0);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    async function fetchUsage() {
+    let cancelled = false;
+    async function fetchTransactions() {
+      setLoading(true);
       try {
-        const data = await api.getUsage();
-        setUsage(data);
+        const params = { limit: TRANSACTIONS_PAGE_SIZE, offset };
+        if (type) params.type = type;
+        const data = await api.getCreditTransactions(params);
+        if (!cancelled) {
+          setTransactions(data.transactions || []);
+          setTotal(data.total || 0);
+        }
       } catch (err) {
-        console.error('Failed to fetch usage:', err);
+        console.error('Failed to fetch credit transactions:', err);
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     }
-    fetchUsage();
+    fetchTransactions();
+    return () => {
+      cancelled = true;
+    };
+  }, [type, offset, refreshKey]);
+
+  return (
+    <Card className="mt-6">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <div className="flex items-center gap-2">
+          <Receipt className="h-5 w-5 text-text-muted" />
+          <h3 className="font-semibold text-text">Credit Transactions</h3>
+        </div>
+        <select
+          value={type}
+          onChange={(e) => {
+            setType(e.target.value);
+            setOffset(0);
+          }}
+          className="bg-surface-elevated border border-border rounded-lg px-3 py-2 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary"
+        >
+          <option value="">All types</option>
+          {Object.entries(TRANSACTION_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner label="Loading transactions..." showTimer={false} />
+      ) : transactions.length > 0 ? (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-text-muted border-b border-border">
+                  <th className="py-2 pr-4 font-medium">When</th>
+                  <th className="py-2 pr-4 font-medium">Type</th>
+                  <th className="py-2 pr-4 font-medium">Details</th>
+                  <th className="py-2 pr-4 font-medium">User</th>
+                  <th className="py-2 pr-4 font-medium text-right">Credits</th>
+                  <th className="py-2 font-medium text-right">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {transactions.map((tx) => (
+                  <tr key={tx.id} className="border-b border-border/50 last:border-0">
+                    <td className="py-2.5 pr-4 text-text-muted whitespace-nowrap">{formatDateTime(tx.created_at)}</td>
+                    <td className="py-2.5 pr-4 text-text whitespace-nowrap">{TRANSACTION_LABELS[tx.type] || tx.type}</td>
+                    <td className="py-2.5 pr-4 text-text-muted">{tx.reason || tx.operation || '—'}</td>
+                    <td className="py-2.5 pr-4 text-text-muted">{tx.user?.name || tx.user?.email || '—'}</td>
+                    <td className={`py-2.5 pr-4 text-right ${tx.pool_change > 0 ? 'text-green-500' : 'text-text'}`}>
+                      {tx.type === 'capture' ? tx.amount.toLocaleString() : formatPoolChange(tx.pool_change)}
+                    </td>
+                    <td className="py-2.5 text-text-muted text-right">{tx.balance_after.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          <div className="flex items-center justify-between mt-4 pt-4 border-t border-border">
+            <p className="text-xs text-text-muted">
+              {offset + 1}–{Math.min(offset + TRANSACTIONS_PAGE_SIZE, total)} of {total.toLocaleString()}
+            </p>
+            <div className="flex gap-2">
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => setOffset(Math.max(offset - TRANSACTIONS_PAGE_SIZE, 0))}
+                disabled={offset === 0}
+              >
+                <ChevronLeft className="h-4 w-4" />
+                Previous
+              </Button>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => setOffset(offset + TRANSACTIONS_PAGE_SIZE)}
+                disabled={offset + TRANSACTIONS_PAGE_SIZE >= total}
+              >
+                Next
+                <ChevronRight className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+        </>
+      ) : (
+        <p className="text-text-muted text-sm py-4 text-center">No transactions yet</p>
+      )}
+    </Card>
+  );
+}
+
+// ============================================================================
+// MANUAL ADJUSTMENT (admin)
+// ============================================================================
+
+function AdjustCreditsForm({ onAdjusted }) {
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const parsedAmount = parseInt(amount, 10);
+  const canSubmit = Number.isInteger(parsedAmount) && parsedAmount !== 0 && reason.trim().length > 0;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    setSaving(true);
+    setError(null);
+    try {
+      await api.adjustCredits(parsedAmount, reason.trim());
+      setAmount('');
+      setReason('');
+      onAdjusted();
+    } catch (err) {
+      setError(err.message || 'Failed to adjust credits');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="mt-6">
+      <h3 className="font-semibold text-text mb-1">Adjust Credits</h3>
+      <p className="text-sm text-text-muted mb-4">
+        Add credits with a positive amount or remove them with a negative one. The reason is kept in the ledger.
+      </p>
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-[10rem_1fr_auto] gap-3 items-end">
+        <Input
+          label="Amount"
+          type="number"
+          step="1"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          placeholder="e.g. 500"
+        />
+        <Input
+          label="Reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="e.g. Compensation for failed renders"
+          maxLength={500}
+        />
+        <Button type="submit" loading={saving} disabled={!canSubmit}>
+          Apply
+        </Button>
+      </form>
+      {error && <p className="text-sm text-red-500 mt-3">{error}</p>}
+    </Card>
+  );
+}
+
+// ============================================================================
+// MAIN PAGE
+// ============================================================================
+
+export function UsagePage() {
+  const { isAdmin, refreshCredits } = useAuth();
+  const [usage, setUsage] = useState(null);
+  const [cycles, setCycles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const fetchUsage = useCallback(async () => {
+    try {
+      const [data, history] = await Promise.all([
+        api.getUsage(),
+        // History is secondary; don't lose the current cycle if it fails
+        api.getUsageHistory().catch(() => ({ cycles: [] })),
+      ]);
+      setUsage(data);
+      setCycles(history.cycles || []);
+    } catch (err) {
+      console.error('Failed to fetch usage:', err);
+    } finally {
+      setLoading(false);
+    }
   }, []);
 
+  useEffect(() => {
+    fetchUsage();
+  }, [fetchUsage]);
+
+  const handleAdjusted = () => {
+    fetchUsage();
+    refreshCredits();
+    setRefreshKey((key) => key + 1);
+  };
+
   if (loading) {
     return (
       <Layout>
@@ -93,9 +385,13 @@ export function UsagePage() {
     );
   }
 
-  const totalUsed = credits?.agencyUsedThisCycle || 0;
-  const totalPool = credits?.agencyPool || 0;
+  const totalUsed = usage?.agency?.credits_used_this_cycle || 0;
+  const totalPool = usage?.agency?.credit_pool || 0;
   const totalAvailable = totalUsed + totalPool;
+  const totals = usage?.usage?.totals || {};
+
+  const typeBreakdown = Object.entries(usage?.usage?.byType || {}).map(([type, credits]) => ({ type, credits }));
+  const maxTypeUsage = Math.max(...typeBreakdown.map((t) => t.credits || 0), 1);
 
   // Model usage breakdown from usage API
   // Backend returns usage.byModel as an object { modelName: credits }, convert to array
@@ -114,19 +410,33 @@ export function UsagePage() {
         description="Credit usage and analytics for the current billing cycle"
       />
 
+      {usage?.agency?.balanced === false && (
+        <Card className="mb-6 flex items-start gap-3 border-orange-500/30">
+          <AlertTriangle className="h-5 w-5 text-orange-500 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-text">
+            The credit pool ({totalPool.toLocaleString()}) doesn't match the ledger balance
+            ({usage.agency.ledger_balance?.toLocaleString()}). Contact support before adjusting credits.
+          </p>
+        </Card>
+      )}
+
       {/* Overview Stats */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
         <StatCard
           icon={Zap}
           label="Credits Used This Cycle"
           value={totalUsed.toLocaleString()}
+          subtext={totals.refunded > 0 ? `${totals.refunded.toLocaleString()} refunded` : undefined}
           color="primary"
         />
         <StatCard
           icon={TrendingUp}
           label="Credits Remaining"
           value={totalPool.toLocaleString()}
-          subtext={totalAvailable > 0 ? `${Math.round((totalUsed / totalAvailable) * 100)}% used` : undefined}
+          subtext={[
+            totalAvailable > 0 ? `${Math.round((totalUsed / totalAvailable) * 100)}% used` : null,
+            totals.held > 0 ? `${totals.held.toLocaleString()} on hold` : null,
+          ].filter(Boolean).join(' · ') || undefined}
           color="green"
         />
         <StatCard
@@ -137,6 +447,23 @@ export function UsagePage() {
         />
       </div>
 
+      {typeBreakdown.length > 0 && (
+        <Card className="mb-6">
+          <h3 className="font-semibold text-text mb-4">Usage by Type</h3>
+          <div className="space-y-3">
+            {typeBreakdown.map((item) => (
+              <UsageBar
+                key={item.type}
+                label={TYPE_LABELS[item.type] || item.type}
+                value={item.credits}
+                max={maxTypeUsage}
+                color="bg-green-500"
+              />
+            ))}
+          </div>
+        </Card>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Usage by Model */}
         <Card>
@@ -193,6 +520,12 @@ export function UsagePage() {
           </div>
         </Card>
       )}
+
+      {isAdmin && <AdjustCreditsForm onAdjusted={handleAdjusted} />}
+
+      <TransactionsTable refreshKey={refreshKey} />
+
+      <CycleHistory cycles={cycles} />
     </Layout>
   );
 }
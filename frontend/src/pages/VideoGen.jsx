@@ -20,8 +20,10 @@ import { Layout, PageHeader, Card } from '../components/layout/Layout';
 import { Button } from '../components/common/Button';
 import { Textarea } from '../components/common/Input';
 import { LoadingSpinner } from '../components/common/LoadingSpinner';
+import { BackgroundJobs } from '../components/common/BackgroundJobs';
 import { useAuth } from '../context/AuthContext';
 import { useModel } from '../context/ModelContext';
+import { useGenerationJobs } from '../hooks/useGenerationJobs';
 import { api } from '../services/api';
 
 // ============================================================================
@@ -141,6 +143,14 @@ export function VideoGenPage() {
     fetchGallery();
   }, [fetchGallery]);
 
+  // Jobs started before navigating away land in the gallery when they finish
+  const { backgroundJobs, trackJob, dismissJob } = useGenerationJobs('video', {
+    onJobDone: (job) => {
+      if (job.status === 'completed') fetchGallery();
+      refreshCredits();
+    },
+  });
+
   // Handle image upload
   const handleImageUpload = async (e) => {
     const file = e.target.files?.[0];
@@ -161,13 +171,13 @@ export function VideoGenPage() {
     setLoading(true);
 
     try {
-      let data;
+      let started;
 
       const agencyModelId = activeModel?.id || null;
 
       switch (modelId) {
         case 'kling':
-          data = await api.generateKling({
+          started = await api.generateKling({
             prompt,
             aspectRatio,
             duration,
@@ -177,7 +187,7 @@ export function VideoGenPage() {
           break;
 
         case 'wan':
-          data = await api.generateWan({
+          started = await api.generateWan({
             prompt,
             model_id: agencyModelId,
             ...(startImage && { image: startImage }),
@@ -185,7 +195,7 @@ export function VideoGenPage() {
           break;
 
         case 'veo':
-          data = await api.generateVeo({
+          started = await api.generateVeo({
             prompt,
             aspectRatio,
             duration,
@@ -196,6 +206,9 @@ export function VideoGenPage() {
           break;
       }
 
+      // The server answers right away; wait for the background job
+      await trackJob(started);
+
       // Refresh gallery to show new video
       await fetchGallery();
       refreshCredits();
@@ -391,6 +404,8 @@ export function VideoGenPage() {
             </Button>
           </Card>
 
+          <BackgroundJobs jobs={backgroundJobs} onDismiss={dismissJob} />
+
           {/* Loading */}
           {loading && (
             <Card>
@@ -18,6 +18,7 @@ import {
   MarkerType,
   Handle,
   Position,
+  useUpdateNodeInternals,
 } from '@xyflow/react';
 import '@xyflow/react/dist/style.css';
 import {
@@ -28,6 +29,10 @@ import {
   Image,
   Video,
   Wand2,
+  Paintbrush,
+  Eraser,
+  Sparkles,
+  Maximize2,
   MessageSquare,
   ShieldCheck,
   MousePointer2,
@@ -40,9 +45,19 @@ import {
   Trash2,
   ToggleLeft,
   ToggleRight,
+  Webhook,
+  Copy,
+  RefreshCw,
+  Split,
+  Repeat,
+  Layers,
+  History,
+  RotateCcw,
+  AlertTriangle,
+  CheckCircle2,
 } from 'lucide-react';
 import { Sidebar } from '../components/layout/Sidebar';
-import { api } from '../services/api';
+import { api, getWorkflowWebhookUrl } from '../services/api';
 import { useModel } from '../context/ModelContext';
 
 // =============================================
@@ -61,17 +76,31 @@ const NODE_ICONS = {
   generate_image: Image,
   generate_video: Video,
   edit_bg_remove: Wand2,
+  edit_inpaint: Paintbrush,
+  edit_erase: Eraser,
+  edit_qwen: Sparkles,
+  edit_upscale: Maximize2,
   ai_caption: MessageSquare,
   review: ShieldCheck,
+  condition: Split,
+  for_each: Repeat,
+  collect: Layers,
   pick: MousePointer2,
   save_to_gallery: FolderOpen,
   export: Upload,
 };
 
-function WorkflowNode({ data, selected }) {
+function WorkflowNode({ id, data, selected }) {
   const style = CATEGORY_STYLES[data.category] || CATEGORY_STYLES.generation;
   const Icon = NODE_ICONS[data.nodeType] || Image;
 
+  // Condition nodes gain/lose output handles as branches are edited
+  const updateNodeInternals = useUpdateNodeInternals();
+  const outputKey = (data.outputs || []).map((port) => port.name).join(',');
+  useEffect(() => {
+    updateNodeInternals(id);
+  }, [id, outputKey, updateNodeInternals]);
+
   return (
     <div className={`rounded-xl border-2 ${selected ? 'border-primary ring-2 ring-primary/30' : style.border} bg-surface shadow-lg min-w-[200px] transition-all`}>
       {/* Header */}
@@ -193,6 +222,7 @@ const TEMPLATE_VARIABLES = [
   { key: '{{model.lora_name}}', label: 'LoRA Name' },
   { key: '{{model.lora_strength}}', label: 'LoRA Strength' },
   { key: '{{model.lora_trigger}}', label: 'Trigger Word' },
+  { key: '{{payload.field}}', label: 'Webhook Field' },
 ];
 
 function VariableInsert({ onInsert }) {
@@ -229,6 +259,90 @@ function VariableInsert({ onInsert }) {
   );
 }
 
+// Values: 'anyone', 'role:admin' or 'user:<agency user id>'
+function ReviewerField({ value, onChange }) {
+  const [team, setTeam] = useState([]);
+
+  useEffect(() => {
+    api.getTeam()
+      .then((data) => setTeam((data.users || []).filter((u) => u.status === 'active')))
+      .catch((err) => console.error('Failed to load team:', err));
+  }, []);
+
+  return (
+    <div>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full bg-surface-elevated border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary"
+      >
+        <option value="anyone">Anyone on the team</option>
+        <option value="role:admin">Owners and admins</option>
+        {team.map((user) => (
+          <option key={user.id} value={`user:${user.id}`}>{user.name || user.email}</option>
+        ))}
+      </select>
+      {value !== 'anyone' && (
+        <p className="text-[10px] text-text-muted mt-1">Reviewers are emailed when the run reaches this node.</p>
+      )}
+    </div>
+  );
+}
+
+function BranchesField({ branches, onChange }) {
+  const updateBranch = (index, changes) => {
+    onChange(branches.map((b, i) => (i === index ? { ...b, ...changes } : b)));
+  };
+
+  return (
+    <div className="space-y-2">
+      {branches.map((branch, i) => (
+        <div key={i} className="bg-surface-elevated border border-border rounded-lg p-2 space-y-1.5">
+          <div className="flex items-center gap-1.5">
+            <input
+              type="text"
+              value={branch.label || ''}
+              onChange={(e) => updateBranch(i, { label: e.target.value })}
+              placeholder={`Branch ${i + 1}`}
+              className="flex-1 bg-surface border border-border rounded px-2 py-1 text-xs text-text focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+            <button
+              type="button"
+              onClick={() => onChange(branches.filter((_, j) => j !== i))}
+              disabled={branches.length === 1}
+              className="p-1 rounded text-text-muted hover:text-red-400 disabled:opacity-30"
+            >
+              <Trash2 className="h-3.5 w-3.5" />
+            </button>
+          </div>
+          <input
+            type="text"
+            value={branch.expression || ''}
+            onChange={(e) => updateBranch(i, { expression: e.target.value })}
+            placeholder="length(value) > 200"
+            className="w-full bg-surface border border-border rounded px-2 py-1 text-xs text-text font-mono focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+        </div>
+      ))}
+      {branches.length < 10 && (
+        <button
+          type="button"
+          onClick={() => onChange([...branches, { label: '', expression: '' }])}
+          className="flex items-center gap-1 text-xs text-primary hover:text-primary-hover"
+        >
+          <Plus className="h-3 w-3" />
+          Add branch
+        </button>
+      )}
+      <p className="text-[10px] text-text-muted leading-relaxed">
+        The first true branch runs; otherwise "Otherwise" does. Use <span className="font-mono">value</span>,{' '}
+        <span className="font-mono">model.*</span>, <span className="font-mono">payload.*</span>, e.g.{' '}
+        <span className="font-mono">count(value) == 0</span> or <span className="font-mono">model.of_handle is set</span>.
+      </p>
+    </div>
+  );
+}
+
 function ConfigPanel({ node, nodeTypeDefs, onUpdateConfig, onClose }) {
   if (!node) return null;
 
@@ -268,8 +382,11 @@ function ConfigPanel({ node, nodeTypeDefs, onUpdateConfig, onClose }) {
       </div>
 
       {/* Config fields */}
-      {Object.entries(schema).map(([key, fieldDef]) => (
+      {Object.entries(schema).map(([key, fieldDef], i, fields) => (
         <div key={key} className="mb-3">
+          {fieldDef.section && fieldDef.section !== fields[i - 1]?.[1].section && (
+            <p className="text-[10px] font-semibold text-text-muted uppercase tracking-wider mt-5 mb-2">{fieldDef.section}</p>
+          )}
           <div className="flex items-center justify-between mb-1">
             <label className="text-xs font-medium text-text-muted">{fieldDef.label}</label>
             {fieldDef.supportsVariables && (
@@ -306,10 +423,46 @@ function ConfigPanel({ node, nodeTypeDefs, onUpdateConfig, onClose }) {
               onChange={(e) => handleChange(key, parseFloat(e.target.value) || 0)}
               min={fieldDef.min}
               max={fieldDef.max}
+              step={fieldDef.step}
               className="w-full bg-surface-elevated border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary"
             />
           )}
 
+          {fieldDef.type === 'reviewer' && (
+            <ReviewerField
+              value={config[key] ?? fieldDef.default ?? 'anyone'}
+              onChange={(value) => handleChange(key, value)}
+            />
+          )}
+
+          {fieldDef.type === 'branches' && (
+            <BranchesField
+              branches={config[key] ?? fieldDef.default ?? []}
+              onChange={(value) => handleChange(key, value)}
+            />
+          )}
+
+          {fieldDef.type === 'multiselect' && (
+            <div className="flex flex-wrap gap-x-3 gap-y-1">
+              {fieldDef.options.map((opt) => {
+                const selected = config[key] ?? fieldDef.default ?? [];
+                return (
+                  <label key={opt} className="flex items-center gap-1.5 text-sm text-text">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(opt)}
+                      onChange={(e) => handleChange(key, e.target.checked
+                        ? [...selected, opt]
+                        : selected.filter((v) => v !== opt))}
+                      className="rounded border-border"
+                    />
+                    {opt}
+                  </label>
+                );
+              })}
+            </div>
+          )}
+
           {fieldDef.type === 'tags' && (
             <input
               type="text"
@@ -330,7 +483,7 @@ function ConfigPanel({ node, nodeTypeDefs, onUpdateConfig, onClose }) {
 }
 
 // =============================================
-// Trigger Panel (Schedule modal)
+// Trigger Panel (Schedule / Webhook modal)
 // =============================================
 
 const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
@@ -351,7 +504,7 @@ const COMMON_TIMEZONES = [
   'UTC',
 ];
 
-function formatNextTrigger(isoString) {
+function formatNextTrigger(isoString, timeZone) {
   if (!isoString) return 'Not scheduled';
   const d = new Date(isoString);
   if (isNaN(d.getTime())) return 'Invalid date';
@@ -361,23 +514,105 @@ function formatNextTrigger(isoString) {
     day: 'numeric',
     hour: '2-digit',
     minute: '2-digit',
+    timeZone,
   });
 }
 
+const FREQUENCY_LABELS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  specific_days: 'Specific Days',
+  interval: 'Every N Hours',
+  cron: 'Cron Expression',
+  once: 'Once',
+};
+
+// What happens to runs missed while the scheduler was down
+const MISFIRE_LABELS = {
+  run_once: 'Run once to catch up',
+  run_all: 'Run every missed time',
+  skip: 'Skip missed runs',
+};
+
+function describeSchedule(config) {
+  if (!config) return 'Schedule';
+  const times = (config.times || [config.time]).filter(Boolean).join(', ');
+  switch (config.frequency) {
+    case 'interval':
+      return `Every ${config.interval_hours}h from ${config.time || '00:00'}`;
+    case 'cron':
+      return `Cron: ${config.cron}`;
+    case 'once':
+      return `Once on ${config.run_at?.replace('T', ' at ')}`;
+    default:
+      return `${FREQUENCY_LABELS[config.frequency] || 'Schedule'} at ${times || '??:??'}`;
+  }
+}
+
 function TriggerPanel({ workflowId, onClose }) {
   const [triggers, setTriggers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [creating, setCreating] = useState(false);
   const [saving, setSaving] = useState(null); // triggerId being saved
 
+  const [copiedId, setCopiedId] = useState(null);
+
   // New trigger form state
   const [showForm, setShowForm] = useState(false);
+  const [triggerType, setTriggerType] = useState('scheduled');
   const [frequency, setFrequency] = useState('daily');
   const [days, setDays] = useState([1, 3, 5]); // Mon, Wed, Fri
-  const [time, setTime] = useState('10:00');
+  const [times, setTimes] = useState(['10:00']);
+  const [intervalHours, setIntervalHours] = useState(4);
+  const [intervalStart, setIntervalStart] = useState('08:00');
+  const [cron, setCron] = useState('0 9,13,18 * * 1-5');
+  const [runAt, setRunAt] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
   const [timezone, setTimezone] = useState(
     Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
   );
+  const [misfirePolicy, setMisfirePolicy] = useState('run_once');
+  const [misfireLimit, setMisfireLimit] = useState(10);
+  const [preview, setPreview] = useState({ times: [], error: null });
+
+  const scheduleConfig = useMemo(() => {
+    const config = { frequency, timezone };
+    if (frequency === 'once') {
+      config.run_at = runAt;
+      return config;
+    }
+    if (frequency === 'cron') {
+      config.cron = cron;
+    } else if (frequency === 'interval') {
+      config.interval_hours = Number(intervalHours);
+      config.time = intervalStart;
+      // No days selected means every day
+      if (days.length > 0 && days.length < 7) config.days = [...days].sort((a, b) => a - b);
+    } else {
+      config.times = [...new Set(times)].sort();
+      if (frequency === 'weekly' || frequency === 'specific_days') {
+        config.days = [...days].sort((a, b) => a - b);
+      }
+    }
+    if (startDate) config.start_date = startDate;
+    if (endDate) config.end_date = endDate;
+    return config;
+  }, [frequency, timezone, runAt, cron, intervalHours, intervalStart, days, times, startDate, endDate]);
+
+  // Preview the next fire times as the schedule is edited
+  useEffect(() => {
+    if (!showForm || triggerType !== 'scheduled') return;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await api.previewWorkflowTrigger(scheduleConfig);
+        setPreview({ times: data.times || [], error: null });
+      } catch (err) {
+        setPreview({ times: [], error: err.message || 'Invalid schedule' });
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [showForm, triggerType, scheduleConfig]);
 
   const fetchTriggers = useCallback(async () => {
     try {
@@ -397,18 +632,21 @@ function TriggerPanel({ workflowId, onClose }) {
   const handleCreate = async () => {
     setCreating(true);
     try {
-      const schedule_config = {
-        frequency,
-        time,
-        timezone,
-      };
-      if (frequency === 'weekly' || frequency === 'specific_days') {
-        schedule_config.days = [...days].sort((a, b) => a - b);
+      if (triggerType === 'webhook') {
+        await api.createWorkflowTrigger(workflowId, {
+          trigger_type: 'webhook',
+          enabled: true,
+        });
+        setShowForm(false);
+        await fetchTriggers();
+        return;
       }
 
       await api.createWorkflowTrigger(workflowId, {
         trigger_type: 'scheduled',
-        schedule_config,
+        schedule_config: scheduleConfig,
+        misfire_policy: misfirePolicy,
+        ...(misfirePolicy === 'run_all' && { misfire_limit: Number(misfireLimit) }),
         enabled: true,
       });
 
@@ -435,8 +673,31 @@ function TriggerPanel({ workflowId, onClose }) {
     }
   };
 
+  const handleCopyUrl = async (trigger) => {
+    try {
+      await navigator.clipboard.writeText(getWorkflowWebhookUrl(trigger.webhook_token));
+      setCopiedId(trigger.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  const handleRegenerate = async (trigger) => {
+    if (!confirm('Generate a new webhook URL? The current URL will stop working.')) return;
+    setSaving(trigger.id);
+    try {
+      await api.updateWorkflowTrigger(trigger.id, { regenerate_token: true });
+      await fetchTriggers();
+    } catch (err) {
+      alert(err.message || 'Failed to regenerate webhook URL');
+    } finally {
+      setSaving(null);
+    }
+  };
+
   const handleDelete = async (trigger) => {
-    if (!confirm('Delete this scheduled trigger?')) return;
+    if (!confirm(`Delete this ${trigger.trigger_type === 'webhook' ? 'webhook' : 'scheduled'} trigger?`)) return;
     try {
       await api.deleteWorkflowTrigger(trigger.id);
       await fetchTriggers();
@@ -451,13 +712,17 @@ function TriggerPanel({ workflowId, onClose }) {
     );
   };
 
+  const updateTime = (index, value) => {
+    setTimes((prev) => prev.map((t, i) => (i === index ? value : t)));
+  };
+
   return (
     <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4">
       <div className="bg-surface border border-border rounded-xl max-w-lg w-full p-6 max-h-[80vh] overflow-y-auto">
         <div className="flex items-center justify-between mb-5">
           <div className="flex items-center gap-2">
             <Clock className="h-5 w-5 text-primary" />
-            <h2 className="text-lg font-semibold text-text">Scheduled Triggers</h2>
+            <h2 className="text-lg font-semibold text-text">Triggers</h2>
           </div>
           <button onClick={onClose} className="p-1 rounded text-text-muted hover:text-text">
             <X className="h-5 w-5" />
@@ -473,7 +738,7 @@ function TriggerPanel({ workflowId, onClose }) {
           <div className="text-center py-8">
             <Clock className="h-10 w-10 text-text-muted mx-auto mb-3" />
             <p className="text-sm text-text-muted mb-4">
-              No scheduled triggers yet. Add one to automatically run this workflow on a schedule.
+              No triggers yet. Add a schedule or a webhook to run this workflow automatically.
             </p>
           </div>
         ) : (
@@ -498,13 +763,16 @@ function TriggerPanel({ workflowId, onClose }) {
                         <ToggleLeft className="h-5 w-5" />
                       )}
                     </button>
-                    <span className={`text-sm font-medium ${trigger.enabled ? 'text-text' : 'text-text-muted'}`}>
-                      {trigger.schedule_config?.frequency === 'daily' && 'Daily'}
-                      {trigger.schedule_config?.frequency === 'weekly' && 'Weekly'}
-                      {trigger.schedule_config?.frequency === 'specific_days' && 'Specific Days'}
-                      {' at '}
-                      {trigger.schedule_config?.time || '??:??'}
-                    </span>
+                    {trigger.trigger_type === 'webhook' ? (
+                      <span className={`flex items-center gap-1.5 text-sm font-medium ${trigger.enabled ? 'text-text' : 'text-text-muted'}`}>
+                        <Webhook className="h-4 w-4" />
+                        Webhook
+                      </span>
+                    ) : (
+                      <span className={`text-sm font-medium ${trigger.enabled ? 'text-text' : 'text-text-muted'}`}>
+                        {describeSchedule(trigger.schedule_config)}
+                      </span>
+                    )}
                   </div>
                   <button
                     onClick={() => handleDelete(trigger)}
@@ -514,14 +782,53 @@ function TriggerPanel({ workflowId, onClose }) {
                   </button>
                 </div>
 
+                {trigger.trigger_type === 'webhook' ? (
+                  <div className="text-xs text-text-muted space-y-2 ml-7">
+                    <div className="flex items-center gap-1">
+                      <code className="flex-1 truncate bg-surface border border-border rounded px-2 py-1 font-mono text-[10px] text-text">
+                        {getWorkflowWebhookUrl(trigger.webhook_token)}
+                      </code>
+                      <button
+                        onClick={() => handleCopyUrl(trigger)}
+                        className="p-1 rounded text-text-muted hover:text-text transition-colors"
+                        title="Copy URL"
+                      >
+                        <Copy className="h-3.5 w-3.5" />
+                      </button>
+                      <button
+                        onClick={() => handleRegenerate(trigger)}
+                        disabled={saving === trigger.id}
+                        className="p-1 rounded text-text-muted hover:text-text transition-colors"
+                        title="Regenerate URL"
+                      >
+                        <RefreshCw className="h-3.5 w-3.5" />
+                      </button>
+                    </div>
+                    {copiedId === trigger.id && <p className="text-primary">Copied!</p>}
+                    <p>
+                      POST a JSON body to start a run. Fields are available as {'{{payload.field}}'} in node configs.
+                    </p>
+                    {trigger.last_triggered_at && (
+                      <p>Last run: {formatNextTrigger(trigger.last_triggered_at)}</p>
+                    )}
+                  </div>
+                ) : (
                 <div className="text-xs text-text-muted space-y-1 ml-7">
-                  {(trigger.schedule_config?.frequency === 'weekly' ||
-                    trigger.schedule_config?.frequency === 'specific_days') && (
+                  {trigger.schedule_config?.days?.length > 0 && (
                     <p>
-                      Days: {(trigger.schedule_config.days || []).map((d) => DAY_LABELS[d]).join(', ')}
+                      Days: {trigger.schedule_config.days.map((d) => DAY_LABELS[d]).join(', ')}
+                    </p>
+                  )}
+                  {(trigger.schedule_config?.start_date || trigger.schedule_config?.end_date) && (
+                    <p>
+                      Between {trigger.schedule_config.start_date || 'now'} and {trigger.schedule_config.end_date || 'no end date'}
                     </p>
                   )}
                   <p>Timezone: {trigger.schedule_config?.timezone || 'UTC'}</p>
+                  <p>
+                    Missed runs: {MISFIRE_LABELS[trigger.misfire_policy] || MISFIRE_LABELS.run_once}
+                    {trigger.misfire_policy === 'run_all' && ` (up to ${trigger.misfire_limit})`}
+                  </p>
                   <p>
                     Next run: {trigger.enabled ? formatNextTrigger(trigger.next_trigger_at) : 'Paused'}
                   </p>
@@ -529,6 +836,7 @@ function TriggerPanel({ workflowId, onClose }) {
                     <p>Last run: {formatNextTrigger(trigger.last_triggered_at)}</p>
                   )}
                 </div>
+                )}
               </div>
             ))}
           </div>
@@ -537,8 +845,27 @@ function TriggerPanel({ workflowId, onClose }) {
         {/* New trigger form */}
         {showForm ? (
           <div className="border border-border rounded-lg p-4 bg-surface-elevated">
-            <h3 className="text-sm font-semibold text-text mb-3">New Schedule</h3>
+            <h3 className="text-sm font-semibold text-text mb-3">New Trigger</h3>
 
+            {/* Trigger type */}
+            <div className="mb-3">
+              <label className="block text-xs font-medium text-text-muted mb-1">Type</label>
+              <select
+                value={triggerType}
+                onChange={(e) => setTriggerType(e.target.value)}
+                className="w-full bg-surface border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                <option value="scheduled">Schedule</option>
+                <option value="webhook">Webhook</option>
+              </select>
+            </div>
+
+            {triggerType === 'webhook' ? (
+              <p className="text-xs text-text-muted mb-4">
+                A unique URL will be generated. Any system that POSTs JSON to it starts a run of this workflow.
+              </p>
+            ) : (
+            <>
             {/* Frequency */}
             <div className="mb-3">
               <label className="block text-xs font-medium text-text-muted mb-1">Frequency</label>
@@ -547,16 +874,18 @@ function TriggerPanel({ workflowId, onClose }) {
                 onChange={(e) => setFrequency(e.target.value)}
                 className="w-full bg-surface border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary"
               >
-                <option value="daily">Daily</option>
-                <option value="weekly">Weekly</option>
-                <option value="specific_days">Specific Days</option>
+                {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
               </select>
             </div>
 
             {/* Day picker */}
-            {(frequency === 'weekly' || frequency === 'specific_days') && (
+            {['weekly', 'specific_days', 'interval'].includes(frequency) && (
               <div className="mb-3">
-                <label className="block text-xs font-medium text-text-muted mb-1">Days</label>
+                <label className="block text-xs font-medium text-text-muted mb-1">
+                  Days{frequency === 'interval' && ' (none selected = every day)'}
+                </label>
                 <div className="flex gap-1">
                   {DAY_LABELS.map((label, i) => (
                     <button
@@ -575,16 +904,115 @@ function TriggerPanel({ workflowId, onClose }) {
               </div>
             )}
 
-            {/* Time */}
-            <div className="mb-3">
-              <label className="block text-xs font-medium text-text-muted mb-1">Time</label>
-              <input
-                type="time"
-                value={time}
-                onChange={(e) => setTime(e.target.value)}
-                className="w-full bg-surface border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary"
-              />
-            </div>
+            {/* Times of day */}
+            {['daily', 'weekly', 'specific_days'].includes(frequency) && (
+              <div className="mb-3">
+                <label className="block text-xs font-medium text-text-muted mb-1">Times</label>
+                <div className="space-y-1.5">
+                  {times.map((t, i) => (
+                    <div key={i} className="flex items-center gap-1">
+                      <input
+                        type="time"
+                        value={t}
+                        onChange={(e) => updateTime(i, e.target.value)}
+                        className="flex-1 bg-surface border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary"
+                      />
+                      {times.length > 1 && (
+                        <button
+                          onClick={() => setTimes((prev) => prev.filter((_, j) => j !== i))}
+                          className="p-1 rounded text-text-muted hover:text-red-400 transition-colors"
+                        >
+                          <X className="h-3.5 w-3.5" />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  <button
+                    onClick={() => setTimes((prev) => [...prev, '12:00'])}
+                    className="text-xs text-primary hover:underline"
+                  >
+                    + Add time
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Interval */}
+            {frequency === 'interval' && (
+              <div className="mb-3 grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-xs font-medium text-text-muted mb-1">Every (hours)</label>
+                  <input
+                    type="number"
+                    min={1}
+                    max={24}
+                    value={intervalHours}
+                    onChange={(e) => setIntervalHours(e.target.value)}
+                    className="w-full bg-surface border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-text-muted mb-1">Starting at</label>
+                  <input
+                    type="time"
+                    value={intervalStart}
+                    onChange={(e) => setIntervalStart(e.target.value)}
+                    className="w-full bg-surface border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary"
+                  />
+                </div>
+              </div>
+            )}
+
+            {/* Cron */}
+            {frequency === 'cron' && (
+              <div className="mb-3">
+                <label className="block text-xs font-medium text-text-muted mb-1">Cron expression</label>
+                <input
+                  type="text"
+                  value={cron}
+                  onChange={(e) => setCron(e.target.value)}
+                  className="w-full bg-surface border border-border rounded-lg px-3 py-1.5 text-sm font-mono text-text focus:outline-none focus:ring-2 focus:ring-primary"
+                />
+                <p className="text-[10px] text-text-muted mt-1">minute hour day-of-month month day-of-week</p>
+              </div>
+            )}
+
+            {/* One-off date and time */}
+            {frequency === 'once' && (
+              <div className="mb-3">
+                <label className="block text-xs font-medium text-text-muted mb-1">Date and time</label>
+                <input
+                  type="datetime-local"
+                  value={runAt}
+                  onChange={(e) => setRunAt(e.target.value)}
+                  className="w-full bg-surface border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary"
+                />
+              </div>
+            )}
+
+            {/* Date range */}
+            {frequency !== 'once' && (
+              <div className="mb-3 grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-xs font-medium text-text-muted mb-1">Start date (optional)</label>
+                  <input
+                    type="date"
+                    value={startDate}
+                    onChange={(e) => setStartDate(e.target.value)}
+                    className="w-full bg-surface border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-text-muted mb-1">End date (optional)</label>
+                  <input
+                    type="date"
+                    value={endDate}
+                    onChange={(e) => setEndDate(e.target.value)}
+                    className="w-full bg-surface border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary"
+                  />
+                </div>
+              </div>
+            )}
 
             {/* Timezone */}
             <div className="mb-4">
@@ -600,6 +1028,55 @@ function TriggerPanel({ workflowId, onClose }) {
               </select>
             </div>
 
+            {/* Missed runs */}
+            <div className="mb-4">
+              <label className="block text-xs font-medium text-text-muted mb-1">If runs are missed</label>
+              <div className="flex gap-2">
+                <select
+                  value={misfirePolicy}
+                  onChange={(e) => setMisfirePolicy(e.target.value)}
+                  className="flex-1 bg-surface border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary"
+                >
+                  {Object.entries(MISFIRE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                {misfirePolicy === 'run_all' && (
+                  <input
+                    type="number"
+                    min={1}
+                    max={100}
+                    value={misfireLimit}
+                    onChange={(e) => setMisfireLimit(e.target.value)}
+                    title="Most missed runs to catch up on"
+                    className="w-20 bg-surface border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary"
+                  />
+                )}
+              </div>
+              <p className="text-[10px] text-text-muted mt-1">
+                Applies to run times that pass while the scheduler is offline
+                {misfirePolicy === 'run_all' && ', catching up on at most this many'}
+              </p>
+            </div>
+
+            {/* Next fire times */}
+            <div className="mb-4">
+              <label className="block text-xs font-medium text-text-muted mb-1">Next runs ({timezone.replace(/_/g, ' ')})</label>
+              {preview.error ? (
+                <p className="text-xs text-red-400">{preview.error}</p>
+              ) : preview.times.length === 0 ? (
+                <p className="text-xs text-text-muted">No upcoming runs</p>
+              ) : (
+                <ol className="text-xs text-text space-y-0.5">
+                  {preview.times.map((t) => (
+                    <li key={t}>{formatNextTrigger(t, timezone)}</li>
+                  ))}
+                </ol>
+              )}
+            </div>
+            </>
+            )}
+
             <div className="flex gap-2">
               <button
                 onClick={() => setShowForm(false)}
@@ -611,11 +1088,11 @@ function TriggerPanel({ workflowId, onClose }) {
                 onClick={handleCreate}
                 disabled={
                   creating ||
-                  ((frequency === 'weekly' || frequency === 'specific_days') && days.length === 0)
+                  (triggerType === 'scheduled' && (!!preview.error || preview.times.length === 0))
                 }
                 className="flex-1 px-3 py-2 bg-primary text-white rounded-lg text-sm hover:bg-primary-hover disabled:opacity-50 transition-colors"
               >
-                {creating ? 'Creating...' : 'Create Schedule'}
+                {creating ? 'Creating...' : triggerType === 'webhook' ? 'Create Webhook' : 'Create Schedule'}
               </button>
             </div>
           </div>
@@ -625,7 +1102,7 @@ function TriggerPanel({ workflowId, onClose }) {
             className="w-full flex items-center justify-center gap-2 px-4 py-2.5 border border-dashed border-border rounded-lg text-sm text-text-muted hover:text-text hover:border-primary/50 transition-colors"
           >
             <Plus className="h-4 w-4" />
-            Add Schedule
+            Add Trigger
           </button>
         )}
       </div>
@@ -633,6 +1110,351 @@ function TriggerPanel({ workflowId, onClose }) {
   );
 }
 
+// =============================================
+// History Panel (version list, diff, restore)
+// =============================================
+
+function formatDiffValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+}
+
+function formatEdge(edge) {
+  return `${edge.source_label || 'Removed node'}.${edge.source_port} → ${edge.target_label || 'Removed node'}.${edge.target_port}`;
+}
+
+function VersionDiff({ diff }) {
+  const { nodes, edges } = diff;
+  const empty = nodes.added.length + nodes.removed.length + nodes.changed.length
+    + edges.added.length + edges.removed.length === 0;
+
+  if (empty) {
+    return <p className="text-xs text-text-muted">No changes.</p>;
+  }
+
+  return (
+    <div className="space-y-1 text-xs">
+      {nodes.added.map((n) => (
+        <p key={`add-${n.id}`} className="text-green-400">+ {n.label} <span className="text-text-muted">({n.node_type})</span></p>
+      ))}
+      {nodes.removed.map((n) => (
+        <p key={`rm-${n.id}`} className="text-red-400">− {n.label} <span className="text-text-muted">({n.node_type})</span></p>
+      ))}
+      {nodes.changed.map((n) => (
+        <div key={`chg-${n.id}`}>
+          <p className="text-yellow-400">~ {n.label}</p>
+          {n.changes.map((c) => (
+            <p key={c.field} className="pl-4 text-text-muted">
+              {c.field.replace(/^config\./, '')}: {formatDiffValue(c.from)} → {formatDiffValue(c.to)}
+            </p>
+          ))}
+        </div>
+      ))}
+      {edges.added.map((e) => (
+        <p key={`edge-add-${formatEdge(e)}`} className="text-green-400">+ {formatEdge(e)}</p>
+      ))}
+      {edges.removed.map((e) => (
+        <p key={`edge-rm-${formatEdge(e)}`} className="text-red-400">− {formatEdge(e)}</p>
+      ))}
+    </div>
+  );
+}
+
+function HistoryPanel({ workflowId, dirty, onRestored, onClose }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null); // version number
+  const [compareTo, setCompareTo] = useState('previous'); // 'previous' | 'latest'
+  const [diff, setDiff] = useState(null);
+  const [diffError, setDiffError] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const latest = versions[0]?.version;
+  // The current version can only be compared to the one before it
+  const compareMode = selected === latest ? 'previous' : compareTo;
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const data = await api.getWorkflowVersions(workflowId);
+        setVersions(data.versions || []);
+      } catch (err) {
+        console.error('Failed to fetch versions:', err);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, [workflowId]);
+
+  useEffect(() => {
+    if (!selected) return;
+    setDiff(null);
+    setDiffError(null);
+
+    const [from, to] = compareMode === 'latest' ? [selected, latest] : [selected - 1, selected];
+    if (from < 1) return;
+
+    api.diffWorkflowVersions(workflowId, from, to)
+      .then((data) => setDiff(data.diff))
+      .catch((err) => setDiffError(err.message || 'Failed to load changes'));
+  }, [workflowId, selected, compareMode, latest]);
+
+  const handleRestore = async (version) => {
+    const warning = dirty ? ' Your unsaved changes will be lost.' : '';
+    if (!confirm(`Restore version ${version}? It will be saved as a new version.${warning}`)) return;
+
+    setRestoring(true);
+    try {
+      const graph = await api.restoreWorkflowVersion(workflowId, version);
+      onRestored(graph);
+    } catch (err) {
+      alert(err.message || 'Failed to restore version');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4">
+      <div className="bg-surface border border-border rounded-xl max-w-lg w-full p-6 max-h-[80vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-5">
+          <div className="flex items-center gap-2">
+            <History className="h-5 w-5 text-primary" />
+            <h2 className="text-lg font-semibold text-text">Version History</h2>
+          </div>
+          <button onClick={onClose} className="p-1 rounded text-text-muted hover:text-text">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary" />
+          </div>
+        ) : versions.length === 0 ? (
+          <div className="text-center py-8">
+            <History className="h-10 w-10 text-text-muted mx-auto mb-3" />
+            <p className="text-sm text-text-muted">No versions yet. Each save creates one.</p>
+          </div>
+        ) : (
+          <div className="space-y-2">
+            {versions.map((v) => (
+              <div
+                key={v.id}
+                className={`border rounded-lg p-3 ${
+                  selected === v.version ? 'border-primary/40 bg-primary/5' : 'border-border bg-surface-elevated'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <button
+                    onClick={() => setSelected(selected === v.version ? null : v.version)}
+                    className="flex-1 text-left"
+                  >
+                    <p className="text-sm font-medium text-text">
+                      Version {v.version}
+                      {v.version === latest && <span className="ml-2 text-[10px] text-primary">Current</span>}
+                    </p>
+                    <p className="text-[10px] text-text-muted">
+                      {formatNextTrigger(v.created_at)} · {v.node_count} nodes, {v.edge_count} connections
+                      {v.restored_from && ` · restored from v${v.restored_from}`}
+                    </p>
+                  </button>
+                  {v.version !== latest && (
+                    <button
+                      onClick={() => handleRestore(v.version)}
+                      disabled={restoring}
+                      className="flex items-center gap-1 px-2 py-1 border border-border rounded text-xs text-text-muted hover:text-text hover:bg-surface disabled:opacity-50 transition-colors"
+                    >
+                      <RotateCcw className="h-3 w-3" />
+                      Restore
+                    </button>
+                  )}
+                </div>
+
+                {selected === v.version && (
+                  <div className="mt-3 pt-3 border-t border-border">
+                    {v.version !== latest && (
+                      <div className="flex gap-1 mb-2">
+                        {[['previous', 'Changes in this version'], ['latest', 'Compared to current']].map(([value, label]) => (
+                          <button
+                            key={value}
+                            onClick={() => setCompareTo(value)}
+                            className={`px-2 py-0.5 rounded text-[10px] transition-colors ${
+                              compareMode === value ? 'bg-primary text-white' : 'text-text-muted hover:text-text'
+                            }`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {v.version === 1 && compareMode === 'previous' ? (
+                      <p className="text-xs text-text-muted">First version.</p>
+                    ) : diffError ? (
+                      <p className="text-xs text-red-400">{diffError}</p>
+                    ) : diff ? (
+                      <VersionDiff diff={diff} />
+                    ) : (
+                      <p className="text-xs text-text-muted">Loading changes...</p>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// =============================================
+// Pre-run Check
+// =============================================
+
+function RunCheckPanel({ workflowId, onStarted, onSelectNode, onClose }) {
+  const [check, setCheck] = useState(null);
+  const [error, setError] = useState(null);
+  const [starting, setStarting] = useState(false);
+
+  useEffect(() => {
+    api.validateWorkflow(workflowId)
+      .then(setCheck)
+      .catch((err) => setError(err.message || 'Failed to check workflow'));
+  }, [workflowId]);
+
+  const { estimate, credits } = check || {};
+  const errors = check?.issues.filter((i) => i.severity === 'error') || [];
+  const warnings = check?.issues.filter((i) => i.severity === 'warning') || [];
+  // Going over the user's limit can be confirmed; going over the agency pool can't
+  const overAgency = credits?.exceeds === 'agency';
+  const overUser = credits?.exceeds === 'user';
+
+  const handleStart = async () => {
+    setStarting(true);
+    setError(null);
+    try {
+      // Runs over the user's limit were confirmed by pressing "Run anyway"
+      const run = await api.startWorkflowRun(workflowId, { confirm: overUser });
+      onStarted(run);
+    } catch (err) {
+      setError(err.message || 'Failed to start workflow');
+      setStarting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4">
+      <div className="bg-surface border border-border rounded-xl max-w-md w-full p-6 max-h-[80vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-5">
+          <div className="flex items-center gap-2">
+            <Play className="h-5 w-5 text-primary" />
+            <h2 className="text-lg font-semibold text-text">Run Workflow</h2>
+          </div>
+          <button onClick={onClose} className="p-1 rounded text-text-muted hover:text-text">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {!check && !error ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary" />
+          </div>
+        ) : check && (
+          <div className="space-y-4">
+            {check.issues.length === 0 ? (
+              <div className="flex items-center gap-2 text-sm text-green-400">
+                <CheckCircle2 className="h-4 w-4" />
+                No problems found
+              </div>
+            ) : (
+              <div className="space-y-1.5">
+                {[...errors, ...warnings].map((issue, i) => (
+                  <button
+                    key={i}
+                    onClick={() => issue.node_id && onSelectNode(issue.node_id)}
+                    className={`w-full flex items-start gap-2 text-left text-xs rounded-lg px-2.5 py-2 ${
+                      issue.severity === 'error' ? 'bg-red-500/10 text-red-400' : 'bg-yellow-500/10 text-yellow-400'
+                    }`}
+                  >
+                    <AlertTriangle className="h-3.5 w-3.5 mt-px flex-shrink-0" />
+                    {issue.message}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <div>
+              <p className="text-xs font-medium text-text-muted uppercase tracking-wider mb-2">Estimated credits</p>
+              {estimate.nodes.length === 0 ? (
+                <p className="text-xs text-text-muted">This workflow uses no credits.</p>
+              ) : (
+                <div className="space-y-1">
+                  {estimate.nodes.map((n) => (
+                    <div key={n.node_id} className="flex justify-between text-xs text-text">
+                      <span>
+                        {n.label}
+                        {n.times > 1 && <span className="text-text-muted"> × {n.times}</span>}
+                      </span>
+                      <span>{n.credits}</span>
+                    </div>
+                  ))}
+                  <div className="flex justify-between text-sm font-medium text-text pt-1.5 border-t border-border">
+                    <span>Up to</span>
+                    <span>{estimate.total}{estimate.approximate && '+'}</span>
+                  </div>
+                </div>
+              )}
+              {estimate.approximate && (
+                <p className="text-[10px] text-text-muted mt-1">
+                  Some loops run once per image from a source of unknown size; they're counted once.
+                </p>
+              )}
+              <p className="text-[10px] text-text-muted mt-1">
+                Your agency has {credits.agency_available} credits
+                {credits.user_available !== null && `, and you have ${credits.user_available} left this cycle`}.
+              </p>
+            </div>
+
+            {overAgency && errors.length === 0 && (
+              <p className="text-xs text-red-400">
+                This run may use more credits than your agency has. Top up before running it.
+              </p>
+            )}
+            {overUser && errors.length === 0 && (
+              <p className="text-xs text-yellow-400">
+                This run may use more credits than you have left.
+                Nodes that run after credits run out will fail.
+              </p>
+            )}
+          </div>
+        )}
+
+        {error && <p className="text-xs text-red-400 mt-4">{error}</p>}
+
+        <div className="flex justify-end gap-2 mt-6">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm text-text-muted hover:text-text transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleStart}
+            disabled={!check || errors.length > 0 || overAgency || starting}
+            className="flex items-center gap-1.5 px-4 py-2 bg-primary text-white rounded-lg text-sm hover:bg-primary-hover disabled:opacity-50 transition-colors"
+          >
+            <Play className="h-3.5 w-3.5" />
+            {starting ? 'Starting...' : overUser ? 'Run anyway' : 'Run'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // =============================================
 // Main Editor Page
 // =============================================
@@ -650,6 +1472,8 @@ export function WorkflowEditorPage() {
   const [selectedNodeId, setSelectedNodeId] = useState(null);
 
   const [showTriggers, setShowTriggers] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showRunCheck, setShowRunCheck] = useState(false);
 
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
   const [edges, setEdges, onEdgesChange] = useEdgesState([]);
@@ -668,35 +1492,8 @@ export function WorkflowEditorPage() {
         setWorkflow(wfData);
         setNodeTypeDefs(ntData.nodeTypes || []);
 
-        // Convert DB nodes to React Flow format
-        const rfNodes = (wfData.nodes || []).map((n) => {
-          const typeDef = (ntData.nodeTypes || []).find((nt) => nt.type === n.node_type);
-          return {
-            id: n.id,
-            type: 'workflowNode',
-            position: { x: n.position_x, y: n.position_y },
-            data: {
-              label: n.label,
-              nodeType: n.node_type,
-              category: typeDef?.category || 'generation',
-              config: n.config || {},
-              inputs: typeDef?.inputs || [],
-              outputs: typeDef?.outputs || [],
-              configSummary: buildConfigSummary(n.config, n.node_type),
-            },
-          };
-        });
-
-        // Convert DB edges to React Flow format
-        const rfEdges = (wfData.edges || []).map((e) => ({
-          id: e.id,
-          source: e.source_node_id,
-          sourceHandle: e.source_port,
-          target: e.target_node_id,
-          targetHandle: e.target_port,
-          markerEnd: { type: MarkerType.ArrowClosed },
-          style: { stroke: '#6366f1', strokeWidth: 2 },
-        }));
+        const rfNodes = toFlowNodes(wfData.nodes || [], ntData.nodeTypes || []);
+        const rfEdges = toFlowEdges(wfData.edges || []);
 
         setNodes(rfNodes);
         setEdges(rfEdges);
@@ -734,6 +1531,7 @@ export function WorkflowEditorPage() {
   // Add node from palette
   const handleAddNode = useCallback((typeDef) => {
     const newId = `node-${Date.now()}-${nodeCounter.current++}`;
+    const config = buildDefaultConfig(typeDef.configSchema);
     const newNode = {
       id: newId,
       type: 'workflowNode',
@@ -742,9 +1540,9 @@ export function WorkflowEditorPage() {
         label: typeDef.label,
         nodeType: typeDef.type,
         category: typeDef.category,
-        config: buildDefaultConfig(typeDef.configSchema),
+        config,
         inputs: typeDef.inputs || [],
-        outputs: typeDef.outputs || [],
+        outputs: getNodeOutputs(typeDef, config),
         configSummary: '',
       },
     };
@@ -755,6 +1553,10 @@ export function WorkflowEditorPage() {
 
   // Update node config from the config panel
   const handleUpdateConfig = useCallback((nodeId, newConfig, newLabel) => {
+    const node = nodes.find((n) => n.id === nodeId);
+    const typeDef = nodeTypeDefs.find((nt) => nt.type === node?.data.nodeType);
+    const outputs = getNodeOutputs(typeDef, newConfig);
+
     setNodes((nds) =>
       nds.map((n) => {
         if (n.id !== nodeId) return n;
@@ -764,13 +1566,18 @@ export function WorkflowEditorPage() {
             ...n.data,
             ...(newLabel !== undefined && { label: newLabel }),
             config: newConfig,
+            outputs,
             configSummary: buildConfigSummary(newConfig, n.data.nodeType),
           },
         };
       })
     );
+    // Drop connections from output ports that no longer exist (removed branches)
+    setEdges((eds) => eds.filter((e) =>
+      e.source !== nodeId || !e.sourceHandle || outputs.some((port) => port.name === e.sourceHandle)
+    ));
     setDirty(true);
-  }, [setNodes]);
+  }, [nodes, nodeTypeDefs, setNodes, setEdges]);
 
   // Save graph
   const handleSave = useCallback(async () => {
@@ -835,18 +1642,22 @@ export function WorkflowEditorPage() {
     }
   }, [workflow, nodes, edges, setNodes, setEdges]);
 
-  // Run workflow
+  // Run workflow: save first if dirty, then check it before starting
   const handleRun = useCallback(async () => {
-    // Save first if dirty
     if (dirty) await handleSave();
-
-    try {
-      const run = await api.startWorkflowRun(workflow.id);
-      navigate(`/workflows/${workflow.id}/runs/${run.id}`);
-    } catch (err) {
-      alert(err.message || 'Failed to start workflow');
-    }
-  }, [workflow, dirty, handleSave, navigate]);
+    setShowRunCheck(true);
+  }, [dirty, handleSave]);
+
+  // Replace the canvas with a restored version's graph
+  const handleRestored = useCallback((graph) => {
+    const rfNodes = toFlowNodes(graph.nodes || [], nodeTypeDefs);
+    setNodes(rfNodes);
+    setEdges(toFlowEdges(graph.edges || []));
+    nodeCounter.current = rfNodes.length;
+    setSelectedNodeId(null);
+    setDirty(false);
+    setShowHistory(false);
+  }, [nodeTypeDefs, setNodes, setEdges]);
 
   // Node selection
   const handleNodeClick = useCallback((_, node) => {
@@ -922,6 +1733,13 @@ export function WorkflowEditorPage() {
               <Clock className="h-3.5 w-3.5" />
               Schedule
             </button>
+            <button
+              onClick={() => setShowHistory(true)}
+              className="flex items-center gap-1.5 px-3 py-1.5 border border-border rounded-lg text-sm text-text hover:bg-surface-elevated transition-colors"
+            >
+              <History className="h-3.5 w-3.5" />
+              History
+            </button>
             <button
               onClick={handleRun}
               disabled={nodes.length === 0}
@@ -981,6 +1799,29 @@ export function WorkflowEditorPage() {
             onClose={() => setShowTriggers(false)}
           />
         )}
+
+        {/* Version history modal */}
+        {showHistory && (
+          <HistoryPanel
+            workflowId={id}
+            dirty={dirty}
+            onRestored={handleRestored}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
+
+        {/* Pre-run check modal */}
+        {showRunCheck && (
+          <RunCheckPanel
+            workflowId={id}
+            onStarted={(run) => navigate(`/workflows/${id}/runs/${run.id}`)}
+            onSelectNode={(nodeId) => {
+              setSelectedNodeId(nodeId);
+              setShowRunCheck(false);
+            }}
+            onClose={() => setShowRunCheck(false)}
+          />
+        )}
       </main>
     </div>
   );
@@ -990,6 +1831,40 @@ export function WorkflowEditorPage() {
 // Helpers
 // =============================================
 
+// DB nodes → React Flow nodes
+function toFlowNodes(dbNodes, nodeTypeDefs) {
+  return dbNodes.map((n) => {
+    const typeDef = nodeTypeDefs.find((nt) => nt.type === n.node_type);
+    return {
+      id: n.id,
+      type: 'workflowNode',
+      position: { x: n.position_x, y: n.position_y },
+      data: {
+        label: n.label,
+        nodeType: n.node_type,
+        category: typeDef?.category || 'generation',
+        config: n.config || {},
+        inputs: typeDef?.inputs || [],
+        outputs: getNodeOutputs(typeDef, n.config),
+        configSummary: buildConfigSummary(n.config, n.node_type),
+      },
+    };
+  });
+}
+
+// DB edges → React Flow edges
+function toFlowEdges(dbEdges) {
+  return dbEdges.map((e) => ({
+    id: e.id,
+    source: e.source_node_id,
+    sourceHandle: e.source_port,
+    target: e.target_node_id,
+    targetHandle: e.target_port,
+    markerEnd: { type: MarkerType.ArrowClosed },
+    style: { stroke: '#6366f1', strokeWidth: 2 },
+  }));
+}
+
 function buildDefaultConfig(schema) {
   if (!schema) return {};
   const config = {};
@@ -999,12 +1874,39 @@ function buildDefaultConfig(schema) {
   return config;
 }
 
+/**
+ * Output ports of a node. Node types flagged outputsFromConfig (condition)
+ * get one port per configured branch plus "else"; mirrors getNodeOutputs
+ * in the backend's workflowNodeTypes.js.
+ */
+function getNodeOutputs(typeDef, config) {
+  if (!typeDef) return [];
+  if (!typeDef.outputsFromConfig) return typeDef.outputs || [];
+  return [
+    ...(config?.branches || []).map((branch, i) => ({
+      name: `branch_${i + 1}`,
+      type: 'any',
+      label: branch.label || `Branch ${i + 1}`,
+    })),
+    { name: 'else', type: 'any', label: 'Otherwise' },
+  ];
+}
+
 function buildConfigSummary(config, nodeType) {
   if (!config) return '';
   const parts = [];
+  if (nodeType === 'condition') {
+    const count = config.branches?.length || 0;
+    parts.push(`${count} branch${count !== 1 ? 'es' : ''} + otherwise`);
+  }
   if (config.model) parts.push(config.model);
   if (config.prompt) parts.push(config.prompt.substring(0, 40) + (config.prompt.length > 40 ? '...' : ''));
-  if (config.platform) parts.push(config.platform);
+  if (nodeType === 'edit_upscale') parts.push(`${config.scale || 2}x`);
+  if (nodeType === 'pick' && config.mode === 'auto') parts.push(`Auto pick (min ${config.min_score ?? 6}/10)`);
+  if (nodeType === 'export') {
+    const targets = Array.isArray(config.targets) ? config.targets : [config.platform].filter((p) => p && p !== 'download');
+    parts.push(targets.length > 0 ? `ZIP + queue: ${targets.join(', ')}` : 'ZIP');
+  }
   if (config.instruction) parts.push(config.instruction.substring(0, 30));
   return parts.join(' | ');
 }
@@ -19,15 +19,25 @@ import {
   Video,
   MessageSquare,
   Wand2,
+  Paintbrush,
+  Eraser,
+  Sparkles,
+  Maximize2,
   ShieldCheck,
   MousePointer2,
+  Split,
+  Repeat,
+  Layers,
   FolderOpen,
   Upload,
+  RotateCcw,
   X,
   Loader2,
+  Download,
 } from 'lucide-react';
 import { Sidebar } from '../components/layout/Sidebar';
-import { api } from '../services/api';
+import { api, withCreditConfirmation } from '../services/api';
+import { useEventStream } from '../hooks/useEventStream';
 
 const STATUS_STYLES = {
   pending:             { icon: Clock, color: 'text-gray-400', bg: 'bg-gray-500/20', label: 'Pending' },
@@ -43,20 +53,158 @@ const NODE_ICONS = {
   generate_image: Image,
   generate_video: Video,
   edit_bg_remove: Wand2,
+  edit_inpaint: Paintbrush,
+  edit_erase: Eraser,
+  edit_qwen: Sparkles,
+  edit_upscale: Maximize2,
   ai_caption: MessageSquare,
   review: ShieldCheck,
+  condition: Split,
+  for_each: Repeat,
+  collect: Layers,
   pick: MousePointer2,
   save_to_gallery: FolderOpen,
   export: Upload,
 };
 
-function NodeResultCard({ node, result, onApprove }) {
+function describeBranch(node, port) {
+  if (port === 'else') return 'No branch matched; took "Otherwise"';
+  const index = parseInt(port.replace('branch_', ''), 10) - 1;
+  const branch = node.config?.branches?.[index];
+  return `Took branch: ${branch?.label || `Branch ${index + 1}`}`;
+}
+
+const REVIEWER_LABELS = {
+  anyone: null,
+  'role:admin': 'Owners and admins',
+};
+
+function RejectForm({ onSubmit, onCancel }) {
+  const [reason, setReason] = useState('');
+  const [regenerate, setRegenerate] = useState(true);
+
+  return (
+    <div className="mt-3 space-y-2">
+      <textarea
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        rows={2}
+        maxLength={2000}
+        placeholder="What's wrong? Used as feedback when regenerating."
+        className="w-full bg-surface border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary resize-none"
+      />
+      <label className="flex items-center gap-2 text-xs text-text-muted">
+        <input
+          type="checkbox"
+          checked={regenerate}
+          onChange={(e) => setRegenerate(e.target.checked)}
+          className="rounded border-border"
+        />
+        Regenerate with this feedback (otherwise the run fails)
+      </label>
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={onCancel}
+          className="px-3 py-1.5 border border-border rounded-lg text-xs text-text hover:bg-surface transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={() => onSubmit({ reason, regenerate })}
+          disabled={!reason.trim()}
+          className="px-3 py-1.5 bg-red-600 text-white rounded-lg text-xs font-medium hover:bg-red-700 transition-colors flex items-center gap-1 disabled:opacity-50"
+        >
+          <XCircle className="h-3.5 w-3.5" />
+          {regenerate ? 'Reject & Regenerate' : 'Reject'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const PLATFORM_LABELS = {
+  onlyfans: 'OnlyFans',
+  fansly: 'Fansly',
+  twitter: 'Twitter',
+};
+
+// Export node output: download the ZIP bundle and see where it was queued
+function ExportOutput({ bundle }) {
+  const [downloading, setDownloading] = useState(false);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      const { url } = await api.getWorkflowExportDownload(bundle.id);
+      window.location.href = url;
+    } catch (err) {
+      alert(err.message || 'Failed to download bundle');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-between gap-3">
+      <div className="text-xs text-text-muted">
+        <p className="text-text">{bundle.file_name}</p>
+        <p>
+          {bundle.file_count} file{bundle.file_count === 1 ? '' : 's'} · {(bundle.size_bytes / 1024 / 1024).toFixed(1)} MB
+          {bundle.targets.length > 0 && (
+            <> · Queued for {bundle.targets.map((t) => PLATFORM_LABELS[t] || t).join(', ')}
+              {' '}at {new Date(bundle.scheduled_for).toLocaleString()}</>
+          )}
+        </p>
+      </div>
+      <button
+        onClick={handleDownload}
+        disabled={downloading}
+        className="flex items-center gap-1.5 px-3 py-1.5 border border-border rounded-lg text-xs text-text hover:bg-surface-elevated disabled:opacity-50 transition-colors"
+      >
+        <Download className="h-3.5 w-3.5" />
+        {downloading ? 'Preparing...' : 'Download ZIP'}
+      </button>
+    </div>
+  );
+}
+
+function NodeResultCard({ node, result, onApprove, onReject, onRerun, canRerun }) {
   const statusStyle = STATUS_STYLES[result?.status] || STATUS_STYLES.pending;
   const StatusIcon = statusStyle.icon;
   const NodeIcon = NODE_ICONS[node.node_type] || Image;
 
   const hasOutput = result?.output && Object.keys(result.output).length > 0;
   const needsReview = result?.status === 'waiting_for_review';
+  const [rejecting, setRejecting] = useState(false);
+  const rejections = result?.review?.rejections || [];
+  const reviewer = node.config?.reviewer || 'anyone';
+  const reviewerLabel = reviewer in REVIEWER_LABELS ? REVIEWER_LABELS[reviewer] : 'An assigned reviewer';
+
+  const handleReject = async (data) => {
+    if (await onReject(node.id, data)) {
+      setRejecting(false);
+    }
+  };
+
+  // Prompt nodes can be re-run with an edited prompt
+  const currentPrompt = result?.config_override?.prompt ?? node.config?.prompt;
+  const hasPrompt = typeof currentPrompt === 'string';
+  const [editingPrompt, setEditingPrompt] = useState(null);
+
+  const handleRerunClick = () => {
+    if (hasPrompt) {
+      setEditingPrompt(currentPrompt);
+    } else if (confirm(`Re-run "${node.label}" and everything after it?`)) {
+      onRerun(node.id);
+    }
+  };
+
+  const handleRerunWithPrompt = async () => {
+    const changed = editingPrompt !== currentPrompt;
+    if (await onRerun(node.id, changed ? { prompt: editingPrompt } : undefined)) {
+      setEditingPrompt(null);
+    }
+  };
 
   return (
     <div className={`border border-border rounded-xl overflow-hidden transition-all ${
@@ -69,12 +217,52 @@ function NodeResultCard({ node, result, onApprove }) {
           <span className="text-sm font-medium text-text">{node.label}</span>
           <span className="text-xs text-text-muted capitalize">({node.node_type.replace(/_/g, ' ')})</span>
         </div>
-        <div className={`flex items-center gap-1.5 text-xs font-medium ${statusStyle.color}`}>
-          <StatusIcon className={`h-3.5 w-3.5 ${statusStyle.animate ? 'animate-spin' : ''}`} />
-          {statusStyle.label}
+        <div className="flex items-center gap-3">
+          {canRerun && ['completed', 'failed', 'skipped'].includes(result?.status) && editingPrompt === null && (
+            <button
+              onClick={handleRerunClick}
+              className="flex items-center gap-1 text-xs text-text-muted hover:text-text transition-colors"
+              title="Run this node and everything after it again"
+            >
+              <RotateCcw className="h-3.5 w-3.5" />
+              Re-run
+            </button>
+          )}
+          <div className={`flex items-center gap-1.5 text-xs font-medium ${statusStyle.color}`}>
+            <StatusIcon className={`h-3.5 w-3.5 ${statusStyle.animate ? 'animate-spin' : ''}`} />
+            {statusStyle.label}
+          </div>
         </div>
       </div>
 
+      {/* Re-run with an edited prompt */}
+      {editingPrompt !== null && (
+        <div className="px-4 py-3 border-t border-border space-y-2">
+          <label className="block text-xs font-medium text-text-muted">Prompt for this run</label>
+          <textarea
+            value={editingPrompt}
+            onChange={(e) => setEditingPrompt(e.target.value)}
+            rows={3}
+            className="w-full bg-surface border border-border rounded-lg px-3 py-1.5 text-sm text-text focus:outline-none focus:ring-2 focus:ring-primary resize-none font-mono"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => setEditingPrompt(null)}
+              className="px-3 py-1.5 border border-border rounded-lg text-xs text-text hover:bg-surface transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleRerunWithPrompt}
+              className="px-3 py-1.5 bg-primary text-white rounded-lg text-xs font-medium hover:bg-primary-hover transition-colors flex items-center gap-1"
+            >
+              <RotateCcw className="h-3.5 w-3.5" />
+              Re-run
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Output preview */}
       {hasOutput && (
         <div className="px-4 py-3 border-t border-border">
@@ -116,6 +304,36 @@ function NodeResultCard({ node, result, onApprove }) {
             </div>
           )}
 
+          {/* Condition: which branch was taken */}
+          {result.output.active_branch && (
+            <div className="flex items-center gap-2 text-xs text-text-muted">
+              <Split className="h-3.5 w-3.5" />
+              <span>{describeBranch(node, result.output.active_branch)}</span>
+            </div>
+          )}
+
+          {/* Pick: image chosen by auto pick */}
+          {result.output.auto_pick?.selected_index !== undefined && (
+            <div className="flex items-center gap-2 text-xs text-text-muted mt-2">
+              <MousePointer2 className="h-3.5 w-3.5" />
+              <span>
+                Auto-picked image {result.output.auto_pick.selected_index + 1}
+                {' '}({result.output.auto_pick.scores[result.output.auto_pick.selected_index]?.score}/10)
+              </span>
+            </div>
+          )}
+
+          {/* For Each: how many items the loop ran */}
+          {result.output.count !== undefined && (
+            <div className="flex items-center gap-2 text-xs text-text-muted">
+              <Repeat className="h-3.5 w-3.5" />
+              <span>Ran the loop for {result.output.count} image{result.output.count === 1 ? '' : 's'}</span>
+            </div>
+          )}
+
+          {/* Export: link to the bundle */}
+          {result.output.export && <ExportOutput bundle={result.output.export} />}
+
           {/* Text output */}
           {result.output.text && (
             <div className="mt-2 bg-surface rounded-lg p-3">
@@ -125,6 +343,53 @@ function NodeResultCard({ node, result, onApprove }) {
         </div>
       )}
 
+      {/* Loop body: one result per item */}
+      {result?.iterations?.length > 0 && (
+        <div className="px-4 py-3 border-t border-border">
+          <div className="flex gap-2 flex-wrap">
+            {result.iterations.map((item) => {
+              const itemStyle = STATUS_STYLES[item.status] || STATUS_STYLES.pending;
+              const ItemIcon = itemStyle.icon;
+              return (
+                <div key={item.index} className="w-24" title={item.error || item.output?.text || ''}>
+                  {item.output?.image ? (
+                    <img
+                      src={item.output.image}
+                      alt={`Item ${item.index + 1}`}
+                      className="h-24 w-24 object-cover rounded-lg border border-border"
+                    />
+                  ) : (
+                    <div className={`h-24 w-24 rounded-lg border border-border flex items-center justify-center ${itemStyle.bg}`}>
+                      {item.output?.text ? (
+                        <p className="text-[10px] text-text p-1.5 line-clamp-5">{item.output.text}</p>
+                      ) : (
+                        <ItemIcon className={`h-5 w-5 ${itemStyle.color} ${itemStyle.animate ? 'animate-spin' : ''}`} />
+                      )}
+                    </div>
+                  )}
+                  <p className={`mt-1 text-[10px] ${itemStyle.color}`}>Item {item.index + 1} · {itemStyle.label}</p>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Retries and fallbacks */}
+      {result?.attempts?.length > 1 && (
+        <div className="px-4 py-3 border-t border-border space-y-1">
+          {result.attempts.map((attempt) => (
+            <div key={attempt.attempt} className="flex items-center gap-2 text-xs text-text-muted">
+              <RotateCcw className="h-3 w-3" />
+              <span>Attempt {attempt.attempt}{attempt.model ? ` (${attempt.model})` : ''}:</span>
+              <span className={attempt.status === 'failed' ? 'text-red-400' : attempt.status === 'completed' ? 'text-green-400' : ''}>
+                {attempt.status === 'failed' ? attempt.error : STATUS_STYLES[attempt.status]?.label || attempt.status}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Error */}
       {result?.error && (
         <div className="px-4 py-3 border-t border-border bg-red-500/5">
@@ -132,12 +397,35 @@ function NodeResultCard({ node, result, onApprove }) {
         </div>
       )}
 
+      {/* Rejection history */}
+      {rejections.length > 0 && (
+        <div className="px-4 py-2 border-t border-border space-y-1">
+          {rejections.map((rejection, i) => (
+            <p key={i} className="text-xs text-text-muted">
+              <span className="text-red-400">Rejected</span>
+              {rejection.rejected_by_name && ` by ${rejection.rejected_by_name}`}: {rejection.reason}
+              {rejection.regenerate && ' (regenerated)'}
+            </p>
+          ))}
+        </div>
+      )}
+
       {/* Review actions */}
       {needsReview && (
         <div className="px-4 py-3 border-t border-border bg-yellow-500/5">
+          {(reviewerLabel || result.review_expires_at) && (
+            <p className="text-[10px] text-text-muted mb-2">
+              {reviewerLabel && `${reviewerLabel} can review this.`}
+              {reviewerLabel && result.review_expires_at && ' '}
+              {result.review_expires_at && `Expires ${new Date(result.review_expires_at).toLocaleString()} (then ${node.config?.on_expire === 'approve' ? 'approved' : 'the run is cancelled'}).`}
+            </p>
+          )}
           {node.node_type === 'pick' && result.output?.images ? (
             <div>
               <p className="text-xs text-yellow-400 font-medium mb-2">Select the best image:</p>
+              {result.output.auto_pick?.needs_review && (
+                <p className="text-[10px] text-text-muted mb-2">Auto pick needs a human: {result.output.auto_pick.needs_review}</p>
+              )}
               <div className="flex gap-2 flex-wrap">
                 {result.output.images.map((url, i) => (
                   <button
@@ -153,15 +441,40 @@ function NodeResultCard({ node, result, onApprove }) {
                     <div className="absolute inset-0 bg-primary/20 rounded-lg opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center">
                       <CheckCircle className="h-6 w-6 text-white" />
                     </div>
+                    {result.output.auto_pick?.scores[i]?.score != null && (
+                      <span
+                        className="absolute bottom-1 right-1 px-1 rounded bg-black/70 text-[10px] text-white"
+                        title={result.output.auto_pick.scores[i].reason}
+                      >
+                        {result.output.auto_pick.scores[i].score}
+                      </span>
+                    )}
                   </button>
                 ))}
               </div>
+              {!rejecting && (
+                <button
+                  onClick={() => setRejecting(true)}
+                  className="mt-2 text-xs text-text-muted hover:text-red-400 transition-colors"
+                >
+                  None of these — reject
+                </button>
+              )}
             </div>
           ) : (
             <div className="flex items-center gap-3">
               <p className="text-xs text-yellow-400 font-medium flex-1">
                 {node.config?.note || 'Review and approve to continue'}
               </p>
+              {!rejecting && (
+                <button
+                  onClick={() => setRejecting(true)}
+                  className="px-3 py-1.5 border border-border rounded-lg text-xs text-text hover:bg-surface transition-colors flex items-center gap-1"
+                >
+                  <XCircle className="h-3.5 w-3.5" />
+                  Reject
+                </button>
+              )}
               <button
                 onClick={() => onApprove(node.id, {})}
                 className="px-3 py-1.5 bg-green-600 text-white rounded-lg text-xs font-medium hover:bg-green-700 transition-colors flex items-center gap-1"
@@ -171,6 +484,7 @@ function NodeResultCard({ node, result, onApprove }) {
               </button>
             </div>
           )}
+          {rejecting && <RejectForm onSubmit={handleReject} onCancel={() => setRejecting(false)} />}
         </div>
       )}
     </div>
@@ -184,7 +498,10 @@ export function WorkflowRunPage() {
   const [run, setRun] = useState(null);
   const [workflow, setWorkflow] = useState(null);
   const [loading, setLoading] = useState(true);
-  const pollRef = useRef(null);
+  // Bumped to reopen the event stream after a finished run is restarted
+  const [streamKey, setStreamKey] = useState(0);
+  const runStatusRef = useRef(null);
+  runStatusRef.current = run?.status;
 
   const fetchRun = useCallback(async () => {
     try {
@@ -203,22 +520,42 @@ export function WorkflowRunPage() {
     }
   }, [runId, workflowId]);
 
-  // Initial load + polling
   useEffect(() => {
     fetchRun();
+  }, [fetchRun]);
+
+  // Live updates: the server pushes run and node changes as they happen
+  const openStream = useCallback(
+    (onEvent, options) => api.streamWorkflowRun(runId, onEvent, options),
+    [runId, streamKey]
+  );
 
-    // Poll every 3 seconds while running
-    pollRef.current = setInterval(async () => {
-      const data = await fetchRun();
-      if (data && ['completed', 'failed', 'cancelled'].includes(data.status)) {
-        clearInterval(pollRef.current);
+  const handleStreamEvent = useCallback((event, data) => {
+    setRun((prev) => {
+      if (!prev) return prev;
+      if (event === 'run') {
+        const { agency_id: _, ...runData } = data;
+        return { ...prev, ...runData };
+      }
+      if (event === 'node') {
+        const results = prev.node_results || [];
+        const exists = results.some((r) => r.id === data.id);
+        return {
+          ...prev,
+          node_results: exists
+            ? results.map((r) => (r.id === data.id ? { ...r, ...data } : r))
+            : [...results, data],
+        };
       }
-    }, 3000);
+      return prev;
+    });
+  }, []);
 
-    return () => {
-      if (pollRef.current) clearInterval(pollRef.current);
-    };
-  }, [fetchRun]);
+  useEventStream(run ? openStream : null, handleStreamEvent, {
+    onReconnect: fetchRun,
+    // The server closes the stream once the run finishes
+    reconnect: () => !['completed', 'failed', 'cancelled'].includes(runStatusRef.current),
+  });
 
   const handleApprove = async (nodeId, data) => {
     try {
@@ -230,6 +567,20 @@ export function WorkflowRunPage() {
     }
   };
 
+  // Returns whether the rejection went through
+  const handleReject = async (nodeId, data) => {
+    try {
+      const rejected = await withCreditConfirmation((confirmData) =>
+        api.rejectWorkflowNode(runId, nodeId, { ...data, ...confirmData }));
+      if (!rejected) return false;
+      await fetchRun();
+      return true;
+    } catch (err) {
+      alert('Failed to reject: ' + (err.message || 'Unknown error'));
+      return false;
+    }
+  };
+
   const handleCancel = async () => {
     if (!confirm('Cancel this workflow run?')) return;
     try {
@@ -240,6 +591,31 @@ export function WorkflowRunPage() {
     }
   };
 
+  const handleRetry = async () => {
+    try {
+      const retried = await withCreditConfirmation((data) => api.retryWorkflowRun(runId, data));
+      if (!retried) return;
+      await fetchRun();
+      setStreamKey((key) => key + 1);
+    } catch (err) {
+      alert('Failed to retry: ' + (err.message || 'Unknown error'));
+    }
+  };
+
+  // Returns whether the rerun started
+  const handleRerun = async (nodeId, config) => {
+    try {
+      const rerun = await withCreditConfirmation((data) => api.rerunWorkflowNode(runId, nodeId, config, data));
+      if (!rerun) return false;
+      await fetchRun();
+      setStreamKey((key) => key + 1);
+      return true;
+    } catch (err) {
+      alert('Failed to re-run: ' + (err.message || 'Unknown error'));
+      return false;
+    }
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-background">
@@ -265,13 +641,14 @@ export function WorkflowRunPage() {
   const runStatusStyle = STATUS_STYLES[run.status] || STATUS_STYLES.pending;
   const RunStatusIcon = runStatusStyle.icon;
 
-  // Match node results to nodes in order
-  const orderedNodes = (workflow?.nodes || []).map((node) => {
+  // Match node results to the nodes of the version the run executed
+  const orderedNodes = (run.nodes || workflow?.nodes || []).map((node) => {
     const result = (run.node_results || []).find((r) => r.node_id === node.id);
     return { node, result };
   });
 
   const isFinished = ['completed', 'failed', 'cancelled'].includes(run.status);
+  const hasFailedNodes = (run.node_results || []).some((r) => r.status === 'failed');
 
   return (
     <div className="min-h-screen bg-background">
@@ -349,6 +726,9 @@ export function WorkflowRunPage() {
                 node={node}
                 result={result}
                 onApprove={handleApprove}
+                onReject={handleReject}
+                onRerun={handleRerun}
+                canRerun={run.status !== 'running'}
               />
             ))}
           </div>
@@ -363,6 +743,15 @@ export function WorkflowRunPage() {
                 <p className="text-xs text-text-muted mt-1">Total credits used: {run.credits_used}</p>
               )}
               <div className="flex gap-3 justify-center mt-4">
+                {hasFailedNodes && run.status !== 'cancelled' && (
+                  <button
+                    onClick={handleRetry}
+                    className="px-4 py-2 border border-border rounded-lg text-sm text-text hover:bg-surface transition-colors flex items-center gap-1.5"
+                  >
+                    <RotateCcw className="h-3.5 w-3.5" />
+                    Retry Failed Nodes
+                  </button>
+                )}
                 <Link
                   to={`/workflows/${workflowId}`}
                   className="px-4 py-2 border border-border rounded-lg text-sm text-text hover:bg-surface transition-colors"
@@ -1,10 +1,12 @@
 /**
  * Workflows List Page
  * Shows all workflows for the currently selected model (or templates).
- * Allows creating, cloning, archiving, and navigating to the editor.
+ * Allows creating, cloning, exporting/importing, archiving, and navigating
+ * to the editor. Templates run as batches across models. Media that Export
+ * nodes queued for publishing is worked through in the Publish Queue.
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
   Plus,
@@ -20,11 +22,19 @@ import {
   Hash,
   ToggleLeft,
   ToggleRight,
+  Download,
+  Upload,
+  Users,
+  Ban,
+  X,
+  Send,
+  Check,
 } from 'lucide-react';
 import { useModel } from '../context/ModelContext';
 import { useAuth } from '../context/AuthContext';
 import { Sidebar } from '../components/layout/Sidebar';
-import { api } from '../services/api';
+import { api, withCreditConfirmation } from '../services/api';
+import { useEventStream } from '../hooks/useEventStream';
 
 function formatNextRun(dateStr) {
   if (!dateStr) return null;
@@ -47,15 +57,21 @@ function formatNextRun(dateStr) {
 function formatScheduleLabel(config) {
   if (!config) return '';
   const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  if (config.frequency === 'daily') return `Daily at ${config.time}`;
+  const times = (config.times || [config.time]).filter(Boolean).join(', ');
+  const days = (config.days || []).map((d) => dayNames[d]).join(', ');
+  if (config.frequency === 'daily') return `Daily at ${times}`;
   if (config.frequency === 'weekly' || config.frequency === 'specific_days') {
-    const days = (config.days || []).map((d) => dayNames[d]).join(', ');
-    return `${days} at ${config.time}`;
+    return `${days} at ${times}`;
   }
-  return config.time || '';
+  if (config.frequency === 'interval') {
+    return `Every ${config.interval_hours}h${days ? ` on ${days}` : ''}`;
+  }
+  if (config.frequency === 'cron') return `Cron: ${config.cron}`;
+  if (config.frequency === 'once') return `Once on ${config.run_at?.replace('T', ' at ')}`;
+  return times;
 }
 
-function WorkflowCard({ workflow, onOpen, onClone, onArchive, onRun, onToggleTrigger }) {
+function WorkflowCard({ workflow, onOpen, onClone, onExport, onArchive, onRun, onShowBatches, onToggleTrigger }) {
   const [menuOpen, setMenuOpen] = useState(false);
   const [toggling, setToggling] = useState(false);
 
@@ -121,6 +137,20 @@ function WorkflowCard({ workflow, onOpen, onClone, onArchive, onRun, onToggleTri
                 >
                   <Copy className="h-3.5 w-3.5" /> Copy to...
                 </button>
+                <button
+                  onClick={() => { onExport(workflow); setMenuOpen(false); }}
+                  className="w-full px-3 py-2 text-left text-sm text-text hover:bg-surface-elevated flex items-center gap-2"
+                >
+                  <Download className="h-3.5 w-3.5" /> Export
+                </button>
+                {!workflow.model_id && (
+                  <button
+                    onClick={() => { onShowBatches(workflow); setMenuOpen(false); }}
+                    className="w-full px-3 py-2 text-left text-sm text-text hover:bg-surface-elevated flex items-center gap-2"
+                  >
+                    <Users className="h-3.5 w-3.5" /> Batches
+                  </button>
+                )}
                 <button
                   onClick={() => { onArchive(workflow); setMenuOpen(false); }}
                   className="w-full px-3 py-2 text-left text-sm text-red-400 hover:bg-surface-elevated flex items-center gap-2"
@@ -196,7 +226,11 @@ function WorkflowCard({ workflow, onOpen, onClone, onArchive, onRun, onToggleTri
           onClick={() => onRun(workflow)}
           className="px-3 py-2 bg-primary text-white rounded-lg text-sm hover:bg-primary-hover transition-colors flex items-center gap-1.5"
         >
-          <Play className="h-3.5 w-3.5" /> Run
+          {workflow.model_id ? (
+            <><Play className="h-3.5 w-3.5" /> Run</>
+          ) : (
+            <><Users className="h-3.5 w-3.5" /> Run for Models</>
+          )}
         </button>
       </div>
     </div>
@@ -289,6 +323,578 @@ function CloneModal({ workflow, models, onClose, onClone }) {
   );
 }
 
+function ImportModal({ models, selectedModel, onClose, onImport }) {
+  const [bundle, setBundle] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [targetModelId, setTargetModelId] = useState(selectedModel?.id || '');
+  const [asTemplate, setAsTemplate] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    setBundle(null);
+    setFileError(null);
+    if (!file) return;
+    try {
+      setBundle(JSON.parse(await file.text()));
+    } catch {
+      setFileError('This file is not valid JSON');
+    }
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      await onImport(asTemplate ? { bundle, as_template: true } : { bundle, model_id: targetModelId });
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to import workflow');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4">
+      <div className="bg-surface border border-border rounded-xl max-w-md w-full p-6">
+        <h2 className="text-lg font-semibold text-text mb-4">Import Workflow</h2>
+        <p className="text-sm text-text-muted mb-4">
+          Import a workflow exported from this or another agency. Its triggers are imported disabled.
+        </p>
+
+        <div className="space-y-3 mb-6">
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFile}
+            className="w-full text-sm text-text-muted file:mr-3 file:px-3 file:py-1.5 file:rounded-lg file:border file:border-border file:bg-surface-elevated file:text-text file:text-sm"
+          />
+          {fileError && <p className="text-xs text-red-400">{fileError}</p>}
+          {bundle?.workflow?.name && (
+            <p className="text-xs text-text-muted">
+              <strong className="text-text">{bundle.workflow.name}</strong> · {(bundle.nodes || []).length} nodes
+              {(bundle.triggers || []).length > 0 && `, ${bundle.triggers.length} trigger(s)`}
+            </p>
+          )}
+
+          <label className="flex items-center gap-3 p-3 border border-border rounded-lg cursor-pointer hover:bg-surface-elevated transition-colors">
+            <input
+              type="radio"
+              checked={!asTemplate}
+              onChange={() => setAsTemplate(false)}
+              className="text-primary"
+            />
+            <div>
+              <p className="text-sm font-medium text-text">Import to Model</p>
+              <p className="text-xs text-text-muted">{'{{model.*}}'} values resolve against this model</p>
+            </div>
+          </label>
+
+          {!asTemplate && (
+            <select
+              value={targetModelId}
+              onChange={(e) => setTargetModelId(e.target.value)}
+              className="w-full bg-surface-elevated border border-border rounded-lg px-3 py-2 text-sm text-text"
+            >
+              <option value="">Select a model...</option>
+              {models.map((m) => (
+                <option key={m.id} value={m.id}>{m.name}</option>
+              ))}
+            </select>
+          )}
+
+          <label className="flex items-center gap-3 p-3 border border-border rounded-lg cursor-pointer hover:bg-surface-elevated transition-colors">
+            <input
+              type="radio"
+              checked={asTemplate}
+              onChange={() => setAsTemplate(true)}
+              className="text-primary"
+            />
+            <div>
+              <p className="text-sm font-medium text-text">Import as Template</p>
+              <p className="text-xs text-text-muted">Create a reusable template not tied to any model</p>
+            </div>
+          </label>
+        </div>
+
+        {error && <p className="text-xs text-red-400 mb-3">{error}</p>}
+
+        <div className="flex gap-3">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 border border-border rounded-lg text-sm text-text hover:bg-surface-elevated transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={loading || !bundle || (!asTemplate && !targetModelId)}
+            className="flex-1 px-4 py-2 bg-primary text-white rounded-lg text-sm hover:bg-primary-hover disabled:opacity-50 transition-colors"
+          >
+            {loading ? 'Importing...' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function BatchRunModal({ workflow, models, onClose, onStart }) {
+  const [allModels, setAllModels] = useState(true);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggleModel = (id) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((m) => m !== id) : [...prev, id]));
+  };
+
+  const handleStart = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      await onStart(workflow, allModels ? { all_models: true } : { model_ids: selectedIds });
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to start batch');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4">
+      <div className="bg-surface border border-border rounded-xl max-w-md w-full p-6">
+        <h2 className="text-lg font-semibold text-text mb-4">Run for Models</h2>
+        <p className="text-sm text-text-muted mb-4">
+          Run <strong>"{workflow.name}"</strong> once for each model. Each run fills in {'{{model.*}}'} from its own model.
+        </p>
+
+        <div className="space-y-3 mb-6">
+          <label className="flex items-center gap-3 p-3 border border-border rounded-lg cursor-pointer hover:bg-surface-elevated transition-colors">
+            <input
+              type="radio"
+              checked={allModels}
+              onChange={() => setAllModels(true)}
+              className="text-primary"
+            />
+            <div>
+              <p className="text-sm font-medium text-text">All My Models</p>
+              <p className="text-xs text-text-muted">Every active model you have access to ({models.length})</p>
+            </div>
+          </label>
+
+          <label className="flex items-center gap-3 p-3 border border-border rounded-lg cursor-pointer hover:bg-surface-elevated transition-colors">
+            <input
+              type="radio"
+              checked={!allModels}
+              onChange={() => setAllModels(false)}
+              className="text-primary"
+            />
+            <div>
+              <p className="text-sm font-medium text-text">Choose Models</p>
+              <p className="text-xs text-text-muted">{selectedIds.length} selected</p>
+            </div>
+          </label>
+
+          {!allModels && (
+            <div className="max-h-48 overflow-y-auto border border-border rounded-lg divide-y divide-border">
+              {models.map((m) => (
+                <label key={m.id} className="flex items-center gap-2 px-3 py-2 text-sm text-text cursor-pointer hover:bg-surface-elevated">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(m.id)}
+                    onChange={() => toggleModel(m.id)}
+                  />
+                  {m.name}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {error && <p className="text-xs text-red-400 mb-3">{error}</p>}
+
+        <div className="flex gap-3">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 border border-border rounded-lg text-sm text-text hover:bg-surface-elevated transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleStart}
+            disabled={loading || (!allModels && selectedIds.length === 0)}
+            className="flex-1 px-4 py-2 bg-primary text-white rounded-lg text-sm hover:bg-primary-hover disabled:opacity-50 transition-colors"
+          >
+            {loading ? 'Starting...' : 'Start Runs'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const BATCH_STATUS_COLORS = {
+  running: 'text-blue-400',
+  completed: 'text-green-400',
+  partial: 'text-yellow-400',
+  failed: 'text-red-400',
+  cancelled: 'text-gray-400',
+};
+
+const RUN_STATUS_COLORS = {
+  running: 'text-blue-400',
+  waiting_for_review: 'text-yellow-400',
+  completed: 'text-green-400',
+  failed: 'text-red-400',
+  cancelled: 'text-gray-400',
+};
+
+function BatchesModal({ workflow, initialBatchId, onClose, onOpenRun }) {
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(initialBatchId || null);
+  const [expanded, setExpanded] = useState(null); // the expanded batch with its runs
+  const [cancelling, setCancelling] = useState(false);
+  const refreshTimer = useRef(null);
+
+  const fetchBatches = useCallback(async () => {
+    try {
+      const data = await api.getWorkflowBatches(workflow.id);
+      setBatches(data.batches || []);
+    } catch (err) {
+      console.error('Failed to fetch batches:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [workflow.id]);
+
+  const fetchExpanded = useCallback(async () => {
+    if (!expandedId) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      setExpanded(await api.getWorkflowBatch(expandedId));
+    } catch (err) {
+      console.error('Failed to fetch batch:', err);
+    }
+  }, [expandedId]);
+
+  useEffect(() => {
+    fetchBatches();
+  }, [fetchBatches]);
+
+  useEffect(() => {
+    fetchExpanded();
+  }, [fetchExpanded]);
+
+  // Refresh (at most once a second) while this workflow's batch runs change
+  const handleRunEvent = useCallback((event, run) => {
+    if (event !== 'run' || !run.batch_id || run.workflow_id !== workflow.id) return;
+    if (refreshTimer.current) return;
+    refreshTimer.current = setTimeout(() => {
+      refreshTimer.current = null;
+      fetchBatches();
+      fetchExpanded();
+    }, 1000);
+  }, [workflow.id, fetchBatches, fetchExpanded]);
+
+  useEffect(() => () => clearTimeout(refreshTimer.current), []);
+
+  useEventStream(api.streamWorkflowRuns, handleRunEvent, { onReconnect: fetchBatches });
+
+  const handleCancel = async (batch) => {
+    if (!confirm('Cancel every unfinished run in this batch?')) return;
+    setCancelling(true);
+    try {
+      await api.cancelWorkflowBatch(batch.id);
+      await Promise.all([fetchBatches(), fetchExpanded()]);
+    } catch (err) {
+      alert(err.message || 'Failed to cancel batch');
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4">
+      <div className="bg-surface border border-border rounded-xl max-w-2xl w-full p-6 max-h-[85vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-text">Batches · {workflow.name}</h2>
+          <button onClick={onClose} className="p-1 rounded text-text-muted hover:text-text">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <div className="overflow-y-auto space-y-2">
+          {loading ? (
+            <div className="flex items-center justify-center py-10">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary" />
+            </div>
+          ) : batches.length === 0 ? (
+            <p className="text-sm text-text-muted py-6 text-center">This template hasn't been run for any models yet.</p>
+          ) : (
+            batches.map((batch) => {
+              const { progress } = batch;
+              const finished = progress.completed + progress.failed + progress.cancelled;
+              const isExpanded = expandedId === batch.id;
+
+              return (
+                <div key={batch.id} className="border border-border rounded-lg">
+                  <button
+                    onClick={() => setExpandedId(isExpanded ? null : batch.id)}
+                    className="w-full p-3 text-left hover:bg-surface-elevated transition-colors rounded-lg"
+                  >
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="text-text">{new Date(batch.created_at).toLocaleString()}</span>
+                      <span className={`text-xs font-medium ${BATCH_STATUS_COLORS[batch.status] || 'text-text-muted'}`}>
+                        {batch.status}
+                      </span>
+                    </div>
+                    <div className="mt-2 h-1.5 rounded-full bg-surface-elevated overflow-hidden flex">
+                      <div className="bg-green-500" style={{ width: `${(progress.completed / (progress.total || 1)) * 100}%` }} />
+                      <div className="bg-red-500" style={{ width: `${(progress.failed / (progress.total || 1)) * 100}%` }} />
+                      <div className="bg-gray-500" style={{ width: `${(progress.cancelled / (progress.total || 1)) * 100}%` }} />
+                    </div>
+                    <div className="flex items-center gap-4 mt-2 text-xs text-text-muted">
+                      <span>{finished}/{progress.total} finished</span>
+                      {progress.waiting_for_review > 0 && (
+                        <span className="text-yellow-400">{progress.waiting_for_review} awaiting review</span>
+                      )}
+                      {progress.failed > 0 && <span className="text-red-400">{progress.failed} failed</span>}
+                      <span>{batch.credits_used} credits</span>
+                    </div>
+                  </button>
+
+                  {isExpanded && expanded?.id === batch.id && (
+                    <div className="border-t border-border px-3 py-2 space-y-1">
+                      {expanded.runs.map((run) => (
+                        <div key={run.id} className="flex items-start justify-between gap-3 text-xs py-1">
+                          <div className="min-w-0">
+                            <button onClick={() => onOpenRun(run)} className="text-text hover:text-primary hover:underline">
+                              {run.model_name || 'Unknown model'}
+                            </button>
+                            {run.error && <p className="text-red-400 truncate" title={run.error}>{run.error}</p>}
+                          </div>
+                          <div className="flex items-center gap-3 flex-shrink-0">
+                            <span className="text-text-muted">{run.credits_used || 0} credits</span>
+                            <span className={RUN_STATUS_COLORS[run.status] || 'text-text-muted'}>{run.status}</span>
+                          </div>
+                        </div>
+                      ))}
+                      {batch.status === 'running' && (
+                        <button
+                          onClick={() => handleCancel(batch)}
+                          disabled={cancelling}
+                          className="mt-2 flex items-center gap-1.5 text-xs text-red-400 hover:text-red-300 disabled:opacity-50"
+                        >
+                          <Ban className="h-3.5 w-3.5" /> {cancelling ? 'Cancelling...' : 'Cancel unfinished runs'}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const PLATFORM_LABELS = {
+  onlyfans: 'OnlyFans',
+  fansly: 'Fansly',
+  twitter: 'Twitter',
+};
+
+const PUBLISH_STATUS_COLORS = {
+  queued: 'text-blue-400',
+  published: 'text-green-400',
+  failed: 'text-red-400',
+  cancelled: 'text-text-muted',
+};
+
+function PublishQueueModal({ onClose }) {
+  const [status, setStatus] = useState('queued');
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [updatingId, setUpdatingId] = useState(null);
+
+  const fetchItems = useCallback(async () => {
+    try {
+      const data = await api.getPublishQueue({ status });
+      setItems(data.items || []);
+    } catch (err) {
+      console.error('Failed to fetch publish queue:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchItems();
+  }, [fetchItems]);
+
+  const handleDownload = async (item) => {
+    try {
+      const { url } = await api.getWorkflowExportDownload(item.export_id);
+      window.location.href = url;
+    } catch (err) {
+      alert(err.message || 'Failed to download bundle');
+    }
+  };
+
+  const handleUpdate = async (item, nextStatus) => {
+    const data = { status: nextStatus };
+    if (nextStatus === 'published') {
+      const postUrl = prompt('Link to the post (optional):');
+      if (postUrl === null) return;
+      data.post_url = postUrl.trim() || null;
+    }
+    if (nextStatus === 'failed') {
+      const reason = prompt('What went wrong?');
+      if (reason === null) return;
+      data.error = reason.trim() || null;
+    }
+    if (nextStatus === 'cancelled' && !confirm('Remove this item from the queue?')) return;
+
+    setUpdatingId(item.id);
+    try {
+      await api.updatePublishQueueItem(item.id, data);
+      await fetchItems();
+    } catch (err) {
+      alert(err.message || 'Failed to update queue item');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4">
+      <div className="bg-surface border border-border rounded-xl max-w-2xl w-full p-6 max-h-[85vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-text">Publish Queue</h2>
+          <button onClick={onClose} className="p-1 rounded text-text-muted hover:text-text">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <div className="flex gap-1 mb-4">
+          {['queued', 'published', 'failed', 'all'].map((value) => (
+            <button
+              key={value}
+              onClick={() => setStatus(value)}
+              className={`px-3 py-1 rounded text-xs font-medium capitalize transition-colors ${
+                status === value ? 'bg-primary text-white' : 'text-text-muted hover:text-text'
+              }`}
+            >
+              {value}
+            </button>
+          ))}
+        </div>
+
+        <div className="overflow-y-auto space-y-2">
+          {loading ? (
+            <div className="flex items-center justify-center py-10">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary" />
+            </div>
+          ) : items.length === 0 ? (
+            <p className="text-sm text-text-muted py-6 text-center">
+              {status === 'queued'
+                ? 'Nothing is waiting to be published. Export nodes add media here.'
+                : 'No items.'}
+            </p>
+          ) : (
+            items.map((item) => (
+              <div key={item.id} className="border border-border rounded-lg p-3">
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-text">
+                    {PLATFORM_LABELS[item.platform] || item.platform}
+                    <span className="text-text-muted"> · {item.agency_models?.name || 'Unknown model'}</span>
+                  </span>
+                  <span className={`text-xs font-medium ${PUBLISH_STATUS_COLORS[item.status] || 'text-text-muted'}`}>
+                    {item.status}
+                  </span>
+                </div>
+                <p className="text-xs text-text-muted mt-1">
+                  {item.status === 'published' && item.published_at
+                    ? `Published ${new Date(item.published_at).toLocaleString()}`
+                    : `Scheduled for ${new Date(item.scheduled_for).toLocaleString()}`}
+                  {' '}· {item.media.length} file{item.media.length === 1 ? '' : 's'}
+                </p>
+                {item.caption && (
+                  <p className="text-xs text-text bg-surface-elevated rounded p-2 mt-2 whitespace-pre-wrap">{item.caption}</p>
+                )}
+                {item.post_url && (
+                  <a href={item.post_url} target="_blank" rel="noreferrer" className="block text-xs text-primary hover:underline mt-2 truncate">
+                    {item.post_url}
+                  </a>
+                )}
+                {item.error && <p className="text-xs text-red-400 mt-2">{item.error}</p>}
+
+                <div className="flex items-center gap-3 mt-3 text-xs">
+                  <button onClick={() => handleDownload(item)} className="flex items-center gap-1 text-text-muted hover:text-text">
+                    <Download className="h-3.5 w-3.5" /> Download ZIP
+                  </button>
+                  {item.caption && (
+                    <button
+                      onClick={() => navigator.clipboard.writeText(item.caption)}
+                      className="flex items-center gap-1 text-text-muted hover:text-text"
+                    >
+                      <Copy className="h-3.5 w-3.5" /> Copy caption
+                    </button>
+                  )}
+                  {item.status === 'queued' && (
+                    <div className="ml-auto flex items-center gap-3">
+                      <button
+                        onClick={() => handleUpdate(item, 'published')}
+                        disabled={updatingId === item.id}
+                        className="flex items-center gap-1 text-green-400 hover:text-green-300 disabled:opacity-50"
+                      >
+                        <Check className="h-3.5 w-3.5" /> Published
+                      </button>
+                      <button
+                        onClick={() => handleUpdate(item, 'failed')}
+                        disabled={updatingId === item.id}
+                        className="text-red-400 hover:text-red-300 disabled:opacity-50"
+                      >
+                        Failed
+                      </button>
+                      <button
+                        onClick={() => handleUpdate(item, 'cancelled')}
+                        disabled={updatingId === item.id}
+                        className="flex items-center gap-1 text-text-muted hover:text-text disabled:opacity-50"
+                      >
+                        <Ban className="h-3.5 w-3.5" /> Cancel
+                      </button>
+                    </div>
+                  )}
+                  {item.status === 'failed' && (
+                    <button
+                      onClick={() => handleUpdate(item, 'queued')}
+                      disabled={updatingId === item.id}
+                      className="ml-auto text-text-muted hover:text-text disabled:opacity-50"
+                    >
+                      Requeue
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
 function CreateModal({ models, selectedModel, onClose, onCreate }) {
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
@@ -383,6 +989,10 @@ export function WorkflowsPage() {
   const [loading, setLoading] = useState(true);
   const [showCreate, setShowCreate] = useState(false);
   const [cloneTarget, setCloneTarget] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [showPublishQueue, setShowPublishQueue] = useState(false);
+  const [batchTarget, setBatchTarget] = useState(null); // template to run for models
+  const [batchesView, setBatchesView] = useState(null); // { workflow, batchId }
   const [viewMode, setViewMode] = useState('model'); // 'model' or 'templates'
 
   const fetchWorkflows = useCallback(async () => {
@@ -414,6 +1024,30 @@ export function WorkflowsPage() {
     fetchWorkflows();
   }, [fetchWorkflows]);
 
+  // Keep each card's last run status and run count live
+  const handleRunEvent = useCallback((event, run) => {
+    if (event !== 'run') return;
+    setWorkflows((prev) =>
+      prev.map((w) => {
+        if (w.id !== run.workflow_id) return w;
+        const isNewRun = !w.last_run || (w.last_run.id !== run.id && new Date(run.started_at) > new Date(w.last_run.started_at));
+        if (isNewRun) {
+          return {
+            ...w,
+            last_run: { id: run.id, status: run.status, started_at: run.started_at },
+            total_runs: (w.total_runs || 0) + 1,
+          };
+        }
+        if (w.last_run.id === run.id) {
+          return { ...w, last_run: { ...w.last_run, status: run.status } };
+        }
+        return w;
+      })
+    );
+  }, []);
+
+  useEventStream(api.streamWorkflowRuns, handleRunEvent, { onReconnect: fetchWorkflows });
+
   const handleCreate = async (data) => {
     const workflow = await api.createWorkflow(data);
     navigate(`/workflows/${workflow.id}`);
@@ -425,6 +1059,27 @@ export function WorkflowsPage() {
     navigate(`/workflows/${cloned.id}`);
   };
 
+  const handleExport = async (workflow) => {
+    try {
+      const bundle = await api.exportWorkflow(workflow.id);
+      const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${workflow.name.replace(/[^\w-]+/g, '-').toLowerCase()}.workflow.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(err.message || 'Failed to export workflow');
+    }
+  };
+
+  const handleImport = async (data) => {
+    const imported = await api.importWorkflow(data);
+    await fetchWorkflows();
+    navigate(`/workflows/${imported.id}`);
+  };
+
   const handleArchive = async (workflow) => {
     if (!confirm(`Archive "${workflow.name}"? You can restore it later.`)) return;
     await api.deleteWorkflow(workflow.id);
@@ -432,14 +1087,25 @@ export function WorkflowsPage() {
   };
 
   const handleRun = async (workflow) => {
+    // Templates have no model of their own; run them for a choice of models
+    if (!workflow.model_id) {
+      setBatchTarget(workflow);
+      return;
+    }
     try {
-      const run = await api.startWorkflowRun(workflow.id);
-      navigate(`/workflows/${workflow.id}/runs/${run.id}`);
+      const run = await withCreditConfirmation((data) => api.startWorkflowRun(workflow.id, data));
+      if (run) navigate(`/workflows/${workflow.id}/runs/${run.id}`);
     } catch (err) {
       alert(err.message || 'Failed to start workflow');
     }
   };
 
+  const handleStartBatch = async (workflow, data) => {
+    const batch = await withCreditConfirmation((confirmData) =>
+      api.startWorkflowBatch(workflow.id, { ...data, ...confirmData }));
+    if (batch) setBatchesView({ workflow, batchId: batch.id });
+  };
+
   const handleToggleTrigger = async (triggerId, enabled) => {
     try {
       await api.updateWorkflowTrigger(triggerId, { enabled });
@@ -501,6 +1167,20 @@ export function WorkflowsPage() {
                 </button>
               </div>
 
+              <button
+                onClick={() => setShowPublishQueue(true)}
+                className="flex items-center gap-2 px-4 py-2 border border-border rounded-lg text-sm font-medium text-text hover:bg-surface-elevated transition-colors"
+              >
+                <Send className="h-4 w-4" />
+                Publish Queue
+              </button>
+              <button
+                onClick={() => setShowImport(true)}
+                className="flex items-center gap-2 px-4 py-2 border border-border rounded-lg text-sm font-medium text-text hover:bg-surface-elevated transition-colors"
+              >
+                <Upload className="h-4 w-4" />
+                Import
+              </button>
               <button
                 onClick={() => setShowCreate(true)}
                 className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg text-sm font-medium hover:bg-primary-hover transition-colors"
@@ -545,8 +1225,10 @@ export function WorkflowsPage() {
                   workflow={w}
                   onOpen={(wf) => navigate(`/workflows/${wf.id}`)}
                   onClone={(wf) => setCloneTarget(wf)}
+                  onExport={handleExport}
                   onArchive={handleArchive}
                   onRun={handleRun}
+                  onShowBatches={(wf) => setBatchesView({ workflow: wf, batchId: null })}
                   onToggleTrigger={handleToggleTrigger}
                 />
               ))}
@@ -572,6 +1254,31 @@ export function WorkflowsPage() {
           onClone={handleClone}
         />
       )}
+      {showImport && (
+        <ImportModal
+          models={models}
+          selectedModel={selectedModel}
+          onClose={() => setShowImport(false)}
+          onImport={handleImport}
+        />
+      )}
+      {batchTarget && (
+        <BatchRunModal
+          workflow={batchTarget}
+          models={models}
+          onClose={() => setBatchTarget(null)}
+          onStart={handleStartBatch}
+        />
+      )}
+      {batchesView && (
+        <BatchesModal
+          workflow={batchesView.workflow}
+          initialBatchId={batchesView.batchId}
+          onClose={() => setBatchesView(null)}
+          onOpenRun={(run) => navigate(`/workflows/${batchesView.workflow.id}/runs/${run.id}`)}
+        />
+      )}
+      {showPublishQueue && <PublishQueueModal onClose={() => setShowPublishQueue(false)} />}
     </div>
   );
 }
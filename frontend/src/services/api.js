@@ -24,6 +24,30 @@ export function clearAgencySlug() {
   localStorage.removeItem(AGENCY_SLUG_KEY);
 }
 
+/**
+ * Public URL external systems POST to in order to start a workflow run
+ */
+export function getWorkflowWebhookUrl(token) {
+  const base = API_BASE || window.location.origin;
+  return `${base}/api/workflow-webhooks/${token}`;
+}
+
+/**
+ * Start a run (or batch, retry, rerun). If it's estimated to cost more
+ * credits than the user has left this cycle, ask before starting it anyway
+ * (going over the agency's pool is refused outright). Resolves to null if
+ * the user declines.
+ */
+export async function withCreditConfirmation(start) {
+  try {
+    return await start({});
+  } catch (err) {
+    if (!err.data?.requires_confirmation) throw err;
+    if (!confirm(`${err.data.message} Run anyway?`)) return null;
+    return start({ confirm: true });
+  }
+}
+
 class ApiError extends Error {
   constructor(message, status, data) {
     super(message);
@@ -120,6 +144,60 @@ async function request(endpoint, options = {}) {
   return data;
 }
 
+/**
+ * Read a Server-Sent Events endpoint with the same auth headers as
+ * request() (EventSource can't send them). Calls onEvent(event, data)
+ * for each message; resolves when the server closes the stream or
+ * `signal` aborts it.
+ */
+async function stream(endpoint, onEvent, { signal } = {}) {
+  const accessToken = getAuthToken();
+  const agencySlug = import.meta.env.DEV ? getAgencySlug() : null;
+
+  const response = await fetch(`${API_BASE}${endpoint}`, {
+    signal,
+    headers: {
+      Accept: 'text/event-stream',
+      ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+      ...(agencySlug && { 'X-Agency-Slug': agencySlug }),
+    },
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new ApiError(data?.error || 'Failed to open event stream', response.status, data);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      buffer += decoder.decode(value, { stream: true });
+
+      // Messages are separated by a blank line; ':' lines are keep-alives
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const message = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        let event = 'message';
+        let data = '';
+        for (const line of message.split('\n')) {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+        if (data) onEvent(event, JSON.parse(data));
+      }
+    }
+  } catch (err) {
+    if (err.name !== 'AbortError') throw err;
+  }
+}
+
 /**
  * API methods
  */
@@ -133,7 +211,26 @@ export const api = {
       body: JSON.stringify(settings),
     }),
   getUsage: () => request('/api/agency/usage'),
+  getUsageHistory: (limit = 12) => request(`/api/agency/usage/history?limit=${limit}`),
+  getCreditTransactions: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/api/agency/credits/transactions${query ? `?${query}` : ''}`);
+  },
+  adjustCredits: (amount, reason) =>
+    request('/api/agency/credits/adjust', {
+      method: 'POST',
+      body: JSON.stringify({ amount, reason }),
+    }),
   getDashboard: () => request('/api/agency/dashboard'),
+  getAuditLog: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/api/agency/audit${query ? `?${query}` : ''}`);
+  },
+  // Returns the CSV text (request() passes non-JSON bodies through)
+  exportAuditLog: (params = {}) => {
+    const query = new URLSearchParams({ ...params, format: 'csv' }).toString();
+    return request(`/api/agency/audit?${query}`);
+  },
   completeOnboarding: () =>
     request('/api/agency/onboarding/complete', { method: 'PUT' }),
 
@@ -180,6 +277,43 @@ export const api = {
   getTeamActivity: (limit = 50, offset = 0) =>
     request(`/api/team/activity?limit=${limit}&offset=${offset}`),
 
+  // API Keys (admin)
+  getApiKeys: () => request('/api/api-keys'),
+  createApiKey: (data) =>
+    request('/api/api-keys', { method: 'POST', body: JSON.stringify(data) }),
+  revokeApiKey: (id) =>
+    request(`/api/api-keys/${id}`, { method: 'DELETE' }),
+
+  // Outbound Webhooks (admin)
+  getWebhooks: () => request('/api/webhooks'),
+  createWebhook: (data) =>
+    request('/api/webhooks', { method: 'POST', body: JSON.stringify(data) }),
+  updateWebhook: (id, data) =>
+    request(`/api/webhooks/${id}`, { method: 'PUT', body: JSON.stringify(data) }),
+  deleteWebhook: (id) =>
+    request(`/api/webhooks/${id}`, { method: 'DELETE' }),
+  rotateWebhookSecret: (id) =>
+    request(`/api/webhooks/${id}/rotate-secret`, { method: 'POST' }),
+  testWebhook: (id) =>
+    request(`/api/webhooks/${id}/test`, { method: 'POST' }),
+  getWebhookDeliveries: (id, { status, limit = 25, offset = 0 } = {}) => {
+    const params = new URLSearchParams({ limit, offset });
+    if (status) params.set('status', status);
+    return request(`/api/webhooks/${id}/deliveries?${params}`);
+  },
+  replayWebhookDelivery: (deliveryId) =>
+    request(`/api/webhooks/deliveries/${deliveryId}/replay`, { method: 'POST' }),
+
+  // Billing (Stripe Checkout / portal return { url } to redirect to)
+  getBilling: () => request('/api/billing'),
+  getPlans: () => request('/api/auth/plans'),
+  startPlanCheckout: (planId) =>
+    request('/api/billing/checkout', { method: 'POST', body: JSON.stringify({ plan_id: planId }) }),
+  startCreditCheckout: (packId) =>
+    request('/api/billing/credits/checkout', { method: 'POST', body: JSON.stringify({ pack_id: packId }) }),
+  openBillingPortal: () =>
+    request('/api/billing/portal', { method: 'POST' }),
+
   // Image Generation
   generateSeedream: (data) =>
     request('/api/generate/seedream', { method: 'POST', body: JSON.stringify(data) }),
@@ -206,6 +340,13 @@ export const api = {
   inpaint: (data) =>
     request('/api/edit/inpaint', { method: 'POST', body: JSON.stringify(data) }),
 
+  // Generation Jobs (generate/edit endpoints answer 202 with a jobId)
+  getJobs: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/api/jobs${query ? `?${query}` : ''}`);
+  },
+  getJob: (id) => request(`/api/jobs/${id}`),
+
   // Chat
   sendChat: (data) =>
     request('/api/chat', { method: 'POST', body: JSON.stringify(data) }),
@@ -222,6 +363,8 @@ export const api = {
     request(`/api/models/${id}`, { method: 'PUT', body: JSON.stringify(data) }),
   deleteModel: (id) =>
     request(`/api/models/${id}`, { method: 'DELETE' }),
+  regeneratePortalToken: (id) =>
+    request(`/api/models/${id}/regenerate-portal-token`, { method: 'POST' }),
   uploadModelAvatar: async (formData) => {
     const accessToken = getAuthToken();
     const agencySlug = import.meta.env.DEV ? getAgencySlug() : null;
@@ -275,19 +418,71 @@ export const api = {
     request(`/api/workflows/${id}`, { method: 'DELETE' }),
   saveWorkflowGraph: (id, data) =>
     request(`/api/workflows/${id}/graph`, { method: 'PUT', body: JSON.stringify(data) }),
+  getWorkflowVersions: (id) => request(`/api/workflows/${id}/versions`),
+  getWorkflowVersion: (id, version) => request(`/api/workflows/${id}/versions/${version}`),
+  diffWorkflowVersions: (id, from, to) => {
+    const query = new URLSearchParams({ ...(from && { from }), ...(to && { to }) }).toString();
+    return request(`/api/workflows/${id}/versions/diff${query ? `?${query}` : ''}`);
+  },
+  restoreWorkflowVersion: (id, version) =>
+    request(`/api/workflows/${id}/versions/${version}/restore`, { method: 'POST' }),
   cloneWorkflow: (id, data) =>
     request(`/api/workflows/${id}/clone`, { method: 'POST', body: JSON.stringify(data) }),
+  exportWorkflow: (id) => request(`/api/workflows/${id}/export`),
+  importWorkflow: (data) =>
+    request('/api/workflows/import', { method: 'POST', body: JSON.stringify(data) }),
   getNodeTypes: () => request('/api/workflows/node-types'),
-  startWorkflowRun: (id) =>
-    request(`/api/workflows/${id}/run`, { method: 'POST' }),
+  // data: { model_id } to check a template against a model
+  validateWorkflow: (id, data = {}) =>
+    request(`/api/workflows/${id}/validate`, { method: 'POST', body: JSON.stringify(data) }),
+  // data: { confirm: true } to start a run estimated to cost more than your credit limit has left
+  startWorkflowRun: (id, data = {}) =>
+    request(`/api/workflows/${id}/run`, { method: 'POST', body: JSON.stringify(data) }),
   getWorkflowRun: (runId) => request(`/api/workflows/runs/${runId}`),
+  // data: { model_ids } or { all_models: true } — runs a template once per model
+  startWorkflowBatch: (id, data) =>
+    request(`/api/workflows/${id}/batches`, { method: 'POST', body: JSON.stringify(data) }),
+  getWorkflowBatches: (id) => request(`/api/workflows/${id}/batches`),
+  getWorkflowBatch: (batchId) => request(`/api/workflows/batches/${batchId}`),
+  cancelWorkflowBatch: (batchId) =>
+    request(`/api/workflows/batches/${batchId}/cancel`, { method: 'POST' }),
+  // Signed link to an Export node's ZIP bundle: { url, file_name, expires_in }
+  getWorkflowExportDownload: (exportId) => request(`/api/workflows/exports/${exportId}/download`),
+  // params: { status (queued | published | failed | cancelled | all), platform, model_id }
+  getPublishQueue: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/api/workflows/publish-queue${query ? `?${query}` : ''}`);
+  },
+  // data: { status, post_url, error }
+  updatePublishQueueItem: (itemId, data) =>
+    request(`/api/workflows/publish-queue/${itemId}`, { method: 'PATCH', body: JSON.stringify(data) }),
   approveWorkflowNode: (runId, nodeId, data = {}) =>
     request(`/api/workflows/runs/${runId}/nodes/${nodeId}/approve`, {
       method: 'POST',
       body: JSON.stringify(data),
     }),
+  // data: { reason, regenerate, confirm } — regenerate re-runs the upstream node with the reason as feedback
+  rejectWorkflowNode: (runId, nodeId, data) =>
+    request(`/api/workflows/runs/${runId}/nodes/${nodeId}/reject`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
   cancelWorkflowRun: (runId) =>
     request(`/api/workflows/runs/${runId}/cancel`, { method: 'POST' }),
+  // data: { confirm: true } to retry past your credit limit
+  retryWorkflowRun: (runId, data = {}) =>
+    request(`/api/workflows/runs/${runId}/retry`, { method: 'POST', body: JSON.stringify(data) }),
+  // config: settings to change for this run only, e.g. { prompt }; data: { confirm }
+  rerunWorkflowNode: (runId, nodeId, config, data = {}) =>
+    request(`/api/workflows/runs/${runId}/nodes/${nodeId}/rerun`, {
+      method: 'POST',
+      body: JSON.stringify(config ? { config, ...data } : data),
+    }),
+  // Live progress (SSE): onEvent('run' | 'node', data)
+  streamWorkflowRun: (runId, onEvent, options) =>
+    stream(`/api/workflows/runs/${runId}/events`, onEvent, options),
+  streamWorkflowRuns: (onEvent, options) =>
+    stream('/api/workflows/runs/events', onEvent, options),
 
   // Workflow Triggers
   getWorkflowTriggers: (workflowId) =>
@@ -298,6 +493,11 @@ export const api = {
     request(`/api/workflows/triggers/${triggerId}`, { method: 'PUT', body: JSON.stringify(data) }),
   deleteWorkflowTrigger: (triggerId) =>
     request(`/api/workflows/triggers/${triggerId}`, { method: 'DELETE' }),
+  previewWorkflowTrigger: (scheduleConfig) =>
+    request('/api/workflows/triggers/preview', {
+      method: 'POST',
+      body: JSON.stringify({ schedule_config: scheduleConfig }),
+    }),
 
   // Content Requests
   getContentRequests: (params = {}) => {